@@ -62,6 +62,43 @@
 
   window.addEventListener('beforeunload', beforeUnloadHandler);
 
+  // CAPTCHA widgets render themselves into an element with their class once the script loads.
+  const captchaWidgets = {
+    turnstile: { script: 'https://challenges.cloudflare.com/turnstile/v0/api.js', className: 'cf-turnstile', global: 'turnstile' },
+    hcaptcha: { script: 'https://js.hcaptcha.com/1/api.js', className: 'h-captcha', global: 'hcaptcha' },
+    recaptcha: { script: 'https://www.google.com/recaptcha/api.js', className: 'g-recaptcha', global: 'grecaptcha' },
+  };
+  const loadedCaptchaScripts = new Set();
+
+  const mountCaptcha = (form, { provider, siteKey }) => {
+    const widget = captchaWidgets[provider];
+    if (!widget || !siteKey) return;
+
+    const container = document.createElement('div');
+    container.className = `form-captcha ${widget.className}`;
+    container.dataset.sitekey = siteKey;
+    const submit = form.querySelector('button[type="submit"]');
+    if (submit) submit.before(container);
+    else form.appendChild(container);
+
+    const api = window[widget.global];
+    if (api?.render) {
+      api.render(container, { sitekey: siteKey });
+    } else if (!loadedCaptchaScripts.has(widget.script)) {
+      loadedCaptchaScripts.add(widget.script);
+      const script = document.createElement('script');
+      script.src = widget.script;
+      script.async = true;
+      script.defer = true;
+      document.head.appendChild(script);
+    }
+  };
+
+  const resetCaptcha = (provider) => {
+    const api = window[captchaWidgets[provider]?.global];
+    if (api?.reset) api.reset();
+  };
+
   forms.forEach((form) => {
     const msg = form.querySelector('.form-message');
     const submitButton = form.querySelector('button[type=\"submit\"]');
@@ -75,6 +112,8 @@
     const applySuccessStorage = form.querySelector('[data-apply-success-storage]');
     const applySuccessNote = form.querySelector('[data-apply-success-note]');
     const applySuccessCopyButton = form.querySelector('[data-copy-apply-id]');
+    const applySuccessStatus = form.querySelector('[data-apply-success-status]');
+    const applyStatusRefreshButton = form.querySelector('[data-refresh-apply-status]');
     const resetApplyButton = form.querySelector('[data-reset-apply-form]');
     const applyNavButtons = Array.from(form.querySelectorAll('[data-step-prev], [data-step-next], [data-step-jump]'));
     const submitType = form.dataset.submitType || '';
@@ -83,6 +122,29 @@
       form.enctype === 'multipart/form-data' ||
       Boolean(fileInput);
 
+    // Website forms (not the application) post back a token issued when they render, plus CAPTCHA when enabled.
+    const usesFormGuard = !isApplicationForm && !form.dataset.endpoint;
+    let captchaProvider = '';
+
+    const loadFormGuard = async () => {
+      try {
+        const response = await fetch(`${apiBase}/api/forms/token?form=${encodeURIComponent(form.dataset.form || 'general')}`);
+        if (!response.ok) return;
+        const data = await response.json();
+        form.dataset.formToken = data.token || '';
+        if (data.captcha && !captchaProvider) {
+          captchaProvider = data.captcha.provider;
+          mountCaptcha(form, data.captcha);
+        }
+      } catch {
+        // Without a token the submission is still accepted; the server only scores it higher.
+      }
+    };
+
+    if (usesFormGuard) {
+      loadFormGuard();
+    }
+
     const setMessage = (text, tone = '') => {
       if (!msg) return;
       msg.textContent = text || '';
@@ -142,6 +204,38 @@
         .replace(/\b\w/g, (char) => char.toUpperCase());
     };
 
+    // Server-side validation (422) returns { errors: { field: message } }; mark each field,
+    // open the step holding the first one and let the browser show its message.
+    const showFieldErrors = (errors) => {
+      const fields = Object.keys(errors || {})
+        .map((name) => ({ name, control: form.querySelector(`[name="${name}"]`) }))
+        .filter(({ control }) => control);
+      if (fields.length === 0) return false;
+
+      fields.forEach(({ name }) => {
+        form.querySelectorAll(`[name="${name}"]`).forEach((input) => {
+          input.setCustomValidity(errors[name]);
+          input.setAttribute('aria-invalid', 'true');
+          const clearError = () => {
+            input.setCustomValidity('');
+            input.removeAttribute('aria-invalid');
+          };
+          input.addEventListener('input', clearError, { once: true });
+          input.addEventListener('change', clearError, { once: true });
+        });
+      });
+
+      const first = fields[0].control;
+      const step = first.closest('[data-step]');
+      if (step) {
+        const tab = form.querySelector(`[data-step-jump="${step.dataset.step}"]`);
+        if (tab) tab.click();
+      }
+      first.reportValidity();
+      first.focus();
+      return true;
+    };
+
     const showApplySuccessState = (responseData) => {
       if (!applySuccess) return;
       setApplyControlsDisabled(true);
@@ -153,11 +247,12 @@
         submitButton.textContent = 'Application Submitted';
       }
       applySuccess.hidden = false;
+      const referenceId = responseData?.id;
       if (applySuccessId) {
-        applySuccessId.textContent = responseData?.id || 'Submitted';
+        applySuccessId.textContent = referenceId || 'Submitted';
       }
       if (applySuccessCopyButton) {
-        applySuccessCopyButton.dataset.copyValue = responseData?.id || '';
+        applySuccessCopyButton.dataset.copyValue = referenceId || '';
         applySuccessCopyButton.textContent = 'Copy';
       }
       if (applySuccessPdf) {
@@ -166,6 +261,14 @@
       if (applySuccessStorage) {
         applySuccessStorage.textContent = formatStatus(responseData?.storage, 'Recorded');
       }
+      if (applySuccessStatus) {
+        applySuccessStatus.textContent = formatStatus(responseData?.status, 'Received');
+      }
+      if (applyStatusRefreshButton) {
+        applyStatusRefreshButton.dataset.applicationId = referenceId || '';
+        applyStatusRefreshButton.dataset.statusToken = responseData?.statusToken || '';
+        applyStatusRefreshButton.hidden = !responseData?.statusToken;
+      }
       if (applySuccessNote) {
         const emailStatus = String(responseData?.emailStatus || '').toLowerCase();
         applySuccessNote.textContent = emailStatus === 'sent'
@@ -198,8 +301,34 @@
       });
     }
 
+    if (applyStatusRefreshButton) {
+      applyStatusRefreshButton.addEventListener('click', async () => {
+        const { applicationId, statusToken } = applyStatusRefreshButton.dataset;
+        if (!applicationId || !statusToken) return;
+
+        applyStatusRefreshButton.disabled = true;
+        try {
+          const response = await fetch(`${apiBase}/api/applications/${encodeURIComponent(applicationId)}/status`, {
+            headers: { Authorization: `Bearer ${statusToken}` },
+          });
+          const responseData = await parseResponse(response);
+          if (response.ok && applySuccessStatus) {
+            applySuccessStatus.textContent = responseData?.statusLabel || formatStatus(responseData?.status, 'Received');
+          }
+        } catch {
+          // Keep the last known status on network errors.
+        } finally {
+          applyStatusRefreshButton.disabled = false;
+        }
+      });
+    }
+
     form.addEventListener('submit', async (event) => {
       event.preventDefault();
+      if (form.dataset.uploadsPending) {
+        setMessage('Please wait for your bank statements to finish uploading.', 'pending');
+        return;
+      }
       setMessage(
         isApplicationForm
           ? 'Submitting your application. One click is enough. Please do not refresh or close this page while we generate your PDF...'
@@ -217,9 +346,16 @@
       let payload = null;
       let fetchOptions = null;
 
+      if (form.dataset.draftToken) {
+        formData.append('draft_token', form.dataset.draftToken);
+      }
+
       if (isMultipart) {
         formData.append('form', form.dataset.form || 'general');
         formData.append('page', window.location.pathname);
+        if (form.dataset.formToken) {
+          formData.append('form_token', form.dataset.formToken);
+        }
         payload = formData;
         fetchOptions = {
           method: 'POST',
@@ -239,6 +375,9 @@
         });
         payload.form = form.dataset.form || 'general';
         payload.page = window.location.pathname;
+        if (form.dataset.formToken) {
+          payload.form_token = form.dataset.formToken;
+        }
         fetchOptions = {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
@@ -246,10 +385,17 @@
         };
       }
 
+      let fieldErrors = null;
       try {
         const response = await fetch(endpoint, fetchOptions);
         const responseData = await parseResponse(response);
 
+        if (response.status === 422 && responseData?.errors) {
+          fieldErrors = responseData.errors;
+          setMessage('Please correct the highlighted fields and submit again.', 'error');
+          return;
+        }
+
         if (!response.ok) {
           const errorMessage =
             responseData?.error ||
@@ -260,11 +406,19 @@
 
         if (isApplicationForm) {
           showApplySuccessState(responseData || {});
+          form.dispatchEvent(new CustomEvent('apply:submitted'));
         } else {
           form.reset();
           setMessage('Thanks! We received your request.', 'success');
+          if (usesFormGuard) {
+            resetCaptcha(captchaProvider);
+            loadFormGuard();
+          }
         }
       } catch (error) {
+        if (captchaProvider) {
+          resetCaptcha(captchaProvider);
+        }
         const fallbackError = isApplicationForm
           ? 'Your application was not submitted. Please try again or contact info@nolimitcap.net.'
           : 'We could not submit your request right now. Please try again later.';
@@ -284,6 +438,10 @@
             submitButton.textContent = 'Application Submitted';
           }
         }
+        // Runs after the step tabs are re-enabled so the jump to the failing step works.
+        if (fieldErrors && !showFieldErrors(fieldErrors) && msg) {
+          msg.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
       }
     });
   });
@@ -357,6 +515,482 @@
     update();
   });
 
+  // Bank statements go straight to S3 through presigned multipart URLs, so large PDFs never
+  // pass through the API. The resulting keys ride along in hidden fields; when the server has
+  // no S3 (503), the files stay in the input and are sent with the form as before.
+  const directUploadInputs = document.querySelectorAll('input[type="file"][data-direct-upload]');
+  directUploadInputs.forEach((fileInput) => {
+    const form = fileInput.form;
+    if (!form) return;
+    const uploadsField = form.querySelector('[name="bank_statement_uploads"]');
+    const tokenField = form.querySelector('[name="upload_token"]');
+    const progressList = form.querySelector('[data-upload-progress]');
+    let endpoint = fileInput.dataset.directUpload;
+    if (endpoint.startsWith('/') && apiBase) {
+      endpoint = `${apiBase}${endpoint}`;
+    }
+    let pending = 0;
+
+    const postJson = async (url, data) => {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+      });
+      const responseData = await response.json().catch(() => null);
+      return { response, data: responseData };
+    };
+
+    const readUploads = () => {
+      try {
+        const parsed = JSON.parse(uploadsField?.value || '[]');
+        return Array.isArray(parsed) ? parsed : [];
+      } catch {
+        return [];
+      }
+    };
+
+    const addUpload = (upload) => {
+      if (!uploadsField) return;
+      uploadsField.value = JSON.stringify([...readUploads(), upload]);
+      uploadsField.dispatchEvent(new Event('change', { bubbles: true }));
+    };
+
+    const setPending = (delta) => {
+      pending = Math.max(0, pending + delta);
+      if (pending > 0) {
+        form.dataset.uploadsPending = String(pending);
+      } else {
+        delete form.dataset.uploadsPending;
+      }
+    };
+
+    const addProgressRow = (file) => {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      const bar = document.createElement('progress');
+      label.textContent = file.name;
+      bar.max = file.size;
+      bar.value = 0;
+      item.append(label, bar);
+      if (progressList) {
+        progressList.appendChild(item);
+        progressList.hidden = false;
+      }
+      return {
+        progress: (loaded) => {
+          bar.value = loaded;
+        },
+        done: (text) => {
+          bar.remove();
+          label.textContent = `${file.name} — ${text}`;
+        },
+      };
+    };
+
+    const putPart = (url, blob, onProgress) => new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open('PUT', url);
+      xhr.upload.addEventListener('progress', (event) => onProgress(event.loaded));
+      xhr.addEventListener('load', () => {
+        const etag = xhr.getResponseHeader('ETag');
+        if (xhr.status >= 200 && xhr.status < 300 && etag) {
+          resolve(etag);
+        } else {
+          reject(new Error(`Part upload failed (${xhr.status})`));
+        }
+      });
+      xhr.addEventListener('error', () => reject(new Error('Network error during upload')));
+      xhr.send(blob);
+    });
+
+    const uploadFile = async (file, row) => {
+      const { response, data } = await postJson(endpoint, {
+        uploadToken: tokenField?.value || undefined,
+        fileName: file.name,
+        size: file.size,
+        contentType: file.type || 'application/pdf',
+      });
+      if (response.status === 503 && data?.fallback === 'multipart') {
+        return 'fallback';
+      }
+      if (!response.ok || !data?.ok) {
+        throw new Error(data?.error || 'Upload could not start');
+      }
+      if (tokenField) tokenField.value = data.uploadToken;
+
+      const parts = [];
+      try {
+        for (const part of data.parts) {
+          const start = (part.partNumber - 1) * data.partSize;
+          const blob = file.slice(start, start + data.partSize);
+          const etag = await putPart(part.url, blob, (loaded) => row.progress(start + loaded));
+          parts.push({ partNumber: part.partNumber, etag });
+        }
+        const completed = await postJson(`${endpoint}/complete`, {
+          uploadToken: data.uploadToken,
+          key: data.key,
+          uploadId: data.uploadId,
+          parts,
+        });
+        if (!completed.response.ok || !completed.data?.ok) {
+          throw new Error(completed.data?.error || 'Upload could not finish');
+        }
+      } catch (error) {
+        postJson(`${endpoint}/abort`, { uploadToken: data.uploadToken, key: data.key, uploadId: data.uploadId }).catch(() => {});
+        throw error;
+      }
+
+      addUpload({ key: data.key, size: file.size, contentType: file.type || 'application/pdf', fileName: file.name });
+      return 'uploaded';
+    };
+
+    fileInput.addEventListener('change', async () => {
+      if (fileInput.dataset.directUploadState === 'unavailable' || fileInput.files.length === 0) return;
+      const files = Array.from(fileInput.files);
+      setPending(files.length);
+
+      let fallback = false;
+      for (const file of files) {
+        const row = addProgressRow(file);
+        try {
+          const result = await uploadFile(file, row);
+          if (result === 'fallback') {
+            fallback = true;
+            row.done('will be sent with your application');
+          } else {
+            row.done('uploaded');
+          }
+        } catch (error) {
+          row.done(error.message || 'upload failed, please attach it again');
+        } finally {
+          setPending(-1);
+        }
+        if (fallback) break;
+      }
+      setPending(-pending);
+
+      if (fallback) {
+        // Let the regular multipart path (and draft autosave) handle the files instead.
+        fileInput.dataset.directUploadState = 'unavailable';
+        if (progressList) {
+          progressList.innerHTML = '';
+          progressList.hidden = true;
+        }
+        fileInput.dispatchEvent(new Event('change', { bubbles: true }));
+        return;
+      }
+      fileInput.value = '';
+    });
+  });
+
+  // Owners #3 and up on the apply form. Each added owner gets a block in the ownership step
+  // and a signature column in the authorization step, both cloned from <template>s with
+  // {n} replaced by the owner number, so field names match the server's owner_<n>_<field>.
+  const getOwnerSlots = (form) => {
+    const container = form.querySelector('[data-extra-owners]');
+    const ownerTemplate = form.querySelector('[data-owner-template]');
+    if (!container || !ownerTemplate) return null;
+    return {
+      container,
+      ownerTemplate,
+      signatures: form.querySelector('[data-extra-signatures]'),
+      signatureTemplate: form.querySelector('[data-signature-template]'),
+      addButton: form.querySelector('[data-add-owner]'),
+      max: Number(container.dataset.maxOwners || 4),
+    };
+  };
+
+  const cloneOwnerTemplate = (template, number) => {
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = template.innerHTML.replace(/\{n\}/g, String(number));
+    return wrapper.firstElementChild;
+  };
+
+  // Owners #1 and #2 are always on the page.
+  const countOwnerBlocks = (slots) => 2 + slots.container.children.length;
+
+  const refreshOwnerControls = (slots) => {
+    const count = countOwnerBlocks(slots);
+    if (slots.addButton) slots.addButton.hidden = count >= slots.max;
+    // Only the last owner can be removed, so owner numbers never skip.
+    slots.container.querySelectorAll('[data-remove-owner]').forEach((button) => {
+      button.hidden = Number(button.dataset.removeOwner) !== count;
+    });
+    if (slots.signatures) slots.signatures.hidden = slots.signatures.children.length === 0;
+  };
+
+  const addOwnerBlock = (slots) => {
+    const number = countOwnerBlocks(slots) + 1;
+    if (number > slots.max) return null;
+    const block = cloneOwnerTemplate(slots.ownerTemplate, number);
+    slots.container.appendChild(block);
+    if (slots.signatures && slots.signatureTemplate) {
+      // Odd owners start a row on the left; even owners sit right of a divider, as in the PDF.
+      if (number % 2 === 0) {
+        const divider = document.createElement('div');
+        divider.className = 'auth-sig-divider';
+        divider.dataset.ownerSignatureDivider = String(number);
+        slots.signatures.appendChild(divider);
+      }
+      slots.signatures.appendChild(cloneOwnerTemplate(slots.signatureTemplate, number));
+    }
+    refreshOwnerControls(slots);
+    return block;
+  };
+
+  const removeOwnerBlock = (slots, number) => {
+    slots.container.querySelector(`[data-owner="${number}"]`)?.remove();
+    if (slots.signatures) {
+      slots.signatures
+        .querySelectorAll(`[data-owner-signature="${number}"], [data-owner-signature-divider="${number}"]`)
+        .forEach((element) => element.remove());
+    }
+    refreshOwnerControls(slots);
+  };
+
+  /** Add owner blocks until the form has `count` owners (used when a draft is restored). */
+  const ensureOwnerBlocks = (form, count) => {
+    const slots = getOwnerSlots(form);
+    if (!slots) return;
+    while (countOwnerBlocks(slots) < Math.min(count, slots.max)) {
+      addOwnerBlock(slots);
+    }
+  };
+
+  document.querySelectorAll('form[data-form="apply"]').forEach((form) => {
+    const slots = getOwnerSlots(form);
+    if (!slots) return;
+
+    if (slots.addButton) {
+      slots.addButton.addEventListener('click', () => {
+        const block = addOwnerBlock(slots);
+        const firstInput = block?.querySelector('input');
+        if (firstInput) firstInput.focus();
+      });
+    }
+    slots.container.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-remove-owner]');
+      if (button) removeOwnerBlock(slots, Number(button.dataset.removeOwner));
+    });
+    refreshOwnerControls(slots);
+  });
+
+  // Save-and-resume drafts for the apply form. The resume token lives in localStorage
+  // (same browser) and in the emailed ?resume= link (any browser).
+  const draftForms = document.querySelectorAll('form[data-draft-endpoint]');
+  draftForms.forEach((form) => {
+    const storageKey = `ncap-draft:${form.dataset.form || 'apply'}`;
+    const statusText = form.querySelector('[data-draft-status]');
+    const emailButton = form.querySelector('[data-draft-email]');
+    const fileInput = form.querySelector('input[type="file"]');
+    const fileList = form.querySelector('[data-draft-files]');
+    // Looked up each time: added owners bring their own SSN, DOB and signature fields.
+    const isExcluded = (name) => Array.from(form.querySelectorAll('[data-draft-exclude]')).some((field) => field.name === name);
+    let endpoint = form.dataset.draftEndpoint;
+    if (endpoint.startsWith('/') && apiBase) {
+      endpoint = `${apiBase}${endpoint}`;
+    }
+
+    let saveTimer = null;
+    let saving = Promise.resolve();
+    let submitted = false;
+
+    const setStatus = (text) => {
+      if (statusText) statusText.textContent = text || '';
+    };
+
+    const readStoredToken = () => {
+      try {
+        return window.localStorage.getItem(storageKey) || '';
+      } catch {
+        return '';
+      }
+    };
+
+    const setToken = (token) => {
+      if (token) {
+        form.dataset.draftToken = token;
+      } else {
+        delete form.dataset.draftToken;
+      }
+      try {
+        if (token) {
+          window.localStorage.setItem(storageKey, token);
+        } else {
+          window.localStorage.removeItem(storageKey);
+        }
+      } catch {
+        // Private mode: the emailed link still works.
+      }
+    };
+
+    const currentStep = () => {
+      const steps = Array.from(form.querySelectorAll('[data-step]'));
+      const index = steps.findIndex((step) => !step.hidden);
+      return Math.max(0, index);
+    };
+
+    const renderFiles = (files) => {
+      if (!fileList) return;
+      fileList.innerHTML = '';
+      (files || []).forEach((file) => {
+        const item = document.createElement('li');
+        item.textContent = `${file.originalName} (saved)`;
+        fileList.appendChild(item);
+      });
+      fileList.hidden = !files || files.length === 0;
+    };
+
+    const applyFields = (fields) => {
+      Object.entries(fields || {}).forEach(([name, value]) => {
+        if (isExcluded(name)) return;
+        const values = Array.isArray(value) ? value : [value];
+        const controls = Array.from(form.querySelectorAll(`[name="${name}"]`));
+        controls.forEach((control, index) => {
+          // A single value belongs to the select/input; an unchecked checkbox sends nothing.
+          if (!Array.isArray(value) && controls.length > 1 && control.type === 'checkbox') return;
+          const next = values[Math.min(index, values.length - 1)];
+          if (control.type === 'checkbox') {
+            control.checked = Boolean(next);
+          } else if (control.type === 'radio') {
+            control.checked = control.value === next;
+          } else if (control.type !== 'file') {
+            control.value = next;
+          }
+        });
+      });
+    };
+
+    const buildPayload = (includeFiles) => {
+      const formData = new FormData(form);
+      form.querySelectorAll('[data-draft-exclude]').forEach((field) => formData.delete(field.name));
+      if (fileInput && !includeFiles) {
+        formData.delete(fileInput.name);
+      }
+      formData.append('current_step', String(currentStep()));
+      if (form.dataset.draftToken) {
+        formData.append('draft_token', form.dataset.draftToken);
+      }
+      return formData;
+    };
+
+    const saveDraft = (includeFiles = false) => {
+      saving = saving.then(async () => {
+        if (submitted) return;
+        setStatus('Saving draft...');
+        try {
+          let response = await fetch(endpoint, { method: 'POST', body: buildPayload(includeFiles) });
+          if (response.status === 404 && form.dataset.draftToken) {
+            // Expired or already submitted: start a new draft with what is on screen.
+            setToken('');
+            response = await fetch(endpoint, { method: 'POST', body: buildPayload(includeFiles) });
+          }
+          const data = await response.json();
+          if (!response.ok || !data?.ok) throw new Error(data?.error || 'Draft not saved');
+          setToken(data.token);
+          renderFiles(data.draft?.files);
+          if (includeFiles && fileInput) {
+            fileInput.value = '';
+          }
+          setStatus(`Draft saved at ${new Date(data.draft.updatedAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`);
+        } catch {
+          setStatus('Draft not saved. Your answers are still on this page.');
+        }
+      });
+      return saving;
+    };
+
+    const scheduleSave = () => {
+      if (submitted) return;
+      window.clearTimeout(saveTimer);
+      saveTimer = window.setTimeout(() => saveDraft(false), 1500);
+    };
+
+    const restoreDraft = async (token) => {
+      try {
+        const response = await fetch(`${endpoint}/${encodeURIComponent(token)}`);
+        const data = await response.json();
+        if (!response.ok || !data?.ok) {
+          setToken('');
+          return;
+        }
+        setToken(token);
+        const ownerNumbers = Object.keys(data.draft.fields || {})
+          .map((name) => Number((name.match(/^owner_(\d+)_/) || [])[1] || 0));
+        ensureOwnerBlocks(form, Math.max(0, ...ownerNumbers));
+        applyFields(data.draft.fields);
+        renderFiles(data.draft.files);
+        const tab = form.querySelector(`[data-step-jump="${data.draft.step || 0}"]`);
+        if (tab) tab.click();
+        setStatus('Draft restored. Please re-enter SSN, EIN, date of birth and signature.');
+      } catch {
+        // Leave the form empty; autosave will start a new draft.
+      }
+    };
+
+    form.addEventListener('input', (event) => {
+      if (event.target === fileInput || isExcluded(event.target.name)) return;
+      scheduleSave();
+    });
+    form.addEventListener('change', (event) => {
+      if (event.target === fileInput) {
+        const multipartFiles = !('directUpload' in fileInput.dataset) || fileInput.dataset.directUploadState === 'unavailable';
+        if (multipartFiles && fileInput.files.length > 0) saveDraft(true);
+        return;
+      }
+      if (!isExcluded(event.target.name)) scheduleSave();
+    });
+    form.querySelectorAll('[data-step-prev], [data-step-next], [data-step-jump]').forEach((button) => {
+      button.addEventListener('click', () => {
+        if (form.dataset.draftToken) saveDraft(false);
+      });
+    });
+
+    if (emailButton) {
+      emailButton.addEventListener('click', async () => {
+        const email = form.querySelector('[name="email"]')?.value.trim();
+        if (!email) {
+          setStatus('Enter your email in step 1 so we can send you a link.');
+          return;
+        }
+        emailButton.disabled = true;
+        window.clearTimeout(saveTimer);
+        await saveDraft(false);
+        try {
+          if (!form.dataset.draftToken) throw new Error('Draft not saved');
+          const response = await fetch(`${endpoint}/${encodeURIComponent(form.dataset.draftToken)}/email`, {
+            method: 'POST',
+          });
+          const data = await response.json();
+          if (!response.ok || !data?.ok) throw new Error(data?.error);
+          setStatus(`We emailed a link to ${email}.`);
+        } catch (error) {
+          setStatus(error.message || 'We could not send the link. Please try again.');
+        } finally {
+          emailButton.disabled = false;
+        }
+      });
+    }
+
+    form.addEventListener('apply:submitted', () => {
+      submitted = true;
+      window.clearTimeout(saveTimer);
+      setToken('');
+      setStatus('');
+      const url = new URL(window.location.href);
+      if (url.searchParams.has('resume')) {
+        url.searchParams.delete('resume');
+        window.history.replaceState(null, '', url);
+      }
+    });
+
+    const resumeToken = new URLSearchParams(window.location.search).get('resume') || readStoredToken();
+    if (resumeToken) {
+      restoreDraft(resumeToken);
+    }
+  });
+
   // Modal functionality
   const modalTriggers = document.querySelectorAll('[data-open-modal]');
   const modalCloseButtons = document.querySelectorAll('[data-close-modal]');
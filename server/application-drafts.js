@@ -0,0 +1,140 @@
+'use strict';
+
+/**
+ * application-drafts.js
+ *
+ * Save-and-resume drafts for the apply form. A draft is a partial application
+ * stored under a random resume token. Only the SHA-256 of the token is used as
+ * the storage key, so a leaked bucket listing or drafts file cannot be turned
+ * back into working resume links.
+ *
+ * SSN, EIN, DOB and signature fields are never written to a draft; the
+ * applicant re-enters them before submitting.
+ */
+
+const crypto = require('crypto');
+const { APPLICATION_SCHEMA, APPLICATION_FIELD_NAMES } = require('./application-schema');
+const { SENSITIVE_FIELDS } = require('./field-encryption');
+
+const SIGNATURE_FIELDS = APPLICATION_FIELD_NAMES.filter((name) => APPLICATION_SCHEMA[name].type === 'signature');
+const DRAFT_EXCLUDED_FIELDS = new Set([...SENSITIVE_FIELDS, ...SIGNATURE_FIELDS, 'form', 'page']);
+const DRAFT_FIELDS = APPLICATION_FIELD_NAMES.filter((name) => !DRAFT_EXCLUDED_FIELDS.has(name));
+const MAX_DRAFT_VALUE_LENGTH = 500;
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+function createDraftToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function isDraftToken(value) {
+  return typeof value === 'string' && TOKEN_PATTERN.test(value);
+}
+
+function hashDraftToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function cleanValue(value) {
+  if (value === undefined || value === null) return '';
+  return String(value).trim().slice(0, MAX_DRAFT_VALUE_LENGTH);
+}
+
+/**
+ * Keep only known, non-sensitive application fields. Repeated names (a select
+ * and a checkbox sharing `application_agreement`) stay arrays so the form can
+ * restore each control.
+ */
+function sanitizeDraftFields(body = {}) {
+  const fields = {};
+  DRAFT_FIELDS.forEach((name) => {
+    const raw = body[name];
+    if (Array.isArray(raw)) {
+      const values = raw.map(cleanValue);
+      if (values.some(Boolean)) fields[name] = values;
+      return;
+    }
+    const value = cleanValue(raw);
+    if (value) fields[name] = value;
+  });
+  return fields;
+}
+
+function parseDraftStep(value, fallback = 0) {
+  const step = Number.parseInt(value, 10);
+  return Number.isFinite(step) && step >= 0 && step < 20 ? step : fallback;
+}
+
+function isDraftExpired(draft, now = Date.now()) {
+  const expiresAt = new Date(draft?.expiresAt).getTime();
+  return !Number.isFinite(expiresAt) || expiresAt <= now;
+}
+
+function createEmptyDraft(now = new Date()) {
+  return {
+    id: crypto.randomUUID(),
+    createdAt: now.toISOString(),
+    fields: {},
+    step: 0,
+    files: [],
+  };
+}
+
+// Direct S3 uploads are re-sent with every autosave; keep one entry per object.
+function appendFiles(existing, incoming) {
+  const files = Array.isArray(existing) ? [...existing] : [];
+  const keys = new Set(files.map((file) => file.s3Key).filter(Boolean));
+  incoming.forEach((file) => {
+    if (file.s3Key && keys.has(file.s3Key)) return;
+    if (file.s3Key) keys.add(file.s3Key);
+    files.push(file);
+  });
+  return files;
+}
+
+/**
+ * Apply an autosave to a stored draft. Fields are replaced wholesale (the form
+ * always sends everything it has), uploaded files accumulate, and saving
+ * extends the expiry.
+ */
+function mergeDraft(draft, { fields, step, files = [] }, { ttlMs, now = new Date() }) {
+  return {
+    ...draft,
+    fields,
+    step: step === undefined ? draft.step : step,
+    files: appendFiles(draft.files, files),
+    updatedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + ttlMs).toISOString(),
+  };
+}
+
+/** What the browser gets back: no storage keys or local paths. */
+function toPublicDraft(draft) {
+  return {
+    fields: draft.fields || {},
+    step: draft.step || 0,
+    files: (Array.isArray(draft.files) ? draft.files : []).map((file) => ({
+      originalName: file.originalName,
+      size: file.size,
+      type: file.type,
+      uploadedAt: file.uploadedAt,
+    })),
+    excludedFields: Array.from(DRAFT_EXCLUDED_FIELDS).filter((name) => name !== 'form' && name !== 'page'),
+    resumeEmailSentAt: draft.resumeEmailSentAt || null,
+    updatedAt: draft.updatedAt,
+    expiresAt: draft.expiresAt,
+  };
+}
+
+module.exports = {
+  DRAFT_FIELDS,
+  DRAFT_EXCLUDED_FIELDS,
+  createDraftToken,
+  isDraftToken,
+  hashDraftToken,
+  sanitizeDraftFields,
+  parseDraftStep,
+  isDraftExpired,
+  createEmptyDraft,
+  mergeDraft,
+  toPublicDraft,
+};
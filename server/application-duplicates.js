@@ -0,0 +1,239 @@
+'use strict';
+
+/**
+ * application-duplicates.js
+ *
+ * Finds earlier applications from the same merchant so staff can review a
+ * resubmission against the original instead of working it as a new lead.
+ * The identifying values are:
+ *
+ *   email          email, owner_email (lowercased)
+ *   ein            business_tax_id (digits only)
+ *   phone          contact_number, business_phone, owner_contact (last 10 digits)
+ *   business_name  legal_business_name, business_dba (lowercased, punctuation
+ *                  and LLC / Inc / Corp style suffixes removed)
+ *
+ * A match needs every configured kind to agree, and the kinds always include
+ * `email` and `ein`: a shared phone number or a common business name alone
+ * says nothing about who is applying. So each original application leaves
+ * one fingerprint per combination of its values across the kinds (usually
+ * one or two), stored only as an HMAC digest so the index never holds a
+ * readable EIN or phone number:
+ *
+ *   <prefix><kinds>/<hmac(kinds:values)>.json   e.g. email+ein/….json
+ *                                               { kind, digest, applicationId, createdAt }
+ *
+ * Changing the kinds starts a new key space, so earlier applications stop matching.
+ *
+ * Without S3 the fingerprints are a local JSON array pruned after `windowMs`.
+ * A fingerprint older than the window no longer matches, so a merchant who
+ * comes back months later starts a new application.
+ */
+
+const crypto = require('crypto');
+const { PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { isMissingKey, readBody } = require('./s3-helpers');
+
+const MATCH_KINDS = ['email', 'ein', 'phone', 'business_name'];
+// Together these identify the applicant; the other kinds can only narrow a match.
+const REQUIRED_MATCH_KINDS = ['email', 'ein'];
+
+const MATCH_FIELDS = {
+  email: ['email', 'owner_email'],
+  ein: ['business_tax_id'],
+  phone: ['contact_number', 'business_phone', 'owner_contact'],
+  business_name: ['legal_business_name', 'business_dba'],
+};
+
+// Dropped from the end of business names, so "Acme Trucking, LLC" matches "ACME TRUCKING".
+const BUSINESS_SUFFIXES = new Set([
+  'llc', 'inc', 'incorporated', 'corp', 'corporation', 'co', 'company',
+  'ltd', 'limited', 'lp', 'llp', 'pllc', 'pc', 'plc',
+]);
+
+function normalizeEmail(value) {
+  const email = String(value ?? '').trim().toLowerCase();
+  return email.includes('@') ? email : '';
+}
+
+function normalizeEin(value) {
+  const digits = String(value ?? '').replace(/\D/g, '');
+  return digits.length === 9 ? digits : '';
+}
+
+function normalizePhone(value) {
+  const digits = String(value ?? '').replace(/\D/g, '');
+  // Drop a leading US country code; anything shorter than 10 digits is too weak to match on.
+  return digits.length >= 10 ? digits.slice(-10) : '';
+}
+
+function normalizeBusinessName(value) {
+  const words = String(value ?? '')
+    .toLowerCase()
+    .replace(/\./g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+  if (words[0] === 'the') words.shift();
+  while (words.length > 1 && BUSINESS_SUFFIXES.has(words[words.length - 1])) words.pop();
+  return words.join(' ');
+}
+
+const NORMALIZERS = {
+  email: normalizeEmail,
+  ein: normalizeEin,
+  phone: normalizePhone,
+  business_name: normalizeBusinessName,
+};
+
+/**
+ * Parse a comma-separated match list (APPLICATION_DUPLICATE_MATCH_ON): the
+ * kinds that must all match. `email` and `ein` are always included, so an
+ * empty value means just those two. Returns { kinds, errors }.
+ */
+function parseMatchKinds(raw) {
+  const requested = String(raw || '')
+    .split(',')
+    .map((value) => value.trim().toLowerCase())
+    .filter(Boolean);
+
+  const errors = requested
+    .filter((kind) => !MATCH_KINDS.includes(kind))
+    .map((kind) => `Unknown duplicate match field "${kind}". Expected one of: ${MATCH_KINDS.join(', ')}`);
+  const kinds = MATCH_KINDS.filter((kind) => REQUIRED_MATCH_KINDS.includes(kind) || requested.includes(kind));
+  return { kinds, errors };
+}
+
+/** Normalised values of one kind in an application, without repeats. */
+function collectValues(record, kind) {
+  const values = (MATCH_FIELDS[kind] || []).map((field) => NORMALIZERS[kind](record?.[field])).filter(Boolean);
+  return Array.from(new Set(values));
+}
+
+/**
+ * Combined identifying values of an application: [{ kind: 'email+ein', value }],
+ * one per combination of its values. Empty when any kind has no value.
+ */
+function buildFingerprints(record, kinds = REQUIRED_MATCH_KINDS) {
+  let combinations = [[]];
+  for (const kind of kinds) {
+    const values = collectValues(record, kind);
+    if (values.length === 0) return [];
+    combinations = combinations.flatMap((combination) => values.map((value) => [...combination, value]));
+  }
+  const kind = kinds.join('+');
+  return combinations.map((values) => ({ kind, value: values.join('|') }));
+}
+
+/**
+ * @param {object} options
+ * @param {import('@aws-sdk/client-s3').S3Client|null} options.s3Client
+ * @param {string} options.bucket
+ * @param {string} options.prefix                e.g. "applications/fingerprints/"
+ * @param {{ read: () => Promise<object[]>, write: (items: object[]) => Promise<void> }} options.localStore
+ * @param {string} options.secret                HMAC key for the digests
+ * @param {number} options.windowMs              how long an application can be matched
+ * @param {string[]} [options.kinds]             values that must all match (see parseMatchKinds)
+ */
+function createDuplicateIndex({ s3Client, bucket, prefix, localStore, secret, windowMs, kinds = REQUIRED_MATCH_KINDS }) {
+  const useS3 = Boolean(s3Client && bucket);
+  const digest = (kind, value) => crypto.createHmac('sha256', secret).update(`${kind}:${value}`).digest('hex');
+  const entryKey = (kind, hash) => `${prefix}${kind}/${hash}.json`;
+  let localQueue = Promise.resolve();
+
+  function withLocalItems(mutate) {
+    const run = localQueue.then(async () => {
+      const items = await localStore.read();
+      const result = await mutate(items);
+      await localStore.write(items);
+      return result;
+    });
+    localQueue = run.catch(() => {});
+    return run;
+  }
+
+  function digestsFor(record) {
+    return buildFingerprints(record, kinds).map(({ kind, value }) => ({ kind, digest: digest(kind, value) }));
+  }
+
+  async function readEntry(kind, hash) {
+    try {
+      const response = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: entryKey(kind, hash) }));
+      const raw = await readBody(response.Body);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      if (isMissingKey(error)) return null;
+      throw error;
+    }
+  }
+
+  async function readEntries(digests) {
+    if (useS3) return Promise.all(digests.map(({ kind, digest: hash }) => readEntry(kind, hash)));
+    const items = await localStore.read();
+    return digests.map(({ kind, digest: hash }) => items.find((item) => item?.kind === kind && item.digest === hash) || null);
+  }
+
+  /**
+   * The earlier application this one repeats, or null:
+   * { applicationId, createdAt, matchedOn: ['email', 'ein', ...] }.
+   * With several, the oldest wins.
+   */
+  async function findMatch(record, now = new Date()) {
+    const digests = digestsFor(record);
+    if (digests.length === 0) return null;
+    const cutoff = now.getTime() - windowMs;
+
+    const entries = await readEntries(digests);
+
+    const [best] = entries
+      .filter((entry) => entry?.applicationId && entry.applicationId !== record.id && Date.parse(entry.createdAt) >= cutoff)
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    return best ? { applicationId: best.applicationId, createdAt: best.createdAt, matchedOn: [...kinds] } : null;
+  }
+
+  /** Register an original application's values; later submissions within the window match it. */
+  async function remember(record, now = new Date()) {
+    const digests = digestsFor(record);
+    if (digests.length === 0) return;
+    const createdAt = record.createdAt || now.toISOString();
+    const entries = digests.map(({ kind, digest: hash }) => ({ kind, digest: hash, applicationId: record.id, createdAt }));
+
+    if (useS3) {
+      await Promise.all(entries.map((entry) => s3Client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: entryKey(entry.kind, entry.digest),
+        Body: JSON.stringify(entry, null, 2),
+        ContentType: 'application/json',
+      }))));
+      return;
+    }
+
+    await withLocalItems((items) => {
+      const cutoff = now.getTime() - windowMs;
+      const replaced = new Set(entries.map((entry) => `${entry.kind}:${entry.digest}`));
+      const kept = items.filter((item) => Date.parse(item?.createdAt) >= cutoff
+        && !replaced.has(`${item.kind}:${item.digest}`));
+      items.splice(0, items.length, ...kept, ...entries);
+    });
+  }
+
+  return {
+    storage: useS3 ? 's3' : 'local',
+    kinds,
+    findMatch,
+    remember,
+  };
+}
+
+module.exports = {
+  MATCH_KINDS,
+  REQUIRED_MATCH_KINDS,
+  MATCH_FIELDS,
+  normalizeBusinessName,
+  normalizePhone,
+  parseMatchKinds,
+  buildFingerprints,
+  createDuplicateIndex,
+};
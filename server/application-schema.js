@@ -0,0 +1,424 @@
+'use strict';
+
+/**
+ * application-schema.js
+ *
+ * Single source of truth for funding application fields: which are accepted,
+ * which are required, and what format each must have. Used by POST /api/apply
+ * for validation and by pdf-layout.js to mark required labels.
+ *
+ * Owners are repeatable, up to MAX_OWNERS. Each owner is a set of flat fields
+ * so the form, drafts, encryption and CRM payloads keep working on plain keys:
+ *
+ *   owner #1   owner_<key>             signature                application_date
+ *   owner #2   additional_owner_<key>  signature_additional     application_date_additional
+ *   owner #N   owner_<N>_<key>         owner_<N>_signature      owner_<N>_application_date
+ *
+ * getApplicationOwners() turns those back into an array.
+ */
+
+const US_STATE_CODES = new Set([
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA',
+  'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM',
+  'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA',
+  'WV', 'WI', 'WY', 'PR', 'VI', 'GU', 'AS', 'MP',
+]);
+
+const DEFAULT_MAX_LENGTH = 500;
+
+const MAX_OWNERS = 4;
+
+// Per-owner fields, in form order. For owners #2 and up `required` applies once any of
+// that owner's fields is filled in.
+const OWNER_FIELDS = {
+  first_name: { type: 'text', required: true, label: 'first name' },
+  last_name:  { type: 'text', required: true, label: 'last name' },
+  email:      { type: 'email', label: 'email' },
+  address:    { type: 'text', label: 'address' },
+  city:       { type: 'text', label: 'city' },
+  state:      { type: 'state', label: 'state' },
+  zip:        { type: 'zip', label: 'ZIP' },
+  contact:    { type: 'phone', label: 'phone' },
+  dob:        { type: 'date', past: true, label: 'date of birth' },
+  ssn:        { type: 'ssn', label: 'SSN' },
+  ownership:  { type: 'percent', required: true, label: 'ownership %' },
+};
+
+/** Flat field name for one of an owner's values; `index` is 0-based. */
+function ownerFieldName(index, key) {
+  if (index === 0) return `owner_${key}`;
+  if (index === 1) return `additional_owner_${key}`;
+  return `owner_${index + 1}_${key}`;
+}
+
+/** Signature and signing-date field names for an owner; `index` is 0-based. */
+function ownerSignatureFields(index) {
+  if (index === 0) return { signature: 'signature', date: 'application_date' };
+  if (index === 1) return { signature: 'signature_additional', date: 'application_date_additional' };
+  return { signature: `owner_${index + 1}_signature`, date: `owner_${index + 1}_application_date` };
+}
+
+// Owners #3 and up: the same fields as owner #2, filled in only when the form adds them.
+function buildExtraOwnerSchema() {
+  const fields = {};
+  for (let index = 2; index < MAX_OWNERS; index += 1) {
+    Object.entries(OWNER_FIELDS).forEach(([key, { required, label, ...spec }]) => {
+      fields[ownerFieldName(index, key)] = { ...spec, group: `owner_${index + 1}`, label: `Owner #${index + 1} ${label}` };
+    });
+  }
+  return fields;
+}
+
+// Owners #3 and up sign and date like owner #2: required once that owner is filled in.
+function buildExtraOwnerSignatureSchema() {
+  const fields = {};
+  for (let index = 2; index < MAX_OWNERS; index += 1) {
+    const { signature, date } = ownerSignatureFields(index);
+    fields[signature] = { type: 'signature', group: `owner_${index + 1}`, label: `Owner #${index + 1} signature` };
+    fields[date] = { type: 'date', group: `owner_${index + 1}`, label: `Owner #${index + 1} application date` };
+  }
+  return fields;
+}
+
+// type: text | email | phone | url | zip | state | ein | ssn | currency | credit_score | percent | date | yes_no | agreement | signature
+const APPLICATION_SCHEMA = {
+  loan_amount:                 { type: 'currency', required: true, label: 'Funding amount' },
+  funding_timeline:            { type: 'text', required: true, label: 'Funding timeline' },
+  loan_use:                    { type: 'text', label: 'Use of proceeds' },
+  product:                     { type: 'text', label: 'Product' },
+
+  first_name:                  { type: 'text', required: true, label: 'First name' },
+  last_name:                   { type: 'text', required: true, label: 'Last name' },
+  contact_number:              { type: 'phone', required: true, label: 'Contact number' },
+  email:                       { type: 'email', required: true, label: 'Email' },
+  contact_agreement:           { type: 'agreement', required: true, label: 'Contact agreement' },
+
+  legal_business_name:         { type: 'text', required: true, label: 'Legal business name' },
+  business_start_date:         { type: 'date', required: true, past: true, label: 'Business start date' },
+  business_dba:                { type: 'text', required: true, label: 'DBA name' },
+  industry:                    { type: 'text', required: true, label: 'Industry' },
+  business_website:            { type: 'url', label: 'Business website' },
+  business_address:            { type: 'text', required: true, label: 'Business address' },
+  business_city:               { type: 'text', required: true, label: 'Business city' },
+  business_state:              { type: 'state', required: true, label: 'Business state' },
+  business_zip:                { type: 'zip', required: true, label: 'Business ZIP' },
+  business_phone:              { type: 'phone', required: true, label: 'Business phone' },
+  legal_entity:                { type: 'text', required: true, label: 'Legal entity' },
+  business_tax_id:             { type: 'ein', required: true, label: 'EIN' },
+  credit_score:                { type: 'credit_score', required: true, label: 'Credit score' },
+  gross_annual_sales:          { type: 'currency', required: true, label: 'Gross annual sales' },
+  avg_monthly_deposits:        { type: 'currency', required: true, label: 'Average monthly deposits' },
+  avg_daily_balance:           { type: 'currency', required: true, label: 'Average daily balance' },
+  state_of_incorporation:      { type: 'state', required: true, label: 'State of incorporation' },
+  funding_company:             { type: 'text', label: 'Funding company' },
+  credit_card_processor:       { type: 'text', label: 'Credit card processor' },
+  seasonal_business:           { type: 'yes_no', required: true, label: 'Seasonal business' },
+  peak_months:                 { type: 'text', label: 'Peak months' },
+  has_other_financing:         { type: 'yes_no', required: true, label: 'Other financing' },
+  outstanding_balance:         { type: 'currency', label: 'Outstanding balance' },
+  has_judgements_liens:        { type: 'yes_no', required: true, label: 'Judgements / liens' },
+  has_open_bankruptcies:       { type: 'yes_no', required: true, label: 'Open bankruptcies' },
+
+  owner_first_name:            { type: 'text', required: true, label: 'Owner first name' },
+  owner_last_name:             { type: 'text', required: true, label: 'Owner last name' },
+  owner_email:                 { type: 'email', required: true, label: 'Owner email' },
+  owner_address:               { type: 'text', required: true, label: 'Owner address' },
+  owner_city:                  { type: 'text', required: true, label: 'Owner city' },
+  owner_state:                 { type: 'state', required: true, label: 'Owner state' },
+  owner_zip:                   { type: 'zip', required: true, label: 'Owner ZIP' },
+  owner_contact:               { type: 'phone', required: true, label: 'Owner phone' },
+  owner_dob:                   { type: 'date', required: true, past: true, label: 'Owner date of birth' },
+  owner_ssn:                   { type: 'ssn', required: true, label: 'Owner SSN' },
+  owner_ownership:             { type: 'percent', required: true, label: 'Owner ownership %' },
+
+  additional_owner_first_name: { type: 'text', group: 'additional_owner', label: 'Additional owner first name' },
+  additional_owner_last_name:  { type: 'text', group: 'additional_owner', label: 'Additional owner last name' },
+  additional_owner_email:      { type: 'email', group: 'additional_owner', label: 'Additional owner email' },
+  additional_owner_address:    { type: 'text', group: 'additional_owner', label: 'Additional owner address' },
+  additional_owner_city:       { type: 'text', group: 'additional_owner', label: 'Additional owner city' },
+  additional_owner_state:      { type: 'state', group: 'additional_owner', label: 'Additional owner state' },
+  additional_owner_zip:        { type: 'zip', group: 'additional_owner', label: 'Additional owner ZIP' },
+  additional_owner_contact:    { type: 'phone', group: 'additional_owner', label: 'Additional owner phone' },
+  additional_owner_dob:        { type: 'date', past: true, group: 'additional_owner', label: 'Additional owner date of birth' },
+  additional_owner_ssn:        { type: 'ssn', group: 'additional_owner', label: 'Additional owner SSN' },
+  additional_owner_ownership:  { type: 'percent', group: 'additional_owner', label: 'Additional owner ownership %' },
+  ...buildExtraOwnerSchema(),
+
+  signature:                   { type: 'signature', required: true, label: 'Signature' },
+  signature_additional:        { type: 'signature', group: 'additional_owner', label: 'Additional owner signature' },
+  application_date:            { type: 'date', required: true, label: 'Application date' },
+  application_date_additional: { type: 'date', group: 'additional_owner', label: 'Additional owner application date' },
+  ...buildExtraOwnerSignatureSchema(),
+
+  landlord_name_mortgage_company:            { type: 'text', label: 'Landlord / mortgage company' },
+  landlord_contact_person:                   { type: 'text', label: 'Landlord contact person' },
+  landlord_phone:                            { type: 'phone', label: 'Landlord phone' },
+  business_trade_reference_2:                { type: 'text', label: 'Trade reference #2' },
+  business_trade_reference_2_contact_person: { type: 'text', label: 'Trade reference #2 contact' },
+  business_trade_reference_2_phone:          { type: 'phone', label: 'Trade reference #2 phone' },
+  business_trade_reference_3:                { type: 'text', label: 'Trade reference #3' },
+  business_trade_reference_3_contact_person: { type: 'text', label: 'Trade reference #3 contact' },
+  business_trade_reference_3_phone:          { type: 'phone', label: 'Trade reference #3 phone' },
+
+  application_agreement:       { type: 'agreement', required: true, label: 'Application agreement' },
+  form:                        { type: 'text', label: 'Form' },
+  page:                        { type: 'text', label: 'Page' },
+};
+
+const OWNER_GROUPS = Array.from({ length: MAX_OWNERS }, (_, index) => (
+  index === 0 ? null : index === 1 ? 'additional_owner' : `owner_${index + 1}`
+));
+
+// When any field of a group is filled in, these become required too, along with
+// that owner's signature and signing date.
+const GROUP_REQUIREMENTS = {};
+OWNER_GROUPS.forEach((group, index) => {
+  if (!group) return;
+  const { signature, date } = ownerSignatureFields(index);
+  GROUP_REQUIREMENTS[group] = Object.keys(OWNER_FIELDS)
+    .filter((key) => OWNER_FIELDS[key].required)
+    .map((key) => ownerFieldName(index, key))
+    .concat(signature, date);
+});
+
+const OWNERSHIP_FIELDS = OWNER_GROUPS.map((_, index) => ownerFieldName(index, 'ownership'));
+
+const APPLICATION_FIELD_NAMES = Object.keys(APPLICATION_SCHEMA);
+
+const REQUIRED_APPLICATION_FIELDS = new Set(
+  APPLICATION_FIELD_NAMES.filter((name) => APPLICATION_SCHEMA[name].required),
+);
+
+// ---------------------------------------------------------------------------
+// Parsers
+// ---------------------------------------------------------------------------
+
+function normalizeValue(value) {
+  if (Array.isArray(value)) return value.map(i => String(i).trim()).filter(Boolean).join(', ');
+  if (value === undefined || value === null) return '';
+  return String(value).trim();
+}
+
+/** "$50,000.00" / "50k" / "50000" -> 50000; returns null when not parseable. */
+function parseCurrency(value) {
+  const raw = normalizeValue(value).toLowerCase().replace(/[$,\s]/g, '');
+  if (!raw) return null;
+  const match = raw.match(/^(-?\d+(?:\.\d+)?)(k|m)?$/);
+  if (!match) return null;
+  const multiplier = match[2] === 'm' ? 1000000 : match[2] === 'k' ? 1000 : 1;
+  return Number(match[1]) * multiplier;
+}
+
+function parsePercent(value) {
+  const raw = normalizeValue(value).replace(/%$/, '').trim();
+  if (!/^\d+(\.\d+)?$/.test(raw)) return null;
+  return Number(raw);
+}
+
+function parseIsoDate(value) {
+  const raw = normalizeValue(value);
+  const match = raw.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  // Reject rollovers such as 2026-02-31.
+  if (date.getUTCMonth() !== Number(match[2]) - 1 || date.getUTCDate() !== Number(match[3])) return null;
+  return date;
+}
+
+const AFFIRMATIVE = ['yes', 'true', '1', 'on', 'checked'];
+const NEGATIVE = ['no', 'false', '0', 'off'];
+
+// ---------------------------------------------------------------------------
+// Per-type checks: return [normalizedValue, errorMessage|null]
+// ---------------------------------------------------------------------------
+
+const CHECKS = {
+  text: (value) => [value, null],
+  email: (value) => [value, /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value) ? null : 'Enter a valid email address'],
+  phone: (value) => {
+    const digits = value.replace(/\D/g, '');
+    const ok = digits.length === 10 || (digits.length === 11 && digits.startsWith('1'));
+    return [value, ok ? null : 'Enter a valid 10-digit phone number'];
+  },
+  url: (value) => {
+    const candidate = /^https?:\/\//i.test(value) ? value : `https://${value}`;
+    try {
+      const url = new URL(candidate);
+      return [value, url.hostname.includes('.') ? null : 'Enter a valid website address'];
+    } catch {
+      return [value, 'Enter a valid website address'];
+    }
+  },
+  zip: (value) => [value, /^\d{5}(-\d{4})?$/.test(value) ? null : 'Enter a 5-digit ZIP code'],
+  state: (value) => {
+    const code = value.toUpperCase();
+    return [code, US_STATE_CODES.has(code) ? null : 'Enter a 2-letter state code'];
+  },
+  ein: (value) => {
+    const digits = value.replace(/\D/g, '');
+    if (!/^\d{2}-?\d{7}$/.test(value)) return [value, 'Enter a valid EIN (XX-XXXXXXX)'];
+    return [`${digits.slice(0, 2)}-${digits.slice(2)}`, null];
+  },
+  ssn: (value) => {
+    const digits = value.replace(/\D/g, '');
+    if (!/^\d{3}-?\d{2}-?\d{4}$/.test(value) || /^(000|666|9)/.test(digits) || digits.slice(3, 5) === '00' || digits.slice(5) === '0000') {
+      return [value, 'Enter a valid SSN (XXX-XX-XXXX)'];
+    }
+    return [`${digits.slice(0, 3)}-${digits.slice(3, 5)}-${digits.slice(5)}`, null];
+  },
+  currency: (value) => {
+    const amount = parseCurrency(value);
+    return [value, amount !== null && amount >= 0 ? null : 'Enter a dollar amount'];
+  },
+  credit_score: (value) => {
+    const score = /^\d{3}$/.test(value) ? Number(value) : NaN;
+    return [value, score >= 300 && score <= 850 ? null : 'Credit score must be between 300 and 850'];
+  },
+  percent: (value) => {
+    const percent = parsePercent(value);
+    return [value, percent !== null && percent >= 1 && percent <= 100 ? null : 'Ownership must be between 1 and 100%'];
+  },
+  date: (value, spec) => {
+    const date = parseIsoDate(value);
+    if (!date) return [value, 'Enter a valid date (YYYY-MM-DD)'];
+    if (spec.past && date.getTime() > Date.now()) return [value, 'Date cannot be in the future'];
+    return [value, null];
+  },
+  yes_no: (value) => {
+    const normalized = value.toLowerCase();
+    if (AFFIRMATIVE.includes(normalized)) return ['Yes', null];
+    if (NEGATIVE.includes(normalized)) return ['No', null];
+    return [value, 'Select Yes or No'];
+  },
+  agreement: (value, spec, rawValues) => {
+    const accepted = rawValues.length > 0 && rawValues.every((item) => AFFIRMATIVE.includes(item.toLowerCase()));
+    return [value, accepted || !spec.required ? null : 'You must accept to continue'];
+  },
+  signature: (value) => [value, null],
+};
+
+function getRawValues(raw) {
+  const list = Array.isArray(raw) ? raw : [raw];
+  return list.map((item) => normalizeValue(item)).filter(Boolean);
+}
+
+/**
+ * Validate a submitted application body.
+ * Returns { valid, errors: { field: message }, values: { field: normalizedValue } }.
+ * `values` only contains non-empty fields known to the schema.
+ */
+function validateApplication(body = {}) {
+  const errors = {};
+  const values = {};
+
+  const groupActive = {};
+  APPLICATION_FIELD_NAMES.forEach((name) => {
+    const { group } = APPLICATION_SCHEMA[name];
+    if (group && normalizeValue(body[name])) groupActive[group] = true;
+  });
+  const conditionallyRequired = new Set(
+    Object.keys(groupActive).flatMap((group) => GROUP_REQUIREMENTS[group] || []),
+  );
+
+  APPLICATION_FIELD_NAMES.forEach((name) => {
+    const spec = APPLICATION_SCHEMA[name];
+    const rawValues = getRawValues(body[name]);
+    const value = normalizeValue(body[name]);
+
+    if (!value) {
+      if (spec.required || conditionallyRequired.has(name)) {
+        errors[name] = `${spec.label} is required`;
+      }
+      return;
+    }
+
+    const maxLength = spec.type === 'signature' ? Infinity : spec.maxLength || DEFAULT_MAX_LENGTH;
+    if (value.length > maxLength) {
+      errors[name] = `${spec.label} must be at most ${maxLength} characters`;
+      return;
+    }
+
+    const [normalized, error] = CHECKS[spec.type](value, spec, rawValues);
+    if (error) {
+      errors[name] = error;
+      return;
+    }
+    values[name] = normalized;
+  });
+
+  const ownershipFields = OWNERSHIP_FIELDS.filter((name) => values[name] !== undefined);
+  const totalOwnership = ownershipFields.reduce((sum, name) => sum + parsePercent(values[name]), 0);
+  if (totalOwnership > 100) {
+    ownershipFields.forEach((name) => {
+      errors[name] = `Combined ownership is ${totalOwnership}%; it cannot exceed 100%`;
+    });
+  }
+
+  // Owners fill in order, so owner #3 never sits in the PDF and CRM payload without an owner #2.
+  OWNER_GROUPS.forEach((group, index) => {
+    if (index < 2 || !groupActive[group] || groupActive[OWNER_GROUPS[index - 1]]) return;
+    const name = ownerFieldName(index - 1, 'first_name');
+    errors[name] = errors[name] || `Fill in owner #${index} before owner #${index + 1}`;
+  });
+
+  // The same person listed twice would double-count their share.
+  const seenSsns = new Map();
+  OWNER_GROUPS.forEach((group, index) => {
+    const name = ownerFieldName(index, 'ssn');
+    if (!values[name]) return;
+    if (seenSsns.has(values[name])) {
+      errors[name] = `Same SSN as owner #${seenSsns.get(values[name]) + 1}`;
+    } else {
+      seenSsns.set(values[name], index);
+    }
+  });
+
+  return { valid: Object.keys(errors).length === 0, errors, values };
+}
+
+function hasOwnerValues(record, index) {
+  return Object.keys(OWNER_FIELDS).some((key) => normalizeValue(record?.[ownerFieldName(index, key)]));
+}
+
+/** Number of owners on an application: the last owner with any value filled in (at least 1). */
+function countOwners(record) {
+  for (let index = MAX_OWNERS - 1; index > 0; index -= 1) {
+    if (hasOwnerValues(record, index)) return index + 1;
+  }
+  return 1;
+}
+
+/**
+ * The application's owners as an array:
+ * [{ number, name, first_name, last_name, ..., ownership, signature, application_date }].
+ */
+function getApplicationOwners(record) {
+  return Array.from({ length: countOwners(record) }, (_, index) => {
+    const owner = { number: index + 1 };
+    Object.keys(OWNER_FIELDS).forEach((key) => {
+      owner[key] = normalizeValue(record?.[ownerFieldName(index, key)]);
+    });
+    const { signature, date } = ownerSignatureFields(index);
+    owner.signature = normalizeValue(record?.[signature]);
+    owner.application_date = normalizeValue(record?.[date]);
+    owner.name = `${owner.first_name} ${owner.last_name}`.trim();
+    return owner;
+  });
+}
+
+module.exports = {
+  APPLICATION_SCHEMA,
+  APPLICATION_FIELD_NAMES,
+  REQUIRED_APPLICATION_FIELDS,
+  US_STATE_CODES,
+  MAX_OWNERS,
+  OWNER_FIELDS,
+  ownerFieldName,
+  ownerSignatureFields,
+  countOwners,
+  getApplicationOwners,
+  parseCurrency,
+  parsePercent,
+  parseIsoDate,
+  validateApplication,
+};
@@ -0,0 +1,141 @@
+'use strict';
+
+/**
+ * application-status.js
+ *
+ * Business lifecycle of a funding application, independent of the delivery
+ * statuses (pdfStatus / emailStatus / crmStatus) tracked on the same record.
+ *
+ * Every change is appended to record.statusHistory so the applicant and staff
+ * can see when the deal moved and why.
+ */
+
+const APPLICATION_STATUSES = [
+  'received',
+  'under_review',
+  'docs_requested',
+  'offer_out',
+  'funded',
+  'declined',
+];
+
+const STATUS_LABELS = {
+  received:       'Received',
+  under_review:   'Under Review',
+  docs_requested: 'Documents Requested',
+  offer_out:      'Offer Sent',
+  funded:         'Funded',
+  declined:       'Declined',
+};
+
+// Allowed next states. `funded` is terminal; a declined file can be reopened for review.
+const STATUS_TRANSITIONS = {
+  received:       ['under_review', 'docs_requested', 'declined'],
+  under_review:   ['docs_requested', 'offer_out', 'declined'],
+  docs_requested: ['under_review', 'offer_out', 'declined'],
+  offer_out:      ['funded', 'under_review', 'declined'],
+  funded:         [],
+  declined:       ['under_review'],
+};
+
+const INITIAL_STATUS = 'received';
+
+function normalizeStatus(value) {
+  return String(value || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+function isKnownStatus(status) {
+  return APPLICATION_STATUSES.includes(status);
+}
+
+function canTransition(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+function getCurrentStatus(record) {
+  const status = normalizeStatus(record?.status);
+  return isKnownStatus(status) ? status : INITIAL_STATUS;
+}
+
+function buildHistoryEntry(status, { at, actor, note, message } = {}) {
+  const entry = { status, at: at || new Date().toISOString() };
+  if (actor) entry.actor = String(actor);
+  if (note) entry.note = String(note);
+  if (message) entry.message = String(message);
+  return entry;
+}
+
+/** Stamp a new record with the initial status. Existing history is left untouched. */
+function initializeApplicationStatus(record, options = {}) {
+  if (Array.isArray(record.statusHistory) && record.statusHistory.length > 0) {
+    record.status = getCurrentStatus(record);
+    return record;
+  }
+  const entry = buildHistoryEntry(INITIAL_STATUS, { at: record.createdAt, actor: 'system', ...options });
+  record.status = INITIAL_STATUS;
+  record.statusUpdatedAt = entry.at;
+  record.statusHistory = [entry];
+  return record;
+}
+
+/**
+ * Move a record to `nextStatus` if the state machine allows it.
+ * Returns { ok: true, entry } or { ok: false, error } without mutating on failure.
+ */
+function applyStatusTransition(record, nextStatus, options = {}) {
+  const to = normalizeStatus(nextStatus);
+  if (!isKnownStatus(to)) {
+    return { ok: false, error: `Unknown status "${nextStatus}". Expected one of: ${APPLICATION_STATUSES.join(', ')}` };
+  }
+
+  const from = getCurrentStatus(record);
+  if (from === to) {
+    return { ok: false, error: `Application is already ${STATUS_LABELS[to]}` };
+  }
+  if (!canTransition(from, to)) {
+    return { ok: false, error: `Cannot move application from ${from} to ${to}` };
+  }
+
+  if (!Array.isArray(record.statusHistory) || record.statusHistory.length === 0) {
+    initializeApplicationStatus(record);
+  }
+
+  const entry = buildHistoryEntry(to, options);
+  record.status = to;
+  record.statusUpdatedAt = entry.at;
+  record.statusHistory.push(entry);
+  return { ok: true, from, entry };
+}
+
+/** Applicant-facing view: labels and client messages only, no staff notes or actors. */
+function toPublicStatus(record) {
+  const status = getCurrentStatus(record);
+  const history = Array.isArray(record.statusHistory) ? record.statusHistory : [];
+  return {
+    id: record.id,
+    status,
+    statusLabel: STATUS_LABELS[status],
+    updatedAt: record.statusUpdatedAt || record.createdAt || null,
+    history: history.map((entry) => {
+      const item = {
+        status: entry.status,
+        label: STATUS_LABELS[entry.status] || entry.status,
+        at: entry.at,
+      };
+      if (entry.message) item.message = entry.message;
+      return item;
+    }),
+  };
+}
+
+module.exports = {
+  APPLICATION_STATUSES,
+  STATUS_LABELS,
+  STATUS_TRANSITIONS,
+  normalizeStatus,
+  canTransition,
+  getCurrentStatus,
+  initializeApplicationStatus,
+  applyStatusTransition,
+  toPublicStatus,
+};
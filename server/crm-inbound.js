@@ -0,0 +1,169 @@
+'use strict';
+
+/**
+ * crm-inbound.js
+ *
+ * Status updates pushed back by the CRM (POST /api/webhooks/crm). The CRM
+ * signs each request the same way outbound webhooks are signed
+ * (webhook-signing.js) and sends:
+ *
+ *   { "eventId": "evt_123", "applicationId": "<id>", "status": "offer issued",
+ *     "note": "staff-only", "message": "shown to the applicant", "notifyApplicant": true }
+ *
+ * CRM wording is mapped onto the application state machine
+ * (application-status.js), so "Offer Issued" and "offer_out" mean the same.
+ *
+ * Replay protection is two layers: the signature timestamp must be recent,
+ * and each eventId is accepted once. Seen ids are written as
+ * `<prefix><sha256(eventId)>.json` with If-None-Match, or kept in a local JSON
+ * array (pruned after `retentionMs`) without S3.
+ */
+
+const crypto = require('crypto');
+const { PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { normalizeStatus } = require('./application-status');
+const { isConditionalWriteConflict } = require('./s3-helpers');
+
+// CRM wording -> application status. Canonical status names map to themselves.
+const CRM_STATUS_ALIASES = {
+  under_review: 'under_review',
+  in_review: 'under_review',
+  reviewing: 'under_review',
+  docs_requested: 'docs_requested',
+  documents_requested: 'docs_requested',
+  stips_requested: 'docs_requested',
+  offer_out: 'offer_out',
+  offer_issued: 'offer_out',
+  offer_sent: 'offer_out',
+  funded: 'funded',
+  declined: 'declined',
+  rejected: 'declined',
+};
+
+const MAX_TEXT_LENGTH = 2000;
+
+function mapCrmStatus(value) {
+  return CRM_STATUS_ALIASES[normalizeStatus(value)] || null;
+}
+
+function cleanText(value) {
+  return String(value ?? '').trim().slice(0, MAX_TEXT_LENGTH);
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (value === undefined || value === null || value === '') return null;
+  return ['yes', 'true', '1', 'on'].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Validate a webhook body. `fallbackEventId` is the Idempotency-Key header.
+ * Returns { ok: true, update } or { ok: false, error }.
+ */
+function parseCrmStatusUpdate(body, { fallbackEventId } = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { ok: false, error: 'Body must be a JSON object' };
+  }
+
+  const eventId = cleanText(body.eventId || body.event_id || fallbackEventId);
+  const applicationId = cleanText(body.applicationId || body.application_id || body.id);
+  const status = mapCrmStatus(body.status);
+
+  if (!eventId) return { ok: false, error: 'eventId (or an Idempotency-Key header) is required' };
+  if (!applicationId) return { ok: false, error: 'applicationId is required' };
+  if (!status) {
+    return { ok: false, error: `Unknown status "${cleanText(body.status)}". Expected one of: ${Object.keys(CRM_STATUS_ALIASES).join(', ')}` };
+  }
+
+  return {
+    ok: true,
+    update: {
+      eventId,
+      applicationId,
+      status,
+      note: cleanText(body.note),
+      message: cleanText(body.message),
+      notifyApplicant: parseBoolean(body.notifyApplicant ?? body.notify_applicant),
+    },
+  };
+}
+
+/**
+ * @param {object} options
+ * @param {import('@aws-sdk/client-s3').S3Client|null} options.s3Client
+ * @param {string} options.bucket
+ * @param {string} options.prefix                e.g. "crm-inbound-events/"
+ * @param {{ read: () => Promise<object[]>, write: (items: object[]) => Promise<void> }} options.localStore
+ * @param {number} [options.retentionMs]         how long local entries are kept
+ */
+function createReplayGuard({ s3Client, bucket, prefix, localStore, retentionMs = 7 * 24 * 60 * 60 * 1000 }) {
+  const useS3 = Boolean(s3Client && bucket);
+  const eventKey = (eventId) => `${prefix}${crypto.createHash('sha256').update(eventId).digest('hex')}.json`;
+  let localQueue = Promise.resolve();
+
+  function withLocalItems(mutate) {
+    const run = localQueue.then(async () => {
+      const items = await localStore.read();
+      const result = await mutate(items);
+      await localStore.write(items);
+      return result;
+    });
+    localQueue = run.catch(() => {});
+    return run;
+  }
+
+  /** Record an event id. Returns { ok: true } the first time and { ok: false, duplicate: true } after. */
+  async function claim(eventId, details = {}, now = new Date()) {
+    const entry = { eventId, receivedAt: now.toISOString(), ...details };
+
+    if (useS3) {
+      try {
+        await s3Client.send(new PutObjectCommand({
+          Bucket: bucket,
+          Key: eventKey(eventId),
+          Body: JSON.stringify(entry, null, 2),
+          ContentType: 'application/json',
+          IfNoneMatch: '*',
+        }));
+        return { ok: true };
+      } catch (error) {
+        if (isConditionalWriteConflict(error)) return { ok: false, duplicate: true };
+        throw error;
+      }
+    }
+
+    return withLocalItems((items) => {
+      const cutoff = now.getTime() - retentionMs;
+      const kept = items.filter((item) => Date.parse(item?.receivedAt) >= cutoff);
+      items.splice(0, items.length, ...kept);
+      if (items.some((item) => item.eventId === eventId)) return { ok: false, duplicate: true };
+      items.push(entry);
+      return { ok: true };
+    });
+  }
+
+  /** Forget an event that was claimed but not applied, so the CRM can resend it. */
+  async function release(eventId) {
+    if (useS3) {
+      await s3Client.send(new DeleteObjectCommand({ Bucket: bucket, Key: eventKey(eventId) }));
+      return;
+    }
+    await withLocalItems((items) => {
+      const kept = items.filter((item) => item.eventId !== eventId);
+      items.splice(0, items.length, ...kept);
+    });
+  }
+
+  return {
+    storage: useS3 ? 's3' : 'local',
+    claim,
+    release,
+  };
+}
+
+module.exports = {
+  CRM_STATUS_ALIASES,
+  mapCrmStatus,
+  parseCrmStatusUpdate,
+  createReplayGuard,
+};
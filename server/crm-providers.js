@@ -0,0 +1,309 @@
+'use strict';
+
+/**
+ * crm-providers.js
+ *
+ * Registry of CRM destinations a submission is pushed to. Every provider is
+ * switched on by its own env vars, receives only the form types it is routed
+ * (`apply`, `contact`, `partner`, `product-request`) and shapes its payload
+ * with a declarative field map:
+ *
+ *   { "Amount__c": { "from": "loan_amount", "type": "number" },
+ *     "LastName":  { "from": ["last_name", "name"] },
+ *     "Email":     "email",
+ *     "LeadSource": { "value": "Website" } }
+ *
+ * Keys are the CRM's field names. A string is a record field; `from` may list
+ * fallbacks (first non-empty wins); `type` is string (default), number,
+ * boolean or date; `value` is a constant. A provider without a map receives
+ * the whole record. `<PREFIX>_FIELD_MAP` (JSON) replaces a default map and
+ * `<PREFIX>_FORMS` (comma-separated) replaces the default routing.
+ *
+ * Webhook providers (Switchbox, generic webhook) also get an `idempotencyKey`
+ * (header and body), an HMAC signature when `<PREFIX>_SIGNING_SECRET` is set
+ * (see webhook-signing.js), and `<PREFIX>_PAYLOAD_FORMAT=envelope` to send
+ * `{ event, version, idempotencyKey, createdAt, data }` instead of the flat record.
+ *
+ * Every send resolves to { status: 'sent' | 'failed' | 'error' | 'skipped',
+ * provider, code?, error?, retryAfterMs?, data? } and never throws.
+ */
+
+const { parseCurrency } = require('./application-schema');
+const { parseRetryAfter } = require('./outbox');
+const { buildIdempotencyKey, buildWebhookEnvelope, signWebhookPayload } = require('./webhook-signing');
+
+const FORM_TYPES = ['apply', 'contact', 'partner', 'product-request'];
+
+const HUBSPOT_FIELD_MAP = {
+  email: 'email',
+  firstname: { from: ['first_name', 'owner_first_name', 'name'] },
+  lastname: { from: ['last_name', 'owner_last_name'] },
+  phone: { from: ['contact_number', 'phone', 'business_phone'] },
+  company: { from: ['legal_business_name', 'company', 'business_dba'] },
+  website: 'business_website',
+  city: 'business_city',
+  state: 'business_state',
+  zip: 'business_zip',
+  industry: 'industry',
+  annualrevenue: { from: ['gross_annual_sales', 'revenue'], type: 'number' },
+};
+
+const SALESFORCE_FIELD_MAP = {
+  FirstName: { from: ['first_name', 'owner_first_name'] },
+  LastName: { from: ['last_name', 'owner_last_name', 'name'] },
+  Email: 'email',
+  Phone: { from: ['contact_number', 'phone', 'business_phone'] },
+  Company: { from: ['legal_business_name', 'company', 'business_dba', 'name'] },
+  Website: 'business_website',
+  Industry: 'industry',
+  City: 'business_city',
+  State: 'business_state',
+  PostalCode: 'business_zip',
+  AnnualRevenue: { from: ['gross_annual_sales', 'revenue'], type: 'number' },
+  Amount__c: { from: 'loan_amount', type: 'number' },
+  LeadSource: { value: 'Website' },
+  Description: { from: ['loan_use', 'details', 'needs', 'note'] },
+};
+
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function convertValue(value, type) {
+  if (type === 'number') {
+    return typeof value === 'number' ? value : parseCurrency(value);
+  }
+  if (type === 'boolean') {
+    return ['yes', 'true', '1', 'on'].includes(String(value).trim().toLowerCase());
+  }
+  if (type === 'date') {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+  }
+  return Array.isArray(value) ? value.join(', ') : String(value).trim();
+}
+
+/** Apply a field map to a record. Unset sources are left out of the payload. */
+function applyFieldMap(record, fieldMap) {
+  const out = {};
+  Object.entries(fieldMap).forEach(([target, spec]) => {
+    const rule = typeof spec === 'string' ? { from: spec } : spec || {};
+    if (rule.value !== undefined) {
+      out[target] = rule.value;
+      return;
+    }
+    const sources = Array.isArray(rule.from) ? rule.from : [rule.from];
+    const raw = sources.map((field) => record?.[field]).find((value) => !isEmpty(value));
+    if (isEmpty(raw)) return;
+    const value = convertValue(raw, rule.type);
+    if (!isEmpty(value)) out[target] = value;
+  });
+  return out;
+}
+
+function parseFieldMap(value, fallback, name) {
+  if (!value) return fallback;
+  try {
+    const parsed = JSON.parse(value);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+  } catch (error) {
+    // fall through
+  }
+  console.warn(`${name}_FIELD_MAP is not a JSON object; using the default map`);
+  return fallback;
+}
+
+function parseForms(value, fallback) {
+  if (!value) return fallback;
+  const forms = String(value).split(',').map((item) => item.trim().toLowerCase()).filter(Boolean);
+  return forms.includes('all') ? FORM_TYPES : forms;
+}
+
+/** Event name sent to webhooks, e.g. `application.submitted`. */
+function getWebhookEvent(formType) {
+  return `${formType === 'apply' ? 'application' : formType}.submitted`;
+}
+
+/** Map a storage type (applications, contacts, partner, product-request) to its routing form type. */
+function getCrmFormType(type) {
+  if (type === 'applications') return 'apply';
+  if (type === 'contacts') return 'contact';
+  return type;
+}
+
+/**
+ * @param {object} options
+ * @param {NodeJS.ProcessEnv} options.env
+ * @param {number} options.timeoutMs                 per-request timeout
+ * @param {(record: object) => object} options.prepareRecord  redaction applied before any mapping
+ */
+function createCrmProviders({ env = process.env, timeoutMs = 8000, prepareRecord = (record) => record } = {}) {
+  const definitions = [
+    {
+      key: 'switchbox',
+      label: 'switchbox-ai',
+      envPrefix: 'SWITCHBOX',
+      webhook: true,
+      url: env.SWITCHBOX_API_URL,
+      fieldMap: null,
+      forms: FORM_TYPES,
+      headers: () => (env.SWITCHBOX_API_KEY
+        ? { Authorization: `Bearer ${env.SWITCHBOX_API_KEY}`, 'X-API-Key': env.SWITCHBOX_API_KEY }
+        : {}),
+      body: (payload) => payload,
+    },
+    {
+      key: 'webhook',
+      label: 'webhook',
+      envPrefix: 'CRM_WEBHOOK',
+      webhook: true,
+      url: env.CRM_WEBHOOK_URL,
+      fieldMap: null,
+      forms: FORM_TYPES,
+      headers: () => (env.CRM_WEBHOOK_AUTH_TOKEN ? { Authorization: `Bearer ${env.CRM_WEBHOOK_AUTH_TOKEN}` } : {}),
+      body: (payload) => payload,
+    },
+    {
+      key: 'hubspot',
+      label: 'hubspot',
+      envPrefix: 'HUBSPOT',
+      url: env.HUBSPOT_ACCESS_TOKEN
+        ? `${(env.HUBSPOT_API_URL || 'https://api.hubapi.com').replace(/\/+$/, '')}/crm/v3/objects/contacts/batch/upsert`
+        : '',
+      fieldMap: HUBSPOT_FIELD_MAP,
+      forms: FORM_TYPES,
+      headers: () => ({ Authorization: `Bearer ${env.HUBSPOT_ACCESS_TOKEN}` }),
+      // Upsert keyed by email so repeat submitters update their contact instead of failing with 409.
+      validate: (payload) => (payload.email ? null : 'email is required'),
+      body: (payload) => ({ inputs: [{ idProperty: 'email', id: payload.email, properties: payload }] }),
+    },
+    {
+      key: 'salesforce',
+      label: 'salesforce',
+      envPrefix: 'SALESFORCE',
+      url: env.SALESFORCE_INSTANCE_URL && env.SALESFORCE_ACCESS_TOKEN
+        ? `${env.SALESFORCE_INSTANCE_URL.replace(/\/+$/, '')}/services/data/${env.SALESFORCE_API_VERSION || 'v60.0'}/sobjects/Lead`
+        : '',
+      fieldMap: SALESFORCE_FIELD_MAP,
+      forms: ['apply', 'contact'],
+      headers: () => ({ Authorization: `Bearer ${env.SALESFORCE_ACCESS_TOKEN}` }),
+      validate: (payload) => (payload.LastName && payload.Company ? null : 'LastName and Company are required'),
+      body: (payload) => payload,
+    },
+  ];
+
+  const providers = definitions.map((definition) => ({
+    ...definition,
+    enabled: Boolean(definition.url),
+    fieldMap: parseFieldMap(env[`${definition.envPrefix}_FIELD_MAP`], definition.fieldMap, definition.envPrefix),
+    forms: parseForms(env[`${definition.envPrefix}_FORMS`], definition.forms),
+    signingSecret: definition.webhook ? env[`${definition.envPrefix}_SIGNING_SECRET`] || '' : '',
+    payloadFormat: definition.webhook && env[`${definition.envPrefix}_PAYLOAD_FORMAT`] === 'envelope' ? 'envelope' : 'flat',
+  }));
+
+  function getProvider(name) {
+    return providers.find((provider) => provider.key === name || provider.label === name) || null;
+  }
+
+  /** Serialise the request body once so the signature covers exactly what is sent. */
+  function buildRequest(provider, payload, record, formType) {
+    if (!provider.webhook) {
+      return { body: JSON.stringify(provider.body(payload)), headers: provider.headers() };
+    }
+
+    const event = getWebhookEvent(formType);
+    const idempotencyKey = buildIdempotencyKey(record.id, event);
+    const bodyObject = provider.payloadFormat === 'envelope'
+      ? buildWebhookEnvelope(event, payload, { idempotencyKey })
+      : { ...provider.body(payload), idempotencyKey };
+    const body = JSON.stringify(bodyObject);
+    return {
+      body,
+      headers: {
+        ...provider.headers(),
+        ...signWebhookPayload({ secret: provider.signingSecret, body, idempotencyKey }),
+      },
+    };
+  }
+
+  async function send(provider, record, formType) {
+    const skipped = (reason) => ({ status: 'skipped', reason, provider: provider.label });
+    if (!provider.enabled) return skipped(`${provider.envPrefix} not configured`);
+
+    const prepared = prepareRecord(record);
+    const payload = provider.fieldMap ? applyFieldMap(prepared, provider.fieldMap) : prepared;
+    const invalid = provider.validate ? provider.validate(payload) : null;
+    if (invalid) {
+      // Retrying cannot fix a payload the CRM would reject; report it like a 4xx.
+      return { status: 'failed', code: 422, provider: provider.label, error: invalid };
+    }
+
+    try {
+      const request = buildRequest(provider, payload, record, formType);
+      const response = await fetch(provider.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...request.headers },
+        body: request.body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error(`CRM ${provider.label} error:`, errorText);
+        return {
+          status: 'failed',
+          code: response.status,
+          provider: provider.label,
+          error: errorText,
+          retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+        };
+      }
+
+      const contentType = response.headers.get('content-type') || '';
+      let data = null;
+      if (contentType.includes('application/json')) {
+        try {
+          data = await response.json();
+        } catch {
+          data = null;
+        }
+      }
+      return { status: 'sent', code: response.status, provider: provider.label, data };
+    } catch (error) {
+      console.error(`CRM ${provider.label} exception:`, error);
+      return { status: 'error', error: error.message, provider: provider.label };
+    }
+  }
+
+  /**
+   * Push a record to every enabled provider routed for `formType`.
+   * Returns { [providerKey]: result } for the providers that were tried.
+   */
+  async function sendToAll(record, formType) {
+    const routed = providers.filter((provider) => provider.enabled && provider.forms.includes(formType));
+    const results = await Promise.all(routed.map((provider) => send(provider, record, formType)));
+    return Object.fromEntries(routed.map((provider, index) => [provider.key, results[index]]));
+  }
+
+  /** Re-send to one provider by key or label (used by the retry outbox). */
+  async function sendTo(name, record, formType) {
+    const provider = getProvider(name);
+    if (!provider) return { status: 'failed', code: 400, provider: name, error: `Unknown CRM provider ${name}` };
+    return send(provider, record, formType);
+  }
+
+  return {
+    providers,
+    getProvider,
+    sendToAll,
+    sendTo,
+  };
+}
+
+module.exports = {
+  FORM_TYPES,
+  applyFieldMap,
+  getWebhookEvent,
+  getCrmFormType,
+  createCrmProviders,
+};
@@ -0,0 +1,256 @@
+'use strict';
+
+/**
+ * email-events.js
+ *
+ * Delivery tracking for outgoing email. When a provider accepts a message we
+ * remember which submission it belongs to (the message index); provider event
+ * webhooks then report delivered / bounced / complained against that id.
+ *
+ *   <prefix><provider>/<sha256(messageId)>.json   { provider, messageId, type, recordId, key, createdAt }
+ *
+ * Without S3 the index is a local JSON array pruned after `retentionMs`.
+ *
+ * Supported event sources:
+ *   - Amazon SES notifications delivered by SNS (signature checked against the
+ *     AWS signing certificate; only configured topic ARNs are accepted)
+ *   - SendGrid Event Webhook (ECDSA signature with the webhook's public key)
+ *
+ * Events are normalised to { provider, messageId, type, recipients, at, detail }
+ * where type is `delivered`, `bounced`, `complained` or `deferred`.
+ */
+
+const crypto = require('crypto');
+const { PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { isMissingKey, readBody } = require('./s3-helpers');
+
+const EVENT_RANK = { sent: 1, deferred: 1, delivered: 2, bounced: 3, complained: 4 };
+const SNS_CERT_URL_PATTERN = /^https:\/\/sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?\/[^?#]+\.pem$/;
+
+/** True when an event of `next` type should replace a log entry currently in `current` status. */
+function isStatusUpgrade(current, next) {
+  return (EVENT_RANK[next] || 0) > (EVENT_RANK[current] || 0);
+}
+
+/**
+ * @param {object} options
+ * @param {import('@aws-sdk/client-s3').S3Client|null} options.s3Client
+ * @param {string} options.bucket
+ * @param {string} options.prefix                e.g. "email-messages/"
+ * @param {{ read: () => Promise<object[]>, write: (items: object[]) => Promise<void> }} options.localStore
+ * @param {number} [options.retentionMs]         how long local entries are kept
+ */
+function createMessageIndex({ s3Client, bucket, prefix, localStore, retentionMs = 90 * 24 * 60 * 60 * 1000 }) {
+  const useS3 = Boolean(s3Client && bucket);
+  const entryKey = (provider, messageId) => `${prefix}${provider}/${crypto.createHash('sha256').update(messageId).digest('hex')}.json`;
+  let localQueue = Promise.resolve();
+
+  function withLocalItems(mutate) {
+    const run = localQueue.then(async () => {
+      const items = await localStore.read();
+      const result = await mutate(items);
+      await localStore.write(items);
+      return result;
+    });
+    localQueue = run.catch(() => {});
+    return run;
+  }
+
+  /** Map a provider message id to the submission and email log entry it was sent for. */
+  async function remember(provider, messageId, ref, now = new Date()) {
+    if (!provider || !messageId) return;
+    const entry = { provider, messageId, ...ref, createdAt: now.toISOString() };
+
+    if (useS3) {
+      await s3Client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: entryKey(provider, messageId),
+        Body: JSON.stringify(entry, null, 2),
+        ContentType: 'application/json',
+      }));
+      return;
+    }
+
+    await withLocalItems((items) => {
+      const cutoff = now.getTime() - retentionMs;
+      const kept = items.filter((item) => Date.parse(item?.createdAt) >= cutoff
+        && !(item.provider === provider && item.messageId === messageId));
+      items.splice(0, items.length, ...kept, entry);
+    });
+  }
+
+  async function lookup(provider, messageId) {
+    if (!provider || !messageId) return null;
+
+    if (useS3) {
+      try {
+        const response = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: entryKey(provider, messageId) }));
+        const raw = await readBody(response.Body);
+        return raw ? JSON.parse(raw) : null;
+      } catch (error) {
+        if (isMissingKey(error)) return null;
+        throw error;
+      }
+    }
+
+    const items = await localStore.read();
+    return items.find((item) => item.provider === provider && item.messageId === messageId) || null;
+  }
+
+  return {
+    storage: useS3 ? 's3' : 'local',
+    remember,
+    lookup,
+  };
+}
+
+// ===== Amazon SES via SNS =====
+
+function buildSnsStringToSign(message) {
+  const fields = message.Type === 'Notification'
+    ? ['Message', 'MessageId', 'Subject', 'Timestamp', 'TopicArn', 'Type']
+    : ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type'];
+  return fields
+    .filter((field) => message[field] !== undefined && message[field] !== null)
+    .map((field) => `${field}\n${message[field]}\n`)
+    .join('');
+}
+
+/**
+ * Check an SNS message signature. `fetchCertificate(url)` returns the PEM and
+ * is injectable for tests; certificates are cached by URL.
+ * Returns { ok: true } or { ok: false, error }.
+ */
+function createSnsVerifier({ fetchCertificate = defaultFetchCertificate } = {}) {
+  const certificates = new Map();
+
+  return async function verifySnsMessage(message) {
+    if (!message || typeof message !== 'object') return { ok: false, error: 'Body is not an SNS message' };
+    if (!SNS_CERT_URL_PATTERN.test(String(message.SigningCertURL || ''))) {
+      return { ok: false, error: 'Untrusted SigningCertURL' };
+    }
+    const algorithm = message.SignatureVersion === '2' ? 'RSA-SHA256' : message.SignatureVersion === '1' ? 'RSA-SHA1' : null;
+    if (!algorithm || !message.Signature) return { ok: false, error: 'Unsupported SignatureVersion' };
+
+    let certificate = certificates.get(message.SigningCertURL);
+    if (!certificate) {
+      try {
+        certificate = await fetchCertificate(message.SigningCertURL);
+      } catch (error) {
+        return { ok: false, error: `Could not fetch signing certificate: ${error.message}` };
+      }
+      certificates.set(message.SigningCertURL, certificate);
+    }
+
+    const verifier = crypto.createVerify(algorithm);
+    verifier.update(buildSnsStringToSign(message), 'utf8');
+    const valid = verifier.verify(certificate, message.Signature, 'base64');
+    return valid ? { ok: true } : { ok: false, error: 'Signature mismatch' };
+  };
+}
+
+async function defaultFetchCertificate(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(5000) });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response.text();
+}
+
+/**
+ * Normalise an SES notification (the parsed SNS `Message`). Handles both
+ * identity notifications (`notificationType`) and configuration-set event
+ * publishing (`eventType`).
+ */
+function parseSesNotification(notification) {
+  const kind = notification?.notificationType || notification?.eventType;
+  const messageId = notification?.mail?.messageId;
+  if (!kind || !messageId) return [];
+
+  if (kind === 'Bounce') {
+    const bounce = notification.bounce || {};
+    return [{
+      provider: 'ses',
+      messageId,
+      // Transient bounces are retried by SES; only permanent ones mean the address is bad.
+      type: bounce.bounceType === 'Permanent' ? 'bounced' : 'deferred',
+      recipients: (bounce.bouncedRecipients || []).map((recipient) => recipient.emailAddress),
+      at: bounce.timestamp || notification.mail.timestamp,
+      detail: [bounce.bounceType, bounce.bounceSubType, bounce.bouncedRecipients?.[0]?.diagnosticCode].filter(Boolean).join(' / '),
+    }];
+  }
+  if (kind === 'Complaint') {
+    const complaint = notification.complaint || {};
+    return [{
+      provider: 'ses',
+      messageId,
+      type: 'complained',
+      recipients: (complaint.complainedRecipients || []).map((recipient) => recipient.emailAddress),
+      at: complaint.timestamp || notification.mail.timestamp,
+      detail: complaint.complaintFeedbackType || '',
+    }];
+  }
+  if (kind === 'Delivery') {
+    const delivery = notification.delivery || {};
+    return [{
+      provider: 'ses',
+      messageId,
+      type: 'delivered',
+      recipients: delivery.recipients || [],
+      at: delivery.timestamp || notification.mail.timestamp,
+      detail: delivery.smtpResponse || '',
+    }];
+  }
+  return [];
+}
+
+// ===== SendGrid Event Webhook =====
+
+/**
+ * Check the Signed Event Webhook headers. `publicKey` is the base64 key shown
+ * in SendGrid's Mail Settings; `body` must be the raw request bytes.
+ */
+function verifySendGridSignature({ publicKey, body, signature, timestamp }) {
+  if (!publicKey) return { ok: false, error: 'No SendGrid webhook public key configured' };
+  if (!signature || !timestamp) return { ok: false, error: 'Missing signature headers' };
+
+  try {
+    const key = crypto.createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' });
+    const payload = Buffer.concat([Buffer.from(String(timestamp)), Buffer.isBuffer(body) ? body : Buffer.from(String(body ?? ''))]);
+    const valid = crypto.verify('sha256', payload, key, Buffer.from(signature, 'base64'));
+    return valid ? { ok: true } : { ok: false, error: 'Signature mismatch' };
+  } catch (error) {
+    return { ok: false, error: `Signature check failed: ${error.message}` };
+  }
+}
+
+const SENDGRID_EVENT_TYPES = {
+  delivered: 'delivered',
+  bounce: 'bounced',
+  dropped: 'bounced',
+  spamreport: 'complained',
+  deferred: 'deferred',
+};
+
+/** Normalise a SendGrid event batch. Opens, clicks and other engagement events are ignored. */
+function parseSendGridEvents(events) {
+  return (Array.isArray(events) ? events : [])
+    .filter((event) => SENDGRID_EVENT_TYPES[event?.event] && event.sg_message_id)
+    .map((event) => ({
+      provider: 'sendgrid',
+      // sg_message_id is "<X-Message-Id>.<filter suffix>"; the index holds the X-Message-Id.
+      messageId: String(event.sg_message_id).split('.')[0],
+      type: SENDGRID_EVENT_TYPES[event.event],
+      recipients: event.email ? [event.email] : [],
+      at: event.timestamp ? new Date(Number(event.timestamp) * 1000).toISOString() : new Date().toISOString(),
+      detail: [event.event, event.type, event.reason || event.response].filter(Boolean).join(' / '),
+    }));
+}
+
+module.exports = {
+  isStatusUpgrade,
+  createMessageIndex,
+  createSnsVerifier,
+  buildSnsStringToSign,
+  parseSesNotification,
+  verifySendGridSignature,
+  parseSendGridEvents,
+};
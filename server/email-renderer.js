@@ -0,0 +1,272 @@
+'use strict';
+
+/**
+ * email-renderer.js
+ *
+ * File-based email templates with a small Mustache-style syntax. Each template
+ * is a directory under the template root:
+ *
+ *   email-templates/
+ *     layout.html                  shared HTML wrapper, renders {{{body}}}
+ *     partials/header.html         {{> header}}; `.txt` partials serve text templates
+ *     <name>/subject.txt
+ *     <name>/text.txt
+ *     <name>/body.html             wrapped in layout.html
+ *     <name>/template.json         optional { heading, footerNote, sample, layout }
+ *     samples/<sample>.json        data used by the admin preview
+ *
+ * Syntax:
+ *   {{field.path}}        value; HTML-escaped in body.html, layout and .html partials
+ *   {{{field}}}           value without escaping (only for trusted, pre-rendered HTML)
+ *   {{#list}}..{{/list}}  repeat for arrays, render once for truthy values
+ *   {{^list}}..{{/list}}  render when missing, false or empty
+ *   {{> partial}}         include partials/<partial>.html (or .txt in text templates)
+ *   {{! comment }}
+ *
+ * Inside a section `{{.}}` is the current item and names resolve against the
+ * item first, then outer scopes. Missing values render as ''.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const TAG_PATTERN = /\{\{\{\s*([^}]+?)\s*\}\}\}|\{\{\s*([#^/>!]?)\s*([^}]*?)\s*\}\}/g;
+const STANDALONE_KINDS = ['#', '^', '/', '!', '>'];
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/** Parse template source into a node tree. Throws on unbalanced sections. */
+function parseTemplate(source, name = 'template') {
+  const root = [];
+  const stack = [{ name: null, children: root }];
+  let index = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source))) {
+    const raw = match[1] !== undefined;
+    const kind = raw ? '{' : match[2];
+    const tagName = (raw ? match[1] : match[3]).trim();
+    let start = match.index;
+    let end = TAG_PATTERN.lastIndex;
+
+    // A block tag alone on its line removes the whole line, so text templates stay tidy.
+    if (STANDALONE_KINDS.includes(kind)) {
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+      const newline = source.indexOf('\n', end);
+      const lineEnd = newline === -1 ? source.length : newline + 1;
+      if (
+        lineStart >= index
+        && /^[ \t]*$/.test(source.slice(lineStart, start))
+        && /^[ \t]*\r?\n?$/.test(source.slice(end, lineEnd))
+      ) {
+        start = lineStart;
+        end = lineEnd;
+      }
+    }
+
+    const current = stack[stack.length - 1];
+    if (start > index) current.children.push({ type: 'text', value: source.slice(index, start) });
+    index = end;
+    TAG_PATTERN.lastIndex = end;
+
+    if (kind === '!') continue;
+    if (kind === '#' || kind === '^') {
+      const section = { type: 'section', name: tagName, inverted: kind === '^', children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (kind === '/') {
+      if (stack.length === 1 || current.name !== tagName) {
+        throw new Error(`${name}: unexpected {{/${tagName}}}`);
+      }
+      stack.pop();
+    } else if (kind === '>') {
+      current.children.push({ type: 'partial', name: tagName });
+    } else {
+      current.children.push({ type: 'value', name: tagName, raw });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`${name}: unclosed {{#${stack[stack.length - 1].name}}}`);
+  }
+  if (index < source.length) root.push({ type: 'text', value: source.slice(index) });
+  return root;
+}
+
+function lookup(scopes, name) {
+  if (name === '.') return scopes[scopes.length - 1];
+  const [head, ...rest] = name.split('.');
+  for (let i = scopes.length - 1; i >= 0; i -= 1) {
+    const scope = scopes[i];
+    if (scope && typeof scope === 'object' && Object.prototype.hasOwnProperty.call(scope, head)) {
+      return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), scope[head]);
+    }
+  }
+  return undefined;
+}
+
+function isBlank(value) {
+  return !value || (Array.isArray(value) && value.length === 0);
+}
+
+function renderNodes(nodes, scopes, options) {
+  return nodes.map((node) => {
+    if (node.type === 'text') return node.value;
+
+    if (node.type === 'value') {
+      const value = lookup(scopes, node.name);
+      const text = value === undefined || value === null ? '' : Array.isArray(value) ? value.join(', ') : String(value);
+      return options.escape && !node.raw ? escapeHtml(text) : text;
+    }
+
+    if (node.type === 'partial') {
+      const partial = options.partials[node.name];
+      if (!partial) throw new Error(`Unknown partial "${node.name}"`);
+      return renderNodes(partial, scopes, options);
+    }
+
+    const value = lookup(scopes, node.name);
+    if (node.inverted) return isBlank(value) ? renderNodes(node.children, scopes, options) : '';
+    if (isBlank(value)) return '';
+    if (Array.isArray(value)) {
+      return value.map((item) => renderNodes(node.children, [...scopes, item], options)).join('');
+    }
+    return renderNodes(node.children, typeof value === 'object' ? [...scopes, value] : scopes, options);
+  }).join('');
+}
+
+/** Render one parsed template. `escape` turns on HTML escaping for {{value}} tags. */
+function renderTemplate(nodes, view, { escape = false, partials = {} } = {}) {
+  return renderNodes(nodes, [view], { escape, partials });
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.dir       template root
+ * @param {boolean} [options.cache]  keep parsed files in memory (turn off while editing templates)
+ */
+function createEmailRenderer({ dir, cache = true }) {
+  const parsed = new Map();
+
+  async function readFile(relativePath, { optional = false } = {}) {
+    try {
+      return await fs.readFile(path.join(dir, relativePath), 'utf8');
+    } catch (error) {
+      if (optional && error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function loadNodes(relativePath, options = {}) {
+    if (cache && parsed.has(relativePath)) return parsed.get(relativePath);
+    const source = await readFile(relativePath, options);
+    const nodes = source === null ? null : parseTemplate(source, relativePath);
+    if (cache) parsed.set(relativePath, nodes);
+    return nodes;
+  }
+
+  async function loadPartials(extension) {
+    let files = [];
+    try {
+      files = await fs.readdir(path.join(dir, 'partials'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const partials = {};
+    for (const file of files.filter((item) => item.endsWith(extension))) {
+      partials[file.slice(0, -extension.length)] = await loadNodes(path.join('partials', file));
+    }
+    return partials;
+  }
+
+  async function loadMeta(name) {
+    const raw = await readFile(path.join(name, 'template.json'), { optional: true });
+    return raw ? JSON.parse(raw) : {};
+  }
+
+  /** Template names (directories that contain a subject.txt). */
+  async function list() {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const names = [];
+    for (const entry of entries) {
+      if (!entry.isDirectory() || !TEMPLATE_NAME_PATTERN.test(entry.name)) continue;
+      const subject = await readFile(path.join(entry.name, 'subject.txt'), { optional: true });
+      if (subject !== null) names.push(entry.name);
+    }
+    return names.sort();
+  }
+
+  async function has(name) {
+    return TEMPLATE_NAME_PATTERN.test(String(name)) && (await list()).includes(name);
+  }
+
+  async function describe(name) {
+    const meta = await loadMeta(name);
+    return { name, heading: meta.heading || '', sample: meta.sample || null };
+  }
+
+  /** Sample data for previews: samples/<template.json sample>.json, or {}. */
+  async function loadSample(name) {
+    const { sample } = await loadMeta(name);
+    if (!sample) return {};
+    const raw = await readFile(path.join('samples', `${sample}.json`), { optional: true });
+    return raw ? JSON.parse(raw) : {};
+  }
+
+  /**
+   * Render subject, text and HTML for a template. Throws when the template
+   * does not exist or has a syntax error; callers treat that as a bug.
+   */
+  async function render(name, view = {}) {
+    if (!TEMPLATE_NAME_PATTERN.test(String(name))) throw new Error(`Invalid template name "${name}"`);
+
+    const meta = await loadMeta(name);
+    const [subjectNodes, textNodes, htmlNodes] = await Promise.all([
+      loadNodes(path.join(name, 'subject.txt')),
+      loadNodes(path.join(name, 'text.txt'), { optional: true }),
+      loadNodes(path.join(name, 'body.html'), { optional: true }),
+    ]);
+    const [textPartials, htmlPartials] = await Promise.all([loadPartials('.txt'), loadPartials('.html')]);
+
+    const heading = meta.heading ? renderTemplate(parseTemplate(meta.heading, `${name}/heading`), view).trim() : '';
+    const footerNote = meta.footerNote ? renderTemplate(parseTemplate(meta.footerNote, `${name}/footerNote`), view).trim() : '';
+    const subject = renderTemplate(subjectNodes, view).replace(/\s+/g, ' ').trim();
+    const text = textNodes ? renderTemplate(textNodes, view, { partials: textPartials }).trim() : '';
+
+    let html = '';
+    if (htmlNodes) {
+      const body = renderTemplate(htmlNodes, view, { escape: true, partials: htmlPartials });
+      const layoutNodes = meta.layout === false ? null : await loadNodes(`${meta.layout || 'layout'}.html`);
+      html = layoutNodes
+        ? renderTemplate(layoutNodes, { ...view, heading, footerNote, body }, { escape: true, partials: htmlPartials })
+        : body;
+    }
+
+    return { subject, text, html: html.trim() };
+  }
+
+  return {
+    dir,
+    list,
+    has,
+    describe,
+    loadSample,
+    render,
+  };
+}
+
+module.exports = {
+  escapeHtml,
+  parseTemplate,
+  renderTemplate,
+  createEmailRenderer,
+};
@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * esign-audit.js
+ *
+ * Evidence for the electronic signatures on a funding application, captured
+ * when /api/apply accepts the submission and stored on the record as `esign`:
+ *
+ *   capturedAt              server time the signed application was received
+ *   ip, userAgent           where it was submitted from
+ *   consent                 { version, sha256, presentedVersion } of AUTHORIZATION_TEXT
+ *                           (/api/apply refuses a form that showed another version; see checkConsentVersion)
+ *   applicationDataSha256   hash of the submitted values (sorted keys), signatures included
+ *   signers[]               { owner, name, email, field, method, imageType, signatureSha256, dateSigned }
+ *   documentSha256          hash of the final PDF, certificate page included (set once generated)
+ *
+ * Drawn signatures are hashed over the decoded image bytes, typed ones over
+ * the trimmed text. The certificate-of-completion page in the PDF is drawn
+ * from this object (see pdf-template-fill.js).
+ */
+
+const crypto = require('crypto');
+const { getApplicationOwners, ownerSignatureFields } = require('./application-schema');
+
+// Bump the version whenever the wording changes; apply/index.html posts the version it showed.
+const AUTHORIZATION_TEXT_VERSION = '2026-10-19';
+const AUTHORIZATION_TEXT =
+  'By signing below, the Business and Owner(s) identified above (individually, an "Applicant") each represents, acknowledges, and agrees that: ' +
+  '(1) all information and documents provided in connection with this application are true, accurate, and complete; ' +
+  '(2) Applicant will immediately notify Biz Bulker Inc dba No Limit Capital ("No Limit Capital") of any change in the Business financial condition; ' +
+  '(3) Applicant understands that No Limit Capital may share this information with its representatives, successors, assigns, affiliates and partners as well as third-party lenders/funders and their servicers and financial institutions ("Recipients"); ' +
+  '(4) Applicant authorizes No Limit Capital and Recipients to request and receive any investigative reports, consumer credit reports, trade references, statements from creditors or financial institutions, verifications of information, or any other information that No Limit Capital and/or Recipients deem necessary; ' +
+  '(5) Applicant waives and releases any claims against No Limit Capital, Recipients and any information-providers arising from any act or omission relating to the requesting, receiving, or release of information; ' +
+  '(6) each Owner of the Business represents that he or she is authorized to sign and submit this application on behalf of Business.';
+
+const MAX_USER_AGENT_LENGTH = 512;
+const DATA_URL_PATTERN = /^data:(image\/[a-z0-9.+-]+);base64,(.*)$/is;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/** Hash one signature value: { method: 'drawn' | 'typed', imageType, sha256 }, or null when empty. */
+function hashSignature(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+  const match = text.match(DATA_URL_PATTERN);
+  if (match) {
+    return { method: 'drawn', imageType: match[1].toLowerCase(), sha256: sha256(Buffer.from(match[2], 'base64')) };
+  }
+  return { method: 'typed', imageType: null, sha256: sha256(text) };
+}
+
+/** Stable hash of submitted values: keys sorted, empty values left out. */
+function hashApplicationData(values) {
+  const entries = Object.keys(values || {})
+    .sort()
+    .map((key) => [key, values[key]])
+    .filter(([, value]) => value !== undefined && value !== null && value !== '');
+  return sha256(JSON.stringify(entries));
+}
+
+/**
+ * A signature only binds the wording the signer saw, so the form must report
+ * the current AUTHORIZATION_TEXT_VERSION. Returns { ok } or { ok: false, error }.
+ */
+function checkConsentVersion(presentedVersion) {
+  const presented = String(presentedVersion || '').trim();
+  if (presented === AUTHORIZATION_TEXT_VERSION) return { ok: true };
+  return {
+    ok: false,
+    error: presented
+      ? 'The authorization terms have been updated since this page was loaded. Reload the page, review them and sign again.'
+      : 'The authorization terms version is missing. Reload the page and sign again.',
+  };
+}
+
+/**
+ * @param {object} input
+ * @param {object} input.values              validated application values (signatures included)
+ * @param {string} [input.ip]
+ * @param {string} [input.userAgent]
+ * @param {string} [input.presentedVersion]  consent version the form says it showed
+ * @param {Date} [input.now]
+ */
+function buildSignatureAudit({ values, ip = '', userAgent = '', presentedVersion = '', now = new Date() }) {
+  const signers = [];
+  getApplicationOwners(values).forEach((owner, index) => {
+    const hashed = hashSignature(owner.signature);
+    if (!hashed) return;
+    signers.push({
+      owner: owner.number,
+      name: owner.name,
+      email: owner.email,
+      field: ownerSignatureFields(index).signature,
+      method: hashed.method,
+      imageType: hashed.imageType,
+      signatureSha256: hashed.sha256,
+      dateSigned: owner.application_date,
+    });
+  });
+
+  return {
+    capturedAt: now.toISOString(),
+    ip: String(ip || ''),
+    userAgent: String(userAgent || '').slice(0, MAX_USER_AGENT_LENGTH),
+    consent: {
+      version: AUTHORIZATION_TEXT_VERSION,
+      sha256: sha256(AUTHORIZATION_TEXT),
+      presentedVersion: String(presentedVersion || '').trim() || null,
+    },
+    applicationDataSha256: hashApplicationData(values),
+    signers,
+    documentSha256: null,
+  };
+}
+
+module.exports = {
+  AUTHORIZATION_TEXT,
+  AUTHORIZATION_TEXT_VERSION,
+  sha256,
+  hashSignature,
+  hashApplicationData,
+  checkConsentVersion,
+  buildSignatureAudit,
+};
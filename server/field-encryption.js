@@ -0,0 +1,237 @@
+'use strict';
+
+/**
+ * field-encryption.js
+ *
+ * Envelope encryption for sensitive application fields (SSNs, EIN, DOBs).
+ *
+ * Each record gets its own random 256-bit data key. Field values are sealed
+ * with AES-256-GCM under that data key, and the data key itself is wrapped
+ * with a master key from FIELD_ENCRYPTION_KEYS. The record carries the master
+ * key id, so old keys can stay in the ring for reads while new writes use
+ * the active key (records are re-wrapped lazily the next time they are saved).
+ *
+ *   record.owner_ssn  = "enc:v1:<base64url iv|tag|ciphertext>"
+ *   record.encryption = { v: 1, alg: 'AES-256-GCM', keyId, wrappedKey, fields: [...] }
+ */
+
+const crypto = require('crypto');
+const { MAX_OWNERS, ownerFieldName } = require('./application-schema');
+
+// Every owner's SSN and DOB (owner_ssn, additional_owner_ssn, owner_3_ssn, ...) plus the EIN.
+const SENSITIVE_FIELDS = [
+  ...Array.from({ length: MAX_OWNERS }, (_, index) => ownerFieldName(index, 'ssn')),
+  'business_tax_id',
+  ...Array.from({ length: MAX_OWNERS }, (_, index) => ownerFieldName(index, 'dob')),
+];
+
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+function isEncryptedValue(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+}
+
+function open(key, packed, aad) {
+  const raw = Buffer.from(packed, 'base64url');
+  const iv = raw.subarray(0, IV_BYTES);
+  const tag = raw.subarray(IV_BYTES, IV_BYTES + TAG_BYTES);
+  const ciphertext = raw.subarray(IV_BYTES + TAG_BYTES);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  if (aad) decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Parse "keyId:base64Key,keyId2:base64Key" into a Map of 32-byte Buffers.
+ * Throws on malformed entries so a bad deploy fails loudly instead of storing plaintext.
+ */
+function parseKeyRing(value) {
+  const ring = new Map();
+  String(value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const separator = entry.indexOf(':');
+      const keyId = separator > 0 ? entry.slice(0, separator).trim() : '';
+      const key = separator > 0 ? Buffer.from(entry.slice(separator + 1).trim(), 'base64') : Buffer.alloc(0);
+      if (!keyId || key.length !== 32) {
+        throw new Error(`Invalid FIELD_ENCRYPTION_KEYS entry "${keyId || entry.slice(0, 8)}": expected keyId:<32-byte base64 key>`);
+      }
+      ring.set(keyId, key);
+    });
+  return ring;
+}
+
+// ---------------------------------------------------------------------------
+// Masking (CRM payloads, logs)
+// ---------------------------------------------------------------------------
+
+function lastDigits(value, count) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.slice(-count);
+}
+
+const MASKERS = {
+  ssn: (value) => `***-**-${lastDigits(value, 4)}`,
+  ein: (value) => `**-***${lastDigits(value, 4)}`,
+  dob: (value) => {
+    const year = String(value || '').match(/\b(\d{4})\b/);
+    return year ? `**/**/${year[1]}` : '**/**/****';
+  },
+};
+
+function getMaskKind(field) {
+  if (field.endsWith('_ssn')) return 'ssn';
+  if (field === 'business_tax_id') return 'ein';
+  if (field.endsWith('_dob')) return 'dob';
+  return null;
+}
+
+function maskValue(field, value) {
+  if (!value) return value;
+  const kind = getMaskKind(field);
+  return kind ? MASKERS[kind](value) : '****';
+}
+
+// ---------------------------------------------------------------------------
+// Encryptor
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object} options
+ * @param {Map<string, Buffer>} options.keys   from parseKeyRing
+ * @param {string} [options.activeKeyId]       defaults to the first key in the ring
+ * @param {string[]} [options.fields]          defaults to SENSITIVE_FIELDS
+ */
+function createFieldEncryptor({ keys, activeKeyId, fields = SENSITIVE_FIELDS } = {}) {
+  const ring = keys instanceof Map ? keys : new Map();
+  const activeId = activeKeyId || ring.keys().next().value || null;
+  if (activeId && !ring.has(activeId)) {
+    throw new Error(`FIELD_ENCRYPTION_KEY_ID "${activeId}" is not in FIELD_ENCRYPTION_KEYS`);
+  }
+  const enabled = Boolean(activeId);
+
+  function unwrapDataKey(envelope, recordId) {
+    const masterKey = ring.get(envelope.keyId);
+    if (!masterKey) {
+      throw new Error(`Encryption key "${envelope.keyId}" is not configured`);
+    }
+    return open(masterKey, envelope.wrappedKey, `datakey:${recordId}`);
+  }
+
+  function wrapDataKey(dataKey, recordId) {
+    return {
+      v: 1,
+      alg: 'AES-256-GCM',
+      keyId: activeId,
+      wrappedKey: seal(ring.get(activeId), dataKey, `datakey:${recordId}`),
+    };
+  }
+
+  /**
+   * Returns a copy of `record` with every sensitive field encrypted.
+   * Already-encrypted values are kept; a data key wrapped with a retired
+   * master key is re-wrapped with the active one.
+   */
+  function encryptRecord(record) {
+    if (!enabled || !record) return record;
+
+    const out = { ...record };
+    let dataKey;
+    if (record.encryption?.wrappedKey) {
+      dataKey = unwrapDataKey(record.encryption, record.id);
+    } else {
+      dataKey = crypto.randomBytes(32);
+    }
+
+    const encryptedFields = new Set(Array.isArray(record.encryption?.fields) ? record.encryption.fields : []);
+    fields.forEach((field) => {
+      const value = out[field];
+      if (value === undefined || value === null || value === '' || isEncryptedValue(value)) return;
+      out[field] = ENCRYPTED_PREFIX + seal(dataKey, Buffer.from(String(value)), `${record.id}:${field}`);
+      encryptedFields.add(field);
+    });
+
+    if (encryptedFields.size === 0) return out;
+
+    const envelope = record.encryption?.keyId === activeId
+      ? { ...record.encryption }
+      : wrapDataKey(dataKey, record.id);
+    out.encryption = { ...envelope, fields: Array.from(encryptedFields) };
+    return out;
+  }
+
+  /** Returns a copy of `record` with sensitive fields in plaintext. */
+  function decryptRecord(record) {
+    if (!record?.encryption?.wrappedKey) return record;
+
+    const dataKey = unwrapDataKey(record.encryption, record.id);
+    const out = { ...record };
+    Object.keys(out).forEach((field) => {
+      if (isEncryptedValue(out[field])) {
+        out[field] = open(dataKey, out[field].slice(ENCRYPTED_PREFIX.length), `${record.id}:${field}`).toString('utf8');
+      }
+    });
+    delete out.encryption;
+    return out;
+  }
+
+  /**
+   * Returns a copy for third parties. mode: 'masked' (default), 'omit', or 'plain'.
+   * Encrypted values are decrypted first when the key is available so masks keep the last digits.
+   */
+  function redactRecord(record, mode = 'masked') {
+    if (!record) return record;
+    let source = record;
+    if (record.encryption?.wrappedKey) {
+      try {
+        source = decryptRecord(record);
+      } catch (error) {
+        source = record;
+      }
+    }
+
+    const out = { ...source };
+    delete out.encryption;
+    if (mode === 'plain') return out;
+
+    fields.forEach((field) => {
+      if (out[field] === undefined || out[field] === null || out[field] === '') return;
+      if (mode === 'omit' || isEncryptedValue(out[field])) {
+        delete out[field];
+      } else {
+        out[field] = maskValue(field, out[field]);
+      }
+    });
+    return out;
+  }
+
+  return {
+    enabled,
+    activeKeyId: activeId,
+    encryptRecord,
+    decryptRecord,
+    redactRecord,
+  };
+}
+
+module.exports = {
+  SENSITIVE_FIELDS,
+  isEncryptedValue,
+  maskValue,
+  parseKeyRing,
+  createFieldEncryptor,
+};
@@ -0,0 +1,323 @@
+/**
+ * inspect-template-fields.js
+ *
+ * Checks the fillable PDF template against the code that fills it.
+ * `setTextField` skips any field it cannot set, so a renamed or deleted
+ * template field silently leaves a blank on every application; this makes
+ * those gaps visible before a template change is deployed.
+ *
+ *  1. Lists every AcroForm field in the template with its type, page and
+ *     rectangle (PDF points, bottom-left origin).
+ *  2. Fills buildFieldMappings / buildSignatureFields from a probe record
+ *     (every schema field set to a marker) to learn which application
+ *     fields feed which template field, then reports:
+ *       - template fields nothing fills
+ *       - mapped fields the template does not have (or that are not text fields)
+ *       - application fields (APPLICATION_FIELD_NAMES) that never reach the PDF
+ *     Owner #3+ fields only exist in the paginated layout and are not expected.
+ *  3. With --fill, renders the template from a fixture record so the result
+ *     can be looked at, and reports mapped values that did not land.
+ *
+ * With --funder <id> the same checks run against a funder template from
+ * pdf-templates/<id>/ (see pdf-template-registry.js): manifest errors and
+ * warnings, and the PDF fields its manifest leaves empty.
+ *
+ * Usage:
+ *   node inspect-template-fields.js                       # list fields and the mapping report
+ *   node inspect-template-fields.js --json                # same report as JSON
+ *   node inspect-template-fields.js --strict              # exit 1 when anything is unmapped or missing
+ *   node inspect-template-fields.js --fill [fixture.json] [--out sample.pdf]
+ *   node inspect-template-fields.js --template other.pdf
+ *   node inspect-template-fields.js --funder <id> [--fill [fixture.json]]
+ *
+ * The default fixture is pdf-templates/sample-application.json and the
+ * default output generated-pdfs/template-sample.pdf.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { PDFDocument, PDFTextField, PDFCheckBox, PDFDropdown, PDFOptionList, PDFRadioGroup } = require('pdf-lib');
+const { APPLICATION_FIELD_NAMES, MAX_OWNERS, ownerSignatureFields, validateApplication } = require('./application-schema');
+const {
+  buildFieldMappings,
+  buildExtraOwnerMappings,
+  buildSignatureFields,
+  buildFunderFieldValues,
+  generateApplicationPdfFromTemplate,
+  generateFunderApplicationPdf,
+} = require('./pdf-template-fill');
+const { createPdfTemplateRegistry } = require('./pdf-template-registry');
+
+const TEMPLATE_DIR     = path.join(__dirname, 'pdf-templates');
+const DEFAULT_TEMPLATE = path.join(TEMPLATE_DIR, 'nolimitcap-empty-application.pdf');
+const DEFAULT_FIXTURE  = path.join(TEMPLATE_DIR, 'sample-application.json');
+const DEFAULT_OUTPUT   = path.join(__dirname, 'generated-pdfs', 'template-sample.pdf');
+
+// Submission metadata, and `product`, which only picks a funder template.
+const NOT_PRINTED = new Set(['form', 'page', 'product']);
+
+const marker = (name) => `[[${name}]]`;
+
+function parseArgs(argv) {
+  const options = { template: DEFAULT_TEMPLATE, funder: null, json: false, strict: false, fill: null, out: DEFAULT_OUTPUT };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg  = argv[i];
+    const next = argv[i + 1];
+    const takesValue = next !== undefined && !next.startsWith('--');
+    if (arg === '--json') options.json = true;
+    else if (arg === '--strict') options.strict = true;
+    else if (arg === '--template' && takesValue) options.template = path.resolve(argv[++i]);
+    else if (arg === '--funder' && takesValue) options.funder = argv[++i];
+    else if (arg === '--out' && takesValue) options.out = path.resolve(argv[++i]);
+    else if (arg === '--fill') options.fill = takesValue ? path.resolve(argv[++i]) : DEFAULT_FIXTURE;
+    else throw new Error(`Unknown or incomplete option "${arg}"`);
+  }
+  return options;
+}
+
+// --------------------------------------------------------------------------
+// Template fields
+// --------------------------------------------------------------------------
+
+function describeField(pdfDoc, field) {
+  const pages = pdfDoc.getPages();
+  const widgets = field.acroField.getWidgets().map((widget) => {
+    const widgetRef = pdfDoc.context.getObjectRef(widget.dict);
+    const pageIndex = pages.findIndex((page) => (widget.P() && page.ref === widget.P())
+      || (widgetRef && page.node.Annots()?.asArray().includes(widgetRef)));
+    const { x, y, width, height } = widget.getRectangle();
+    return { page: pageIndex, rect: [x, y, width, height].map((n) => Math.round(n * 10) / 10) };
+  });
+  return {
+    name: field.getName(),
+    type: field.constructor.name.replace(/^PDF/, '').replace(/Field$/, '').toLowerCase(),
+    page: widgets[0]?.page ?? -1,
+    rect: widgets[0]?.rect || null,
+    widgets: widgets.length,
+  };
+}
+
+async function readTemplateFields(templatePath) {
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(templatePath));
+  return pdfDoc.getForm().getFields().map((field) => describeField(pdfDoc, field));
+}
+
+// --------------------------------------------------------------------------
+// Mapping report
+// --------------------------------------------------------------------------
+
+/** Template field name -> application fields whose value ends up in it. */
+function probeMappings() {
+  const probe = Object.fromEntries(APPLICATION_FIELD_NAMES.map((name) => [name, marker(name)]));
+  const sources = {};
+  const addSource = (field, value) => {
+    const text = String(value ?? '');
+    sources[field] = APPLICATION_FIELD_NAMES.filter((name) => text.includes(marker(name)));
+  };
+
+  Object.entries(buildFieldMappings(probe)).forEach(([field, value]) => addSource(field, value));
+  buildSignatureFields(probe).forEach(({ field, raw }) => addSource(field, raw));
+  return sources;
+}
+
+/** Fields for owners #3 and up, which only the paginated layout has room for. */
+function layoutOnlyFields() {
+  const names = new Set(Object.keys(buildExtraOwnerMappings({})));
+  for (let index = 2; index < MAX_OWNERS; index += 1) names.add(ownerSignatureFields(index).signature);
+  return names;
+}
+
+function buildReport(templateFields) {
+  const sources     = probeMappings();
+  const layoutOnly  = layoutOnlyFields();
+  const templateMap = new Map(templateFields.map((field) => [field.name, field]));
+
+  const fields = templateFields.map((field) => ({ ...field, sources: sources[field.name] || null }));
+  const unmapped = fields.filter((field) => !sources[field.name]).map((field) => field.name);
+  const mapped = Object.keys(sources).filter((name) => !layoutOnly.has(name));
+  const missing = mapped.filter((name) => !templateMap.has(name));
+  const notText = mapped.filter((name) => templateMap.has(name) && templateMap.get(name).type !== 'text');
+
+  const printed = new Set(mapped
+    .filter((name) => templateMap.get(name)?.type === 'text')
+    .flatMap((name) => sources[name]));
+  const notPrinted = APPLICATION_FIELD_NAMES.filter((name) => !printed.has(name) && !NOT_PRINTED.has(name)
+    && !Object.keys(sources).some((field) => layoutOnly.has(field) && sources[field].includes(name)));
+
+  return {
+    fields,
+    unmapped,
+    missing,
+    notText,
+    notPrinted,
+    layoutOnly: Array.from(layoutOnly),
+    ok: unmapped.length === 0 && missing.length === 0 && notText.length === 0 && notPrinted.length === 0,
+  };
+}
+
+function printReport(templatePath, report) {
+  console.log(`Template: ${templatePath}`);
+  console.log(`Fields:   ${report.fields.length}\n`);
+
+  const nameWidth = Math.max(4, ...report.fields.map((field) => field.name.length));
+  console.log(`${'NAME'.padEnd(nameWidth)}  TYPE      PAGE  RECT [x, y, w, h]             FILLED FROM`);
+  report.fields.forEach((field) => {
+    const rect = field.rect ? `[${field.rect.join(', ')}]` : '-';
+    const from = field.sources ? (field.sources.join(' + ') || '(computed)') : '-';
+    console.log(`${field.name.padEnd(nameWidth)}  ${field.type.padEnd(8)}  ${String(field.page).padStart(4)}  ${rect.padEnd(28)}  ${from}`);
+  });
+
+  const section = (title, names) => {
+    console.log(`\n${names.length ? '✗' : '✓'}  ${title}: ${names.length}`);
+    names.forEach((name) => console.log(`     ${name}`));
+  };
+  section('Template fields nothing fills', report.unmapped);
+  section('Mapped fields missing from the template', report.missing);
+  section('Mapped fields that are not text fields', report.notText);
+  section('Application fields not printed on the template', report.notPrinted);
+  console.log(`\n   ${report.layoutOnly.length} owner #3+ fields are only drawn by the paginated layout.`);
+}
+
+/** Funder templates: the manifest's own checks plus the PDF fields it leaves empty. */
+function buildFunderReport(template, templateFields) {
+  const mapped = new Set([...Object.keys(template.fields), ...Object.keys(template.signatures)]);
+  const fields = templateFields.map((field) => ({ ...field, sources: mapped.has(field.name) ? [] : null }));
+  const unmapped = fields.filter((field) => !field.sources).map((field) => field.name);
+  return {
+    fields,
+    unmapped,
+    errors: template.errors,
+    warnings: template.warnings,
+    ok: template.valid && template.warnings.length === 0 && unmapped.length === 0,
+  };
+}
+
+function printFunderReport(template, report) {
+  console.log(`Funder:   ${template.id} (${template.name})${template.enabled ? '' : ', disabled'}`);
+  console.log(`Template: ${template.path || '-'}`);
+  console.log(`Fields:   ${report.fields.length}\n`);
+
+  report.fields.forEach((field) => {
+    console.log(`  ${field.sources ? '✓' : '-'} ${field.name} (${field.type}, page ${field.page})`);
+  });
+
+  const section = (title, lines) => {
+    console.log(`\n${lines.length ? '✗' : '✓'}  ${title}: ${lines.length}`);
+    lines.forEach((line) => console.log(`     ${line}`));
+  };
+  section('Manifest errors', report.errors);
+  section('Manifest warnings', report.warnings);
+  section('PDF fields the manifest does not fill', report.unmapped);
+}
+
+// --------------------------------------------------------------------------
+// Sample fill
+// --------------------------------------------------------------------------
+
+function loadFixture(fixturePath) {
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  const validation = validateApplication(fixture);
+  if (!validation.valid) {
+    console.warn(`\n[warn] Fixture does not pass validation; filling it as-is:`);
+    Object.entries(validation.errors).forEach(([name, error]) => console.warn(`     ${name}: ${error}`));
+  }
+  return validation.valid ? validation.values : fixture;
+}
+
+const AFFIRMATIVE = /^(yes|true|1|on|checked)$/i;
+
+function readFieldValue(field) {
+  if (field instanceof PDFTextField) return String(field.getText() ?? '').trim();
+  if (field instanceof PDFDropdown || field instanceof PDFOptionList) return field.getSelected().join(', ');
+  if (field instanceof PDFRadioGroup) return field.getSelected() || '';
+  return '';
+}
+
+/** Write `buffer` and read it back: anything in `values` that is empty in the output did not land. */
+async function checkFilled(buffer, values, outputPath) {
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, buffer);
+
+  const form = (await PDFDocument.load(buffer)).getForm();
+  const expected = Object.entries(values)
+    .filter(([, value]) => String(value ?? '').trim())
+    .map(([name]) => name);
+  const lost = expected.filter((name) => {
+    const field = form.getFieldMaybe(name);
+    // A "No" leaves a checkbox unticked on purpose.
+    if (field instanceof PDFCheckBox) return field.isChecked() !== AFFIRMATIVE.test(String(values[name]).trim());
+    return !field || !readFieldValue(field);
+  });
+
+  return { outputPath, size: buffer.length, filled: expected.length - lost.length, expected: expected.length, lost };
+}
+
+async function fillSample(templatePath, fixturePath, outputPath) {
+  const record = loadFixture(fixturePath);
+  const buffer = await generateApplicationPdfFromTemplate(record, { templatePath });
+  return checkFilled(buffer, buildFieldMappings(record), outputPath);
+}
+
+async function fillFunderSample(template, fixturePath, outputPath) {
+  const record = loadFixture(fixturePath);
+  const buffer = await generateFunderApplicationPdf(record, template);
+  return checkFilled(buffer, buildFunderFieldValues(record, template.fields), outputPath);
+}
+
+function printFill(fill) {
+  console.log(`\n${fill.lost.length ? '✗' : '✓'}  Sample filled: ${fill.outputPath} (${(fill.size / 1024).toFixed(1)} KB)`);
+  console.log(`   ${fill.filled} of ${fill.expected} mapped values landed in the template`);
+  fill.lost.forEach((name) => console.log(`     not filled: ${name}`));
+}
+
+// --------------------------------------------------------------------------
+// Main
+// --------------------------------------------------------------------------
+
+async function inspectFunder(options) {
+  const registry = createPdfTemplateRegistry({ dir: TEMPLATE_DIR, cache: false });
+  const template = await registry.get(options.funder);
+  if (!template) throw new Error(`No funder template "${options.funder}" (expected ${path.join(TEMPLATE_DIR, options.funder, 'manifest.json')})`);
+
+  const templateFields = template.path && fs.existsSync(template.path) ? await readTemplateFields(template.path) : [];
+  const report = buildFunderReport(template, templateFields);
+  const out = options.out === DEFAULT_OUTPUT ? path.join(path.dirname(DEFAULT_OUTPUT), `${template.id}-sample.pdf`) : options.out;
+  const fill = options.fill && template.valid ? await fillFunderSample(template, options.fill, out) : null;
+
+  if (options.json) {
+    console.log(JSON.stringify({ funder: template.id, template: template.path, ...report, ...(fill && { fill }) }, null, 2));
+  } else {
+    printFunderReport(template, report);
+    if (fill) printFill(fill);
+    else if (options.fill) console.log('\n   Not filled: fix the manifest errors first.');
+  }
+
+  if (options.strict && (!report.ok || fill?.lost.length)) process.exitCode = 1;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.funder) return inspectFunder(options);
+  if (!fs.existsSync(options.template)) {
+    throw new Error(`Template not found: ${options.template} (run npm run create-template)`);
+  }
+
+  const report = buildReport(await readTemplateFields(options.template));
+  const fill = options.fill ? await fillSample(options.template, options.fill, options.out) : null;
+
+  if (options.json) {
+    console.log(JSON.stringify({ template: options.template, ...report, ...(fill && { fill }) }, null, 2));
+  } else {
+    printReport(options.template, report);
+    if (fill) printFill(fill);
+  }
+
+  if (options.strict && (!report.ok || fill?.lost.length)) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error('✗ Failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,423 @@
+'use strict';
+
+/**
+ * outbox.js
+ *
+ * Durable outbox for work that has to happen for a stored submission and may
+ * need retrying. Each item is one job: a submission (type + record id) and a
+ * `target` naming what the job delivers to. Items reference the record rather
+ * than copying it, so retries use the latest record and no sensitive values
+ * are duplicated; `data` carries anything else the job needs.
+ *
+ *   <outboxPrefix>pending/<id>.json       waiting for its next attempt
+ *   <outboxPrefix>dead-letter/<id>.json   gave up after maxAttempts (or a non-retryable error)
+ *
+ * Without S3 the same items live in one local JSON array with a `state` field.
+ *
+ * `enqueue` takes a delivery whose first attempt already failed; `schedule`
+ * takes a job that has not run yet and is due on the next pass.
+ *
+ * Retries back off exponentially (with jitter) and never run before a
+ * `Retry-After` the remote side asked for. A worker claims an S3 item by
+ * writing a short lease with If-Match, so overlapping cron runs cannot run a
+ * job twice.
+ */
+
+const {
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+const { isConditionalWriteConflict, isMissingKey, readBody } = require('./s3-helpers');
+
+const STATE_PENDING = 'pending';
+const STATE_DEAD = 'dead-letter';
+const MAX_ERROR_LENGTH = 1000;
+
+/** Retry-After is either delta-seconds or an HTTP date. Returns milliseconds from `now`, or null. */
+function parseRetryAfter(value, now = Date.now()) {
+  const raw = String(value || '').trim();
+  if (!raw) return null;
+  if (/^\d+$/.test(raw)) return Number(raw) * 1000;
+  const date = Date.parse(raw);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/** Timeouts, network errors, 408/425/429 and 5xx are worth retrying; other 4xx are not. */
+function isRetryableResult(result) {
+  const code = Number(result?.code);
+  if (!Number.isFinite(code) || code === 0) return true;
+  return code === 408 || code === 425 || code === 429 || code >= 500;
+}
+
+function computeBackoffMs(attempts, { baseDelayMs, maxDelayMs }) {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempts - 1));
+  const jitter = delay * 0.2 * (Math.random() * 2 - 1);
+  return Math.max(1000, Math.round(delay + jitter));
+}
+
+function buildItemId(type, recordId, target) {
+  return `${type}_${recordId}_${target}`;
+}
+
+/**
+ * @param {object} options
+ * @param {import('@aws-sdk/client-s3').S3Client|null} options.s3Client
+ * @param {string} options.bucket
+ * @param {string} options.outboxPrefix          e.g. "crm-outbox/"
+ * @param {{ read: () => Promise<object[]>, write: (items: object[]) => Promise<void> }} options.localStore
+ * @param {number} [options.maxAttempts]         attempts (including the first) before dead-lettering
+ * @param {number} [options.baseDelayMs]         delay after the first failure; doubles each attempt
+ * @param {number} [options.maxDelayMs]
+ * @param {number} [options.leaseMs]             how long a claimed item is hidden from other workers
+ */
+function createOutbox({
+  s3Client,
+  bucket,
+  outboxPrefix,
+  localStore,
+  maxAttempts = 8,
+  baseDelayMs = 60 * 1000,
+  maxDelayMs = 6 * 60 * 60 * 1000,
+  leaseMs = 2 * 60 * 1000,
+}) {
+  const useS3 = Boolean(s3Client && bucket);
+  const itemKey = (state, id) => `${outboxPrefix}${state}/${id}.json`;
+  let localQueue = Promise.resolve();
+
+  // Serialise read-modify-write cycles on the local file within this process.
+  function withLocalItems(mutate) {
+    const run = localQueue.then(async () => {
+      const items = await localStore.read();
+      const result = await mutate(items);
+      await localStore.write(items);
+      return result;
+    });
+    localQueue = run.catch(() => {});
+    return run;
+  }
+
+  async function getS3Item(state, id) {
+    try {
+      const response = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: itemKey(state, id) }));
+      const raw = await readBody(response.Body);
+      return raw ? { item: JSON.parse(raw), etag: response.ETag } : null;
+    } catch (error) {
+      if (isMissingKey(error)) return null;
+      throw error;
+    }
+  }
+
+  async function putS3Item(state, item, condition = {}) {
+    return s3Client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: itemKey(state, item.id),
+      Body: JSON.stringify(item, null, 2),
+      ContentType: 'application/json',
+      ...condition,
+    }));
+  }
+
+  async function deleteS3Item(state, id) {
+    await s3Client.send(new DeleteObjectCommand({ Bucket: bucket, Key: itemKey(state, id) }));
+  }
+
+  async function listS3Ids(state) {
+    const prefix = `${outboxPrefix}${state}/`;
+    const ids = [];
+    let token;
+    do {
+      const response = await s3Client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix,
+        ContinuationToken: token,
+      }));
+      (response.Contents || []).forEach((object) => {
+        if (object.Key.endsWith('.json')) ids.push(object.Key.slice(prefix.length, -'.json'.length));
+      });
+      token = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (token);
+    return ids;
+  }
+
+  /** A pending item that has not been attempted yet and is due at `now`. */
+  function newItem({ type, recordId, target, data }, now) {
+    const item = {
+      id: buildItemId(type, recordId, target),
+      type,
+      recordId,
+      target,
+      state: STATE_PENDING,
+      attempts: 0,
+      createdAt: now.toISOString(),
+      lastAttemptAt: null,
+      lastCode: null,
+      lastError: '',
+      nextAttemptAt: now.toISOString(),
+    };
+    if (data) item.data = data;
+    return item;
+  }
+
+  /** Store `item` as pending unless an item with its id already is. */
+  async function addPending(item) {
+    if (useS3) {
+      try {
+        await putS3Item(STATE_PENDING, item, { IfNoneMatch: '*' });
+      } catch (error) {
+        if (!isConditionalWriteConflict(error)) throw error;
+        return { status: 'exists', item: (await getS3Item(STATE_PENDING, item.id))?.item || item };
+      }
+      return { status: 'queued', item };
+    }
+
+    return withLocalItems((items) => {
+      const existing = items.find((entry) => entry.id === item.id && entry.state === STATE_PENDING);
+      if (existing) return { status: 'exists', item: existing };
+      items.push(item);
+      return { status: 'queued', item };
+    });
+  }
+
+  /**
+   * Queue a delivery that failed on its first attempt (`result`) for retry.
+   * Re-enqueueing a record/target pair that is already pending keeps its
+   * attempt count.
+   */
+  async function enqueue({ type, recordId, target, result, data }, now = new Date()) {
+    const delayMs = result?.retryAfterMs ?? computeBackoffMs(1, { baseDelayMs, maxDelayMs });
+    const item = {
+      ...newItem({ type, recordId, target, data }, now),
+      attempts: 1,
+      lastAttemptAt: now.toISOString(),
+      lastCode: result?.code || null,
+      lastError: String(result?.error || result?.reason || '').slice(0, MAX_ERROR_LENGTH),
+      nextAttemptAt: new Date(now.getTime() + delayMs).toISOString(),
+    };
+
+    if (!isRetryableResult(result)) {
+      return moveToDeadLetter(item, now, 'Non-retryable response');
+    }
+    if (maxAttempts <= 1) {
+      return moveToDeadLetter(item, now, 'Retries disabled');
+    }
+    return addPending(item);
+  }
+
+  /** Queue a job that has not run yet; the next `processDue` pass runs it. */
+  async function schedule({ type, recordId, target, data }, now = new Date()) {
+    return addPending(newItem({ type, recordId, target, data }, now));
+  }
+
+  async function moveToDeadLetter(item, now, reason) {
+    const dead = {
+      ...item,
+      state: STATE_DEAD,
+      deadLetteredAt: now.toISOString(),
+      deadLetterReason: reason,
+      nextAttemptAt: null,
+      leaseUntil: null,
+    };
+    if (useS3) {
+      await putS3Item(STATE_DEAD, dead);
+      await deleteS3Item(STATE_PENDING, item.id);
+    } else {
+      await withLocalItems((items) => {
+        const remaining = items.filter((entry) => entry.id !== item.id);
+        items.splice(0, items.length, ...remaining, dead);
+      });
+    }
+    return { status: 'dead-letter', item: dead };
+  }
+
+  async function list(state = STATE_PENDING) {
+    if (useS3) {
+      const ids = await listS3Ids(state);
+      const items = [];
+      for (const id of ids) {
+        const found = await getS3Item(state, id);
+        if (found) items.push(found.item);
+      }
+      return items;
+    }
+    return (await localStore.read()).filter((entry) => entry.state === state);
+  }
+
+  async function get(id, state = STATE_PENDING) {
+    if (useS3) return (await getS3Item(state, id))?.item || null;
+    return (await localStore.read()).find((entry) => entry.id === id && entry.state === state) || null;
+  }
+
+  /** Take a due item for this worker. Returns the leased item, or null if it is not due or someone else has it. */
+  async function claim(id, now) {
+    const isDue = (item) => item
+      && Date.parse(item.nextAttemptAt) <= now.getTime()
+      && !(item.leaseUntil && Date.parse(item.leaseUntil) > now.getTime());
+    const leaseUntil = new Date(now.getTime() + leaseMs).toISOString();
+
+    if (useS3) {
+      const found = await getS3Item(STATE_PENDING, id);
+      if (!isDue(found?.item)) return null;
+      const leased = { ...found.item, leaseUntil };
+      try {
+        await putS3Item(STATE_PENDING, leased, { IfMatch: found.etag });
+      } catch (error) {
+        if (isConditionalWriteConflict(error)) return null;
+        throw error;
+      }
+      return leased;
+    }
+
+    return withLocalItems((items) => {
+      const item = items.find((entry) => entry.id === id && entry.state === STATE_PENDING);
+      if (!isDue(item)) return null;
+      item.leaseUntil = leaseUntil;
+      return { ...item };
+    });
+  }
+
+  async function removePending(id) {
+    if (useS3) {
+      await deleteS3Item(STATE_PENDING, id);
+      return;
+    }
+    await withLocalItems((items) => {
+      const remaining = items.filter((entry) => !(entry.id === id && entry.state === STATE_PENDING));
+      items.splice(0, items.length, ...remaining);
+    });
+  }
+
+  async function savePending(item) {
+    if (useS3) {
+      await putS3Item(STATE_PENDING, item);
+      return;
+    }
+    await withLocalItems((items) => {
+      const index = items.findIndex((entry) => entry.id === item.id && entry.state === STATE_PENDING);
+      if (index === -1) items.push(item);
+      else items[index] = item;
+    });
+  }
+
+  /**
+   * Run one claimed item through `deliver` and record the outcome.
+   * `onDelivered(item, result, attempts)` / `onDeadLettered(item)` let the caller update the submission.
+   */
+  async function attempt(item, { deliver, onDelivered, onDeadLettered }) {
+    const startedAt = new Date();
+    let result;
+    try {
+      result = await deliver(item);
+    } catch (error) {
+      result = { status: 'error', error: error.message };
+    }
+
+    const attempts = (item.attempts || 0) + 1;
+    if (result?.status === 'sent') {
+      await removePending(item.id);
+      if (onDelivered) await onDelivered(item, result, attempts);
+      return { id: item.id, status: 'delivered', attempts, code: result.code };
+    }
+
+    const next = {
+      ...item,
+      attempts,
+      lastAttemptAt: startedAt.toISOString(),
+      lastCode: result?.code || null,
+      lastError: String(result?.error || result?.reason || 'Delivery failed').slice(0, MAX_ERROR_LENGTH),
+      leaseUntil: null,
+    };
+
+    if (!isRetryableResult(result) || attempts >= maxAttempts) {
+      const reason = isRetryableResult(result) ? `Gave up after ${attempts} attempts` : 'Non-retryable response';
+      const { item: dead } = await moveToDeadLetter(next, startedAt, reason);
+      if (onDeadLettered) await onDeadLettered(dead);
+      return { id: item.id, status: 'dead-letter', attempts, code: next.lastCode };
+    }
+
+    const delayMs = result?.retryAfterMs ?? computeBackoffMs(attempts, { baseDelayMs, maxDelayMs });
+    next.nextAttemptAt = new Date(startedAt.getTime() + delayMs).toISOString();
+    await savePending(next);
+    return { id: item.id, status: 'retry-scheduled', attempts, code: next.lastCode, nextAttemptAt: next.nextAttemptAt };
+  }
+
+  /**
+   * Retry every due pending item, oldest first, until `limit` items have been
+   * tried or `deadline` (epoch ms) passes.
+   */
+  async function processDue({ limit = 10, deadline = Infinity, ...handlers }) {
+    const now = new Date();
+    const pending = (await list(STATE_PENDING))
+      .filter((item) => Date.parse(item.nextAttemptAt) <= now.getTime())
+      .sort((a, b) => String(a.nextAttemptAt).localeCompare(String(b.nextAttemptAt)));
+
+    const results = [];
+    for (const candidate of pending) {
+      if (results.length >= limit || Date.now() >= deadline) break;
+      const item = await claim(candidate.id, now);
+      if (!item) continue;
+      results.push(await attempt(item, handlers));
+    }
+
+    return {
+      due: pending.length,
+      processed: results.length,
+      delivered: results.filter((r) => r.status === 'delivered').length,
+      deadLettered: results.filter((r) => r.status === 'dead-letter').length,
+      results,
+    };
+  }
+
+  /**
+   * Move a dead-lettered item back to pending with a fresh attempt budget and
+   * try it immediately. Returns null when no such dead-letter item exists.
+   */
+  async function replay(id, handlers) {
+    const dead = await get(id, STATE_DEAD);
+    if (!dead) return null;
+
+    const now = new Date();
+    const item = {
+      ...dead,
+      state: STATE_PENDING,
+      attempts: 0,
+      nextAttemptAt: now.toISOString(),
+      leaseUntil: new Date(now.getTime() + leaseMs).toISOString(),
+      replayedAt: now.toISOString(),
+    };
+    delete item.deadLetteredAt;
+    delete item.deadLetterReason;
+
+    if (useS3) {
+      await putS3Item(STATE_PENDING, item);
+      await deleteS3Item(STATE_DEAD, id);
+    } else {
+      await withLocalItems((items) => {
+        const remaining = items.filter((entry) => entry.id !== id);
+        items.splice(0, items.length, ...remaining, item);
+      });
+    }
+
+    return attempt(item, handlers);
+  }
+
+  return {
+    storage: useS3 ? 's3' : 'local',
+    maxAttempts,
+    enqueue,
+    schedule,
+    list,
+    get,
+    processDue,
+    replay,
+  };
+}
+
+module.exports = {
+  STATE_PENDING,
+  STATE_DEAD,
+  parseRetryAfter,
+  isRetryableResult,
+  createOutbox,
+};
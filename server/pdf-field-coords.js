@@ -7,9 +7,21 @@
  *  - create-empty-template.js (builds the blank AcroForm template)
  *  - pdf-template-fill.js     (overlays filled fields on pdfkit fallback output)
  *
+ * Two layouts:
+ *  - one-page   everything scaled onto one LETTER page (the static template)
+ *  - paginated  rows at full size, as tall as their values need, flowing
+ *               across pages. paginateSections() is the single source of page
+ *               breaks: pdf-layout.js draws with it and computeFieldCoords()
+ *               places fields with it, so both agree on every page and row.
+ *
+ * Applications with more than two owners get extra owner rows and signature
+ * lines; only the paginated layout has room for them.
+ *
  * MUST stay in sync with createLayoutConfig in pdf-layout.js
  */
 
+const { ownerFieldName, ownerSignatureFields } = require('./application-schema');
+
 // --------------------------------------------------------------------------
 // Layout constants — mirror pdf-layout.js createLayoutConfig exactly
 // --------------------------------------------------------------------------
@@ -40,17 +52,34 @@ function createLayoutConfig(scale = 1) {
   };
 }
 
-function estimateBodyHeight(sections, config) {
-  let rowsHeight = 0;
-  sections.forEach((s) => s.rows.forEach(() => { rowsHeight += config.rowHeight; }));
-  const authorizationHeight =
+// Room kept above the bottom margin for "Page N of M" in the paginated layout.
+const PAGE_FOOTER_HEIGHT = 14;
+
+/** Owners are signed for side by side, two per group of name / signature / date lines. */
+function countSignatureGroups(ownerCount = 2) {
+  return Math.ceil(Math.max(2, ownerCount) / 2);
+}
+
+/** Authorization block: header, terms and the signature lines. Never split across pages. */
+function estimateAuthorizationHeight(config, ownerCount = 2) {
+  const groupHeight =
+    config.authorizationLineGap * 3 +
+    config.authorizationSignatureExtraGap +
+    config.authorizationOwnerGap;
+  return (
     config.sectionHeaderHeight +
     config.authorizationLabelGap +
     config.authorizationTextHeight +
     config.authorizationAfterTermsGap +
-    config.authorizationLineGap * 3 +
-    config.authorizationSignatureExtraGap +
-    config.authorizationOwnerGap * 2;
+    groupHeight * countSignatureGroups(ownerCount) +
+    config.authorizationOwnerGap
+  );
+}
+
+function estimateBodyHeight(sections, config) {
+  let rowsHeight = 0;
+  sections.forEach((s) => s.rows.forEach(() => { rowsHeight += config.rowHeight; }));
+  const authorizationHeight = estimateAuthorizationHeight(config);
   return (
     sections.length * config.sectionHeaderHeight +
     rowsHeight +
@@ -62,8 +91,17 @@ function estimateBodyHeight(sections, config) {
   );
 }
 
+/** The two rows of one owner block, as in buildOwnerRows() in pdf-layout.js. */
+function buildOwnerRowsWithNames(index) {
+  const name = (key) => ownerFieldName(index, key);
+  return [
+    [ { fieldName: name('first_name'), span: 3 }, { fieldName: name('last_name'), span: 3 }, { fieldName: name('ssn'), span: 4 }, { fieldName: name('dob'), span: 3 }, { fieldName: name('ownership'), span: 3 } ],
+    [ { fieldName: name('address'), span: 5 }, { fieldName: name('city'), span: 2 }, { fieldName: name('state'), span: 2 }, { fieldName: name('zip'), span: 2 }, { fieldName: name('contact'), span: 2 }, { fieldName: name('email'), span: 3 } ],
+  ];
+}
+
 /** Mirrors buildSections() in pdf-layout.js — same rows, same spans, same order */
-function buildSectionsWithNames() {
+function buildSectionsWithNames(ownerCount = 2) {
   return [
     {
       title: 'BUSINESS INFORMATION',
@@ -82,12 +120,7 @@ function buildSectionsWithNames() {
     },
     {
       title: 'OWNERSHIP INFORMATION',
-      rows: [
-        [ { fieldName: 'owner_first_name', span: 3 }, { fieldName: 'owner_last_name', span: 3 }, { fieldName: 'owner_ssn', span: 4 }, { fieldName: 'owner_dob', span: 3 }, { fieldName: 'owner_ownership', span: 3 } ],
-        [ { fieldName: 'owner_address', span: 5 }, { fieldName: 'owner_city', span: 2 }, { fieldName: 'owner_state', span: 2 }, { fieldName: 'owner_zip', span: 2 }, { fieldName: 'owner_contact', span: 2 }, { fieldName: 'owner_email', span: 3 } ],
-        [ { fieldName: 'additional_owner_first_name', span: 3 }, { fieldName: 'additional_owner_last_name', span: 3 }, { fieldName: 'additional_owner_ssn', span: 4 }, { fieldName: 'additional_owner_dob', span: 3 }, { fieldName: 'additional_owner_ownership', span: 3 } ],
-        [ { fieldName: 'additional_owner_address', span: 5 }, { fieldName: 'additional_owner_city', span: 2 }, { fieldName: 'additional_owner_state', span: 2 }, { fieldName: 'additional_owner_zip', span: 2 }, { fieldName: 'additional_owner_contact', span: 2 }, { fieldName: 'additional_owner_email', span: 3 } ],
-      ],
+      rows: Array.from({ length: Math.max(2, ownerCount) }, (_, index) => buildOwnerRowsWithNames(index)).flat(),
     },
     {
       title: 'REFERENCES',
@@ -100,6 +133,66 @@ function buildSectionsWithNames() {
   ];
 }
 
+/** Key for one row in a rowHeights map: "<sectionIndex>:<rowIndex>". */
+function rowKey(sectionIndex, rowIndex) {
+  return `${sectionIndex}:${rowIndex}`;
+}
+
+/**
+ * Flow sections across pages. Rows are never split; a section that continues
+ * on a new page repeats its header, and the authorization block moves to a new
+ * page rather than break. Page indexes are 0-based; y is pdfkit top-left.
+ *
+ * @param {object[]} sections              rows only matter for their count
+ * @param {object} config                  createLayoutConfig(1)
+ * @param {object} bounds
+ * @param {number} bounds.firstPageTop     below the header and legend on page 1
+ * @param {number} bounds.pageTop          below the repeated header on later pages
+ * @param {number} bounds.pageBottom       above the page-number footer
+ * @param {Object<string, number>} [bounds.rowHeights]  rowKey -> height; missing rows use config.rowHeight
+ * @param {number} [bounds.ownerCount]     sizes the authorization block
+ * @returns {{ pageCount: number,
+ *             headers: { page: number, y: number, sectionIndex: number, continued: boolean }[],
+ *             rows: { page: number, y: number, height: number, sectionIndex: number, rowIndex: number }[],
+ *             authorization: { page: number, y: number } }}
+ */
+function paginateSections(sections, config, { firstPageTop, pageTop, pageBottom, rowHeights = {}, ownerCount = 2 }) {
+  const headers = [];
+  const rows = [];
+  let page = 0;
+  let y = firstPageTop;
+  let freshPage = true;
+
+  const newPage = () => {
+    page += 1;
+    y = pageTop;
+    freshPage = true;
+  };
+
+  sections.forEach((section, sectionIndex) => {
+    if (!freshPage) y += config.sectionGap;
+
+    section.rows.forEach((row, rowIndex) => {
+      const height = rowHeights[rowKey(sectionIndex, rowIndex)] || config.rowHeight;
+      const headerHeight = rowIndex === 0 ? config.sectionHeaderHeight : 0;
+      if (!freshPage && y + headerHeight + height > pageBottom) newPage();
+
+      if (rowIndex === 0 || y === pageTop) {
+        headers.push({ page, y, sectionIndex, continued: rowIndex > 0 });
+        y += config.sectionHeaderHeight;
+      }
+      rows.push({ page, y, height, sectionIndex, rowIndex });
+      y += height;
+      freshPage = false;
+    });
+  });
+
+  y += config.sectionGap;
+  if (y + estimateAuthorizationHeight(config, ownerCount) > pageBottom) newPage();
+
+  return { pageCount: page + 1, headers, rows, authorization: { page, y } };
+}
+
 /** Estimates height of drawLogoHeader (raster logo, margin=24, logoScale=0.75) */
 function estimateHeaderHeight(margin, logoScale) {
   const iconSize     = Math.max(30, Math.round(50 * logoScale));
@@ -110,15 +203,125 @@ function estimateHeaderHeight(margin, logoScale) {
   return dividerY + 7;
 }
 
+function pushRowCoords(coords, row, { page, y, height }, config, margin, contentWidth) {
+  const totalSpan = row.reduce((s, c) => s + (c.span || 1), 0);
+  // Rows taller than the base height hold wrapped values.
+  const multiline = height > config.rowHeight;
+  let curX = margin;
+
+  row.forEach((cell, i) => {
+    const span   = cell.span || 1;
+    const isLast = i === row.length - 1;
+    const cellW  = isLast
+      ? (margin + contentWidth - curX)
+      : Math.round((contentWidth * span) / totalSpan);
+
+    const labelH = Math.ceil(config.labelFontSize) + 4;
+    const fieldY = y + labelH;
+    const fieldH = Math.max(10, height - labelH - 2);
+
+    coords.push({
+      fieldName: cell.fieldName,
+      page,
+      x:         curX + 2,
+      y:         fieldY,
+      width:     Math.max(8, cellW - 4),
+      height:    fieldH,
+      ...(multiline && { multiline: true }),
+    });
+
+    curX += cellW;
+  });
+}
+
+/** `y` is the top of the AUTHORIZATION section header. */
+function pushAuthorizationCoords(coords, page, y, config, margin, contentWidth, ownerCount = 2) {
+  y += config.sectionHeaderHeight;
+  y += config.authorizationLabelGap + config.authorizationTextHeight + config.authorizationAfterTermsGap;
+
+  const colGap = config.authorizationColumnGap;
+  const colW   = Math.floor((contentWidth - colGap) / 2);
+  const inset  = 5;
+  const rowW   = Math.max(24, colW - inset * 2);
+  const lineH  = config.authorizationLineGap;
+  const fHeight = Math.max(10, lineH - 2);
+
+  // Owner #1 | Owner #2, then #3 | #4, ...; an odd last owner leaves the right column empty.
+  for (let group = 0; group < countSignatureGroups(ownerCount); group += 1) {
+    const left  = group * 2;
+    const right = left + 1 < Math.max(2, ownerCount) ? left + 1 : null;
+    const names = (index, kind) => {
+      if (index === null) return null;
+      if (kind === 'name') return `sig_owner${index + 1}_name`;
+      return ownerSignatureFields(index)[kind];
+    };
+
+    const authRows = [
+      { kind: 'name',      lf: 0.28, shift: 0 },
+      { kind: 'signature', lf: 0.24, shift: 0, extraGapBefore: config.authorizationSignatureExtraGap },
+      { kind: 'date',      lf: 0.08, shift: 0 },
+    ];
+
+    authRows.forEach(({ kind, lf, shift, extraGapBefore }) => {
+      if (extraGapBefore) y += extraGapBefore;
+
+      const fieldOffset = Math.round(rowW * lf);
+      // For signature row, make the field taller to span the extra gap above
+      const rowFHeight = extraGapBefore ? fHeight + extraGapBefore : fHeight;
+      const fieldY = y + config.authorizationLineBaselineOffset - rowFHeight - 2 - shift;
+
+      const leftX  = margin + inset + fieldOffset;
+      const leftW  = (margin + colW)         - leftX  - 4;
+      const rightX = margin + colW + colGap + inset + fieldOffset;
+      const rightW = (margin + contentWidth) - rightX - 4;
+
+      coords.push({ fieldName: names(left, kind), page, x: leftX, y: fieldY, width: Math.max(20, leftW), height: rowFHeight });
+      if (right !== null) {
+        coords.push({ fieldName: names(right, kind), page, x: rightX, y: fieldY, width: Math.max(20, rightW), height: rowFHeight });
+      }
+      y += lineH;
+    });
+    y += config.authorizationOwnerGap;
+  }
+}
+
 /**
  * Compute AcroForm field bounding boxes in pdfkit top-left coordinates.
- * Returns { coords, config, scale }
+ * Each coord carries the 0-based `page` it belongs on.
+ *
+ * options.layout     'one-page' (default) or 'paginated'
+ * options.rowHeights paginated only: rowKey -> height, as measured by pdf-layout.js
+ * options.ownerCount paginated only: owner blocks and signature lines for more
+ *                    than two owners
+ *
+ * Returns { coords, config, scale, pageCount }
  */
-function computeFieldCoords(pageWidth = 612, margin = 24, logoScale = 0.75) {
+function computeFieldCoords(pageWidth = 612, margin = 24, logoScale = 0.75, options = {}) {
   const contentWidth = pageWidth - margin * 2;
-  const sections     = buildSectionsWithNames();
   const pageHeight   = 792;
   const headerHeight = estimateHeaderHeight(margin, logoScale);
+  const coords       = [];
+
+  if (options.layout === 'paginated') {
+    const ownerCount = Math.max(2, options.ownerCount || 2);
+    const sections   = buildSectionsWithNames(ownerCount);
+    const config     = createLayoutConfig(1);
+    const plan = paginateSections(sections, config, {
+      firstPageTop: headerHeight + config.legendHeight,
+      pageTop:      headerHeight,
+      pageBottom:   pageHeight - margin - PAGE_FOOTER_HEIGHT,
+      rowHeights:   options.rowHeights,
+      ownerCount,
+    });
+    plan.rows.forEach((placement) => {
+      pushRowCoords(coords, sections[placement.sectionIndex].rows[placement.rowIndex], placement, config, margin, contentWidth);
+    });
+    pushAuthorizationCoords(coords, plan.authorization.page, plan.authorization.y, config, margin, contentWidth, ownerCount);
+    return { coords, config, scale: 1, pageCount: plan.pageCount };
+  }
+
+  const sections     = buildSectionsWithNames();
+
   let   config       = createLayoutConfig(1);
   const availableH   = pageHeight - 36 - headerHeight;
   const estimatedH   = estimateBodyHeight(sections, config);
@@ -128,38 +331,13 @@ function computeFieldCoords(pageWidth = 612, margin = 24, logoScale = 0.75) {
     config = createLayoutConfig(scale);
   }
 
-  const coords = [];
   let y = headerHeight + config.legendHeight;
 
   sections.forEach((section, sIdx) => {
     y += config.sectionHeaderHeight;
 
     section.rows.forEach((row) => {
-      const totalSpan = row.reduce((s, c) => s + (c.span || 1), 0);
-      let curX = margin;
-
-      row.forEach((cell, i) => {
-        const span   = cell.span || 1;
-        const isLast = i === row.length - 1;
-        const cellW  = isLast
-          ? (margin + contentWidth - curX)
-          : Math.round((contentWidth * span) / totalSpan);
-
-        const labelH = Math.ceil(config.labelFontSize) + 4;
-        const fieldY = y + labelH;
-        const fieldH = Math.max(10, config.rowHeight - labelH - 2);
-
-        coords.push({
-          fieldName: cell.fieldName,
-          x:         curX + 2,
-          y:         fieldY,
-          width:     Math.max(8, cellW - 4),
-          height:    fieldH,
-        });
-
-        curX += cellW;
-      });
-
+      pushRowCoords(coords, row, { page: 0, y, height: config.rowHeight }, config, margin, contentWidth);
       y += config.rowHeight;
     });
 
@@ -167,41 +345,16 @@ function computeFieldCoords(pageWidth = 612, margin = 24, logoScale = 0.75) {
   });
 
   // Authorization section
-  y += config.sectionGap + config.sectionHeaderHeight;
-  y += config.authorizationLabelGap + config.authorizationTextHeight + config.authorizationAfterTermsGap;
-
-  const colGap = config.authorizationColumnGap;
-  const colW   = Math.floor((contentWidth - colGap) / 2);
-  const inset  = 5;
-  const rowW   = Math.max(24, colW - inset * 2);
-  const lineH  = config.authorizationLineGap;
-  const fHeight = Math.max(10, lineH - 2);
-
-  const authRows = [
-    { left: 'sig_owner1_name',  right: 'sig_owner2_name',            lf: 0.28, shift: 0 },
-    { left: 'signature',        right: 'signature_additional',        lf: 0.24, shift: 0, extraGapBefore: config.authorizationSignatureExtraGap },
-    { left: 'application_date', right: 'application_date_additional', lf: 0.08, shift: 0 },
-  ];
-
-  authRows.forEach(({ left: leftName, right: rightName, lf, shift, extraGapBefore }) => {
-    if (extraGapBefore) y += extraGapBefore;
-
-    const fieldOffset = Math.round(rowW * lf);
-    // For signature row, make the field taller to span the extra gap above
-    const rowFHeight = extraGapBefore ? fHeight + extraGapBefore : fHeight;
-    const fieldY = y + config.authorizationLineBaselineOffset - rowFHeight - 2 - shift;
-
-    const leftX  = margin + inset + fieldOffset;
-    const leftW  = (margin + colW)         - leftX  - 4;
-    const rightX = margin + colW + colGap + inset + fieldOffset;
-    const rightW = (margin + contentWidth) - rightX - 4;
-
-    coords.push({ fieldName: leftName,  x: leftX,  y: fieldY, width: Math.max(20, leftW),  height: rowFHeight });
-    coords.push({ fieldName: rightName, x: rightX, y: fieldY, width: Math.max(20, rightW), height: rowFHeight });
-    y += lineH;
-  });
+  y += config.sectionGap;
+  pushAuthorizationCoords(coords, 0, y, config, margin, contentWidth);
 
-  return { coords, config, scale };
+  return { coords, config, scale, pageCount: 1 };
 }
 
-module.exports = { computeFieldCoords };
+module.exports = {
+  PAGE_FOOTER_HEIGHT,
+  rowKey,
+  estimateAuthorizationHeight,
+  paginateSections,
+  computeFieldCoords,
+};
@@ -2,6 +2,18 @@ const fs = require("fs");
 const path = require("path");
 const PDFDocument = require("pdfkit");
 const SVGtoPDF = require("svg-to-pdfkit");
+const {
+  REQUIRED_APPLICATION_FIELDS,
+  countOwners,
+  getApplicationOwners,
+  ownerFieldName,
+} = require("./application-schema");
+const {
+  PAGE_FOOTER_HEIGHT,
+  rowKey,
+  paginateSections,
+} = require("./pdf-field-coords");
+const { AUTHORIZATION_TEXT } = require("./esign-audit");
 
 const WEBSITE_LOGO_PATH = path.join(
   __dirname,
@@ -11,58 +23,12 @@ const WEBSITE_LOGO_PATH = path.join(
   'logo.png',
   //'header-logo.svg',
 );
-const AUTHORIZATION_TEXT =
-  'By signing below, the Business and Owner(s) identified above (individually, an "Applicant") each represents, acknowledges, and agrees that: ' +
-  "(1) all information and documents provided in connection with this application are true, accurate, and complete; " +
-  '(2) Applicant will immediately notify Biz Bulker Inc dba No Limit Capital ("No Limit Capital") of any change in the Business financial condition; ' +
-  '(3) Applicant understands that No Limit Capital may share this information with its representatives, successors, assigns, affiliates and partners as well as third-party lenders/funders and their servicers and financial institutions ("Recipients"); ' +
-  "(4) Applicant authorizes No Limit Capital and Recipients to request and receive any investigative reports, consumer credit reports, trade references, statements from creditors or financial institutions, verifications of information, or any other information that No Limit Capital and/or Recipients deem necessary; " +
-  "(5) Applicant waives and releases any claims against No Limit Capital, Recipients and any information-providers arising from any act or omission relating to the requesting, receiving, or release of information; " +
-  "(6) each Owner of the Business represents that he or she is authorized to sign and submit this application on behalf of Business.";
-
-const REQUIRED_FIELDS = new Set([
-  "loan_amount",
-  "funding_timeline",
-  "first_name",
-  "last_name",
-  "contact_number",
-  "email",
-  "contact_agreement",
-  "legal_business_name",
-  "business_start_date",
-  "business_dba",
-  "industry",
-  "business_address",
-  "business_city",
-  "business_state",
-  "business_zip",
-  "business_phone",
-  "legal_entity",
-  "business_tax_id",
-  "credit_score",
-  "gross_annual_sales",
-  "avg_monthly_deposits",
-  "avg_daily_balance",
-  "state_of_incorporation",
-  "has_other_financing",
-  "has_judgements_liens",
-  "has_open_bankruptcies",
-  "seasonal_business",
-  "owner_first_name",
-  "owner_last_name",
-  "owner_email",
-  "owner_address",
-  "owner_city",
-  "owner_state",
-  "owner_zip",
-  "owner_contact",
-  "owner_dob",
-  "owner_ssn",
-  "owner_ownership",
-  "signature",
-  "application_date",
-  "application_agreement",
-]);
+
+// Paginated layout: one row never takes more than about half a page; longer values are clipped.
+const MAX_ROW_HEIGHT = 360;
+
+// Required-field markers come from the same schema /api/apply validates against.
+const REQUIRED_FIELDS = REQUIRED_APPLICATION_FIELDS;
 
 let WEBSITE_LOGO_ASSET = null;
 let WEBSITE_LOGO_KIND = null;
@@ -246,20 +212,30 @@ function drawSectionHeader(doc, x, y, width, title, config) {
   return y + config.sectionHeaderHeight;
 }
 
-function drawFieldRow(doc, x, y, width, cells, config) {
+function getCellWidths(x, width, cells) {
   const totalSpan = cells.reduce((sum, cell) => sum + (cell.span || 1), 0);
   let currentX = x;
-
-  cells.forEach((cell, index) => {
-    const span = cell.span || 1;
-    const remainingWidth = x + width - currentX;
+  return cells.map((cell, index) => {
     const cellWidth =
       index === cells.length - 1
-        ? remainingWidth
-        : Math.round((width * span) / totalSpan);
+        ? x + width - currentX
+        : Math.round((width * (cell.span || 1)) / totalSpan);
+    currentX += cellWidth;
+    return cellWidth;
+  });
+}
+
+// With config.wrapValues (paginated layout) values wrap inside a row of `height`
+// instead of being cut off with an ellipsis.
+function drawFieldRow(doc, x, y, width, cells, config, height = config.rowHeight) {
+  const cellWidths = getCellWidths(x, width, cells);
+  let currentX = x;
+
+  cells.forEach((cell, index) => {
+    const cellWidth = cellWidths[index];
 
     doc
-      .rect(currentX, y, cellWidth, config.rowHeight)
+      .rect(currentX, y, cellWidth, height)
       .strokeColor("#94a3b8")
       .lineWidth(0.55)
       .stroke();
@@ -283,6 +259,19 @@ function drawFieldRow(doc, x, y, width, cells, config) {
 
     doc.font("Helvetica").fontSize(config.valueFontSize).fillColor("#0f172a");
     const emptyFallback = config.showEmptyPlaceholder ? "-" : "";
+    if (config.wrapValues) {
+      doc.text(
+        valueOrDash(cell.value, config.showEmptyPlaceholder),
+        currentX + inset,
+        y + config.valueOffsetY,
+        {
+          width: textWidth,
+          height: height - config.valueOffsetY,
+        },
+      );
+      currentX += cellWidth;
+      return;
+    }
     doc.text(
       truncateText(
         doc,
@@ -302,7 +291,7 @@ function drawFieldRow(doc, x, y, width, cells, config) {
   });
 
   doc.fillColor("#000000");
-  return y + config.rowHeight;
+  return y + height;
 }
 
 function drawAuthorizationTerms(doc, x, y, width, text, config) {
@@ -419,6 +408,9 @@ function drawAuthorizationDoubleLine(doc, x, y, width, left, right, config) {
     config,
     Boolean(left.required),
   );
+  if (!right) {
+    return nextY;
+  }
   drawAuthorizationLine(
     doc,
     x + columnWidth + columnGap,
@@ -432,11 +424,13 @@ function drawAuthorizationDoubleLine(doc, x, y, width, left, right, config) {
   return nextY;
 }
 
-function drawAuthorizationSection(doc, x, y, width, record, config) {
-  const owner1Name =
-    `${record.owner_first_name || ""} ${record.owner_last_name || ""}`.trim();
-  const owner2Name =
-    `${record.additional_owner_first_name || ""} ${record.additional_owner_last_name || ""}`.trim();
+function drawAuthorizationSection(doc, x, y, width, record, config, ownerCount = 2) {
+  const owners = getApplicationOwners(record);
+  const signer = (index) => {
+    if (index >= Math.max(2, ownerCount)) return null;
+    const owner = owners[index] || {};
+    return { number: index + 1, required: index === 0, ...owner };
+  };
 
   let currentY = drawSectionHeader(doc, x, y, width, "AUTHORIZATION", config);
   currentY = drawAuthorizationTerms(
@@ -448,29 +442,36 @@ function drawAuthorizationSection(doc, x, y, width, record, config) {
     config,
   );
 
-  // ── Side-by-side: Owner #1 (left) | Owner #2 (right) ────────────────────
-  currentY = drawAuthorizationDoubleLine(
-    doc, x, currentY, width,
-    { label: "Owner #1 Name (Print)", value: owner1Name,          required: true  },
-    { label: "Owner #2 Name (Print)", value: owner2Name,          required: false },
-    config,
-  );
-  // Extra vertical space so the drawn/uploaded signature image fits
-  currentY += config.authorizationSignatureExtraGap;
-  currentY = drawAuthorizationDoubleLine(
-    doc, x, currentY, width,
-    { label: "Owner #1 Signature",    value: record.signature,    required: true  },
-    { label: "Owner #2 Signature",    value: record.signature_additional, required: false },
-    config,
-  );
-  currentY = drawAuthorizationDoubleLine(
-    doc, x, currentY, width,
-    { label: "Date",                  value: record.application_date,          required: true  },
-    { label: "Date",                  value: record.application_date_additional, required: false },
-    config,
-  );
+  // ── Side-by-side: Owner #1 (left) | Owner #2 (right), then #3 | #4 ... ──
+  for (let index = 0; index < Math.max(2, ownerCount); index += 2) {
+    const left = signer(index);
+    const right = signer(index + 1);
+    const line = (owner, label, value) =>
+      owner && { label, value, required: owner.required };
+
+    currentY = drawAuthorizationDoubleLine(
+      doc, x, currentY, width,
+      line(left, `Owner #${left.number} Name (Print)`, left.name),
+      line(right, `Owner #${index + 2} Name (Print)`, right?.name),
+      config,
+    );
+    // Extra vertical space so the drawn/uploaded signature image fits
+    currentY += config.authorizationSignatureExtraGap;
+    currentY = drawAuthorizationDoubleLine(
+      doc, x, currentY, width,
+      line(left, `Owner #${left.number} Signature`, left.signature),
+      line(right, `Owner #${index + 2} Signature`, right?.signature),
+      config,
+    );
+    currentY = drawAuthorizationDoubleLine(
+      doc, x, currentY, width,
+      line(left, "Date", left.application_date),
+      line(right, "Date", right?.application_date),
+      config,
+    );
 
-  currentY += config.authorizationOwnerGap;
+    currentY += config.authorizationOwnerGap;
+  }
 
   return currentY;
 }
@@ -483,7 +484,33 @@ function field(fieldKey, label, value, span = 1, options = {}) {
   };
 }
 
-function buildSections(record) {
+/** Two rows per owner: names, SSN, DOB and share; then home address and contact. */
+function buildOwnerRows(record, index) {
+  const name = (key) => ownerFieldName(index, key);
+  const options = { forceRequired: index === 0 };
+  return [
+    // Owner Row 1: First | Last | SSN | DOB | Ownership%
+    [
+      field(name("first_name"), "First Name", record[name("first_name")], 3, options),
+      field(name("last_name"), "Last Name", record[name("last_name")], 3, options),
+      field(name("ssn"), "SSN", record[name("ssn")], 4, options),
+      field(name("dob"), "DOB", record[name("dob")], 3, options),
+      field(name("ownership"), "Ownership %", record[name("ownership")], 3, options),
+    ],
+    // Owner Row 2: Address | City | State | Zip | Phone | Email
+    [
+      field(name("address"), "Street Address", record[name("address")], 5),
+      field(name("city"), "City", record[name("city")], 2),
+      field(name("state"), "State", record[name("state")], 2),
+      field(name("zip"), "Zip", record[name("zip")], 2),
+      field(name("contact"), "Phone", record[name("contact")], 2),
+      field(name("email"), "Email", record[name("email")], 3),
+    ],
+  ];
+}
+
+/** `ownerCount` above two adds owner blocks (paginated layout only). */
+function buildSections(record, ownerCount = 2) {
   const preferredContact =
     `${record.first_name || ""} ${record.last_name || ""}`.trim();
 
@@ -556,42 +583,9 @@ function buildSections(record) {
     },
     {
       title: "OWNERSHIP INFORMATION",
-      rows: [
-        // Owner #1 Row 1: First | Last | SSN | DOB | Ownership%
-        [
-          field("owner_first_name", "First Name", record.owner_first_name, 3, { forceRequired: true }),
-          field("owner_last_name", "Last Name", record.owner_last_name, 3, { forceRequired: true }),
-          field("owner_ssn", "SSN", record.owner_ssn, 4, { forceRequired: true }),
-          field("owner_dob", "DOB", record.owner_dob, 3, { forceRequired: true }),
-          field("owner_ownership", "Ownership %", record.owner_ownership, 3, { forceRequired: true }),
-        ],
-        // Owner #1 Row 2: Address | City | State | Zip | Phone | Email
-        [
-          field("owner_address", "Street Address", record.owner_address, 5),
-          field("owner_city", "City", record.owner_city, 2),
-          field("owner_state", "State", record.owner_state, 2),
-          field("owner_zip", "Zip", record.owner_zip, 2),
-          field("owner_contact", "Phone", record.owner_contact, 2),
-          field("owner_email", "Email", record.owner_email, 3),
-        ],
-        // Owner #2 Row 1: First | Last | SSN | DOB | Ownership%
-        [
-          field("additional_owner_first_name", "First Name", record.additional_owner_first_name, 3),
-          field("additional_owner_last_name", "Last Name", record.additional_owner_last_name, 3),
-          field("additional_owner_ssn", "SSN", record.additional_owner_ssn, 4),
-          field("additional_owner_dob", "DOB", record.additional_owner_dob, 3),
-          field("additional_owner_ownership", "Ownership %", record.additional_owner_ownership, 3),
-        ],
-        // Owner #2 Row 2: Address | City | State | Zip | Phone | Email
-        [
-          field("additional_owner_address", "Street Address", record.additional_owner_address, 5),
-          field("additional_owner_city", "City", record.additional_owner_city, 2),
-          field("additional_owner_state", "State", record.additional_owner_state, 2),
-          field("additional_owner_zip", "Zip", record.additional_owner_zip, 2),
-          field("additional_owner_contact", "Phone", record.additional_owner_contact, 2),
-          field("additional_owner_email", "Email", record.additional_owner_email, 3),
-        ],
-      ],
+      rows: Array.from({ length: Math.max(2, ownerCount) }, (_, index) =>
+        buildOwnerRows(record, index),
+      ).flat(),
     },
     {
       title: "REFERENCES",
@@ -683,6 +677,7 @@ function createLayoutConfig(scale = 1, options = {}) {
     authorizationColumnGap: Math.max(8, Math.floor(12 * scale)),
 
     showEmptyPlaceholder: options.showEmptyPlaceholder !== false,
+    wrapValues: options.wrapValues === true,
   };
 }
 
@@ -752,6 +747,158 @@ function renderOnePageLayout(doc, record, options = {}) {
   y = drawAuthorizationSection(doc, contentX, y, contentWidth, record, config);
 }
 
+/**
+ * Height each row needs at full size for its wrapped values, keyed by rowKey().
+ * Rows that fit on one line keep config.rowHeight; none exceeds MAX_ROW_HEIGHT.
+ */
+function measureRowHeights(doc, sections, width, config) {
+  const heights = {};
+  doc.font("Helvetica").fontSize(config.valueFontSize);
+  sections.forEach((section, sectionIndex) => {
+    section.rows.forEach((row, rowIndex) => {
+      const cellWidths = getCellWidths(0, width, row);
+      const needed = row.reduce((tallest, cell, index) => {
+        const textWidth = Math.max(10, cellWidths[index] - 10);
+        const value = valueOrDash(cell.value, config.showEmptyPlaceholder);
+        // A couple of points of slack so AcroForm multiline fields wrap the same way.
+        const valueHeight = doc.heightOfString(value, { width: textWidth - 4 });
+        return Math.max(tallest, Math.ceil(config.valueOffsetY + valueHeight + 4));
+      }, config.rowHeight);
+      heights[rowKey(sectionIndex, rowIndex)] = Math.min(needed, MAX_ROW_HEIGHT);
+    });
+  });
+  return heights;
+}
+
+function drawPageNumbers(doc) {
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index += 1) {
+    doc.switchToPage(index);
+    const margin = doc.page.margins.left;
+    const bottom = doc.page.margins.bottom;
+    // Writing inside the bottom margin would otherwise make pdfkit add a page.
+    doc.page.margins.bottom = 0;
+    doc.font("Helvetica").fontSize(7).fillColor("#64748b");
+    doc.text(
+      `Page ${index - range.start + 1} of ${range.count}`,
+      margin,
+      doc.page.height - bottom - PAGE_FOOTER_HEIGHT + 5,
+      { width: doc.page.width - margin * 2, align: "right", lineBreak: false },
+    );
+    doc.page.margins.bottom = bottom;
+  }
+  doc.fillColor("#000000");
+}
+
+/**
+ * Sections flow across as many LETTER pages as the values need, at full size.
+ * Every page repeats the logo header; a section that continues on a new page
+ * repeats its header. Page breaks come from paginateSections() so the AcroForm
+ * overlay (pdf-field-coords.js) lands on the same rows.
+ *
+ * options.rowHeights  use these row heights instead of measuring `record`
+ *                     (the fillable overlay draws a blank page sized for the values)
+ * options.ownerCount  owner blocks to draw; defaults to the owners on `record`
+ */
+function renderPaginatedLayout(doc, record, options = {}) {
+  const pageMargin = doc.page.margins.left;
+  const contentX = pageMargin;
+  const contentWidth = doc.page.width - pageMargin * 2;
+  const ownerCount = options.ownerCount || countOwners(record);
+  const sections = buildSections(record, ownerCount);
+  const config = createLayoutConfig(1, {
+    showEmptyPlaceholder: options.emptyFields !== true,
+    wrapValues: true,
+  });
+
+  const pageTop = drawLogoHeader(doc, options);
+  const pageBottom =
+    doc.page.height - doc.page.margins.bottom - PAGE_FOOTER_HEIGHT;
+  const firstPageTop = drawLegend(doc, contentX, pageTop, contentWidth, config);
+  const rowHeights =
+    options.rowHeights || measureRowHeights(doc, sections, contentWidth, config);
+
+  const plan = paginateSections(sections, config, {
+    firstPageTop,
+    pageTop,
+    pageBottom,
+    rowHeights,
+    ownerCount,
+  });
+
+  let currentPage = 0;
+  const goToPage = (page) => {
+    while (currentPage < page) {
+      doc.addPage();
+      drawLogoHeader(doc, options);
+      currentPage += 1;
+    }
+  };
+
+  // Each header sits directly above the first row of its section on that page.
+  const drawnHeaders = new Set();
+  plan.rows.forEach((placement) => {
+    goToPage(placement.page);
+    const section = sections[placement.sectionIndex];
+    const header = plan.headers.find(
+      (item) => item.page === placement.page && item.sectionIndex === placement.sectionIndex,
+    );
+    if (header && !drawnHeaders.has(header)) {
+      drawnHeaders.add(header);
+      drawSectionHeader(
+        doc,
+        contentX,
+        header.y,
+        contentWidth,
+        header.continued ? `${section.title} (CONTINUED)` : section.title,
+        config,
+      );
+    }
+    drawFieldRow(
+      doc,
+      contentX,
+      placement.y,
+      contentWidth,
+      section.rows[placement.rowIndex],
+      config,
+      placement.height,
+    );
+  });
+
+  goToPage(plan.authorization.page);
+  drawAuthorizationSection(doc, contentX, plan.authorization.y, contentWidth, record, config, ownerCount);
+  drawPageNumbers(doc);
+}
+
+/**
+ * Whether the one-page layout would leave something out: more than two owners,
+ * or a row that needs more than its single line at full size.
+ */
+function needsPaginatedLayout(record, options = {}) {
+  if (countOwners(record) > 2) {
+    return true;
+  }
+  return Object.keys(measureApplicationRows(record, options).overflowing).length > 0;
+}
+
+/**
+ * Row heights the paginated layout gives `record`. Used to draw a blank
+ * layout with room for the values and to place the matching AcroForm fields.
+ * Returns { rowHeights, overflowing } where overflowing lists the taller rows.
+ */
+function measureApplicationRows(record, options = {}) {
+  const margin = options.margin || 24;
+  const doc = new PDFDocument({ size: "LETTER", margin, autoFirstPage: true });
+  const contentWidth = doc.page.width - margin * 2;
+  const config = createLayoutConfig(1, { showEmptyPlaceholder: false, wrapValues: true });
+  const sections = buildSections(record, countOwners(record));
+  const rowHeights = measureRowHeights(doc, sections, contentWidth, config);
+  const overflowing = Object.fromEntries(
+    Object.entries(rowHeights).filter(([, height]) => height > config.rowHeight),
+  );
+  return { rowHeights, overflowing };
+}
+
 async function generateApplicationPdfBuffer(record, options = {}) {
   let logoSvg = WEBSITE_LOGO_KIND === "svg" ? WEBSITE_LOGO_ASSET : null;
   let logoImage = WEBSITE_LOGO_KIND === "image" ? WEBSITE_LOGO_ASSET : null;
@@ -772,9 +919,11 @@ async function generateApplicationPdfBuffer(record, options = {}) {
   }
 
   return new Promise((resolve, reject) => {
+    const paginated = options.layout === "paginated";
     const doc = new PDFDocument({
       size: "LETTER",
       margin: options.margin || 24,
+      bufferPages: paginated,
       info: {
         Title: "Business Funding Application",
         Author: options.companyName || "No Limit Capital",
@@ -787,7 +936,8 @@ async function generateApplicationPdfBuffer(record, options = {}) {
     doc.on("error", reject);
     doc.on("end", () => resolve(Buffer.concat(chunks)));
 
-    renderOnePageLayout(doc, record, {
+    const render = paginated ? renderPaginatedLayout : renderOnePageLayout;
+    render(doc, record, {
       ...options,
       logoSvg,
       logoImage,
@@ -798,4 +948,6 @@ async function generateApplicationPdfBuffer(record, options = {}) {
 
 module.exports = {
   generateApplicationPdfBuffer,
+  measureApplicationRows,
+  needsPaginatedLayout,
 };
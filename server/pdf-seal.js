@@ -0,0 +1,119 @@
+'use strict';
+
+/**
+ * pdf-seal.js
+ *
+ * Sealed copy of a generated application PDF. The copy staff work from stays
+ * editable (form fields can still be corrected); the sealed copy has every
+ * field flattened into the page content and its SHA-256 is recorded, so any
+ * PDF later presented as "the application" can be checked byte for byte.
+ *
+ * With a PKCS#12 bundle configured the sealed copy is also digitally signed
+ * (detached PKCS#7 via @signpdf), so PDF readers show who sealed it and
+ * report any change made after signing. The signature covers the whole file;
+ * the recorded hash is taken after signing.
+ */
+
+const crypto = require('crypto');
+const forge = require('node-forge');
+const { PDFDocument } = require('pdf-lib');
+const { SignPdf } = require('@signpdf/signpdf');
+const { P12Signer } = require('@signpdf/signer-p12');
+const { pdflibAddPlaceholder } = require('@signpdf/placeholder-pdf-lib');
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Subject common name of the bundle's certificate. Throws when the bundle
+ * cannot be opened, so a wrong passphrase shows up at startup rather than on
+ * the first submission.
+ */
+function readCertificateName(p12, passphrase) {
+  const bundle = forge.pkcs12.pkcs12FromAsn1(forge.asn1.fromDer(p12.toString('binary')), passphrase);
+  const keyBags = bundle.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || [];
+  const certBags = bundle.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [];
+  if (keyBags.length === 0 || certBags.length === 0) {
+    throw new Error('PKCS#12 bundle needs a private key and a certificate');
+  }
+  const subject = certBags[0].cert.subject;
+  return subject.getField('CN')?.value || subject.getField('O')?.value || 'Unnamed certificate';
+}
+
+/**
+ * @param {object} [options]
+ * @param {Buffer|null} [options.p12]        PKCS#12 bundle; without one the copy is flattened and hashed only
+ * @param {string} [options.passphrase]
+ * @param {string} [options.reason]          shown in the reader's signature panel
+ * @param {string} [options.location]
+ * @param {string} [options.contactInfo]
+ * @param {number} [options.signatureLength] bytes reserved for the signature; raise it for long certificate chains
+ */
+function createPdfSealer({
+  p12 = null,
+  passphrase = '',
+  reason = 'Sealed copy of the submitted application',
+  location = '',
+  contactInfo = '',
+  signatureLength,
+} = {}) {
+  const signerName = p12 ? readCertificateName(p12, passphrase) : null;
+  const signer = p12 ? new P12Signer(p12, { passphrase }) : null;
+  const signPdf = new SignPdf();
+
+  /** Flatten (and sign) a copy of `buffer`: { buffer, sha256, signed, signer, sealedAt }. */
+  async function seal(buffer, { now = new Date() } = {}) {
+    const pdfDoc = await PDFDocument.load(buffer);
+    pdfDoc.getForm().flatten();
+    pdfDoc.setModificationDate(now);
+
+    let sealed;
+    if (signer) {
+      pdflibAddPlaceholder({
+        pdfDoc,
+        reason,
+        location,
+        contactInfo,
+        name: signerName,
+        signingTime: now,
+        ...(signatureLength && { signatureLength }),
+      });
+      // The placeholder is found by scanning the file, which object streams would hide.
+      const unsigned = Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+      sealed = await signPdf.sign(unsigned, signer, now);
+    } else {
+      sealed = Buffer.from(await pdfDoc.save());
+    }
+
+    return {
+      buffer: sealed,
+      sha256: sha256(sealed),
+      signed: Boolean(signer),
+      signer: signerName,
+      sealedAt: now.toISOString(),
+    };
+  }
+
+  return {
+    signing: Boolean(signer),
+    signerName,
+    seal,
+  };
+}
+
+/**
+ * Compare an uploaded PDF with an application's recorded hashes.
+ * `matchedCopy` is 'sealed', 'editable' (the unsealed original) or null.
+ */
+function comparePdf(buffer, { sealedSha256, editableSha256 } = {}) {
+  const hash = sha256(buffer);
+  const matchedCopy = hash === sealedSha256 ? 'sealed' : hash === editableSha256 ? 'editable' : null;
+  return { sha256: hash, match: matchedCopy === 'sealed', matchedCopy };
+}
+
+module.exports = {
+  readCertificateName,
+  createPdfSealer,
+  comparePdf,
+};
@@ -2,8 +2,15 @@
 
 const fs   = require('fs/promises');
 const path = require('path');
-const { PDFDocument, StandardFonts, PDFName, PDFNumber } = require('pdf-lib');
+const {
+  PDFDocument, StandardFonts, PDFName, PDFNumber, rgb,
+  PDFTextField, PDFCheckBox, PDFDropdown, PDFOptionList, PDFRadioGroup,
+} = require('pdf-lib');
 const { computeFieldCoords } = require('./pdf-field-coords');
+const { renderTemplate } = require('./email-renderer');
+const {
+  MAX_OWNERS, OWNER_FIELDS, countOwners, getApplicationOwners, ownerFieldName, ownerSignatureFields, parseCurrency,
+} = require('./application-schema');
 
 // ---------------------------------------------------------------------------
 // Shared helper: white background on all AcroForm field widgets
@@ -67,6 +74,21 @@ function setTextField(form, name, value) {
 // Field map — does NOT include signature fields (handled separately below)
 // ---------------------------------------------------------------------------
 
+// Owners #3 and up only exist in the paginated layout; the template has no fields for them.
+function buildExtraOwnerMappings(record) {
+  const fields = {};
+  for (let index = 2; index < MAX_OWNERS; index += 1) {
+    Object.keys(OWNER_FIELDS).forEach((key) => {
+      const name = ownerFieldName(index, key);
+      fields[name] = key === 'dob' ? formatDate(record[name]) : record[name];
+    });
+    const owner = `${normalizeValue(record[ownerFieldName(index, 'first_name')])} ${normalizeValue(record[ownerFieldName(index, 'last_name')])}`.trim();
+    fields[`sig_owner${index + 1}_name`] = owner;
+    fields[ownerSignatureFields(index).date] = formatDate(record[ownerSignatureFields(index).date]);
+  }
+  return fields;
+}
+
 function buildFieldMappings(record) {
   const preferred = `${normalizeValue(record.first_name)} ${normalizeValue(record.last_name)}`.trim();
   const owner1    = `${normalizeValue(record.owner_first_name)} ${normalizeValue(record.owner_last_name)}`.trim();
@@ -147,9 +169,20 @@ function buildFieldMappings(record) {
 
     application_date: formatDate(record.application_date),
     application_date_additional: formatDate(record.application_date_additional),
+
+    ...buildExtraOwnerMappings(record),
   };
 }
 
+/** Signature field, submitted value and typed-name fallback for every owner. */
+function buildSignatureFields(record) {
+  return getApplicationOwners(record).map((owner, index) => ({
+    field:    ownerSignatureFields(index).signature,
+    raw:      owner.signature,
+    fallback: owner.name,
+  }));
+}
+
 // ---------------------------------------------------------------------------
 // Signature image embedding
 // ---------------------------------------------------------------------------
@@ -189,6 +222,210 @@ async function embedSignatureImage(pdfDoc, page, form, fieldName, dataUri) {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Bank statement analysis page
+// ---------------------------------------------------------------------------
+
+const FIELD_LABELS = {
+  avg_monthly_deposits: 'Avg monthly deposits',
+  avg_daily_balance:    'Avg daily balance',
+};
+
+// Standard fonts only encode WinAnsi; statement file names can contain anything.
+function toPdfText(value) {
+  return normalizeValue(value).replace(/[^\x20-\x7E]/g, '?');
+}
+
+function formatMoney(value) {
+  if (value === null || value === undefined || !Number.isFinite(Number(value))) return 'n/a';
+  const amount = Number(value);
+  const text = `$${Math.abs(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  return amount < 0 ? `-${text}` : text;
+}
+
+function formatCount(value) {
+  return value === null || value === undefined ? 'n/a' : String(value);
+}
+
+function formatPeriod(start, end) {
+  if (!start && !end) return 'n/a';
+  return `${start ? formatDate(start) : '?'} - ${end ? formatDate(end) : '?'}`;
+}
+
+/**
+ * Append a page summarising `record.statement_analysis` (see statement-analysis.js)
+ * so underwriters see derived figures and mismatch flags next to the application.
+ */
+async function appendStatementAnalysisPage(pdfDoc, analysis) {
+  const regular = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const bold    = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const margin  = 48;
+  let page = pdfDoc.addPage([612, 792]);
+  let y    = 792 - margin;
+
+  const line = (text, { font = regular, size = 10, color = rgb(0.12, 0.16, 0.23), indent = 0, gap = 4 } = {}) => {
+    if (y < margin + size) {
+      page = pdfDoc.addPage([612, 792]);
+      y    = 792 - margin;
+    }
+    page.drawText(toPdfText(text).slice(0, 110), { x: margin + indent, y: y - size, size, font, color });
+    y -= size + gap;
+  };
+
+  line('Bank Statement Analysis', { font: bold, size: 16, gap: 6 });
+  line('Figures are extracted automatically from the uploaded statements. Verify against the originals.', {
+    size: 8, color: rgb(0.39, 0.45, 0.55), gap: 14,
+  });
+
+  const summary = analysis.summary;
+  if (!summary) {
+    line(analysis.reason || 'No statement could be analyzed.', { gap: 14 });
+  } else {
+    line('Summary', { font: bold, size: 12, gap: 6 });
+    [
+      ['Statements analyzed',  formatCount(summary.statementCount)],
+      ['Period covered',       formatPeriod(summary.periodStart, summary.periodEnd)],
+      ['Total deposits',       formatMoney(summary.totalDeposits)],
+      ['Avg monthly deposits', formatMoney(summary.avgMonthlyDeposits)],
+      ['Avg daily balance',    formatMoney(summary.avgDailyBalance)],
+      ['NSF items',            formatCount(summary.nsfCount)],
+      ['Overdraft items',      formatCount(summary.overdraftCount)],
+      ['Negative balance days', formatCount(summary.negativeBalanceDays)],
+    ].forEach(([label, value]) => line(`${label}: ${value}`, { indent: 8 }));
+    y -= 10;
+  }
+
+  const mismatches = Array.isArray(analysis.mismatches) ? analysis.mismatches : [];
+  if (mismatches.length) {
+    line(`Mismatches with reported figures (over ${analysis.tolerancePct}%)`, { font: bold, size: 12, color: rgb(0.73, 0.11, 0.11), gap: 6 });
+    mismatches.forEach((m) => {
+      line(`${FIELD_LABELS[m.field] || m.field}: reported ${formatMoney(m.reported)}, statements show ${formatMoney(m.derived)} (${m.differencePct}% difference)`, {
+        indent: 8, color: rgb(0.73, 0.11, 0.11),
+      });
+    });
+    y -= 10;
+  }
+
+  line('Statements', { font: bold, size: 12, gap: 6 });
+  (analysis.statements || []).forEach((s) => {
+    line(s.fileName || 'statement', { font: bold, indent: 8, gap: 3 });
+    if (s.status !== 'analyzed') {
+      line(`Not analyzed: ${s.reason || s.error || s.status}`, { indent: 16, size: 9, gap: 8 });
+      return;
+    }
+    line(`Period ${formatPeriod(s.period?.start, s.period?.end)} | Opening ${formatMoney(s.openingBalance)} | Closing ${formatMoney(s.closingBalance)}`, { indent: 16, size: 9, gap: 3 });
+    line(`Deposits ${formatMoney(s.totalDeposits)} | NSF ${formatCount(s.nsfCount)} | Overdraft ${formatCount(s.overdraftCount)} | Negative days ${formatCount(s.negativeBalanceDays)}`, { indent: 16, size: 9, gap: 8 });
+  });
+}
+
+// ---------------------------------------------------------------------------
+// E-signature certificate page
+// ---------------------------------------------------------------------------
+
+function formatTimestamp(value) {
+  const time = Date.parse(value);
+  return Number.isFinite(time) ? new Date(time).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC') : 'n/a';
+}
+
+function wrapPdfText(text, font, size, maxWidth) {
+  const lines = [];
+  let current = '';
+  toPdfText(text).split(/\s+/).filter(Boolean).forEach((token) => {
+    // Hard-split anything wider than a line (long user agents, tokens without spaces).
+    let word = token;
+    while (font.widthOfTextAtSize(word, size) > maxWidth && word.length > 1) {
+      let cut = word.length - 1;
+      while (cut > 1 && font.widthOfTextAtSize(word.slice(0, cut), size) > maxWidth) cut -= 1;
+      if (current) lines.push(current);
+      lines.push(word.slice(0, cut));
+      current = '';
+      word = word.slice(cut);
+    }
+    const candidate = current ? `${current} ${word}` : word;
+    if (current && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  });
+  if (current) lines.push(current);
+  return lines;
+}
+
+/**
+ * Append a certificate of completion drawn from `record.esign` (see
+ * esign-audit.js): who signed, when, from where, and the hashes of the
+ * consent text, submitted values and each signature.
+ */
+async function appendSignatureCertificatePage(pdfDoc, record) {
+  const audit   = record.esign;
+  const regular = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const bold    = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const mono    = await pdfDoc.embedFont(StandardFonts.Courier);
+  const margin  = 48;
+  const width   = 612 - margin * 2;
+  let page = pdfDoc.addPage([612, 792]);
+  let y    = 792 - margin;
+
+  const line = (text, { font = regular, size = 10, color = rgb(0.12, 0.16, 0.23), indent = 0, gap = 4 } = {}) => {
+    wrapPdfText(text, font, size, width - indent).forEach((part) => {
+      if (y < margin + size) {
+        page = pdfDoc.addPage([612, 792]);
+        y    = 792 - margin;
+      }
+      page.drawText(part, { x: margin + indent, y: y - size, size, font, color });
+      y -= size + 3;
+    });
+    y -= gap - 3;
+  };
+  const field = (label, value, options = {}) => {
+    line(label, { size: 8, color: rgb(0.39, 0.45, 0.55), indent: 8, gap: 2 });
+    line(value || 'n/a', { indent: 8, gap: 8, ...options });
+  };
+  const hash = (label, value) => field(label, value, { font: mono, size: 9 });
+
+  line('Certificate of Completion', { font: bold, size: 16, gap: 6 });
+  line('Electronic signature record captured when this application was submitted. Hashes are SHA-256.', {
+    size: 8, color: rgb(0.39, 0.45, 0.55), gap: 14,
+  });
+
+  line('Application', { font: bold, size: 12, gap: 6 });
+  field('Application ID', record.id);
+  field('Business', record.legal_business_name || record.business_dba);
+  field('Submitted', formatTimestamp(audit.capturedAt));
+  hash('Submitted data hash', audit.applicationDataSha256);
+  y -= 6;
+
+  line('Consent', { font: bold, size: 12, gap: 6 });
+  field('Authorization text version', audit.consent?.version);
+  hash('Authorization text hash', audit.consent?.sha256);
+  const presented = audit.consent?.presentedVersion;
+  if (presented && presented !== audit.consent?.version) {
+    field('Version shown by the form', presented, { color: rgb(0.73, 0.11, 0.11) });
+  }
+  y -= 6;
+
+  line('Submitted from', { font: bold, size: 12, gap: 6 });
+  field('IP address', audit.ip);
+  field('User agent', audit.userAgent, { size: 9 });
+  y -= 6;
+
+  line('Signers', { font: bold, size: 12, gap: 6 });
+  if (!audit.signers?.length) line('No signatures were captured.', { indent: 8, gap: 8 });
+  (audit.signers || []).forEach((signer) => {
+    line(`Owner #${signer.owner}: ${signer.name || 'n/a'}${signer.email ? ` <${signer.email}>` : ''}`, { font: bold, indent: 8, gap: 6 });
+    field('Signature', signer.method === 'drawn' ? `Drawn (${signer.imageType})` : 'Typed');
+    hash('Signature hash', signer.signatureSha256);
+    field('Date entered by signer', formatDate(signer.dateSigned));
+  });
+
+  y -= 6;
+  line('The SHA-256 hash of this complete PDF, including this page, is stored with the application record.', {
+    size: 8, color: rgb(0.39, 0.45, 0.55),
+  });
+}
+
 // ---------------------------------------------------------------------------
 // Main export
 // ---------------------------------------------------------------------------
@@ -218,13 +455,7 @@ async function generateApplicationPdfFromTemplate(record, options = {}) {
   form.updateFieldAppearances(helvetica);
 
   // 2. Handle signature fields — image OR typed text, never the raw data URI
-  const owner1Name = `${normalizeValue(record.owner_first_name)} ${normalizeValue(record.owner_last_name)}`.trim();
-  const owner2Name = `${normalizeValue(record.additional_owner_first_name)} ${normalizeValue(record.additional_owner_last_name)}`.trim();
-
-  const sigPairs = [
-    { field: 'signature',            raw: record.signature,            fallback: owner1Name },
-    { field: 'signature_additional', raw: record.signature_additional, fallback: owner2Name },
-  ];
+  const sigPairs = buildSignatureFields(record);
 
   for (const { field, raw, fallback } of sigPairs) {
     if (isBase64Image(raw)) {
@@ -241,6 +472,13 @@ async function generateApplicationPdfFromTemplate(record, options = {}) {
     }
   }
 
+  if (record.statement_analysis) {
+    await appendStatementAnalysisPage(pdfDoc, record.statement_analysis);
+  }
+  if (record.esign) {
+    await appendSignatureCertificatePage(pdfDoc, record);
+  }
+
   return Buffer.from(await pdfDoc.save());
 }
 
@@ -252,31 +490,46 @@ async function generateApplicationPdfFromTemplate(record, options = {}) {
  * Generates a branded pdfkit PDF and overlays filled AcroForm text fields on top.
  * Produces a fillable PDF identical in appearance to the template path, used when
  * the pre-built template is unavailable.
+ *
+ * options.layout 'paginated' sizes rows for this record's values and lets them
+ * flow across pages (see pdf-field-coords.js); long values get multiline fields.
  */
 async function generateFillablePdfFromLayout(record, options = {}) {
-  const { generateApplicationPdfBuffer } = require('./pdf-layout');
+  const { generateApplicationPdfBuffer, measureApplicationRows } = require('./pdf-layout');
+  const paginated   = options.layout === 'paginated';
+  const margin      = options.margin      || 24;
+  const headerScale = options.headerScale || 0.75;
+  const rowHeights  = paginated ? measureApplicationRows(record, { margin }).rowHeights : undefined;
+  const ownerCount  = paginated ? countOwners(record) : 2;
 
   // Step 1: Generate a BLANK visual pdfkit PDF (labels + underlines, no values).
   // Values are filled in step 3 via AcroForm fields only — avoids double rendering.
   const visualBuf = await generateApplicationPdfBuffer({}, {
     companyName: options.companyName || 'No Limit Capital',
-    margin:      options.margin      || 24,
+    margin,
     logoPath:    options.logoPath,
-    headerScale: options.headerScale || 0.75,
+    headerScale,
+    ...(paginated && { layout: 'paginated', rowHeights, ownerCount, emptyFields: true }),
   });
 
   // Step 2: Load with pdf-lib and overlay AcroForm fields
   const pdfDoc    = await PDFDocument.load(visualBuf);
   const form      = pdfDoc.getForm();
   const helvetica = await pdfDoc.embedFont(StandardFonts.Helvetica);
-  const page      = pdfDoc.getPages()[0];
+  const pages     = pdfDoc.getPages();
   const PAGE_H    = 792;
 
-  const { coords } = computeFieldCoords(612, options.margin || 24, options.headerScale || 0.75);
+  const { coords, config } = computeFieldCoords(612, margin, headerScale, {
+    layout: paginated ? 'paginated' : 'one-page',
+    rowHeights,
+    ownerCount,
+  });
+  const fieldPages = {};
 
   for (const c of coords) {
     if (!c.fieldName) continue;
     const pdfLibY = PAGE_H - c.y - c.height;
+    const page    = pages[c.page] || pages[0];
     try {
       const field = form.createTextField(c.fieldName);
       field.addToPage(page, {
@@ -285,6 +538,12 @@ async function generateFillablePdfFromLayout(record, options = {}) {
         height: Math.max(8, c.height),
         borderWidth: 0,
       });
+      if (c.multiline) {
+        // Same size the layout measured with, so the wrapped value fills the row it was given.
+        field.enableMultiline();
+        field.setFontSize(config.valueFontSize);
+      }
+      fieldPages[c.fieldName] = page;
     } catch (_) {}
   }
 
@@ -296,15 +555,10 @@ async function generateFillablePdfFromLayout(record, options = {}) {
   Object.entries(fieldMap).forEach(([name, value]) => setTextField(form, name, value));
 
   // Step 4: Handle signature fields
-  const owner1Name = `${normalizeValue(record.owner_first_name)} ${normalizeValue(record.owner_last_name)}`.trim();
-  const owner2Name = `${normalizeValue(record.additional_owner_first_name)} ${normalizeValue(record.additional_owner_last_name)}`.trim();
-  const sigPairs = [
-    { field: 'signature',            raw: record.signature,            fallback: owner1Name },
-    { field: 'signature_additional', raw: record.signature_additional, fallback: owner2Name },
-  ];
+  const sigPairs = buildSignatureFields(record);
   for (const { field, raw, fallback } of sigPairs) {
     if (isBase64Image(raw)) {
-      const ok = await embedSignatureImage(pdfDoc, page, form, field, raw);
+      const ok = await embedSignatureImage(pdfDoc, fieldPages[field] || pages[0], form, field, raw);
       if (!ok) setTextField(form, field, fallback);
     } else if (raw && raw.trim()) {
       setTextField(form, field, raw.trim());
@@ -313,7 +567,130 @@ async function generateFillablePdfFromLayout(record, options = {}) {
     }
   }
 
+  if (record.statement_analysis) {
+    await appendStatementAnalysisPage(pdfDoc, record.statement_analysis);
+  }
+  if (record.esign) {
+    await appendSignatureCertificatePage(pdfDoc, record);
+  }
+
+  return Buffer.from(await pdfDoc.save());
+}
+
+// ---------------------------------------------------------------------------
+// Funder templates (see pdf-template-registry.js)
+// ---------------------------------------------------------------------------
+
+const FUNDER_FORMATS = {
+  date:     formatDate,
+  yesno:    toYesNo,
+  currency: (value) => {
+    const amount = parseCurrency(value);
+    return amount === null ? normalizeValue(value) : formatMoney(amount);
+  },
+  digits:   (value) => normalizeValue(value).replace(/\D/g, ''),
+};
+
+/** PDF field -> value for a manifest's `fields`. */
+function buildFunderFieldValues(record, fields) {
+  const values = {};
+  Object.entries(fields).forEach(([name, spec]) => {
+    let value;
+    if (spec.field) value = record[spec.field];
+    else if (spec.template) value = renderTemplate(spec.template, record);
+    else value = spec.value;
+    values[name] = spec.format ? FUNDER_FORMATS[spec.format](value) : normalizeValue(value);
+  });
+  return values;
+}
+
+/** Same shape as buildSignatureFields, for a manifest's PDF field -> owner number map. */
+function buildFunderSignatureFields(record, signatures) {
+  const owners = getApplicationOwners(record);
+  return Object.entries(signatures)
+    .filter(([, number]) => owners[number - 1])
+    .map(([field, number]) => ({ field, raw: owners[number - 1].signature, fallback: owners[number - 1].name }));
+}
+
+/** Text, checkbox, dropdown, list and radio fields; false when the field is missing or the value does not fit. */
+function setFormField(form, name, value) {
+  const field = form.getFieldMaybe(name);
+  const text  = normalizeValue(value);
+  try {
+    if (field instanceof PDFTextField) {
+      field.setText(text);
+    } else if (field instanceof PDFCheckBox) {
+      if (toYesNo(text) === 'YES') field.check(); else field.uncheck();
+    } else if (field instanceof PDFDropdown || field instanceof PDFOptionList || field instanceof PDFRadioGroup) {
+      if (!text) return true;
+      const option = field.getOptions().find((item) => item.toLowerCase() === text.toLowerCase());
+      if (!option) return false;
+      field.select(option);
+    } else {
+      return false;
+    }
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Page a field's first widget sits on (funder templates are often several pages). */
+function findFieldPage(pdfDoc, form, name) {
+  const pages  = pdfDoc.getPages();
+  const widget = form.getField(name).acroField.getWidgets()[0];
+  const ref    = widget && pdfDoc.context.getObjectRef(widget.dict);
+  return pages.find((page) => (widget?.P() && page.ref === widget.P())
+    || (ref && page.node.Annots()?.asArray().includes(ref))) || pages[0];
+}
+
+/**
+ * Fill a funder's own PDF from a stored record, using a registry template
+ * ({ id, path, fields, signatures, flatten }). Signatures are drawn the same
+ * way as on the house template; the certificate of completion is appended so
+ * the signature evidence travels with the copy. The statement analysis is
+ * internal and is not.
+ */
+async function generateFunderApplicationPdf(record, template) {
+  if (!template?.path) throw new Error('No funder template path');
+  if (!await fileExists(template.path)) throw new Error(`Template not found: ${template.path}`);
+
+  const pdfDoc    = await PDFDocument.load(await fs.readFile(template.path));
+  const form      = pdfDoc.getForm();
+  const helvetica = await pdfDoc.embedFont(StandardFonts.Helvetica);
+
+  Object.entries(buildFunderFieldValues(record, template.fields)).forEach(([name, value]) => {
+    if (!setFormField(form, name, value) && value) {
+      console.warn(`[pdf-fill] ${template.id}: could not set "${name}"`);
+    }
+  });
+  form.updateFieldAppearances(helvetica);
+
+  for (const { field, raw, fallback } of buildFunderSignatureFields(record, template.signatures)) {
+    if (!form.getFieldMaybe(field)) continue;
+    if (isBase64Image(raw)) {
+      const ok = await embedSignatureImage(pdfDoc, findFieldPage(pdfDoc, form, field), form, field, raw);
+      if (!ok) setTextField(form, field, fallback);
+    } else {
+      setTextField(form, field, raw && raw.trim() ? raw.trim() : fallback);
+    }
+  }
+
+  if (template.flatten) form.flatten();
+  if (record.esign) {
+    await appendSignatureCertificatePage(pdfDoc, record);
+  }
+
   return Buffer.from(await pdfDoc.save());
 }
 
-module.exports = { generateApplicationPdfFromTemplate, generateFillablePdfFromLayout };
+module.exports = {
+  generateApplicationPdfFromTemplate,
+  generateFunderApplicationPdf,
+  generateFillablePdfFromLayout,
+  // Used by inspect-template-fields.js to check the template against the mappings.
+  buildFieldMappings,
+  buildExtraOwnerMappings,
+  buildSignatureFields,
+  buildFunderFieldValues,
+};
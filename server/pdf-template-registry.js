@@ -0,0 +1,383 @@
+'use strict';
+
+/**
+ * pdf-template-registry.js
+ *
+ * Funder-specific application PDFs. Each funder template is a directory under
+ * the template root holding the funder's fillable PDF and a manifest that maps
+ * its form fields to application fields:
+ *
+ *   pdf-templates/
+ *     nolimitcap-empty-application.pdf   house template (not part of the registry)
+ *     <id>/manifest.json
+ *     <id>/<manifest.file>.pdf
+ *
+ * manifest.json:
+ *   name         display name (defaults to the id)
+ *   file         PDF file name inside the template directory
+ *   priority     higher wins when several templates match (default 0)
+ *   rules        { products, states, minLoanAmount, maxLoanAmount }; every rule
+ *                that is set must match, a template without rules matches all
+ *   fields       { "<PDF field>": spec }, where spec is
+ *                  "loan_amount"                      an application field
+ *                  "{{owner_first_name}} {{owner_last_name}}"  a template (email-renderer syntax)
+ *                  { "field" | "template" | "value", "format" }  format: date | currency | yesno | digits
+ *   signatures   { "<PDF text field>": <owner number> }, drawn like the house template's
+ *   flatten      true to flatten the form after filling (default false)
+ *   enabled      false to keep the template out of selection; it can still be
+ *                inspected and generated by id (default true)
+ *
+ * A manifest with errors is listed but never selected or generated. Mapped
+ * fields the PDF does not have are warnings: the rest of the form still fills.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { PDFDocument, PDFTextField } = require('pdf-lib');
+const { parseTemplate } = require('./email-renderer');
+const { APPLICATION_SCHEMA, US_STATE_CODES, MAX_OWNERS, parseCurrency } = require('./application-schema');
+
+const TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const FIELD_FORMATS = ['date', 'currency', 'yesno', 'digits'];
+const RULE_KEYS = ['products', 'states', 'minLoanAmount', 'maxLoanAmount'];
+
+function normalizeText(value) {
+  return String(value ?? '').trim();
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// ---------------------------------------------------------------------------
+// Manifest parsing
+// ---------------------------------------------------------------------------
+
+function parseFieldSpec(pdfField, spec, errors) {
+  const where = `fields["${pdfField}"]`;
+  const parseTemplateSource = (source) => {
+    try {
+      return parseTemplate(source, where);
+    } catch (error) {
+      errors.push(`${where}: ${error.message}`);
+      return null;
+    }
+  };
+
+  if (typeof spec === 'string') {
+    if (spec.includes('{{')) return { template: parseTemplateSource(spec) };
+    if (!APPLICATION_SCHEMA[spec]) errors.push(`${where}: unknown application field "${spec}"`);
+    return { field: spec };
+  }
+
+  if (!isPlainObject(spec)) {
+    errors.push(`${where}: expected a field name, a template or an object`);
+    return null;
+  }
+
+  const sources = ['field', 'template', 'value'].filter((key) => spec[key] !== undefined);
+  if (sources.length !== 1) {
+    errors.push(`${where}: set exactly one of field, template or value`);
+    return null;
+  }
+  if (spec.format !== undefined && !FIELD_FORMATS.includes(spec.format)) {
+    errors.push(`${where}: format must be one of ${FIELD_FORMATS.join(', ')}`);
+  }
+
+  const parsed = { format: spec.format };
+  if (spec.field !== undefined) {
+    if (!APPLICATION_SCHEMA[spec.field]) errors.push(`${where}: unknown application field "${spec.field}"`);
+    parsed.field = spec.field;
+  } else if (spec.template !== undefined) {
+    parsed.template = parseTemplateSource(String(spec.template));
+  } else {
+    parsed.value = normalizeText(spec.value);
+  }
+  return parsed;
+}
+
+function parseRules(rules, errors) {
+  if (rules === undefined) return {};
+  if (!isPlainObject(rules)) {
+    errors.push('rules must be an object');
+    return {};
+  }
+
+  const parsed = {};
+  Object.keys(rules).filter((key) => !RULE_KEYS.includes(key))
+    .forEach((key) => errors.push(`rules.${key} is not a supported rule (use ${RULE_KEYS.join(', ')})`));
+
+  if (rules.products !== undefined) {
+    if (!Array.isArray(rules.products) || !rules.products.every((item) => normalizeText(item))) {
+      errors.push('rules.products must be a list of product names');
+    } else {
+      parsed.products = rules.products.map(normalizeText);
+    }
+  }
+
+  if (rules.states !== undefined) {
+    const states = Array.isArray(rules.states) ? rules.states.map((item) => normalizeText(item).toUpperCase()) : null;
+    const invalid = states ? states.filter((code) => !US_STATE_CODES.has(code)) : [];
+    if (!states) errors.push('rules.states must be a list of 2-letter state codes');
+    else if (invalid.length) errors.push(`rules.states has unknown state codes: ${invalid.join(', ')}`);
+    else parsed.states = states;
+  }
+
+  ['minLoanAmount', 'maxLoanAmount'].forEach((key) => {
+    if (rules[key] === undefined) return;
+    const amount = Number(rules[key]);
+    if (!Number.isFinite(amount) || amount < 0) errors.push(`rules.${key} must be a non-negative number`);
+    else parsed[key] = amount;
+  });
+  if (parsed.minLoanAmount !== undefined && parsed.maxLoanAmount !== undefined && parsed.minLoanAmount > parsed.maxLoanAmount) {
+    errors.push('rules.minLoanAmount is greater than rules.maxLoanAmount');
+  }
+
+  return parsed;
+}
+
+function parseSignatures(signatures, errors) {
+  if (signatures === undefined) return {};
+  if (!isPlainObject(signatures)) {
+    errors.push('signatures must be an object of PDF field -> owner number');
+    return {};
+  }
+  const parsed = {};
+  Object.entries(signatures).forEach(([pdfField, owner]) => {
+    if (!Number.isInteger(owner) || owner < 1 || owner > MAX_OWNERS) {
+      errors.push(`signatures["${pdfField}"] must be an owner number from 1 to ${MAX_OWNERS}`);
+    } else {
+      parsed[pdfField] = owner;
+    }
+  });
+  return parsed;
+}
+
+/** Validate a manifest object; returns the parsed template and its errors. */
+function parseManifest(id, manifest) {
+  const errors = [];
+  if (!isPlainObject(manifest)) {
+    return { template: { id, name: id }, errors: ['manifest.json must contain an object'] };
+  }
+
+  let file = normalizeText(manifest.file);
+  if (!file) errors.push('file is required');
+  else if (path.basename(file) !== file || !file.toLowerCase().endsWith('.pdf')) {
+    errors.push('file must be a PDF file name inside the template directory');
+    file = '';
+  }
+
+  const priority = manifest.priority === undefined ? 0 : Number(manifest.priority);
+  if (!Number.isFinite(priority)) errors.push('priority must be a number');
+
+  if (manifest.flatten !== undefined && typeof manifest.flatten !== 'boolean') errors.push('flatten must be true or false');
+  if (manifest.enabled !== undefined && typeof manifest.enabled !== 'boolean') errors.push('enabled must be true or false');
+
+  const fields = {};
+  if (!isPlainObject(manifest.fields) || Object.keys(manifest.fields).length === 0) {
+    errors.push('fields must map at least one PDF field');
+  } else {
+    Object.entries(manifest.fields).forEach(([pdfField, spec]) => {
+      const parsed = parseFieldSpec(pdfField, spec, errors);
+      if (parsed) fields[pdfField] = parsed;
+    });
+  }
+
+  return {
+    template: {
+      id,
+      name: normalizeText(manifest.name) || id,
+      file,
+      priority: Number.isFinite(priority) ? priority : 0,
+      rules: parseRules(manifest.rules, errors),
+      fields,
+      signatures: parseSignatures(manifest.signatures, errors),
+      flatten: manifest.flatten === true,
+      enabled: manifest.enabled !== false,
+    },
+    errors,
+  };
+}
+
+/** Check the manifest's field names against the PDF form. */
+async function checkPdfFields(template, pdfPath) {
+  const errors = [];
+  const warnings = [];
+
+  let form;
+  try {
+    form = (await PDFDocument.load(await fs.readFile(pdfPath))).getForm();
+  } catch (error) {
+    errors.push(error.code === 'ENOENT' ? `${template.file} not found` : `${template.file} could not be read: ${error.message}`);
+    return { errors, warnings };
+  }
+
+  const pdfFields = new Map(form.getFields().map((field) => [field.getName(), field]));
+  if (pdfFields.size === 0) errors.push(`${template.file} has no fillable fields`);
+
+  Object.keys(template.fields).filter((name) => !pdfFields.has(name))
+    .forEach((name) => warnings.push(`fields["${name}"] is not in ${template.file}`));
+  Object.keys(template.signatures).forEach((name) => {
+    if (!pdfFields.has(name)) warnings.push(`signatures["${name}"] is not in ${template.file}`);
+    else if (!(pdfFields.get(name) instanceof PDFTextField)) errors.push(`signatures["${name}"] must be a text field`);
+  });
+
+  return { errors, warnings };
+}
+
+// ---------------------------------------------------------------------------
+// Selection
+// ---------------------------------------------------------------------------
+
+/** Reasons `record` does not meet `rules`; an empty list means it matches. */
+function matchRules(rules, record) {
+  const mismatches = [];
+
+  if (rules.products) {
+    const product = normalizeText(record.product);
+    if (!rules.products.some((item) => item.toLowerCase() === product.toLowerCase())) {
+      mismatches.push(product ? `product "${product}" is not one of ${rules.products.join(', ')}` : 'no product selected');
+    }
+  }
+
+  if (rules.states) {
+    const state = normalizeText(record.business_state).toUpperCase();
+    if (!rules.states.includes(state)) {
+      mismatches.push(state ? `business state ${state} is not one of ${rules.states.join(', ')}` : 'no business state');
+    }
+  }
+
+  if (rules.minLoanAmount !== undefined || rules.maxLoanAmount !== undefined) {
+    const amount = parseCurrency(record.loan_amount);
+    if (amount === null) mismatches.push('loan amount is not a number');
+    else if (rules.minLoanAmount !== undefined && amount < rules.minLoanAmount) mismatches.push(`loan amount is below ${rules.minLoanAmount}`);
+    else if (rules.maxLoanAmount !== undefined && amount > rules.maxLoanAmount) mismatches.push(`loan amount is above ${rules.maxLoanAmount}`);
+  }
+
+  return mismatches;
+}
+
+// ---------------------------------------------------------------------------
+// Registry
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object} options
+ * @param {string} options.dir       template root
+ * @param {boolean} [options.cache]  keep loaded manifests in memory (turn off while editing templates)
+ */
+function createPdfTemplateRegistry({ dir, cache = true }) {
+  const loaded = new Map();
+
+  async function readManifest(id) {
+    try {
+      return await fs.readFile(path.join(dir, id, 'manifest.json'), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /** Template ids (directories that contain a manifest.json). */
+  async function ids() {
+    let entries = [];
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const found = [];
+    for (const entry of entries) {
+      if (!entry.isDirectory() || !TEMPLATE_ID_PATTERN.test(entry.name)) continue;
+      if ((await readManifest(entry.name)) !== null) found.push(entry.name);
+    }
+    return found.sort();
+  }
+
+  /** Parsed and checked template, or null when `id` has no manifest. */
+  async function get(id) {
+    if (!TEMPLATE_ID_PATTERN.test(String(id))) return null;
+    if (cache && loaded.has(id)) return loaded.get(id);
+
+    const raw = await readManifest(id);
+    if (raw === null) return null;
+
+    let parsed;
+    try {
+      parsed = parseManifest(id, JSON.parse(raw));
+    } catch (error) {
+      parsed = { template: { id, name: id }, errors: [`manifest.json is not valid JSON: ${error.message}`] };
+    }
+
+    const template = { ...parsed.template, path: null, errors: parsed.errors, warnings: [] };
+    if (template.file) {
+      template.path = path.join(dir, id, template.file);
+      const check = await checkPdfFields(template, template.path);
+      template.errors.push(...check.errors);
+      template.warnings.push(...check.warnings);
+    }
+    template.valid = template.errors.length === 0;
+
+    if (cache) loaded.set(id, template);
+    return template;
+  }
+
+  function describe(template) {
+    const { id, name, file, priority, rules, flatten, enabled, valid, errors, warnings } = template;
+    return {
+      id,
+      name,
+      file,
+      priority,
+      rules,
+      fields: Object.keys(template.fields || {}).length,
+      signatures: Object.keys(template.signatures || {}).length,
+      flatten,
+      enabled,
+      valid,
+      errors,
+      warnings,
+    };
+  }
+
+  async function list() {
+    const templates = await Promise.all((await ids()).map(get));
+    return templates.map(describe);
+  }
+
+  /**
+   * Every template checked against `record`, best candidate first: matching
+   * and valid, then by priority (highest first), then by id.
+   */
+  async function evaluate(record) {
+    const templates = await Promise.all((await ids()).map(get));
+    return templates
+      .map((template) => {
+        let mismatches = ['template has errors'];
+        if (template.valid) mismatches = template.enabled ? matchRules(template.rules, record) : ['template is disabled'];
+        return { id: template.id, name: template.name, priority: template.priority, valid: template.valid, matches: mismatches.length === 0, mismatches };
+      })
+      .sort((a, b) => Number(b.matches) - Number(a.matches) || b.priority - a.priority || a.id.localeCompare(b.id));
+  }
+
+  /** The template the rules pick for `record`, or null when none match. */
+  async function select(record) {
+    const [best] = await evaluate(record);
+    return best?.matches ? get(best.id) : null;
+  }
+
+  return {
+    dir,
+    list,
+    get,
+    describe,
+    evaluate,
+    select,
+  };
+}
+
+module.exports = {
+  parseManifest,
+  matchRules,
+  createPdfTemplateRegistry,
+};
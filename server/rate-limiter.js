@@ -0,0 +1,344 @@
+'use strict';
+
+/**
+ * rate-limiter.js
+ *
+ * Express rate limiting with a pluggable store, so limits hold across
+ * serverless instances. A policy names a limit, a window and an algorithm:
+ *
+ *   { name: 'contact', limit: 120, windowMs: 600000, algorithm: 'sliding-window' }
+ *
+ *   sliding-window  weighted count of this window plus the previous one; smooths
+ *                   the burst a fixed window allows at its boundary
+ *   token-bucket    `limit` tokens refilled evenly over `windowMs`; allows a
+ *                   burst up to `limit`, then a steady rate
+ *
+ * Stores run one atomic read-modify-write per request:
+ *
+ *   createMemoryStore()            one process only (local development)
+ *   createFileStore({ localStore }) shared JSON file for several local processes
+ *   createKeyValueStore({ adapter }) optimistic compare-and-set over any
+ *                                  key-value backend; adapters for S3
+ *                                  (If-Match / If-None-Match) and Redis over
+ *                                  HTTP (Upstash-style REST) are included, and
+ *                                  tests can pass a Map-backed adapter
+ *
+ * Responses carry the IETF `RateLimit-Limit`, `RateLimit-Remaining`,
+ * `RateLimit-Reset` (seconds) and `RateLimit-Policy` headers, plus `Retry-After`
+ * on a 429. If the store fails the request is let through and the error logged:
+ * an outage of the limiter should not take the forms down with it.
+ */
+
+const crypto = require('crypto');
+const { PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { isConditionalWriteConflict, isMissingKey, readBody } = require('./s3-helpers');
+
+const ALGORITHMS = ['sliding-window', 'token-bucket'];
+const DEFAULT_ALGORITHM = 'sliding-window';
+const MAX_CAS_ATTEMPTS = 5;
+
+// ===== Algorithms =====
+// Each takes the stored state (or null) and returns the next state plus the decision.
+// `resetMs` is how long until the full limit is available again.
+
+function consumeSlidingWindow(state, { limit, windowMs }, now) {
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  let count = 0;
+  let previous = 0;
+  if (state && state.windowStart === windowStart) {
+    count = state.count;
+    previous = state.previous;
+  } else if (state && state.windowStart === windowStart - windowMs) {
+    previous = state.count;
+  }
+
+  const elapsed = now - windowStart;
+  const weight = 1 - elapsed / windowMs;
+  const used = previous * weight + count;
+  const allowed = used + 1 <= limit;
+  if (allowed) count += 1;
+
+  let retryAfterMs = 0;
+  if (!allowed) {
+    retryAfterMs = count + 1 > limit
+      // Wait for this window to become the previous one and fade enough.
+      ? (windowMs - elapsed) + windowMs * Math.max(0, 1 - (limit - 1) / count)
+      : windowMs * ((used + 1 - limit) / previous);
+  }
+
+  const nextUsed = previous * weight + count;
+  return {
+    state: { windowStart, count, previous },
+    ttlMs: 2 * windowMs - elapsed,
+    allowed,
+    remaining: Math.max(0, Math.floor(limit - nextUsed)),
+    retryAfterMs: Math.ceil(retryAfterMs),
+    resetMs: previous > 0 ? 2 * windowMs - elapsed : windowMs - elapsed,
+  };
+}
+
+function consumeTokenBucket(state, { limit, windowMs }, now) {
+  const ratePerMs = limit / windowMs;
+  const last = state ? state.tokens + Math.max(0, now - state.updatedAt) * ratePerMs : limit;
+  let tokens = Math.min(limit, last);
+  const allowed = tokens >= 1;
+  if (allowed) tokens -= 1;
+
+  const resetMs = Math.ceil((limit - tokens) / ratePerMs);
+  return {
+    state: { tokens, updatedAt: now },
+    ttlMs: resetMs,
+    allowed,
+    remaining: Math.floor(tokens),
+    retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / ratePerMs),
+    resetMs,
+  };
+}
+
+const CONSUMERS = {
+  'sliding-window': consumeSlidingWindow,
+  'token-bucket': consumeTokenBucket,
+};
+
+// ===== Stores =====
+// transact(key, mutate, now) runs mutate(state|null) -> { state, ttlMs, ... } atomically and returns its result.
+
+function createMemoryStore({ sweepIntervalMs = 30 * 1000 } = {}) {
+  const entries = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (now >= entry.expiresAt) entries.delete(key);
+    });
+  }, sweepIntervalMs);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+    async transact(key, mutate, now = Date.now()) {
+      const current = entries.get(key);
+      const result = mutate(current && now < current.expiresAt ? current.state : null);
+      entries.set(key, { state: result.state, expiresAt: now + result.ttlMs });
+      return result;
+    },
+  };
+}
+
+/** @param {{ read: () => Promise<object[]>, write: (items: object[]) => Promise<void> }} options.localStore */
+function createFileStore({ localStore }) {
+  let queue = Promise.resolve();
+
+  return {
+    name: 'file',
+    transact(key, mutate, now = Date.now()) {
+      const run = queue.then(async () => {
+        const items = (await localStore.read()).filter((item) => item?.expiresAt > now);
+        const index = items.findIndex((item) => item.key === key);
+        const result = mutate(index === -1 ? null : items[index].state);
+        const entry = { key, state: result.state, expiresAt: now + result.ttlMs };
+        if (index === -1) items.push(entry);
+        else items[index] = entry;
+        await localStore.write(items);
+        return result;
+      });
+      queue = run.catch(() => {});
+      return run;
+    },
+  };
+}
+
+/**
+ * Store over a key-value adapter with optimistic concurrency:
+ *
+ *   adapter.get(key)                                   -> { value, version } | null
+ *   adapter.compareAndSet(key, value, version, ttlMs)  -> true when written
+ *
+ * `version` is null for a key that does not exist yet.
+ */
+function createKeyValueStore({ adapter, name = 'key-value', maxAttempts = MAX_CAS_ATTEMPTS }) {
+  return {
+    name,
+    async transact(key, mutate, now = Date.now()) {
+      for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+        const current = await adapter.get(key);
+        const state = current && current.value.expiresAt > now ? current.value.state : null;
+        const result = mutate(state);
+        const value = { state: result.state, expiresAt: now + result.ttlMs };
+        if (await adapter.compareAndSet(key, value, current ? current.version : null, result.ttlMs)) {
+          return result;
+        }
+      }
+      throw new Error(`Rate limit store contention on ${key}`);
+    },
+  };
+}
+
+/**
+ * S3 objects `<prefix><sha256(key)>.json`, written with If-Match / If-None-Match.
+ * S3 has no TTL: add a lifecycle rule expiring the prefix after a day.
+ */
+function createS3Adapter({ s3Client, bucket, prefix }) {
+  const objectKey = (key) => `${prefix}${crypto.createHash('sha256').update(key).digest('hex')}.json`;
+
+  return {
+    async get(key) {
+      try {
+        const response = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        const raw = await readBody(response.Body);
+        return raw ? { value: JSON.parse(raw), version: response.ETag } : null;
+      } catch (error) {
+        if (isMissingKey(error)) return null;
+        throw error;
+      }
+    },
+    async compareAndSet(key, value, version) {
+      try {
+        await s3Client.send(new PutObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key),
+          Body: JSON.stringify(value),
+          ContentType: 'application/json',
+          ...(version ? { IfMatch: version } : { IfNoneMatch: '*' }),
+        }));
+        return true;
+      } catch (error) {
+        if (isConditionalWriteConflict(error)) return false;
+        throw error;
+      }
+    },
+  };
+}
+
+// SET only if the key still holds the value we read ('' = missing).
+const REDIS_CAS_SCRIPT = [
+  "local current = redis.call('GET', KEYS[1])",
+  "if (current or '') ~= ARGV[1] then return 0 end",
+  "redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])",
+  'return 1',
+].join('\n');
+
+/**
+ * Redis over an HTTP command endpoint (Upstash REST and compatible proxies):
+ * POST <url> with a JSON command array and a Bearer token, reply { result }.
+ * `fetchImpl` is injectable for tests.
+ */
+function createRedisRestAdapter({ url, token, keyPrefix = 'ratelimit:', timeoutMs = 2000, fetchImpl = fetch }) {
+  async function command(args) {
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok || payload.error) {
+      throw new Error(`Redis ${args[0]} failed: ${payload.error || `HTTP ${response.status}`}`);
+    }
+    return payload.result;
+  }
+
+  return {
+    async get(key) {
+      const raw = await command(['GET', `${keyPrefix}${key}`]);
+      return raw ? { value: JSON.parse(raw), version: raw } : null;
+    },
+    async compareAndSet(key, value, version, ttlMs) {
+      const result = await command([
+        'EVAL', REDIS_CAS_SCRIPT, '1', `${keyPrefix}${key}`,
+        version || '', JSON.stringify(value), String(Math.max(1, Math.ceil(ttlMs))),
+      ]);
+      return Number(result) === 1;
+    },
+  };
+}
+
+// ===== Policies =====
+
+/**
+ * Merge per-route overrides (RATE_LIMIT_POLICIES JSON) into the defaults.
+ * Returns { policies, errors }; invalid entries are skipped and reported.
+ */
+function parseRatePolicies(raw, defaults) {
+  const policies = {};
+  Object.entries(defaults).forEach(([name, policy]) => {
+    policies[name] = { algorithm: DEFAULT_ALGORITHM, ...policy, name };
+  });
+  const errors = [];
+  if (!raw) return { policies, errors };
+
+  let overrides;
+  try {
+    overrides = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch (error) {
+    return { policies, errors: [`Not valid JSON: ${error.message}`] };
+  }
+
+  Object.entries(overrides || {}).forEach(([name, override]) => {
+    if (!policies[name]) {
+      errors.push(`Unknown policy "${name}"; expected one of ${Object.keys(policies).join(', ')}`);
+      return;
+    }
+    const next = { ...policies[name], ...override, name };
+    if (!Number.isInteger(next.limit) || next.limit < 1) {
+      errors.push(`${name}: limit must be a positive integer`);
+    } else if (!Number.isFinite(next.windowMs) || next.windowMs < 1000) {
+      errors.push(`${name}: windowMs must be at least 1000`);
+    } else if (!ALGORITHMS.includes(next.algorithm)) {
+      errors.push(`${name}: algorithm must be ${ALGORITHMS.join(' or ')}`);
+    } else {
+      policies[name] = next;
+    }
+  });
+  return { policies, errors };
+}
+
+// ===== Middleware =====
+
+function setRateLimitHeaders(res, policy, decision) {
+  res.setHeader('RateLimit-Policy', `${policy.limit};w=${Math.ceil(policy.windowMs / 1000)}`);
+  res.setHeader('RateLimit-Limit', String(policy.limit));
+  res.setHeader('RateLimit-Remaining', String(decision.remaining));
+  res.setHeader('RateLimit-Reset', String(Math.ceil(decision.resetMs / 1000)));
+}
+
+/**
+ * @param {object} options
+ * @param {{ name: string, transact: Function }} options.store
+ * @param {{ name: string, limit: number, windowMs: number, algorithm?: string }} options.policy
+ * @param {(req) => string} options.getKey      client identity, usually the IP
+ */
+function createRateLimiter({ store, policy, getKey }) {
+  const consume = CONSUMERS[policy.algorithm || DEFAULT_ALGORITHM];
+
+  return async (req, res, next) => {
+    const now = Date.now();
+    let decision;
+    try {
+      decision = await store.transact(`${policy.name}:${getKey(req)}`, (state) => consume(state, policy, now), now);
+    } catch (error) {
+      console.error(`Rate limiter (${store.name}) error for ${policy.name}; allowing request:`, error.message);
+      return next();
+    }
+
+    setRateLimitHeaders(res, policy, decision);
+    if (!decision.allowed) {
+      res.setHeader('Retry-After', String(Math.max(1, Math.ceil(decision.retryAfterMs / 1000))));
+      return res.status(429).json({ ok: false, error: 'Too many requests. Please try again shortly.' });
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  ALGORITHMS,
+  consumeSlidingWindow,
+  consumeTokenBucket,
+  createMemoryStore,
+  createFileStore,
+  createKeyValueStore,
+  createS3Adapter,
+  createRedisRestAdapter,
+  parseRatePolicies,
+  createRateLimiter,
+};
@@ -0,0 +1,73 @@
+/**
+ * rebuild-index.js
+ *
+ * Re-derives the sharded S3 submission index (see submission-index.js) by
+ * scanning every record object under the configured record prefixes.
+ * Safe to run while the site is live, and migrates the legacy
+ * `indexes/<type>.json` files into month shards.
+ *
+ * Usage:
+ *   node rebuild-index.js                 # all types
+ *   node rebuild-index.js applications    # one or more of: applications contacts partner product-request
+ *   node rebuild-index.js --dry-run
+ */
+
+'use strict';
+
+const path = require('path');
+const { S3Client } = require('@aws-sdk/client-s3');
+const { createSubmissionIndex } = require('./submission-index');
+require('dotenv').config({ path: path.join(__dirname, '.env') });
+
+function normalizeS3Prefix(value) {
+  const clean = String(value || '').trim().replace(/^\/+|\/+$/g, '');
+  return clean ? `${clean}/` : '';
+}
+
+// Mirrors the record prefixes in server.js
+const RECORD_PREFIXES = {
+  applications: normalizeS3Prefix(process.env.S3_APPLICATION_RECORD_PREFIX || 'applications/records/'),
+  contacts: normalizeS3Prefix(process.env.S3_CONTACT_RECORD_PREFIX || 'contacts/records/'),
+  partner: normalizeS3Prefix(process.env.S3_PARTNER_RECORD_PREFIX || 'partners/records/'),
+  'product-request': normalizeS3Prefix(process.env.S3_PRODUCT_REQUEST_RECORD_PREFIX || 'product-requests/records/'),
+};
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const requested = args.filter((arg) => !arg.startsWith('--'));
+  const types = requested.length > 0 ? requested : Object.keys(RECORD_PREFIXES);
+
+  const unknown = types.filter((type) => !RECORD_PREFIXES[type]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown type(s): ${unknown.join(', ')}. Expected: ${Object.keys(RECORD_PREFIXES).join(', ')}`);
+  }
+
+  const bucket = process.env.S3_BUCKET_NAME;
+  if (!process.env.AWS_ACCESS_KEY_ID || !process.env.AWS_SECRET_ACCESS_KEY || !bucket) {
+    throw new Error('AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY and S3_BUCKET_NAME must be set');
+  }
+
+  const s3Client = new S3Client({
+    region: process.env.AWS_REGION || 'us-east-1',
+    credentials: {
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    },
+  });
+  const index = createSubmissionIndex({
+    s3Client,
+    bucket,
+    indexPrefix: normalizeS3Prefix(process.env.S3_INDEX_PREFIX || 'indexes/'),
+  });
+
+  for (const type of types) {
+    const result = await index.rebuild(type, RECORD_PREFIXES[type], { dryRun, log: (line) => console.log(line) });
+    console.log(`✓  ${type}: ${result.status} — ${result.records} records in ${result.shards} shard(s)`);
+  }
+}
+
+main().catch((err) => {
+  console.error('✗ Failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,36 @@
+'use strict';
+
+/**
+ * s3-helpers.js
+ *
+ * Small pieces shared by every module that keeps state in S3 (outboxes,
+ * indexes, rate limits, replay guards): telling a missing key or a lost
+ * conditional write apart from a real failure, and reading an object body.
+ */
+
+/** If-Match / If-None-Match lost the race: someone else wrote the key first. */
+function isConditionalWriteConflict(error) {
+  const status = error?.$metadata?.httpStatusCode;
+  const code = error?.Code || error?.name;
+  return status === 412 || status === 409 || code === 'PreconditionFailed' || code === 'ConditionalRequestConflict';
+}
+
+function isMissingKey(error) {
+  const code = error?.Code || error?.name;
+  return code === 'NoSuchKey' || code === 'NotFound' || error?.$metadata?.httpStatusCode === 404;
+}
+
+/** GetObject body as a UTF-8 string (SDK stream, or any async iterable in tests). */
+async function readBody(stream) {
+  if (!stream) return '';
+  if (typeof stream.transformToString === 'function') return stream.transformToString();
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+module.exports = {
+  isConditionalWriteConflict,
+  isMissingKey,
+  readBody,
+};
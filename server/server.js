@@ -16,11 +16,77 @@ const cors = require('cors');
 const multer = require('multer');
 const nodemailer = require('nodemailer');
 const { createClient } = require('@supabase/supabase-js');
-const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
 const { SESClient, SendEmailCommand, SendRawEmailCommand } = require('@aws-sdk/client-ses');
 const sgMail = require('@sendgrid/mail');
-const { generateApplicationPdfBuffer } = require('./pdf-layout');
-const { generateApplicationPdfFromTemplate, generateFillablePdfFromLayout } = require('./pdf-template-fill');
+const { needsPaginatedLayout } = require('./pdf-layout');
+const {
+  generateApplicationPdfFromTemplate,
+  generateFillablePdfFromLayout,
+  generateFunderApplicationPdf,
+} = require('./pdf-template-fill');
+const { createPdfTemplateRegistry } = require('./pdf-template-registry');
+const { isMissingKey, readBody } = require('./s3-helpers');
+const { createTokenRevocations } = require('./token-revocations');
+const {
+  STATUS_LABELS,
+  initializeApplicationStatus,
+  applyStatusTransition,
+  toPublicStatus,
+} = require('./application-status');
+const { parseSubmissionFilters, querySubmissions } = require('./submission-query');
+const { buildSubmissionSummary, createSubmissionIndex } = require('./submission-index');
+const { parseKeyRing, createFieldEncryptor } = require('./field-encryption');
+const {
+  validateApplication,
+  countOwners,
+  getApplicationOwners,
+  ownerSignatureFields,
+} = require('./application-schema');
+const { sha256, checkConsentVersion, buildSignatureAudit } = require('./esign-audit');
+const { createPdfSealer, comparePdf } = require('./pdf-seal');
+const { parseMatchKinds, createDuplicateIndex } = require('./application-duplicates');
+const { createStatementUploads } = require('./statement-uploads');
+const { analyzeStatements } = require('./statement-analysis');
+const { STATE_PENDING, STATE_DEAD, createOutbox } = require('./outbox');
+const { getCrmFormType, createCrmProviders } = require('./crm-providers');
+const { parseCrmStatusUpdate, createReplayGuard } = require('./crm-inbound');
+const { verifyWebhookSignature } = require('./webhook-signing');
+const { createEmailRenderer } = require('./email-renderer');
+const {
+  HONEYPOT_FIELD,
+  getCaptchaResponse,
+  evaluateSubmission,
+  createCaptchaVerifier,
+} = require('./spam-guard');
+const {
+  createMemoryStore,
+  createFileStore,
+  createKeyValueStore,
+  createS3Adapter,
+  createRedisRestAdapter,
+  parseRatePolicies,
+  createRateLimiter,
+} = require('./rate-limiter');
+const {
+  isStatusUpgrade,
+  createMessageIndex,
+  createSnsVerifier,
+  parseSesNotification,
+  verifySendGridSignature,
+  parseSendGridEvents,
+} = require('./email-events');
+const {
+  createDraftToken,
+  isDraftToken,
+  hashDraftToken,
+  sanitizeDraftFields,
+  parseDraftStep,
+  isDraftExpired,
+  createEmptyDraft,
+  mergeDraft,
+  toPublicDraft,
+} = require('./application-drafts');
 require('dotenv').config({ path: path.join(__dirname, '.env') });
 
 const app = express();
@@ -40,6 +106,14 @@ const DATA_DIR = path.join(WRITABLE_ROOT, 'data');
 const CONTACTS_FILE = path.join(DATA_DIR, 'contacts.json');
 const APPLICATIONS_FILE = path.join(DATA_DIR, 'applications.json');
 const CLIENTS_FILE = path.join(DATA_DIR, 'clients.json');
+const DRAFTS_FILE = path.join(DATA_DIR, 'drafts.json');
+const CRM_OUTBOX_FILE = path.join(DATA_DIR, 'crm-outbox.json');
+const CRM_INBOUND_EVENTS_FILE = path.join(DATA_DIR, 'crm-inbound-events.json');
+const RATE_LIMITS_FILE = path.join(DATA_DIR, 'rate-limits.json');
+const EMAIL_OUTBOX_FILE = path.join(DATA_DIR, 'email-outbox.json');
+const EMAIL_MESSAGES_FILE = path.join(DATA_DIR, 'email-messages.json');
+const APPLICATION_FINGERPRINTS_FILE = path.join(DATA_DIR, 'application-fingerprints.json');
+const STATEMENT_ANALYSIS_JOBS_FILE = path.join(DATA_DIR, 'statement-analysis-jobs.json');
 const UPLOADS_DIR = path.join(WRITABLE_ROOT, 'uploads');
 const GENERATED_PDF_DIR = path.join(WRITABLE_ROOT, 'generated-pdfs');
 
@@ -49,15 +123,113 @@ const PROJECT_ROOT = IS_SERVERLESS ? process.cwd() : path.join(__dirname, '..');
 const LOGO_PATH = path.join(PROJECT_ROOT, 'assets', 'images', 'logo.png');
 const PDF_TEMPLATE_DIR = path.join(__dirname, 'pdf-templates');
 const PDF_FORM_TEMPLATE_PATH = path.join(PDF_TEMPLATE_DIR, 'nolimitcap-empty-application.pdf');
+// Funder templates are pdf-templates/<id>/ directories; this id always means the house template above.
+const HOUSE_PDF_TEMPLATE_ID = 'nolimitcap';
+const EMAIL_TEMPLATE_DIR = process.env.EMAIL_TEMPLATE_DIR
+  ? path.resolve(process.env.EMAIL_TEMPLATE_DIR)
+  : path.join(__dirname, 'email-templates');
 
 const DEFAULT_FUNDING_REQUEST_RECIPIENTS = ['info@nolimitcap.net'];
-const CLIENT_AUTH_SECRET = process.env.CLIENT_AUTH_SECRET || process.env.JWT_SECRET || 'change-this-secret';
+// Staff recipients per website form (`data-form`); a form without its own list uses FUNDING_REQUEST_RECIPIENTS.
+const FORM_NOTIFICATION_RECIPIENT_VARS = {
+  contact: 'CONTACT_NOTIFICATION_RECIPIENTS',
+  partner: 'PARTNER_NOTIFICATION_RECIPIENTS',
+  'product-request': 'PRODUCT_REQUEST_NOTIFICATION_RECIPIENTS',
+  estimate: 'ESTIMATE_NOTIFICATION_RECIPIENTS',
+};
+// Forms whose submitter gets an auto-reply: comma-separated form names, or `all`.
+const FORM_AUTO_REPLY_FORMS = String(process.env.FORM_AUTO_REPLY_FORMS || '')
+  .split(',')
+  .map((value) => value.trim().toLowerCase())
+  .filter(Boolean);
+const PARTNER_PACKET_URL = process.env.PARTNER_PACKET_URL || '';
+// Website form spam checks (spam-guard.js). Form tokens come from GET /api/forms/token.
+const FORM_TOKEN_TTL_SECONDS = Math.max(60, Number(process.env.FORM_TOKEN_TTL_SECONDS || 4 * 60 * 60));
+const SPAM_MIN_SUBMIT_MS = Math.max(0, Number(process.env.SPAM_MIN_SUBMIT_MS ?? 3000));
+const SPAM_MAX_LINKS = Math.max(0, Number(process.env.SPAM_MAX_LINKS ?? 2));
+const SPAM_SCORE_THRESHOLD = Math.max(1, Number(process.env.SPAM_SCORE_THRESHOLD || 4));
+const SPAM_DISPOSABLE_DOMAINS = String(process.env.SPAM_DISPOSABLE_DOMAINS || '')
+  .split(',')
+  .map((value) => value.trim().toLowerCase())
+  .filter(Boolean);
+// turnstile, hcaptcha, recaptcha or stub; empty turns CAPTCHA off.
+const CAPTCHA_PROVIDER = String(process.env.CAPTCHA_PROVIDER || '').trim().toLowerCase();
+const CAPTCHA_SITE_KEY = process.env.CAPTCHA_SITE_KEY || '';
+const DEFAULT_CLIENT_AUTH_SECRET = 'change-this-secret';
+const CLIENT_AUTH_SECRET = process.env.CLIENT_AUTH_SECRET || process.env.JWT_SECRET || DEFAULT_CLIENT_AUTH_SECRET;
+// Anyone can sign an admin token with the shipped secret, so admin routes stay closed until it is changed.
+const ADMIN_AUTH_ENABLED = CLIENT_AUTH_SECRET !== DEFAULT_CLIENT_AUTH_SECRET;
 const CLIENT_TOKEN_TTL_SECONDS = Math.max(60, Number(process.env.CLIENT_TOKEN_TTL_SECONDS || 60 * 60 * 12));
+const STATUS_TOKEN_TTL_SECONDS = Math.max(60, Number(process.env.STATUS_TOKEN_TTL_SECONDS || 60 * 60 * 24 * 90));
+const DRAFT_TTL_DAYS = Math.max(1, Number(process.env.DRAFT_TTL_DAYS || 30));
+// Repeat applications (application-duplicates.js): 0 days turns detection off.
+const APPLICATION_DUPLICATE_WINDOW_DAYS = Math.max(0, Number(process.env.APPLICATION_DUPLICATE_WINDOW_DAYS ?? 30));
+const { kinds: APPLICATION_DUPLICATE_MATCH_ON, errors: duplicateMatchErrors } = parseMatchKinds(process.env.APPLICATION_DUPLICATE_MATCH_ON);
+// Skip the CRM push and internal email for a repeat; the original already produced both.
+const APPLICATION_DUPLICATE_SUPPRESS_NOTIFICATIONS = process.env.APPLICATION_DUPLICATE_SUPPRESS_NOTIFICATIONS === 'true';
+const STATEMENT_MAX_FILES = 10;
+const STATEMENT_MAX_FILE_BYTES = 80 * 1024 * 1024;
+const STATEMENT_UPLOAD_TOKEN_TTL_SECONDS = Math.max(300, Number(process.env.STATEMENT_UPLOAD_TOKEN_TTL_SECONDS || 60 * 60 * 24));
+const STATEMENT_ANALYSIS_ENABLED = process.env.STATEMENT_ANALYSIS_ENABLED !== 'false';
+const STATEMENT_ANALYSIS_TIMEOUT_MS = Math.max(1000, Number(process.env.STATEMENT_ANALYSIS_TIMEOUT_MS || 8000));
+// Analysis runs after /api/apply responds; on Vercel call /api/admin/statement-analysis/process from a cron instead.
+const STATEMENT_ANALYSIS_POLL_MS = Math.max(0, Number(process.env.STATEMENT_ANALYSIS_POLL_MS ?? 15 * 1000));
+const STATEMENT_MISMATCH_TOLERANCE = Math.max(0, Number(process.env.STATEMENT_MISMATCH_TOLERANCE || 0.25));
+// Application PDF layout: one-page (the fillable template), paginated, or auto
+// (one page unless a value would be cut off).
+const PDF_LAYOUTS = ['auto', 'one-page', 'paginated'];
+const REQUESTED_PDF_LAYOUT = (process.env.PDF_LAYOUT || 'auto').trim().toLowerCase();
+const PDF_LAYOUT = PDF_LAYOUTS.includes(REQUESTED_PDF_LAYOUT) ? REQUESTED_PDF_LAYOUT : 'auto';
+if (PDF_LAYOUT !== REQUESTED_PDF_LAYOUT) {
+  console.warn(`Unknown PDF_LAYOUT "${process.env.PDF_LAYOUT}". Using "auto".`);
+}
+// Sealed copy of each application PDF (pdf-seal.js): flattened and hashed, and signed
+// when a PKCS#12 bundle is configured (a file path, or base64 for serverless hosts).
+const PDF_SEAL_ENABLED = process.env.PDF_SEAL_ENABLED === 'true';
+const PDF_SEAL_P12_PATH = (process.env.PDF_SEAL_P12_PATH || '').trim();
+const PDF_SEAL_P12_BASE64 = (process.env.PDF_SEAL_P12_BASE64 || '').trim();
+const PDF_VERIFY_MAX_BYTES = 50 * 1024 * 1024;
+const APP_URL = (process.env.APP_URL || 'https://www.nolimitcap.net').replace(/\/+$/, '');
 const DEFAULT_ADMIN_EMAIL = 'info@nolimitcap.net';
 const DEFAULT_ADMIN_PASSWORD = 'ChangeMeNow123!';
+const ADMIN_EMAIL = (process.env.CLIENT_ADMIN_EMAIL || DEFAULT_ADMIN_EMAIL).trim().toLowerCase();
+const ADMIN_PASSWORD = process.env.CLIENT_ADMIN_PASSWORD || DEFAULT_ADMIN_PASSWORD;
+// Never accept the shipped default password, in any environment.
+const ADMIN_LOGIN_ENABLED = ADMIN_PASSWORD !== DEFAULT_ADMIN_PASSWORD;
 const RATE_LIMIT_WINDOW_MS = Math.max(10 * 1000, Number(process.env.RATE_LIMIT_WINDOW_MS || 10 * 60 * 1000));
 const RATE_LIMIT_MAX_REQUESTS = Math.max(10, Number(process.env.RATE_LIMIT_MAX_REQUESTS || 120));
 const LOGIN_RATE_LIMIT_MAX_REQUESTS = Math.max(3, Number(process.env.LOGIN_RATE_LIMIT_MAX_REQUESTS || 20));
+// memory (one process), file, s3 or redis; serverless deployments need s3 or redis for limits to hold.
+const RATE_LIMIT_STORE = String(process.env.RATE_LIMIT_STORE || 'memory').trim().toLowerCase();
+const RATE_LIMIT_REDIS_REST_URL = process.env.RATE_LIMIT_REDIS_REST_URL || '';
+const RATE_LIMIT_REDIS_REST_TOKEN = process.env.RATE_LIMIT_REDIS_REST_TOKEN || '';
+// `true` (one hop), a hop count, or Express trust-proxy addresses/subnets. Client IPs come from
+// X-Forwarded-For only through this setting, so the header cannot be spoofed when it is off.
+const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY);
+const CRM_REQUEST_TIMEOUT_MS = Math.max(1000, Number(process.env.CRM_REQUEST_TIMEOUT_MS || 8000));
+const CRM_RETRY_MAX_ATTEMPTS = Math.max(1, Number(process.env.CRM_RETRY_MAX_ATTEMPTS || 8));
+const CRM_RETRY_BASE_DELAY_MS = Math.max(1000, Number(process.env.CRM_RETRY_BASE_DELAY_MS || 60 * 1000));
+const CRM_RETRY_MAX_DELAY_MS = Math.max(CRM_RETRY_BASE_DELAY_MS, Number(process.env.CRM_RETRY_MAX_DELAY_MS || 6 * 60 * 60 * 1000));
+// Long-running server only; on Vercel call /api/admin/crm-outbox/process from a cron instead.
+const CRM_OUTBOX_POLL_MS = Math.max(0, Number(process.env.CRM_OUTBOX_POLL_MS ?? 60 * 1000));
+const CRON_SECRET = process.env.CRON_SECRET || '';
+// Comma-separated so a new secret can be added before the old one is removed.
+const CRM_INBOUND_WEBHOOK_SECRETS = String(process.env.CRM_INBOUND_WEBHOOK_SECRET || '')
+  .split(',')
+  .map((value) => value.trim())
+  .filter(Boolean);
+const CRM_INBOUND_TOLERANCE_SECONDS = Math.max(30, Number(process.env.CRM_INBOUND_TOLERANCE_SECONDS || 300));
+const CRM_STATUS_NOTIFY_APPLICANT = process.env.CRM_STATUS_NOTIFY_APPLICANT === 'true';
+const EMAIL_RETRY_MAX_ATTEMPTS = Math.max(1, Number(process.env.EMAIL_RETRY_MAX_ATTEMPTS || 5));
+const EMAIL_RETRY_BASE_DELAY_MS = Math.max(1000, Number(process.env.EMAIL_RETRY_BASE_DELAY_MS || 5 * 60 * 1000));
+const EMAIL_RETRY_MAX_DELAY_MS = Math.max(EMAIL_RETRY_BASE_DELAY_MS, Number(process.env.EMAIL_RETRY_MAX_DELAY_MS || 6 * 60 * 60 * 1000));
+const EMAIL_OUTBOX_POLL_MS = Math.max(0, Number(process.env.EMAIL_OUTBOX_POLL_MS ?? 60 * 1000));
+// SES notifications are only accepted from these SNS topics.
+const SES_SNS_TOPIC_ARNS = String(process.env.SES_SNS_TOPIC_ARNS || '')
+  .split(',')
+  .map((value) => value.trim())
+  .filter(Boolean);
+const SENDGRID_WEBHOOK_PUBLIC_KEY = process.env.SENDGRID_WEBHOOK_PUBLIC_KEY || '';
 
 // ===========================================
 // Supabase Setup
@@ -93,6 +265,15 @@ const S3_PARTNER_RECORD_PREFIX = normalizeS3Prefix(process.env.S3_PARTNER_RECORD
 const S3_PRODUCT_REQUEST_RECORD_PREFIX = normalizeS3Prefix(process.env.S3_PRODUCT_REQUEST_RECORD_PREFIX || 'product-requests/records/');
 const S3_UPLOAD_PREFIX = normalizeS3Prefix(process.env.S3_UPLOAD_PREFIX || 'applications/uploads/');
 const S3_INDEX_PREFIX = normalizeS3Prefix(process.env.S3_INDEX_PREFIX || 'indexes/');
+const S3_DRAFT_PREFIX = normalizeS3Prefix(process.env.S3_DRAFT_PREFIX || 'applications/drafts/');
+const S3_CRM_OUTBOX_PREFIX = normalizeS3Prefix(process.env.S3_CRM_OUTBOX_PREFIX || 'crm-outbox/');
+const S3_CRM_INBOUND_PREFIX = normalizeS3Prefix(process.env.S3_CRM_INBOUND_PREFIX || 'crm-inbound-events/');
+const S3_REVOKED_TOKEN_PREFIX = normalizeS3Prefix(process.env.S3_REVOKED_TOKEN_PREFIX || 'auth/revoked-tokens/');
+const S3_EMAIL_OUTBOX_PREFIX = normalizeS3Prefix(process.env.S3_EMAIL_OUTBOX_PREFIX || 'email-outbox/');
+const S3_EMAIL_MESSAGES_PREFIX = normalizeS3Prefix(process.env.S3_EMAIL_MESSAGES_PREFIX || 'email-messages/');
+const S3_RATE_LIMIT_PREFIX = normalizeS3Prefix(process.env.S3_RATE_LIMIT_PREFIX || 'rate-limits/');
+const S3_APPLICATION_FINGERPRINT_PREFIX = normalizeS3Prefix(process.env.S3_APPLICATION_FINGERPRINT_PREFIX || 'applications/fingerprints/');
+const S3_STATEMENT_ANALYSIS_PREFIX = normalizeS3Prefix(process.env.S3_STATEMENT_ANALYSIS_PREFIX || 'statement-analysis-jobs/');
 
 let s3Client = null;
 if (process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY && S3_BUCKET_NAME) {
@@ -102,12 +283,133 @@ if (process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY && S3_BUC
       accessKeyId: process.env.AWS_ACCESS_KEY_ID,
       secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
     },
+    // Otherwise presigned UploadPart URLs carry a CRC32 of an empty body and browser PUTs fail.
+    requestChecksumCalculation: 'WHEN_REQUIRED',
   });
   console.log('AWS S3 client initialized');
 } else {
   console.warn('AWS S3 not configured. PDFs will be stored locally.');
 }
 
+const submissionIndex = createSubmissionIndex({
+  s3Client,
+  bucket: S3_BUCKET_NAME,
+  indexPrefix: S3_INDEX_PREFIX,
+});
+
+const statementUploads = createStatementUploads({
+  s3Client,
+  bucket: S3_BUCKET_NAME,
+  uploadPrefix: S3_UPLOAD_PREFIX,
+  maxFileBytes: STATEMENT_MAX_FILE_BYTES,
+  partSize: Number(process.env.STATEMENT_UPLOAD_PART_SIZE) || undefined,
+});
+
+const crmOutbox = createOutbox({
+  s3Client,
+  bucket: S3_BUCKET_NAME,
+  outboxPrefix: S3_CRM_OUTBOX_PREFIX,
+  localStore: {
+    read: () => readJsonArray(CRM_OUTBOX_FILE),
+    write: (items) => writeJsonArray(CRM_OUTBOX_FILE, items),
+  },
+  maxAttempts: CRM_RETRY_MAX_ATTEMPTS,
+  baseDelayMs: CRM_RETRY_BASE_DELAY_MS,
+  maxDelayMs: CRM_RETRY_MAX_DELAY_MS,
+});
+
+// Logged-out and refreshed portal tokens; shared through S3 so every serverless instance sees them.
+const tokenRevocations = createTokenRevocations({
+  s3Client,
+  bucket: S3_BUCKET_NAME,
+  prefix: S3_REVOKED_TOKEN_PREFIX,
+});
+
+const crmInboundReplayGuard = createReplayGuard({
+  s3Client,
+  bucket: S3_BUCKET_NAME,
+  prefix: S3_CRM_INBOUND_PREFIX,
+  localStore: {
+    read: () => readJsonArray(CRM_INBOUND_EVENTS_FILE),
+    write: (items) => writeJsonArray(CRM_INBOUND_EVENTS_FILE, items),
+  },
+});
+
+// Same outbox mechanics as CRM retries; each item is one email for one submission, `target` is its message key.
+const emailOutbox = createOutbox({
+  s3Client,
+  bucket: S3_BUCKET_NAME,
+  outboxPrefix: S3_EMAIL_OUTBOX_PREFIX,
+  localStore: {
+    read: () => readJsonArray(EMAIL_OUTBOX_FILE),
+    write: (items) => writeJsonArray(EMAIL_OUTBOX_FILE, items),
+  },
+  maxAttempts: EMAIL_RETRY_MAX_ATTEMPTS,
+  baseDelayMs: EMAIL_RETRY_BASE_DELAY_MS,
+  maxDelayMs: EMAIL_RETRY_MAX_DELAY_MS,
+});
+
+// One job per application, queued on submit so parsing never runs inside the request.
+const statementAnalysisJobs = createOutbox({
+  s3Client,
+  bucket: S3_BUCKET_NAME,
+  outboxPrefix: S3_STATEMENT_ANALYSIS_PREFIX,
+  localStore: {
+    read: () => readJsonArray(STATEMENT_ANALYSIS_JOBS_FILE),
+    write: (items) => writeJsonArray(STATEMENT_ANALYSIS_JOBS_FILE, items),
+  },
+  maxAttempts: 3,
+  baseDelayMs: 60 * 1000,
+  maxDelayMs: 15 * 60 * 1000,
+});
+
+const emailMessageIndex = createMessageIndex({
+  s3Client,
+  bucket: S3_BUCKET_NAME,
+  prefix: S3_EMAIL_MESSAGES_PREFIX,
+  localStore: {
+    read: () => readJsonArray(EMAIL_MESSAGES_FILE),
+    write: (items) => writeJsonArray(EMAIL_MESSAGES_FILE, items),
+  },
+});
+
+const verifySnsMessage = createSnsVerifier();
+
+duplicateMatchErrors.forEach((error) => console.warn(`APPLICATION_DUPLICATE_MATCH_ON: ${error}`));
+// Digests are keyed with the auth secret; rotating it means earlier applications stop matching.
+const applicationDuplicateIndex = createDuplicateIndex({
+  s3Client,
+  bucket: S3_BUCKET_NAME,
+  prefix: S3_APPLICATION_FINGERPRINT_PREFIX,
+  localStore: {
+    read: () => readJsonArray(APPLICATION_FINGERPRINTS_FILE),
+    write: (items) => writeJsonArray(APPLICATION_FINGERPRINTS_FILE, items),
+  },
+  secret: CLIENT_AUTH_SECRET,
+  windowMs: APPLICATION_DUPLICATE_WINDOW_DAYS * 24 * 60 * 60 * 1000,
+  kinds: APPLICATION_DUPLICATE_MATCH_ON,
+});
+
+// ===========================================
+// Sensitive Field Encryption
+// ===========================================
+
+// SSNs, EIN and DOBs are encrypted before any record is written to S3 or local JSON.
+const fieldEncryptor = createFieldEncryptor({
+  keys: parseKeyRing(process.env.FIELD_ENCRYPTION_KEYS),
+  activeKeyId: normalizeValue(process.env.FIELD_ENCRYPTION_KEY_ID) || undefined,
+});
+// How sensitive fields appear in CRM payloads: masked (***-**-1234), omit, or plain.
+const CRM_SENSITIVE_FIELD_MODE = ['masked', 'omit', 'plain'].includes(process.env.CRM_SENSITIVE_FIELD_MODE)
+  ? process.env.CRM_SENSITIVE_FIELD_MODE
+  : 'masked';
+
+if (fieldEncryptor.enabled) {
+  console.log(`Field encryption enabled (key id: ${fieldEncryptor.activeKeyId})`);
+} else {
+  console.warn('FIELD_ENCRYPTION_KEYS not set. SSN, EIN and DOB fields will be stored in plaintext.');
+}
+
 // ===========================================
 // AWS SES Setup
 // ===========================================
@@ -142,35 +444,21 @@ const ALLOWED_FIELDS = [
   'phone', 'contact_time', 'partner_type', 'pipeline_size',
 ];
 
-const APPLICATION_FIELDS = [
-  'loan_amount', 'funding_timeline', 'loan_use',
-  'first_name', 'last_name', 'contact_number', 'email', 'contact_agreement',
-  'legal_business_name', 'business_start_date', 'business_dba', 'industry', 'business_website',
-  'business_address', 'business_city', 'business_state', 'business_zip', 'business_phone',
-  'legal_entity', 'business_tax_id', 'credit_score', 'gross_annual_sales', 'avg_monthly_deposits',
-  'avg_daily_balance', 'state_of_incorporation', 'funding_company', 'credit_card_processor',
-  'seasonal_business', 'peak_months', 'has_other_financing', 'outstanding_balance',
-  'has_judgements_liens', 'has_open_bankruptcies',
-  'owner_first_name', 'owner_last_name', 'owner_email', 'owner_address', 'owner_city',
-  'owner_state', 'owner_zip', 'owner_contact', 'owner_dob', 'owner_ssn', 'owner_ownership',
-  'additional_owner_first_name', 'additional_owner_last_name', 'additional_owner_email',
-  'additional_owner_address', 'additional_owner_city', 'additional_owner_state',
-  'additional_owner_zip', 'additional_owner_contact', 'additional_owner_dob',
-  'additional_owner_ssn', 'additional_owner_ownership',
-  'signature', 'signature_additional', 'application_date', 'application_date_additional',
-  'landlord_name_mortgage_company', 'landlord_contact_person', 'landlord_phone',
-  'business_trade_reference_2', 'business_trade_reference_2_contact_person', 'business_trade_reference_2_phone',
-  'business_trade_reference_3', 'business_trade_reference_3_contact_person', 'business_trade_reference_3_phone',
-  'application_agreement', 'form', 'page',
-];
+// Funding application fields, required flags and formats live in application-schema.js.
 
 // ===========================================
 // Express Middleware
 // ===========================================
 
 app.use(cors({ origin: process.env.CORS_ORIGIN || '*' }));
-app.use(express.json({ limit: '1mb' }));
-app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? 1 : false);
+app.use(express.json({
+  limit: '1mb',
+  // Signed webhooks are verified against the exact bytes received.
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) req.rawBody = buf;
+  },
+}));
+app.set('trust proxy', TRUST_PROXY);
 
 if (process.env.SERVE_STATIC === 'true') {
   const publicDir = path.join(__dirname, '..');
@@ -198,73 +486,94 @@ const storage = multer.diskStorage({
 
 const upload = multer({
   storage,
-  limits: { fileSize: 80 * 1024 * 1024 },
+  limits: { fileSize: STATEMENT_MAX_FILE_BYTES },
+});
+
+// PDFs checked against a sealed original are only hashed, never stored.
+const pdfVerifyUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: PDF_VERIFY_MAX_BYTES, files: 1 },
 });
 
 // ===========================================
 // Rate Limiting
 // ===========================================
 
-const requestBuckets = new Map();
+function parseTrustProxy(value) {
+  const raw = String(value || '').trim();
+  if (!raw || raw === 'false') return false;
+  if (raw === 'true') return 1;
+  if (/^\d+$/.test(raw)) return Number(raw);
+  return raw.split(',').map((entry) => entry.trim()).filter(Boolean);
+}
 
+/** Express resolves req.ip from X-Forwarded-For only as far as `trust proxy` allows. */
 function getClientIp(req) {
-  const forwarded = req.headers['x-forwarded-for'];
-  if (typeof forwarded === 'string' && forwarded.trim()) {
-    return forwarded.split(',')[0].trim();
-  }
   return req.ip || req.socket?.remoteAddress || 'unknown';
 }
 
-function createRateLimiter({ keyPrefix, windowMs, maxRequests }) {
-  return (req, res, next) => {
-    const now = Date.now();
-    const ip = getClientIp(req);
-    const key = `${keyPrefix}:${ip}`;
-    const current = requestBuckets.get(key);
-
-    if (!current || now >= current.resetAt) {
-      requestBuckets.set(key, { count: 1, resetAt: now + windowMs });
-      return next();
+function createRateLimitStore() {
+  if (RATE_LIMIT_STORE === 's3') {
+    if (!s3Client || !S3_BUCKET_NAME) {
+      console.warn('RATE_LIMIT_STORE=s3 but S3 is not configured. Using the in-memory rate limit store.');
+      return createMemoryStore();
     }
-
-    if (current.count >= maxRequests) {
-      const retryAfterSeconds = Math.ceil((current.resetAt - now) / 1000);
-      res.setHeader('Retry-After', String(Math.max(1, retryAfterSeconds)));
-      return res.status(429).json({ ok: false, error: 'Too many requests. Please try again shortly.' });
+    return createKeyValueStore({
+      name: 's3',
+      adapter: createS3Adapter({ s3Client, bucket: S3_BUCKET_NAME, prefix: S3_RATE_LIMIT_PREFIX }),
+    });
+  }
+  if (RATE_LIMIT_STORE === 'redis') {
+    if (!RATE_LIMIT_REDIS_REST_URL || !RATE_LIMIT_REDIS_REST_TOKEN) {
+      console.warn('RATE_LIMIT_STORE=redis needs RATE_LIMIT_REDIS_REST_URL and RATE_LIMIT_REDIS_REST_TOKEN. Using the in-memory store.');
+      return createMemoryStore();
     }
-
-    current.count += 1;
-    requestBuckets.set(key, current);
-    return next();
-  };
+    return createKeyValueStore({
+      name: 'redis',
+      adapter: createRedisRestAdapter({ url: RATE_LIMIT_REDIS_REST_URL, token: RATE_LIMIT_REDIS_REST_TOKEN }),
+    });
+  }
+  if (RATE_LIMIT_STORE === 'file') {
+    return createFileStore({
+      localStore: {
+        read: () => readJsonArray(RATE_LIMITS_FILE),
+        write: (items) => writeJsonArray(RATE_LIMITS_FILE, items),
+      },
+    });
+  }
+  if (RATE_LIMIT_STORE !== 'memory') {
+    console.warn(`Unknown RATE_LIMIT_STORE "${RATE_LIMIT_STORE}". Using the in-memory rate limit store.`);
+  }
+  return createMemoryStore();
 }
 
-setInterval(() => {
-  const now = Date.now();
-  requestBuckets.forEach((bucket, key) => {
-    if (now >= bucket.resetAt) {
-      requestBuckets.delete(key);
-    }
-  });
-}, 30 * 1000).unref();
-
-const contactRateLimiter = createRateLimiter({
-  keyPrefix: 'contact',
-  windowMs: RATE_LIMIT_WINDOW_MS,
-  maxRequests: RATE_LIMIT_MAX_REQUESTS,
+const rateLimitStore = createRateLimitStore();
+
+// Defaults per route group; RATE_LIMIT_POLICIES (JSON) overrides limit, windowMs or algorithm by name.
+const { policies: RATE_LIMIT_POLICIES, errors: rateLimitPolicyErrors } = parseRatePolicies(process.env.RATE_LIMIT_POLICIES, {
+  contact: { limit: RATE_LIMIT_MAX_REQUESTS, windowMs: RATE_LIMIT_WINDOW_MS },
+  apply: { limit: RATE_LIMIT_MAX_REQUESTS, windowMs: RATE_LIMIT_WINDOW_MS },
+  'client-login': { limit: LOGIN_RATE_LIMIT_MAX_REQUESTS, windowMs: RATE_LIMIT_WINDOW_MS },
+  // Autosave fires on every step change and after typing pauses, so drafts get a larger budget.
+  'apply-draft': { limit: RATE_LIMIT_MAX_REQUESTS * 3, windowMs: RATE_LIMIT_WINDOW_MS },
+  'apply-draft-email': { limit: LOGIN_RATE_LIMIT_MAX_REQUESTS, windowMs: RATE_LIMIT_WINDOW_MS },
+  // Every page view with a form asks for a token.
+  'form-token': { limit: RATE_LIMIT_MAX_REQUESTS * 3, windowMs: RATE_LIMIT_WINDOW_MS },
+  'pdf-verify': { limit: RATE_LIMIT_MAX_REQUESTS, windowMs: RATE_LIMIT_WINDOW_MS },
 });
+rateLimitPolicyErrors.forEach((error) => console.warn(`RATE_LIMIT_POLICIES: ${error}`));
 
-const applyRateLimiter = createRateLimiter({
-  keyPrefix: 'apply',
-  windowMs: RATE_LIMIT_WINDOW_MS,
-  maxRequests: RATE_LIMIT_MAX_REQUESTS,
-});
+function rateLimit(policyName) {
+  return createRateLimiter({ store: rateLimitStore, policy: RATE_LIMIT_POLICIES[policyName], getKey: getClientIp });
+}
 
-const loginRateLimiter = createRateLimiter({
-  keyPrefix: 'client-login',
-  windowMs: RATE_LIMIT_WINDOW_MS,
-  maxRequests: LOGIN_RATE_LIMIT_MAX_REQUESTS,
-});
+const contactRateLimiter = rateLimit('contact');
+const applyRateLimiter = rateLimit('apply');
+const loginRateLimiter = rateLimit('client-login');
+const draftRateLimiter = rateLimit('apply-draft');
+const draftEmailRateLimiter = rateLimit('apply-draft-email');
+const formTokenRateLimiter = rateLimit('form-token');
+const pdfVerifyRateLimiter = rateLimit('pdf-verify');
 
 // ===========================================
 // Local Storage Fallback Functions
@@ -279,6 +588,14 @@ async function ensureDataStorage() {
     [CONTACTS_FILE, '[]'],
     [APPLICATIONS_FILE, '[]'],
     [CLIENTS_FILE, '[]'],
+    [DRAFTS_FILE, '[]'],
+    [CRM_OUTBOX_FILE, '[]'],
+    [CRM_INBOUND_EVENTS_FILE, '[]'],
+    [EMAIL_OUTBOX_FILE, '[]'],
+    [EMAIL_MESSAGES_FILE, '[]'],
+    [RATE_LIMITS_FILE, '[]'],
+    [APPLICATION_FINGERPRINTS_FILE, '[]'],
+    [STATEMENT_ANALYSIS_JOBS_FILE, '[]'],
   ];
 
   for (const [filePath, defaultContent] of defaults) {
@@ -352,10 +669,6 @@ function buildRecordKey(prefix, record) {
   return `${prefix}${year}/${month}/${record.id}.json`;
 }
 
-function getSubmissionIndexKey(type) {
-  return `${S3_INDEX_PREFIX}${type}.json`;
-}
-
 function toBooleanField(value) {
   const normalized = normalizeValue(value).toLowerCase();
   if (!normalized) return false;
@@ -378,6 +691,21 @@ function getFundingRequestRecipients() {
   return configured.length > 0 ? configured : DEFAULT_FUNDING_REQUEST_RECIPIENTS;
 }
 
+/** Staff recipients for a website form. `none` turns that form's notification off. */
+function getFormNotificationRecipients(form) {
+  const configured = (process.env[FORM_NOTIFICATION_RECIPIENT_VARS[form]] || '')
+    .split(',')
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+  if (configured.length === 1 && configured[0].toLowerCase() === 'none') return [];
+  return configured.length > 0 ? configured : getFundingRequestRecipients();
+}
+
+function isFormAutoReplyEnabled(form) {
+  return FORM_AUTO_REPLY_FORMS.includes('all') || FORM_AUTO_REPLY_FORMS.includes(form);
+}
+
 function mapApplicationRecordForSupabase(record) {
   return {
     id: normalizeValue(record.id),
@@ -473,6 +801,9 @@ function mapApplicationRecordForSupabase(record) {
     crm_code: Number.isFinite(Number(record.crmCode)) ? Number(record.crmCode) : null,
     crm_provider: normalizeValue(record.crmProvider || record.crm_provider),
 
+    status: normalizeValue(record.status || 'received'),
+    status_history: Array.isArray(record.statusHistory) ? record.statusHistory : [],
+
     created_at: normalizeValue(record.createdAt),
   };
 }
@@ -489,13 +820,13 @@ function base64UrlDecode(value) {
   return Buffer.from(value, 'base64url').toString('utf8');
 }
 
-function signToken(payload) {
+function signToken(payload, ttlSeconds = CLIENT_TOKEN_TTL_SECONDS) {
   const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
   const body = base64UrlEncode(
     JSON.stringify({
       ...payload,
       iat: Math.floor(Date.now() / 1000),
-      exp: Math.floor(Date.now() / 1000) + CLIENT_TOKEN_TTL_SECONDS,
+      exp: Math.floor(Date.now() / 1000) + ttlSeconds,
     }),
   );
   const signature = crypto.createHmac('sha256', CLIENT_AUTH_SECRET).update(`${header}.${body}`).digest('base64url');
@@ -540,34 +871,136 @@ function verifyClientPassword(storedPassword, enteredPassword) {
   return storedPassword === enteredPassword;
 }
 
-function requireClientAuth(req, res, next) {
+function getBearerToken(req) {
   const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.slice('Bearer '.length).trim() : '';
-  if (!token) {
+  return authHeader.startsWith('Bearer ') ? authHeader.slice('Bearer '.length).trim() : '';
+}
+
+/** Token payload, or null when missing, invalid, expired or revoked. Throws when the revocation store fails. */
+async function authenticateRequest(req) {
+  const token = getBearerToken(req);
+  if (!token) return null;
+
+  let payload;
+  try {
+    payload = verifyToken(token);
+  } catch (error) {
+    return null;
+  }
+  return (await tokenRevocations.isRevoked(payload)) ? null : payload;
+}
+
+/** Wraps an auth check so a revocation store outage answers 500 instead of hanging the request. */
+function authMiddleware(check) {
+  return async (req, res, next) => {
+    let payload;
+    try {
+      payload = await authenticateRequest(req);
+    } catch (error) {
+      console.error('Token revocation lookup failed:', error);
+      return res.status(500).json({ ok: false, error: 'Could not verify session' });
+    }
+    return check(payload, req, res, next);
+  };
+}
+
+const requireClientAuth = authMiddleware((payload, req, res, next) => {
+  // Scoped tokens (e.g. application status links) are not portal sessions.
+  if (!payload || payload.scope) {
+    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  }
+  req.clientAuth = payload;
+  return next();
+});
+
+const requireAdminAuth = authMiddleware((payload, req, res, next) => {
+  if (!ADMIN_AUTH_ENABLED) {
+    return res.status(503).json({ ok: false, error: 'Admin access is disabled until CLIENT_AUTH_SECRET is set' });
+  }
+  if (!payload || payload.scope) {
+    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  }
+  if (payload.role !== 'admin') {
+    return res.status(403).json({ ok: false, error: 'Forbidden' });
+  }
+  req.clientAuth = payload;
+  return next();
+});
+
+/** Accepts a portal session or a status token issued for one application at submit time. */
+const requireApplicationStatusAuth = authMiddleware((payload, req, res, next) => {
+  if (!payload || (payload.scope && payload.scope !== 'application-status')) {
     return res.status(401).json({ ok: false, error: 'Unauthorized' });
   }
+  req.clientAuth = payload;
+  return next();
+});
+
+function signApplicationStatusToken(applicationId) {
+  return signToken({ scope: 'application-status', applicationId }, STATUS_TOKEN_TTL_SECONDS);
+}
+
+/** Proves the browser owns a pending application ID it uploads statements under. */
+function signStatementUploadToken(applicationId) {
+  return signToken({ scope: 'statement-upload', applicationId }, STATEMENT_UPLOAD_TOKEN_TTL_SECONDS);
+}
+
+/** Issued when a website form renders; proves the page was loaded and when. */
+function signFormToken(form) {
+  return signToken({ scope: 'form-render', form, renderedAt: Date.now() }, FORM_TOKEN_TTL_SECONDS);
+}
 
+/** { ok, ageMs } or { ok: false, reason: 'missing' | 'expired' | 'invalid' } for evaluateSubmission. */
+function checkFormToken(token, form) {
+  const value = normalizeValue(token);
+  if (!value) return { ok: false, reason: 'missing' };
   try {
-    req.clientAuth = verifyToken(token);
-    return next();
+    const payload = verifyToken(value);
+    if (payload.scope !== 'form-render' || payload.form !== form || !Number.isFinite(payload.renderedAt)) {
+      return { ok: false, reason: 'invalid' };
+    }
+    return { ok: true, ageMs: Date.now() - payload.renderedAt };
   } catch (error) {
-    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    return { ok: false, reason: error.message === 'Token expired' ? 'expired' : 'invalid' };
   }
 }
 
+function getStatementUploadApplicationId(token) {
+  const payload = verifyToken(normalizeValue(token));
+  return payload?.scope === 'statement-upload' && payload.applicationId ? payload.applicationId : null;
+}
+
 // ===========================================
 // PDF Generation
 // ===========================================
 
-async function generateApplicationPdf(record) {
-  await fs.mkdir(GENERATED_PDF_DIR, { recursive: true });
-
+// The record id keeps same-day applications from one person apart; the editable and
+// sealed files (locally and in S3) are named from this, and /verify-pdf relies on them.
+function getApplicationPdfBaseName(record) {
   const safeDate = (record.createdAt || new Date().toISOString()).split('T')[0];
   const fullName = `${record.first_name || ''} ${record.last_name || ''}`.trim()
     .replace(/[^a-zA-Z0-9 ]/g, '')
     .replace(/\s+/g, '_') || 'applicant';
-  const fileName = `${fullName}_funding_request_${safeDate}.pdf`;
-  const filePath = path.join(GENERATED_PDF_DIR, fileName);
+  const id = String(record.id || '').replace(/[^a-zA-Z0-9-]/g, '');
+  return id ? `${fullName}_funding_request_${safeDate}_${id}` : `${fullName}_funding_request_${safeDate}`;
+}
+
+/** House application PDF for `record`: { buffer, layout }. Nothing is written. */
+async function renderApplicationPdf(record) {
+  // The one-page template has no room for long values or a third owner, so pages are laid out for this record.
+  const paginated = PDF_LAYOUT === 'paginated'
+    || countOwners(record) > 2
+    || (PDF_LAYOUT === 'auto' && needsPaginatedLayout(record));
+  if (paginated) {
+    const buffer = await generateFillablePdfFromLayout(record, {
+      companyName: 'No Limit Capital',
+      margin: 24,
+      logoPath: LOGO_PATH,
+      headerScale: 0.75,
+      layout: 'paginated',
+    });
+    return { buffer, layout: 'paginated' };
+  }
 
   let buffer = null;
   try {
@@ -579,12 +1012,10 @@ async function generateApplicationPdf(record) {
     // Sanitize base64 signature images before the pdfkit fallback (pdfkit renders plain text)
     const sanitized = { ...record };
     const isImg = v => typeof v === 'string' && v.startsWith('data:image/');
-    if (isImg(sanitized.signature)) {
-      sanitized.signature = `${record.owner_first_name || ''} ${record.owner_last_name || ''}`.trim();
-    }
-    if (isImg(sanitized.signature_additional)) {
-      sanitized.signature_additional = `${record.additional_owner_first_name || ''} ${record.additional_owner_last_name || ''}`.trim();
-    }
+    getApplicationOwners(record).forEach((owner, index) => {
+      const { signature } = ownerSignatureFields(index);
+      if (isImg(sanitized[signature])) sanitized[signature] = owner.name;
+    });
     // Fall back to fillable pdfkit layout (also produces a fillable PDF)
     buffer = await generateFillablePdfFromLayout(sanitized, {
       companyName: 'No Limit Capital',
@@ -594,8 +1025,215 @@ async function generateApplicationPdf(record) {
     });
   }
 
+  return { buffer, layout: 'one-page' };
+}
+
+async function generateApplicationPdf(record) {
+  await fs.mkdir(GENERATED_PDF_DIR, { recursive: true });
+
+  const fileName = `${getApplicationPdfBaseName(record)}.pdf`;
+  const filePath = path.join(GENERATED_PDF_DIR, fileName);
+  const { buffer, layout } = await renderApplicationPdf(record);
+
   await fs.writeFile(filePath, buffer);
-  return { fileName, filePath, buffer };
+  return { fileName, filePath, buffer, layout, sha256: sha256(buffer) };
+}
+
+// Funder templates (see pdf-template-registry.js). Re-read on every request outside production.
+const pdfTemplateRegistry = createPdfTemplateRegistry({ dir: PDF_TEMPLATE_DIR, cache: process.env.NODE_ENV === 'production' });
+
+/**
+ * PDF of `record` on the template `templateId`; without one, on the funder
+ * template the rules select, or the house template when none matches.
+ * Nothing is written or stored: these copies are made on demand.
+ */
+async function renderApplicationPdfForTemplate(record, templateId) {
+  const id = templateId || (await pdfTemplateRegistry.select(record))?.id || HOUSE_PDF_TEMPLATE_ID;
+  if (id === HOUSE_PDF_TEMPLATE_ID) {
+    const { buffer } = await renderApplicationPdf(record);
+    return { ok: true, templateId: id, buffer };
+  }
+
+  const template = await pdfTemplateRegistry.get(id);
+  if (!template) {
+    return { ok: false, code: 404, error: 'PDF template not found' };
+  }
+  if (!template.valid) {
+    return { ok: false, code: 422, error: `PDF template has errors: ${template.errors.join('; ')}` };
+  }
+  return { ok: true, templateId: id, buffer: await generateFunderApplicationPdf(record, template) };
+}
+
+async function loadPdfSealer() {
+  let p12 = null;
+  try {
+    if (PDF_SEAL_P12_PATH) p12 = await fs.readFile(PDF_SEAL_P12_PATH);
+    else if (PDF_SEAL_P12_BASE64) p12 = Buffer.from(PDF_SEAL_P12_BASE64, 'base64');
+    const sealer = createPdfSealer({
+      p12,
+      passphrase: process.env.PDF_SEAL_P12_PASSWORD || '',
+      reason: process.env.PDF_SEAL_REASON || undefined,
+      location: process.env.PDF_SEAL_LOCATION || '',
+      contactInfo: ADMIN_EMAIL,
+    });
+    console.log(sealer.signing
+      ? `Sealed application PDFs are signed as "${sealer.signerName}"`
+      : 'Sealed application PDFs are flattened and hashed (no signing certificate configured)');
+    return sealer;
+  } catch (error) {
+    console.warn(`PDF sealing certificate unusable (${error.message}). Sealed PDFs will not be signed.`);
+    return createPdfSealer();
+  }
+}
+
+let pdfSealerPromise = null;
+function getPdfSealer() {
+  if (!pdfSealerPromise) pdfSealerPromise = loadPdfSealer();
+  return pdfSealerPromise;
+}
+if (PDF_SEAL_ENABLED) getPdfSealer();
+
+/**
+ * Flattened, hashed (and optionally signed) copy of the application PDF, kept
+ * next to the editable one. Its hash is what /verify-pdf checks uploads against.
+ */
+async function sealApplicationPdf(pdfData) {
+  const sealer = await getPdfSealer();
+  const sealed = await sealer.seal(pdfData.buffer);
+  const fileName = pdfData.fileName.replace(/\.pdf$/i, '_sealed.pdf');
+  const filePath = path.join(GENERATED_PDF_DIR, fileName);
+  await fs.writeFile(filePath, sealed.buffer);
+
+  const s3Result = await uploadPdfToS3(sealed.buffer, fileName);
+  return {
+    status: 'sealed',
+    fileName,
+    filePath,
+    sha256: sealed.sha256,
+    sealedAt: sealed.sealedAt,
+    signed: sealed.signed,
+    signer: sealed.signer,
+    ...(s3Result.status === 'uploaded' && { s3Key: s3Result.s3Key, url: s3Result.s3Url }),
+  };
+}
+
+// ===========================================
+// Bank Statement Analysis
+// ===========================================
+
+function isPdfFile(file) {
+  return file?.type === 'application/pdf' || /\.pdf$/i.test(file?.originalName || '');
+}
+
+/**
+ * Extract deposits and balances from the application's statements (see
+ * statement-analysis.js). Files stored in S3 are fetched back from there;
+ * without S3 they are still in the local uploads directory.
+ */
+async function analyzeApplicationStatements(record) {
+  const sources = (record.files || [])
+    .filter(isPdfFile)
+    .map((file) => {
+      if (file.s3Key && s3Client && S3_BUCKET_NAME) {
+        return { fileName: file.originalName, size: file.size, read: () => getObjectBufferFromS3(file.s3Key) };
+      }
+      if (file.storedName) {
+        const localPath = path.join(UPLOADS_DIR, path.basename(file.storedName));
+        return { fileName: file.originalName, size: file.size, read: () => fs.readFile(localPath) };
+      }
+      return null;
+    })
+    .filter(Boolean);
+
+  try {
+    return await analyzeStatements(sources, {
+      record,
+      timeoutMs: STATEMENT_ANALYSIS_TIMEOUT_MS,
+      tolerance: STATEMENT_MISMATCH_TOLERANCE,
+    });
+  } catch (error) {
+    console.error('Statement analysis error:', error);
+    return { status: 'failed', error: error.message, analyzedAt: new Date().toISOString() };
+  }
+}
+
+/**
+ * The placeholder stored on submit. Parsing statements can take longer than the
+ * function timeout allows, so it runs from the statement analysis queue.
+ */
+function initialStatementAnalysis() {
+  if (!STATEMENT_ANALYSIS_ENABLED) {
+    return { status: 'skipped', reason: 'Statement analysis disabled', analyzedAt: new Date().toISOString() };
+  }
+  return { status: 'queued', reason: 'Statements are analyzed after submission', queuedAt: new Date().toISOString() };
+}
+
+async function queueStatementAnalysis(record) {
+  try {
+    await statementAnalysisJobs.schedule({ type: 'applications', recordId: record.id, target: 'statements' });
+  } catch (error) {
+    console.error(`Could not queue statement analysis for application ${record.id}:`, error);
+  }
+}
+
+const statementAnalysisHandlers = {
+  async deliver(item) {
+    const found = await findApplicationRecord(item.recordId);
+    if (!found) {
+      // Retryable: the application may still be being stored.
+      return { status: 'failed', error: 'Application not found' };
+    }
+    const analysis = await analyzeApplicationStatements(fieldEncryptor.decryptRecord(found.record));
+    await updateSubmissionRecord(item.type, item.recordId, (record) => {
+      record.statement_analysis = analysis;
+    });
+    return { status: 'sent' };
+  },
+  onDeadLettered(item) {
+    return updateSubmissionRecord(item.type, item.recordId, (record) => {
+      record.statement_analysis = { status: 'failed', error: item.lastError || 'Analysis failed', analyzedAt: item.deadLetteredAt };
+    });
+  },
+};
+
+let statementAnalysisRunning = false;
+
+/** Analyze queued applications; overlapping calls in one process return immediately. */
+async function processStatementAnalysis({ limit = 5, budgetMs = 10 * 1000 } = {}) {
+  if (statementAnalysisRunning) {
+    return { skipped: true, reason: 'Already running' };
+  }
+  statementAnalysisRunning = true;
+  try {
+    return await statementAnalysisJobs.processDue({ ...statementAnalysisHandlers, limit, deadline: Date.now() + budgetMs });
+  } finally {
+    statementAnalysisRunning = false;
+  }
+}
+
+function formatAnalysisMoney(value) {
+  if (value === null || value === undefined) return 'n/a';
+  return `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/** Plain-text lines summarising statement_analysis for the internal notification email. */
+function describeStatementAnalysis(analysis) {
+  const summary = analysis?.summary;
+  if (!summary) {
+    return [`Statement analysis: ${analysis?.reason || analysis?.error || analysis?.status || 'not run'}`];
+  }
+
+  const lines = [
+    `Statements analyzed: ${summary.statementCount} of ${analysis.statements.length}`,
+    `Avg Monthly Deposits: ${formatAnalysisMoney(summary.avgMonthlyDeposits)}`,
+    `Avg Daily Balance: ${formatAnalysisMoney(summary.avgDailyBalance)}`,
+    `NSF / Overdraft Items: ${summary.nsfCount} / ${summary.overdraftCount}`,
+    `Negative Balance Days: ${summary.negativeBalanceDays === null ? 'n/a' : summary.negativeBalanceDays}`,
+  ];
+  analysis.mismatches.forEach((mismatch) => {
+    lines.push(`MISMATCH ${mismatch.field}: reported ${formatAnalysisMoney(mismatch.reported)} vs statements ${formatAnalysisMoney(mismatch.derived)} (${mismatch.differencePct}%)`);
+  });
+  return lines;
 }
 
 // ===========================================
@@ -636,6 +1274,71 @@ async function uploadPdfToS3(buffer, fileName) {
   }
 }
 
+// Multer has already written rejected uploads to disk; don't leave them behind.
+async function removeUploadedFiles(files) {
+  const list = Array.isArray(files) ? files : [];
+  await Promise.all(list.map((file) => fs.unlink(file.path).catch(() => {})));
+}
+
+/** Concatenate statement file lists, dropping repeats of the same S3 object. */
+function mergeStatementFiles(...lists) {
+  const seen = new Set();
+  return lists.flat().filter((file) => {
+    if (!file?.s3Key) return true;
+    if (seen.has(file.s3Key)) return false;
+    seen.add(file.s3Key);
+    return true;
+  });
+}
+
+/**
+ * Verify statements the browser uploaded straight to S3 (see statement-uploads.js).
+ * `body.bank_statement_uploads` is a JSON array of { key, size, contentType, fileName }
+ * and `body.upload_token` scopes them to one pending application ID.
+ * Returns { ok, applicationId, files } or { ok: false, code, error }.
+ */
+async function resolveDirectStatementUploads(body = {}) {
+  const raw = body.bank_statement_uploads;
+  let uploads = [];
+  try {
+    uploads = Array.isArray(raw) ? raw : JSON.parse(normalizeValue(raw) || '[]');
+  } catch (error) {
+    return { ok: false, code: 400, error: 'bank_statement_uploads must be a JSON array' };
+  }
+  if (!Array.isArray(uploads)) {
+    return { ok: false, code: 400, error: 'bank_statement_uploads must be a JSON array' };
+  }
+
+  const token = normalizeValue(body.upload_token);
+  const applicationId = token ? getStatementUploadApplicationId(token) : null;
+  if (token && !applicationId) {
+    return { ok: false, code: 422, error: 'Upload session expired. Please re-attach your bank statements.' };
+  }
+  if (uploads.length === 0) {
+    return { ok: true, applicationId, files: [] };
+  }
+  if (!applicationId) {
+    return { ok: false, code: 422, error: 'upload_token is required with bank_statement_uploads' };
+  }
+  if (uploads.length > STATEMENT_MAX_FILES) {
+    return { ok: false, code: 422, error: `Attach at most ${STATEMENT_MAX_FILES} bank statements` };
+  }
+
+  const files = [];
+  for (const upload of uploads) {
+    const result = await statementUploads.verifyUpload({
+      applicationId,
+      key: upload?.key,
+      size: upload?.size,
+      contentType: upload?.contentType,
+      fileName: upload?.fileName,
+    });
+    if (!result.ok) return result;
+    files.push({ ...result.file, s3Url: buildS3Url(result.file.s3Key) });
+  }
+  return { ok: true, applicationId, files };
+}
+
 async function uploadLocalFileToS3(file, recordId) {
   if (!s3Client || !S3_BUCKET_NAME) {
     return { status: 'skipped', reason: 'S3 not configured' };
@@ -699,19 +1402,10 @@ async function putJsonToS3(key, data) {
   }
 }
 
-async function streamToString(stream) {
-  if (!stream) return '';
-  if (typeof stream.transformToString === 'function') {
-    return stream.transformToString();
-  }
-
-  const chunks = [];
-  for await (const chunk of stream) {
-    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
-  }
-  return Buffer.concat(chunks).toString('utf8');
-}
-
+/**
+ * JSON object at `key`, or `fallback` when it does not exist. Any other
+ * failure is thrown: callers must not mistake an outage for a missing record.
+ */
 async function getJsonFromS3(key, fallback = null) {
   if (!s3Client || !S3_BUCKET_NAME) {
     return fallback;
@@ -723,43 +1417,24 @@ async function getJsonFromS3(key, fallback = null) {
       Key: key,
     });
     const response = await s3Client.send(command);
-    const raw = await streamToString(response.Body);
+    const raw = await readBody(response.Body);
     return raw ? JSON.parse(raw) : fallback;
   } catch (error) {
-    const code = error?.Code || error?.name;
-    if (code !== 'NoSuchKey' && code !== 'NotFound') {
-      console.warn(`S3 JSON read failed for ${key}:`, error.message);
-    }
-    return fallback;
+    if (isMissingKey(error)) return fallback;
+    throw error;
   }
 }
 
-function buildSubmissionSummary(type, record, recordResult) {
-  return {
-    id: record.id,
-    type,
-    createdAt: record.createdAt,
-    name: record.name || '',
-    email: record.email || '',
-    company: record.company || '',
-    pdfStatus: record.pdfStatus,
-    emailStatus: record.emailStatus,
-    crmStatus: record.crmStatus,
-    generated_pdf_url: record.generated_pdf_url,
-    generated_pdf_s3_key: record.generated_pdf_s3_key,
-    record_s3_key: recordResult.s3Key,
-    record_s3_url: recordResult.s3Url,
-  };
-}
-
-async function appendS3Index(indexKey, summary) {
-  const current = await getJsonFromS3(indexKey, []);
-  const records = Array.isArray(current) ? current : [];
-  const next = [
-    summary,
-    ...records.filter((item) => item?.id !== summary.id),
-  ].slice(0, 500);
-  return putJsonToS3(indexKey, next);
+async function getObjectBufferFromS3(key) {
+  const response = await s3Client.send(new GetObjectCommand({
+    Bucket: S3_BUCKET_NAME,
+    Key: key,
+  }));
+  const chunks = [];
+  for await (const chunk of response.Body) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
 }
 
 async function saveSubmissionToS3(type, record, prefix) {
@@ -769,13 +1444,16 @@ async function saveSubmissionToS3(type, record, prefix) {
     return recordResult;
   }
 
-  const indexKey = getSubmissionIndexKey(type);
-  const indexResult = await appendS3Index(indexKey, buildSubmissionSummary(type, record, recordResult));
+  const indexResult = await submissionIndex.upsert(type, buildSubmissionSummary(type, record, recordResult));
   if (indexResult.status !== 'saved') {
     return { ...recordResult, indexStatus: indexResult.status, indexError: indexResult.error || indexResult.reason };
   }
 
-  return { ...recordResult, indexStatus: 'saved', indexKey };
+  return { ...recordResult, indexStatus: 'saved', indexKey: indexResult.s3Key };
+}
+
+function getSubmissionStorageType(formType) {
+  return formType === 'partner' || formType === 'product-request' ? formType : 'contacts';
 }
 
 function getSubmissionRecordPrefix(type) {
@@ -788,15 +1466,127 @@ async function saveApplicationToS3(record) {
   const key = buildRecordKey(S3_APPLICATION_RECORD_PREFIX, record);
   record.generated_record_s3_key = key;
   record.generated_record_url = buildS3Url(key);
-  return saveSubmissionToS3('applications', record, S3_APPLICATION_RECORD_PREFIX);
+  return saveSubmissionToS3('applications', fieldEncryptor.encryptRecord(record), S3_APPLICATION_RECORD_PREFIX);
 }
 
-async function saveContactToS3(record, type = 'contacts') {
-  const prefix = getSubmissionRecordPrefix(type);
-  const key = buildRecordKey(prefix, record);
-  record.generated_record_s3_key = key;
-  record.generated_record_url = buildS3Url(key);
-  return saveSubmissionToS3(type, record, prefix);
+/**
+ * Load a stored application by id from S3 (via the index) or the local fallback file.
+ * Returns { record, storage } or null.
+ */
+async function findApplicationRecord(id) {
+  const target = normalizeValue(id);
+  if (!target) return null;
+
+  const summary = await submissionIndex.get('applications', target);
+  if (summary?.record_s3_key) {
+    const record = await getJsonFromS3(summary.record_s3_key, null);
+    if (record) {
+      return { record, storage: 's3' };
+    }
+  }
+
+  const localApplications = await readJsonArray(APPLICATIONS_FILE);
+  const localRecord = localApplications.find((item) => item?.id === target);
+  return localRecord ? { record: localRecord, storage: 'local' } : null;
+}
+
+/** Persist an updated application back to where it was loaded from. */
+async function updateApplicationRecord(record, storage) {
+  if (storage === 's3') {
+    return saveApplicationToS3(record);
+  }
+
+  const applications = await readJsonArray(APPLICATIONS_FILE);
+  const index = applications.findIndex((item) => item?.id === record.id);
+  if (index === -1) {
+    applications.push(fieldEncryptor.encryptRecord(record));
+  } else {
+    applications[index] = fieldEncryptor.encryptRecord(record);
+  }
+  await writeJsonArray(APPLICATIONS_FILE, applications);
+  return { status: 'saved', storage: 'local' };
+}
+
+/**
+ * Move a stored application through the status state machine and persist it.
+ * Returns { ok, record?, error?, code? } where code is an HTTP status for callers.
+ */
+async function updateApplicationStatus(id, nextStatus, options = {}) {
+  const found = await findApplicationRecord(id);
+  if (!found) {
+    return { ok: false, code: 404, error: 'Application not found' };
+  }
+
+  const { record, storage } = found;
+  const transition = applyStatusTransition(record, nextStatus, options);
+  if (!transition.ok) {
+    return { ok: false, code: 409, error: transition.error };
+  }
+
+  const saveResult = await updateApplicationRecord(record, storage);
+  if (saveResult.status !== 'saved') {
+    return { ok: false, code: 500, error: 'Failed to store status update' };
+  }
+
+  await updateApplicationInSupabase(record.id, {
+    status: record.status,
+    status_history: record.statusHistory,
+  });
+
+  return { ok: true, record, storage, from: transition.from, entry: transition.entry };
+}
+
+/** Load a stored submission of any type. Returns { record, storage } or null. */
+async function findSubmissionRecord(type, id) {
+  if (type === 'applications') {
+    return findApplicationRecord(id);
+  }
+
+  const summary = await submissionIndex.get(type, id);
+  if (summary?.record_s3_key) {
+    const record = await getJsonFromS3(summary.record_s3_key, null);
+    if (record) return { record, storage: 's3' };
+  }
+
+  const contacts = await readJsonArray(CONTACTS_FILE);
+  const localRecord = contacts.find((item) => item?.id === id);
+  return localRecord ? { record: localRecord, storage: 'local' } : null;
+}
+
+/** Persist a submission of any type back to where it was loaded from. */
+async function saveSubmissionRecord(type, record, storage) {
+  if (type === 'applications') {
+    return updateApplicationRecord(record, storage);
+  }
+  if (storage === 's3') {
+    return saveSubmissionToS3(type, record, getSubmissionRecordPrefix(type));
+  }
+
+  const contacts = await readJsonArray(CONTACTS_FILE);
+  const index = contacts.findIndex((entry) => entry?.id === record.id);
+  if (index !== -1) contacts[index] = record;
+  await writeJsonArray(CONTACTS_FILE, contacts);
+  return { status: 'saved', storage: 'local' };
+}
+
+/**
+ * Load a submission, let `mutate(record)` change it and save it. `mutate` may
+ * return false to skip the save. Returns the record, or null when not found or skipped.
+ */
+async function updateSubmissionRecord(type, id, mutate) {
+  const found = await findSubmissionRecord(type, id);
+  if (!found) return null;
+  if ((await mutate(found.record)) === false) return null;
+  await saveSubmissionRecord(type, found.record, found.storage);
+  return found.record;
+}
+
+async function saveContactToS3(record, type = 'contacts') {
+  const prefix = getSubmissionRecordPrefix(type);
+  const key = buildRecordKey(prefix, record);
+  record.generated_record_s3_key = key;
+  record.generated_record_url = buildS3Url(key);
+  return saveSubmissionToS3(type, record, prefix);
 }
 
 // ===========================================
@@ -991,92 +1781,23 @@ async function sendEmailViaSmtp(to, subject, textBody, htmlBody, attachments, fr
 }
 
 /**
- * Send email with PDF attachment.
+ * Try SES first (primary production provider with raw MIME attachment support),
+ * then SendGrid, then SMTP. Returns the first successful result tagged with its provider.
  */
-async function emailApplicationPdf(record, pdfData) {
-  const recipients = getFundingRequestRecipients();
-
-  const applicantName = `${record.first_name || ''} ${record.last_name || ''}`.trim();
-  const subject = `New Funding Application - ${applicantName} - No Limit Capital`;
-
-  const textBody = [
-    'New funding application received.',
-    '',
-    'APPLICANT DETAILS:',
-    `Name: ${applicantName}`,
-    `Email: ${record.email || ''}`,
-    `Phone: ${record.contact_number || ''}`,
-    '',
-    'BUSINESS DETAILS:',
-    `Business Name: ${record.legal_business_name || ''}`,
-    `Industry: ${record.industry || ''}`,
-    `Requested Amount: ${record.loan_amount || ''}`,
-    `Funding Timeline: ${record.funding_timeline || ''}`,
-    '',
-    `Application ID: ${record.id}`,
-    `Submitted: ${record.createdAt ? new Date(record.createdAt).toLocaleString() : new Date().toLocaleString()}`,
-    '',
-    'Please see the attached PDF for complete application details.',
-    '',
-    '---',
-    'No Limit Capital',
-    'www.nolimitcap.net',
-  ].join('\n');
-
-  const htmlBody = `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <div style="background: #1a56db; padding: 20px; text-align: center;">
-        <h1 style="color: white; margin: 0;">No Limit Capital</h1>
-        <p style="color: #fbbf24; margin: 5px 0 0 0;">New Funding Application</p>
-      </div>
-      <div style="padding: 20px; background: #f8fafc;">
-        <h2 style="color: #1e293b; border-bottom: 2px solid #1a56db; padding-bottom: 10px;">Applicant Details</h2>
-        <table style="width: 100%; border-collapse: collapse;">
-          <tr><td style="padding: 8px; border-bottom: 1px solid #e2e8f0;"><strong>Name:</strong></td><td style="padding: 8px; border-bottom: 1px solid #e2e8f0;">${applicantName}</td></tr>
-          <tr><td style="padding: 8px; border-bottom: 1px solid #e2e8f0;"><strong>Email:</strong></td><td style="padding: 8px; border-bottom: 1px solid #e2e8f0;">${record.email || ''}</td></tr>
-          <tr><td style="padding: 8px; border-bottom: 1px solid #e2e8f0;"><strong>Phone:</strong></td><td style="padding: 8px; border-bottom: 1px solid #e2e8f0;">${record.contact_number || ''}</td></tr>
-        </table>
-        <h2 style="color: #1e293b; border-bottom: 2px solid #1a56db; padding-bottom: 10px; margin-top: 20px;">Business Details</h2>
-        <table style="width: 100%; border-collapse: collapse;">
-          <tr><td style="padding: 8px; border-bottom: 1px solid #e2e8f0;"><strong>Business Name:</strong></td><td style="padding: 8px; border-bottom: 1px solid #e2e8f0;">${record.legal_business_name || ''}</td></tr>
-          <tr><td style="padding: 8px; border-bottom: 1px solid #e2e8f0;"><strong>Industry:</strong></td><td style="padding: 8px; border-bottom: 1px solid #e2e8f0;">${record.industry || ''}</td></tr>
-          <tr><td style="padding: 8px; border-bottom: 1px solid #e2e8f0;"><strong>Requested Amount:</strong></td><td style="padding: 8px; border-bottom: 1px solid #e2e8f0;">${record.loan_amount || ''}</td></tr>
-          <tr><td style="padding: 8px; border-bottom: 1px solid #e2e8f0;"><strong>Funding Timeline:</strong></td><td style="padding: 8px; border-bottom: 1px solid #e2e8f0;">${record.funding_timeline || ''}</td></tr>
-        </table>
-        <div style="margin-top: 20px; padding: 15px; background: #1a56db; color: white; border-radius: 8px;">
-          <p style="margin: 0;"><strong>Application ID:</strong> ${record.id}</p>
-          <p style="margin: 5px 0 0 0;"><strong>Submitted:</strong> ${record.createdAt ? new Date(record.createdAt).toLocaleString() : new Date().toLocaleString()}</p>
-        </div>
-        <p style="margin-top: 20px; color: #64748b;">Please see the attached PDF for complete application details.</p>
-      </div>
-      <div style="background: #1e293b; padding: 15px; text-align: center; color: #94a3b8;">
-        <p style="margin: 0;">No Limit Capital | www.nolimitcap.net</p>
-      </div>
-    </div>
-  `;
-
-  const attachments = [
-    {
-      filename: pdfData.fileName,
-      content: pdfData.buffer,
-      contentType: 'application/pdf',
-    },
-  ];
-
-  // Try SES first (primary production provider with raw MIME PDF attachment support).
-  let result = await sendEmailViaSes(recipients, subject, textBody, htmlBody, attachments);
+async function sendEmailWithFallback(to, subject, textBody, htmlBody, attachments = [], from) {
+  let result = await sendEmailViaSes(to, subject, textBody, htmlBody, attachments, from);
   if (result.status === 'sent') {
     return { ...result, provider: 'ses' };
   }
 
   // Fall back to SendGrid.
-  result = await sendEmailViaSendGrid(recipients, subject, textBody, htmlBody, attachments);
+  result = await sendEmailViaSendGrid(to, subject, textBody, htmlBody, attachments, from);
   if (result.status === 'sent') {
     return { ...result, provider: 'sendgrid' };
   }
 
   // Fall back to SMTP.
-  result = await sendEmailViaSmtp(recipients, subject, textBody, htmlBody, attachments);
+  result = await sendEmailViaSmtp(to, subject, textBody, htmlBody, attachments, from);
   if (result.status === 'sent') {
     return { ...result, provider: 'smtp' };
   }
@@ -1084,113 +1805,543 @@ async function emailApplicationPdf(record, pdfData) {
   return { status: 'failed', reason: 'All email providers failed' };
 }
 
+// ===========================================
+// Email Templates
+// ===========================================
+
+// Templates live in server/email-templates (see email-renderer.js). Re-read on every send outside production.
+const emailRenderer = createEmailRenderer({ dir: EMAIL_TEMPLATE_DIR, cache: process.env.NODE_ENV === 'production' });
+
+const FORM_NOTIFICATION_TEMPLATES = {
+  contact: 'contact-notification',
+  partner: 'partner-notification',
+  'product-request': 'product-request-notification',
+  estimate: 'estimate-notification',
+};
+
+const FORM_AUTO_REPLY_TEMPLATES = {
+  contact: 'contact-auto-reply',
+  partner: 'partner-auto-reply',
+  'product-request': 'product-request-auto-reply',
+  estimate: 'estimate-auto-reply',
+};
+
+const FORM_FIELD_LABELS = {
+  name: 'Name',
+  email: 'Email',
+  phone: 'Phone',
+  company: 'Company',
+  role: 'Role',
+  revenue: 'Monthly Revenue',
+  needs: 'Funding Need',
+  product: 'Product',
+  partner_type: 'Partner Type',
+  pipeline_size: 'Monthly Pipeline',
+  contact_time: 'Best Time to Contact',
+  details: 'Details',
+  note: 'Note',
+};
+
+const STATUS_EMAIL_INTROS = {
+  under_review: 'Our funding team is now reviewing your application.',
+  docs_requested: 'We need a few more documents to keep your application moving. Your funding specialist will follow up with the list.',
+  offer_out: 'Good news: a funding offer has been issued for your application. Your funding specialist will walk you through the terms.',
+  funded: 'Your funding has been issued. Funds typically arrive within one business day.',
+  declined: 'After careful review, we are unable to offer funding on this application at this time.',
+};
+
+// Partner auto-reply content per `partner_type` (partner.html options).
+const PARTNER_PACKETS = {
+  broker: {
+    title: 'For Loan Brokers',
+    intro: 'Here is how our broker program works.',
+    highlights: [
+      'Competitive commissions paid on every funded deal',
+      'Working capital, equipment financing and lines of credit from $10,000 to $5M',
+      'Decisions within 24 hours and funding as soon as the next business day',
+      'Real-time deal status so you can keep your clients updated',
+    ],
+  },
+  financial_advisor: {
+    title: 'For Financial Advisors',
+    intro: 'Here is how we help advisors give business-owner clients access to capital.',
+    highlights: [
+      'A trusted funding option for clients who need capital quickly',
+      'Your clients get a dedicated funding specialist; you stay the primary relationship',
+      'Referral compensation on funded deals',
+      'Status updates on every referral',
+    ],
+  },
+  accountant: {
+    title: 'For Accountants and CPAs',
+    intro: 'Here is how we work with accounting firms.',
+    highlights: [
+      'Funding for clients with seasonal gaps, tax bills or growth plans',
+      'Bank statements and financials you already prepare are usually all we need',
+      'Referral compensation on funded deals',
+      'You stay informed at every step of the review',
+    ],
+  },
+  real_estate_agent: {
+    title: 'For Real Estate Agents',
+    intro: 'Here is how we help agents close deals with business buyers and owners.',
+    highlights: [
+      'Capital for build-outs, deposits and working capital around a move',
+      'Fast decisions that keep commercial closings on schedule',
+      'Referral compensation on funded deals',
+      'Deal status updates you can share with your client',
+    ],
+  },
+  iso: {
+    title: 'For ISOs and Merchant Services',
+    intro: 'Here is how our ISO program works.',
+    highlights: [
+      'Offer funding alongside payment processing to your merchant portfolio',
+      'Programs for merchants with consistent card and bank deposits',
+      'Competitive commissions paid on every funded deal',
+      'Real-time deal tracking for your whole book',
+    ],
+  },
+  other: {
+    title: 'Partnering With No Limit Capital',
+    intro: 'Here is an overview of our partner program.',
+    highlights: [
+      'Referral, strategic alliance and embedded finance programs',
+      'Decisions within 24 hours and funding as soon as the next business day',
+      'Compensation on funded deals',
+      'Real-time deal status for every referral',
+    ],
+  },
+};
+
+function formatSubmittedAt(value) {
+  return (value ? new Date(value) : new Date()).toLocaleString();
+}
+
+function getApplicantName(record) {
+  return `${record.first_name || ''} ${record.last_name || ''}`.trim();
+}
+
+/** Form name used for templates and recipients; forms without their own (e.g. `general`) count as contact. */
+function getNotificationForm(form) {
+  return FORM_NOTIFICATION_TEMPLATES[form] ? form : 'contact';
+}
+
+function buildAutoReplyView({ record }) {
+  return {
+    id: record.id,
+    firstName: normalizeValue(record.name).split(/\s+/)[0] || 'there',
+    company: record.company || '',
+    product: record.product || '',
+    contactTime: normalizeValue(record.contact_time).toLowerCase(),
+    applyUrl: `${APP_URL}/apply/`,
+  };
+}
+
+function buildFormNotificationView({ record }) {
+  return {
+    id: record.id,
+    name: record.name || '',
+    email: record.email || '',
+    page: record.page || '',
+    submittedAt: formatSubmittedAt(record.createdAt),
+    fields: Object.entries(FORM_FIELD_LABELS)
+      .filter(([field]) => normalizeValue(record[field]))
+      .map(([field, label]) => ({ label, value: record[field] })),
+  };
+}
+
+/**
+ * Template name -> builds the template's view from the data a sender (or the
+ * admin preview) passes in. Templates without a builder receive the data as-is.
+ */
+const EMAIL_VIEWS = {
+  'application-internal': ({ record }) => ({
+    id: record.id,
+    applicantName: getApplicantName(record),
+    duplicateOf: record.duplicate_of || '',
+    duplicateMatch: (record.duplicateMatch || []).map((kind) => kind.replace(/_/g, ' ')),
+    submittedAt: formatSubmittedAt(record.createdAt),
+    applicantRows: [
+      { label: 'Name', value: getApplicantName(record) },
+      { label: 'Email', value: record.email || '' },
+      { label: 'Phone', value: record.contact_number || '' },
+    ],
+    businessRows: [
+      { label: 'Business Name', value: record.legal_business_name || '' },
+      { label: 'Industry', value: record.industry || '' },
+      { label: 'Requested Amount', value: record.loan_amount || '' },
+      { label: 'Funding Timeline', value: record.funding_timeline || '' },
+    ],
+    analysisLines: describeStatementAnalysis(record.statement_analysis)
+      .map((text) => ({ text, mismatch: text.startsWith('MISMATCH') })),
+  }),
+  'application-confirmation': ({ record }) => ({
+    id: record.id,
+    applicantName: getApplicantName(record) || 'Applicant',
+    summaryRows: [
+      { label: 'Requested Amount', value: record.loan_amount || 'N/A' },
+      { label: 'Funding Timeline', value: record.funding_timeline || 'N/A' },
+      { label: 'Business Name', value: record.legal_business_name || record.business_dba || 'N/A' },
+    ],
+  }),
+  'application-status': ({ record, entry }) => {
+    const statusLabel = STATUS_LABELS[entry.status] || entry.status;
+    return {
+      id: record.id,
+      applicantName: getApplicantName(record) || 'Applicant',
+      statusLabel,
+      intro: STATUS_EMAIL_INTROS[entry.status] || `Your application status is now ${statusLabel}.`,
+      message: entry.message || '',
+    };
+  },
+  'draft-resume': ({ draft, token }) => ({
+    firstName: normalizeValue(draft.fields?.first_name) || 'there',
+    resumeUrl: buildDraftResumeUrl(token),
+    expires: new Date(draft.expiresAt).toLocaleDateString('en-US', { dateStyle: 'long' }),
+  }),
+  ...Object.fromEntries(Object.values(FORM_NOTIFICATION_TEMPLATES).map((name) => [name, buildFormNotificationView])),
+  'contact-auto-reply': buildAutoReplyView,
+  'product-request-auto-reply': buildAutoReplyView,
+  'estimate-auto-reply': ({ record }) => {
+    const summaryRows = [
+      { label: 'Monthly Revenue', value: record.revenue || '' },
+      { label: 'Funding Need', value: record.needs || '' },
+    ].filter((row) => row.value);
+    return { ...buildAutoReplyView({ record }), summaryRows, hasSummary: summaryRows.length > 0 };
+  },
+  'partner-auto-reply': ({ record }) => {
+    const packet = PARTNER_PACKETS[record.partner_type] || PARTNER_PACKETS.other;
+    return {
+      ...buildAutoReplyView({ record }),
+      packetTitle: packet.title,
+      packetIntro: packet.intro,
+      highlights: packet.highlights,
+      packetUrl: PARTNER_PACKET_URL,
+    };
+  },
+};
+
+/** Render a template to { subject, text, html }. Throws on a missing template or bad data. */
+async function renderEmail(name, data = {}) {
+  const buildView = EMAIL_VIEWS[name];
+  return emailRenderer.render(name, buildView ? buildView(data) : data);
+}
+
+/** Render and send through the SES -> SendGrid -> SMTP chain. Render failures become a failed result. */
+async function sendTemplatedEmail(name, data, to, { attachments = [], from } = {}) {
+  let email;
+  try {
+    email = await renderEmail(name, data);
+  } catch (error) {
+    console.error(`Email template ${name} failed to render:`, error.message);
+    return { status: 'failed', error: error.message };
+  }
+  return sendEmailWithFallback(to, email.subject, email.text, email.html, attachments, from);
+}
+
+/**
+ * Send email with PDF attachment.
+ */
+async function emailApplicationPdf(record, pdfData) {
+  const attachments = [
+    {
+      filename: pdfData.fileName,
+      content: pdfData.buffer,
+      contentType: 'application/pdf',
+    },
+  ];
+
+  return deliverEmail('applications', record, {
+    key: 'application-internal',
+    template: 'application-internal',
+    to: getFundingRequestRecipients(),
+    attachments,
+    retry: { attachPdf: true },
+  });
+}
+
 /**
  * Send confirmation email to the applicant after successful submission
  */
 async function sendApplicantConfirmationEmail(record) {
-  const applicantEmail = record.email;
-  if (!applicantEmail) {
+  if (!record.email) {
     return { status: 'skipped', reason: 'No applicant email' };
   }
+  return deliverEmail('applications', record, {
+    key: 'application-confirmation',
+    template: 'application-confirmation',
+    to: record.email,
+    from: 'info@nolimitcap.net',
+  });
+}
+
+/**
+ * Tell the applicant their application moved to a new status.
+ * `entry` is the statusHistory entry; its `message` is the applicant-facing note.
+ */
+async function sendApplicantStatusEmail(record, entry) {
+  if (!record.email) {
+    return { status: 'skipped', reason: 'No applicant email' };
+  }
+  return deliverEmail('applications', record, {
+    key: `application-status-${entry.status}-${Date.parse(entry.at)}`,
+    template: 'application-status',
+    to: record.email,
+    from: 'info@nolimitcap.net',
+    data: { record, entry },
+    retry: { statusAt: entry.at },
+  });
+}
 
-  const applicantName = `${record.first_name || ''} ${record.last_name || ''}`.trim() || 'Applicant';
-  const subject = 'Application Received - No Limit Capital';
+/** Send a (non-spam) website form submission to the CRM and email staff; the caller stores it. */
+async function forwardFormSubmission(type, record) {
+  await deliverToCrm(type, record);
 
-  const textBody = [
-    `Dear ${applicantName},`,
-    '',
-    'Thank you for submitting your funding application with No Limit Capital!',
-    '',
-    'We have received your application and our team is reviewing it now.',
-    'You can expect to hear back from us within 24 hours.',
-    '',
-    'APPLICATION DETAILS:',
-    `Application ID: ${record.id}`,
-    `Requested Amount: ${record.loan_amount || 'N/A'}`,
-    `Funding Timeline: ${record.funding_timeline || 'N/A'}`,
-    `Business Name: ${record.legal_business_name || record.business_dba || 'N/A'}`,
-    '',
-    'If you have any questions in the meantime, feel free to reach out:',
-    'Email: info@nolimitcap.net',
-    'Website: www.nolimitcap.net',
-    '',
-    'Best regards,',
-    'The No Limit Capital Team',
-  ].join('\n');
-
-  const htmlBody = `
-    <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #ffffff;">
-      <div style="background: linear-gradient(135deg, #1a56db, #1e3a8a); padding: 32px 24px; text-align: center; border-radius: 8px 8px 0 0;">
-        <h1 style="color: #ffffff; margin: 0; font-size: 24px; font-weight: 700;">No Limit Capital</h1>
-        <p style="color: #fbbf24; margin: 8px 0 0 0; font-size: 14px; letter-spacing: 1px; text-transform: uppercase;">Application Received</p>
-      </div>
-
-      <div style="padding: 32px 24px; background: #f8fafc;">
-        <p style="color: #1e293b; font-size: 16px; line-height: 1.6; margin: 0 0 16px 0;">Dear <strong>${applicantName}</strong>,</p>
-        <p style="color: #475569; font-size: 15px; line-height: 1.6; margin: 0 0 24px 0;">Thank you for submitting your funding application with No Limit Capital! We have received your application and our team is already reviewing it.</p>
-
-        <div style="background: #ffffff; border: 1px solid #e2e8f0; border-radius: 8px; padding: 20px; margin: 0 0 24px 0;">
-          <h2 style="color: #1e293b; font-size: 16px; margin: 0 0 16px 0; border-bottom: 2px solid #1a56db; padding-bottom: 8px;">Your Application Summary</h2>
-          <table style="width: 100%; border-collapse: collapse;">
-            <tr>
-              <td style="padding: 8px 0; color: #64748b; font-size: 14px;">Application ID</td>
-              <td style="padding: 8px 0; color: #1e293b; font-size: 14px; font-weight: 600; text-align: right;">${record.id}</td>
-            </tr>
-            <tr>
-              <td style="padding: 8px 0; color: #64748b; font-size: 14px; border-top: 1px solid #f1f5f9;">Requested Amount</td>
-              <td style="padding: 8px 0; color: #1e293b; font-size: 14px; font-weight: 600; text-align: right; border-top: 1px solid #f1f5f9;">${record.loan_amount || 'N/A'}</td>
-            </tr>
-            <tr>
-              <td style="padding: 8px 0; color: #64748b; font-size: 14px; border-top: 1px solid #f1f5f9;">Funding Timeline</td>
-              <td style="padding: 8px 0; color: #1e293b; font-size: 14px; font-weight: 600; text-align: right; border-top: 1px solid #f1f5f9;">${record.funding_timeline || 'N/A'}</td>
-            </tr>
-            <tr>
-              <td style="padding: 8px 0; color: #64748b; font-size: 14px; border-top: 1px solid #f1f5f9;">Business Name</td>
-              <td style="padding: 8px 0; color: #1e293b; font-size: 14px; font-weight: 600; text-align: right; border-top: 1px solid #f1f5f9;">${record.legal_business_name || record.business_dba || 'N/A'}</td>
-            </tr>
-          </table>
-        </div>
-
-        <div style="background: #eff6ff; border-left: 4px solid #1a56db; padding: 16px 20px; border-radius: 0 8px 8px 0; margin: 0 0 24px 0;">
-          <h3 style="color: #1e293b; font-size: 15px; margin: 0 0 8px 0;">What Happens Next?</h3>
-          <ol style="color: #475569; font-size: 14px; line-height: 1.8; margin: 0; padding-left: 20px;">
-            <li>Our funding specialists will review your application</li>
-            <li>You will receive a pre-approval decision within <strong>24 hours</strong></li>
-            <li>Once approved, funds can be deposited as soon as the <strong>next business day</strong></li>
-          </ol>
-        </div>
-
-        <p style="color: #475569; font-size: 14px; line-height: 1.6; margin: 0;">If you have any questions, feel free to reach out to us at <a href="mailto:info@nolimitcap.net" style="color: #1a56db; text-decoration: none; font-weight: 600;">info@nolimitcap.net</a>.</p>
-      </div>
-
-      <div style="background: #1e293b; padding: 20px 24px; text-align: center; border-radius: 0 0 8px 8px;">
-        <p style="color: #94a3b8; font-size: 13px; margin: 0;">No Limit Capital | <a href="https://www.nolimitcap.net" style="color: #94a3b8; text-decoration: none;">www.nolimitcap.net</a></p>
-        <p style="color: #64748b; font-size: 11px; margin: 8px 0 0 0;">This is an automated confirmation. Please do not reply to this email.</p>
-      </div>
-    </div>
-  `;
-
-  const fromAddress = 'info@nolimitcap.net';
-
-  // Try SES first to match the primary production email provider.
-  let result = await sendEmailViaSes(applicantEmail, subject, textBody, htmlBody, [], fromAddress);
-  if (result.status === 'sent') {
-    return { ...result, provider: 'ses' };
+  // Sent before storing so the email log is saved with the record.
+  const mailResult = await sendFormEmails(type, record);
+  record.emailStatus = mailResult.status === 'sent' || mailResult.status === 'skipped'
+    ? mailResult.status
+    : getEmailLogStatus(record, 'form-notification') || mailResult.status;
+}
+
+/**
+ * Staff notification and optional submitter auto-reply for a website form.
+ * Both are logged on the record, which the caller stores afterwards.
+ * Returns the staff email result ({ status: 'skipped' } when the form has no recipients).
+ */
+async function sendFormEmails(type, record) {
+  const form = getNotificationForm(record.form);
+  const recipients = getFormNotificationRecipients(form);
+
+  let staffResult = { status: 'skipped', reason: 'No recipients for this form' };
+  if (recipients.length > 0) {
+    staffResult = await deliverEmail(type, record, {
+      key: 'form-notification',
+      template: FORM_NOTIFICATION_TEMPLATES[form],
+      to: recipients,
+    });
   }
 
-  // Fall back to SendGrid.
-  result = await sendEmailViaSendGrid(applicantEmail, subject, textBody, htmlBody, [], fromAddress);
-  if (result.status === 'sent') {
-    return { ...result, provider: 'sendgrid' };
+  if (record.email && isFormAutoReplyEnabled(form)) {
+    const replyResult = await deliverEmail(type, record, {
+      key: 'form-auto-reply',
+      template: FORM_AUTO_REPLY_TEMPLATES[form],
+      to: record.email,
+      from: 'info@nolimitcap.net',
+    });
+    if (replyResult.status !== 'sent') {
+      console.warn(`Auto-reply failed for ${form} submission ${record.id}:`, replyResult.reason || replyResult.error || 'unknown');
+    }
   }
 
-  // Fall back to SMTP.
-  result = await sendEmailViaSmtp(applicantEmail, subject, textBody, htmlBody, [], fromAddress);
+  return staffResult;
+}
+
+// ===========================================
+// Email Delivery Log + Retry Outbox
+// ===========================================
+
+// Log keys of staff notifications; their delivery is mirrored on record.emailStatus.
+const STAFF_EMAIL_KEYS = ['application-internal', 'form-notification'];
+
+/** Status of one emailLog entry: sent, queued, failed (or a later provider event). */
+function getEmailLogStatus(record, key) {
+  return (record.emailLog || []).find((entry) => entry.key === key)?.status;
+}
+
+const EMAIL_LOG_MAX_EVENTS = 20;
+
+/** Merge `changes` into the record's emailLog entry for `key`; undefined values are removed. */
+function upsertEmailLog(record, key, changes) {
+  record.emailLog = Array.isArray(record.emailLog) ? record.emailLog : [];
+  let entry = record.emailLog.find((item) => item.key === key);
+  if (!entry) {
+    entry = { key };
+    record.emailLog.push(entry);
+  }
+  Object.entries({ ...changes, updatedAt: new Date().toISOString() }).forEach(([field, value]) => {
+    if (value === undefined) delete entry[field];
+    else entry[field] = value;
+  });
+  return entry;
+}
+
+async function rememberEmailMessage(type, recordId, key, result) {
+  try {
+    await emailMessageIndex.remember(result.provider, result.messageId, { type, recordId, key });
+  } catch (error) {
+    console.error('Email message index error:', error);
+  }
+}
+
+/**
+ * Send one templated email for a submission and log it on `record.emailLog`
+ * (the caller saves the record). A failed send is queued in the email outbox;
+ * `retry` holds what the outbox needs to rebuild it (attachPdf, statusAt).
+ */
+async function deliverEmail(type, record, { key, template, to, from, attachments = [], data = { record }, retry = {} }) {
+  const result = await sendTemplatedEmail(template, data, to, { attachments, from });
+  const recipients = normalizeEmailList(to);
+
   if (result.status === 'sent') {
-    return { ...result, provider: 'smtp' };
+    upsertEmailLog(record, key, {
+      template,
+      to: recipients,
+      status: 'sent',
+      provider: result.provider,
+      messageId: result.messageId,
+      attempts: 1,
+      sentAt: new Date().toISOString(),
+    });
+    await rememberEmailMessage(type, record.id, key, result);
+    return result;
   }
 
-  return { status: 'failed', reason: 'All email providers failed' };
+  upsertEmailLog(record, key, {
+    template,
+    to: recipients,
+    status: 'failed',
+    attempts: 1,
+    error: String(result.error || result.reason || 'Send failed').slice(0, 300),
+  });
+  try {
+    const queued = await emailOutbox.enqueue({
+      type,
+      recordId: record.id,
+      target: key,
+      result,
+      data: { template, to: recipients, from, ...retry },
+    });
+    if (queued.status !== 'dead-letter') {
+      upsertEmailLog(record, key, { status: 'queued', nextAttemptAt: queued.item.nextAttemptAt });
+    }
+  } catch (error) {
+    console.error('Email outbox enqueue error:', error);
+  }
+  return result;
+}
+
+/** The stored application PDF (S3, then local file), or a freshly generated one. */
+async function loadApplicationPdfAttachment(record) {
+  let buffer = null;
+  if (s3Client && record.generated_pdf_s3_key) {
+    buffer = await getObjectBufferFromS3(record.generated_pdf_s3_key).catch(() => null);
+  }
+  if (!buffer && record.generated_pdf?.filePath) {
+    buffer = await fs.readFile(record.generated_pdf.filePath).catch(() => null);
+  }
+  if (buffer) {
+    return { filename: record.generated_pdf_filename || `${record.id}.pdf`, content: buffer, contentType: 'application/pdf' };
+  }
+  const pdfData = await generateApplicationPdf(record);
+  return { filename: pdfData.fileName, content: pdfData.buffer, contentType: 'application/pdf' };
+}
+
+const emailOutboxHandlers = {
+  async deliver(item) {
+    const found = await findSubmissionRecord(item.type, item.recordId);
+    if (!found) {
+      // Retryable: the submission may still be being stored.
+      return { status: 'failed', error: 'Submission not found' };
+    }
+
+    const record = fieldEncryptor.decryptRecord(found.record);
+    const { template, to, from, attachPdf, statusAt } = item.data || {};
+    const data = { record };
+    if (statusAt) {
+      data.entry = (record.statusHistory || []).find((entry) => entry.at === statusAt);
+      if (!data.entry) return { status: 'failed', code: 404, error: 'Status entry not found' };
+    }
+    const attachments = attachPdf ? [await loadApplicationPdfAttachment(record)] : [];
+    return sendTemplatedEmail(template, data, to, { attachments, from });
+  },
+  async onDelivered(item, result, attempts) {
+    await updateSubmissionRecord(item.type, item.recordId, (record) => {
+      upsertEmailLog(record, item.target, {
+        status: 'sent',
+        provider: result.provider,
+        messageId: result.messageId,
+        attempts,
+        error: undefined,
+        nextAttemptAt: undefined,
+        sentAt: new Date().toISOString(),
+      });
+      if (STAFF_EMAIL_KEYS.includes(item.target)) {
+        record.emailStatus = 'sent';
+        record.emailProvider = result.provider;
+        record.emailMessageId = result.messageId;
+      }
+    });
+    await rememberEmailMessage(item.type, item.recordId, item.target, result);
+  },
+  onDeadLettered(item) {
+    return updateSubmissionRecord(item.type, item.recordId, (record) => {
+      upsertEmailLog(record, item.target, {
+        status: 'failed',
+        attempts: item.attempts,
+        error: item.lastError || undefined,
+        nextAttemptAt: undefined,
+        deadLetteredAt: item.deadLetteredAt,
+      });
+      if (STAFF_EMAIL_KEYS.includes(item.target)) record.emailStatus = 'failed';
+    });
+  },
+};
+
+let emailOutboxRunning = false;
+
+/** Retry due email outbox items; overlapping calls in one process return immediately. */
+async function processEmailOutbox({ limit = 10, budgetMs = 10 * 1000 } = {}) {
+  if (emailOutboxRunning) {
+    return { skipped: true, reason: 'Already running' };
+  }
+  emailOutboxRunning = true;
+  try {
+    return await emailOutbox.processDue({ ...emailOutboxHandlers, limit, deadline: Date.now() + budgetMs });
+  } finally {
+    emailOutboxRunning = false;
+  }
+}
+
+/**
+ * Apply one provider event (see email-events.js) to the submission that sent
+ * the message. Bounces and complaints for the submitter's own address are
+ * surfaced as `record.emailIssue` so staff can spot a bad email.
+ */
+async function applyEmailEvent(event) {
+  const ref = await emailMessageIndex.lookup(event.provider, event.messageId);
+  if (!ref) return 'unknown';
+
+  const updated = await updateSubmissionRecord(ref.type, ref.recordId, (record) => {
+    const entry = (record.emailLog || []).find((item) => item.key === ref.key);
+    if (!entry) return false;
+
+    const events = [...(entry.events || []), { type: event.type, at: event.at, detail: event.detail || undefined }];
+    const changes = { events: events.slice(-EMAIL_LOG_MAX_EVENTS) };
+    if (event.type !== 'deferred' && isStatusUpgrade(entry.status, event.type)) changes.status = event.type;
+    upsertEmailLog(record, ref.key, changes);
+
+    const submitter = emailForCompare(record.email);
+    if ((event.type === 'bounced' || event.type === 'complained')
+      && event.recipients.some((recipient) => emailForCompare(recipient) === submitter)) {
+      record.emailIssue = { status: event.type, email: record.email, at: event.at, detail: event.detail, key: ref.key };
+    }
+  });
+  return updated ? 'applied' : 'missing';
+}
+
+async function applyEmailEvents(events) {
+  const counts = { applied: 0, unknown: 0, missing: 0 };
+  for (const event of events) {
+    try {
+      counts[await applyEmailEvent(event)] += 1;
+    } catch (error) {
+      console.error(`Email event ${event.provider}/${event.messageId} failed:`, error);
+      counts.missing += 1;
+    }
+  }
+  return counts;
 }
 
 // ===========================================
@@ -1349,6 +2500,9 @@ async function getApplicationsFromSupabase(filters = {}) {
     if (filters.email) {
       query = query.eq('email', filters.email);
     }
+    if (filters.ownerEmail) {
+      query = query.eq('owner_email', filters.ownerEmail);
+    }
 
     const { data, error } = await query;
 
@@ -1380,85 +2534,387 @@ async function getClientFromSupabase(email) {
 }
 
 // ===========================================
-// Switchbox AI CRM Integration
+// Client Portal
 // ===========================================
 
-const SWITCHBOX_API_URL = process.env.SWITCHBOX_API_URL;
-const SWITCHBOX_API_KEY = process.env.SWITCHBOX_API_KEY;
-const SWITCHBOX_MAX_SIGNATURE_CHARS = Math.max(
-  10000,
-  Number(process.env.SWITCHBOX_MAX_SIGNATURE_CHARS || 150000),
-);
-
-/**
- * Shallow clone + truncate huge signature data URLs so webhooks stay under gateway limits.
- * Full application JSON is otherwise sent as-is (1:1 with server record).
- */
-function prepareRecordForSwitchboxWebhook(record) {
-  if (!record || typeof record !== 'object') return record;
-  const out = { ...record };
-  for (const key of ['signature', 'signature_additional']) {
-    const v = out[key];
-    if (typeof v === 'string' && v.length > SWITCHBOX_MAX_SIGNATURE_CHARS) {
-      out[key] = `${v.slice(0, SWITCHBOX_MAX_SIGNATURE_CHARS)}\n...[truncated]`;
-      out[`${key}_truncated`] = true;
-    }
+function getBuiltInAdmin(email) {
+  if (!ADMIN_LOGIN_ENABLED || email !== ADMIN_EMAIL) {
+    return null;
   }
-  return out;
+  return { id: 'admin', email: ADMIN_EMAIL, password: ADMIN_PASSWORD, name: 'Administrator', role: 'admin' };
 }
 
-async function sendToSwitchboxCrm(record) {
-  if (!SWITCHBOX_API_URL) {
-    return { status: 'skipped', reason: 'Switchbox URL not configured', provider: 'switchbox-ai' };
-  }
-
-  const payload = prepareRecordForSwitchboxWebhook(record);
-
-  try {
-    const headers = {
-      'Content-Type': 'application/json',
-    };
-    if (SWITCHBOX_API_KEY) {
-      headers.Authorization = `Bearer ${SWITCHBOX_API_KEY}`;
-      headers['X-API-Key'] = SWITCHBOX_API_KEY;
-    }
+async function findClientByEmail(email) {
+  const target = emailForCompare(email);
+  if (!target) return null;
 
-    const response = await fetch(SWITCHBOX_API_URL, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(payload),
-    });
+  const clients = await readJsonArray(CLIENTS_FILE);
+  const localClient = clients.find((client) => emailForCompare(client?.email) === target);
+  if (localClient) {
+    return localClient;
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Switchbox CRM error:', errorText);
-      return { status: 'failed', code: response.status, provider: 'switchbox-ai', error: errorText };
-    }
+  return (await getClientFromSupabase(target)) || getBuiltInAdmin(target);
+}
 
-    const contentType = response.headers.get('content-type') || '';
-    let data = null;
-    if (contentType.includes('application/json')) {
-      try {
-        data = await response.json();
-      } catch {
-        data = null;
-      }
-    }
-    return { status: 'sent', code: response.status, provider: 'switchbox-ai', data };
-  } catch (error) {
-    console.error('Switchbox CRM exception:', error);
-    return { status: 'error', error: error.message, provider: 'switchbox-ai' };
-  }
+function getClientStoredPassword(client) {
+  return normalizeValue(client?.password_hash || client?.passwordHash || client?.password);
 }
 
-async function sendToCrm(record) {
-  const switchboxResult = await sendToSwitchboxCrm(record);
-  const results = {
-    switchbox: switchboxResult,
+function toClientProfile(client) {
+  return {
+    id: normalizeValue(client.id) || emailForCompare(client.email),
+    email: emailForCompare(client.email),
+    name: normalizeValue(client.name || client.full_name),
+    company: normalizeValue(client.company),
+    role: normalizeValue(client.role) || 'client',
   };
+}
 
-  const sentProviders = Object.values(results).filter((r) => r.status === 'sent');
-  const failedProviders = Object.values(results).filter((r) => r.status === 'failed' || r.status === 'error');
+function toClientApplicationSummary(record) {
+  return {
+    id: normalizeValue(record.id),
+    createdAt: normalizeValue(record.createdAt || record.created_at),
+    company: normalizeValue(record.company || record.legal_business_name || record.business_dba),
+    loan_amount: normalizeValue(record.loan_amount),
+    funding_timeline: normalizeValue(record.funding_timeline),
+    pdfStatus: normalizeValue(record.pdfStatus || record.pdf_status),
+    emailStatus: normalizeValue(record.emailStatus || record.email_status),
+    crmStatus: normalizeValue(record.crmStatus || record.crm_status),
+    status: normalizeValue(record.status) || 'received',
+    statusUpdatedAt: normalizeValue(record.statusUpdatedAt),
+  };
+}
+
+function applicationMatchesEmail(record, email) {
+  const target = emailForCompare(email);
+  return Boolean(target) && (
+    emailForCompare(record?.email) === target ||
+    emailForCompare(record?.owner_email) === target
+  );
+}
+
+/**
+ * Collect applications for a portal user from the S3 index, the local fallback file,
+ * and legacy Supabase rows, matched on applicant email or owner email.
+ */
+async function listApplicationsForEmail(email) {
+  const target = emailForCompare(email);
+  const found = new Map();
+  const add = (record) => {
+    if (record?.id && !found.has(record.id) && applicationMatchesEmail(record, target)) {
+      found.set(record.id, toClientApplicationSummary(record));
+    }
+  };
+
+  const indexed = await submissionIndex.list('applications');
+  indexed.forEach(add);
+
+  const localApplications = await readJsonArray(APPLICATIONS_FILE);
+  localApplications.forEach(add);
+
+  if (supabase) {
+    const [byEmail, byOwnerEmail] = await Promise.all([
+      getApplicationsFromSupabase({ email: target }),
+      getApplicationsFromSupabase({ ownerEmail: target }),
+    ]);
+    [...byEmail.data, ...byOwnerEmail.data].forEach(add);
+  }
+
+  return Array.from(found.values()).sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+function issueClientToken(profile) {
+  return signToken({
+    sub: profile.id,
+    email: profile.email,
+    name: profile.name,
+    role: profile.role,
+    jti: crypto.randomUUID(),
+  });
+}
+
+// ===========================================
+// Admin Submissions
+// ===========================================
+
+// Route segment -> index type used by saveSubmissionToS3
+const ADMIN_SUBMISSION_TYPES = {
+  applications: 'applications',
+  contacts: 'contacts',
+  partners: 'partner',
+  'product-requests': 'product-request',
+};
+
+/**
+ * All index summaries for a submission type, from S3 or the local fallback files.
+ * `range` ({ from, to } in epoch ms) lets the S3 index skip month shards outside it.
+ */
+async function loadSubmissionSummaries(type, range = {}) {
+  if (submissionIndex.enabled) {
+    return submissionIndex.list(type, range);
+  }
+
+  if (type === 'applications') {
+    const applications = await readJsonArray(APPLICATIONS_FILE);
+    return applications.map((record) => buildSubmissionSummary(type, record, {}));
+  }
+
+  const contacts = await readJsonArray(CONTACTS_FILE);
+  return contacts
+    .filter((record) => getSubmissionStorageType(record.form) === type)
+    .map((record) => buildSubmissionSummary(type, record, {}));
+}
+
+async function loadSubmissionRecord(type, id) {
+  if (submissionIndex.enabled) {
+    const summary = await submissionIndex.get(type, id);
+    return summary?.record_s3_key ? getJsonFromS3(summary.record_s3_key, null) : null;
+  }
+
+  const localFile = type === 'applications' ? APPLICATIONS_FILE : CONTACTS_FILE;
+  const records = await readJsonArray(localFile);
+  return records.find((item) => item?.id === id) || null;
+}
+
+// ===========================================
+// Duplicate Applications
+// ===========================================
+
+/**
+ * The earlier application this submission repeats, or null:
+ * { record, storage, matchedOn }. A failed lookup is logged and treated as no
+ * match, so the merchant's submission still goes through.
+ */
+async function findDuplicateApplication(record) {
+  if (APPLICATION_DUPLICATE_WINDOW_DAYS === 0) return null;
+
+  try {
+    const match = await applicationDuplicateIndex.findMatch(record);
+    if (!match) return null;
+    const found = await findApplicationRecord(match.applicationId);
+    return found ? { ...found, matchedOn: match.matchedOn } : null;
+  } catch (error) {
+    console.warn(`Duplicate check failed for application ${record.id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * List the repeat on the original for staff review. Nothing else about the
+ * original changes until an admin merges the two (see mergeDuplicateApplication).
+ */
+async function flagDuplicateApplication(original, record) {
+  const { record: target, storage } = original;
+  target.duplicates = [
+    ...(target.duplicates || []),
+    { id: record.id, createdAt: record.createdAt, matchedOn: record.duplicateMatch, review: 'pending' },
+  ];
+  target.updatedAt = record.createdAt;
+  return updateApplicationRecord(target, storage);
+}
+
+/** Give the original any statements from the repeat that it did not already have. */
+function mergeDuplicateApplication(target, record) {
+  target.files = mergeStatementFiles(
+    target.files || [],
+    (record.files || []).map((file) => ({ ...file, fromApplication: record.id })),
+  );
+}
+
+const DUPLICATE_REVIEW_DECISIONS = ['merge', 'dismiss'];
+
+/**
+ * Apply a staff decision on a flagged repeat: `merge` copies its statements
+ * onto the original, `dismiss` unlinks a false match so it stands on its own.
+ * Resolves to { ok, code?, error?, record, original }.
+ */
+async function reviewDuplicateApplication(id, decision, reviewer) {
+  if (!DUPLICATE_REVIEW_DECISIONS.includes(decision)) {
+    return { ok: false, code: 400, error: `decision must be one of: ${DUPLICATE_REVIEW_DECISIONS.join(', ')}` };
+  }
+  const found = await findApplicationRecord(id);
+  if (!found) return { ok: false, code: 404, error: 'Application not found' };
+  const { record } = found;
+  if (!record.duplicate_of || record.duplicateReview?.status !== 'pending') {
+    return { ok: false, code: 409, error: 'Application is not awaiting duplicate review' };
+  }
+  const original = await findApplicationRecord(record.duplicate_of);
+  if (!original) return { ok: false, code: 404, error: 'Original application not found' };
+
+  const reviewedAt = new Date().toISOString();
+  const review = { status: decision === 'merge' ? 'merged' : 'dismissed', reviewedBy: reviewer, reviewedAt };
+  const target = original.record;
+  if (decision === 'merge') {
+    mergeDuplicateApplication(target, record);
+    target.duplicates = (target.duplicates || []).map((entry) => (entry.id === record.id
+      ? { ...entry, review: review.status, reviewedAt }
+      : entry));
+  } else {
+    target.duplicates = (target.duplicates || []).filter((entry) => entry.id !== record.id);
+    review.duplicateOf = record.duplicate_of;
+    delete record.duplicate_of;
+  }
+  target.updatedAt = reviewedAt;
+  record.duplicateReview = review;
+
+  await updateApplicationRecord(target, original.storage);
+  await updateApplicationRecord(record, found.storage);
+  return { ok: true, record, original: target };
+}
+
+// ===========================================
+// Application Drafts
+// ===========================================
+
+const DRAFT_TTL_MS = DRAFT_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+function getDraftS3Key(token) {
+  return `${S3_DRAFT_PREFIX}${hashDraftToken(token)}.json`;
+}
+
+function buildDraftResumeUrl(token) {
+  return `${APP_URL}/apply/?resume=${encodeURIComponent(token)}`;
+}
+
+/** Returns the stored draft for a resume token, or null when missing or expired. */
+async function loadDraft(token) {
+  if (!isDraftToken(token)) return null;
+
+  let draft = null;
+  if (s3Client && S3_BUCKET_NAME) {
+    draft = await getJsonFromS3(getDraftS3Key(token), null);
+  } else {
+    const tokenHash = hashDraftToken(token);
+    const drafts = await readJsonArray(DRAFTS_FILE);
+    draft = drafts.find((item) => item?.tokenHash === tokenHash) || null;
+  }
+
+  return draft && !isDraftExpired(draft) ? draft : null;
+}
+
+async function saveDraft(token, draft) {
+  const tokenHash = hashDraftToken(token);
+  if (s3Client && S3_BUCKET_NAME) {
+    return putJsonToS3(getDraftS3Key(token), { ...draft, tokenHash });
+  }
+
+  try {
+    const drafts = (await readJsonArray(DRAFTS_FILE))
+      .filter((item) => item?.tokenHash !== tokenHash && !isDraftExpired(item));
+    drafts.push({ ...draft, tokenHash });
+    await writeJsonArray(DRAFTS_FILE, drafts);
+    return { status: 'saved', storage: 'local' };
+  } catch (error) {
+    console.error('Local draft save error:', error);
+    return { status: 'failed', error: error.message };
+  }
+}
+
+async function deleteDraft(token) {
+  if (!isDraftToken(token)) return;
+  if (s3Client && S3_BUCKET_NAME) {
+    try {
+      await s3Client.send(new DeleteObjectCommand({ Bucket: S3_BUCKET_NAME, Key: getDraftS3Key(token) }));
+    } catch (error) {
+      console.warn('S3 draft delete failed:', error.message);
+    }
+    return;
+  }
+
+  const tokenHash = hashDraftToken(token);
+  const drafts = await readJsonArray(DRAFTS_FILE);
+  await writeJsonArray(DRAFTS_FILE, drafts.filter((item) => item?.tokenHash !== tokenHash && !isDraftExpired(item)));
+}
+
+/** Upload statement files attached to an autosave and describe them for the draft. */
+async function storeDraftFiles(files, draftId) {
+  const stored = [];
+  for (const file of Array.isArray(files) ? files : []) {
+    const uploadedFile = await uploadLocalFileToS3(file, `drafts/${draftId}`);
+    stored.push({
+      originalName: file.originalname,
+      storedName: file.filename,
+      size: file.size,
+      type: file.mimetype,
+      uploadedAt: new Date().toISOString(),
+      s3Status: uploadedFile.status,
+      s3Key: uploadedFile.s3Key,
+      s3Url: uploadedFile.s3Url,
+      s3Error: uploadedFile.error || uploadedFile.reason,
+    });
+  }
+  return stored;
+}
+
+async function sendDraftResumeEmail(email, draft, token) {
+  return sendTemplatedEmail('draft-resume', { draft, token }, email, { from: 'info@nolimitcap.net' });
+}
+
+// ===========================================
+// CRM Integrations
+// ===========================================
+
+const SWITCHBOX_MAX_SIGNATURE_CHARS = Math.max(
+  10000,
+  Number(process.env.SWITCHBOX_MAX_SIGNATURE_CHARS || 150000),
+);
+
+/**
+ * Shallow clone + truncate huge signature data URLs so webhooks stay under gateway limits.
+ * SSN / EIN / DOB follow CRM_SENSITIVE_FIELD_MODE; the rest of the application JSON is sent as-is.
+ */
+function prepareRecordForCrm(record) {
+  if (!record || typeof record !== 'object') return record;
+  const out = fieldEncryptor.redactRecord(record, CRM_SENSITIVE_FIELD_MODE);
+  const signatureKeys = getApplicationOwners(record).map((owner, index) => ownerSignatureFields(index).signature);
+  for (const key of signatureKeys) {
+    const v = out[key];
+    if (typeof v === 'string' && v.length > SWITCHBOX_MAX_SIGNATURE_CHARS) {
+      out[key] = `${v.slice(0, SWITCHBOX_MAX_SIGNATURE_CHARS)}\n...[truncated]`;
+      out[`${key}_truncated`] = true;
+    }
+  }
+  return out;
+}
+
+// Switchbox, generic webhook, HubSpot and Salesforce; each enabled by its own env vars (see crm-providers.js).
+const crmProviders = createCrmProviders({
+  env: process.env,
+  timeoutMs: CRM_REQUEST_TIMEOUT_MS,
+  prepareRecord: prepareRecordForCrm,
+});
+
+function toCrmProviderStatus(result) {
+  const entry = {
+    status: result.status === 'error' ? 'failed' : result.status,
+    provider: result.provider,
+    at: new Date().toISOString(),
+  };
+  if (result.code) entry.code = result.code;
+  const error = result.error || (result.status === 'skipped' ? result.reason : '');
+  if (error) entry.error = String(error).slice(0, 300);
+  return entry;
+}
+
+/**
+ * Overall crmStatus from the per-provider statuses: `sent` when every provider
+ * accepted the record, `partial` when only some did, otherwise `queued`
+ * (retry pending), `failed`, or `skipped` when no provider is routed.
+ */
+function summarizeCrmStatus(providerStatuses = {}) {
+  const statuses = Object.values(providerStatuses).map((entry) => entry.status).filter((status) => status !== 'skipped');
+  if (statuses.length === 0) return 'skipped';
+  if (statuses.every((status) => status === 'sent')) return 'sent';
+  if (statuses.includes('sent')) return 'partial';
+  return statuses.includes('queued') ? 'queued' : 'failed';
+}
+
+async function sendToCrm(record, type) {
+  const results = await crmProviders.sendToAll(record, getCrmFormType(type));
+
+  const sentProviders = Object.values(results).filter((r) => r.status === 'sent');
+  const failedProviders = Object.values(results).filter((r) => r.status === 'failed' || r.status === 'error');
   const skippedProviders = Object.values(results).filter((r) => r.status === 'skipped');
   const providerList = (providers) => providers.map((provider) => provider.provider).filter(Boolean).join(', ');
 
@@ -1473,6 +2929,128 @@ async function sendToCrm(record) {
   };
 }
 
+/**
+ * Push a new submission to every routed CRM and record the outcome on it:
+ * `crmProviders` per provider plus the combined `crmStatus` / `crmCode` / `crmProvider`.
+ * Failed providers are queued in the retry outbox.
+ */
+async function deliverToCrm(type, record) {
+  const crmResult = await sendToCrm(record, type);
+  record.crmProviders = Object.fromEntries(
+    Object.entries(crmResult.providers).map(([key, result]) => [key, toCrmProviderStatus(result)]),
+  );
+  if (crmResult.code) record.crmCode = crmResult.code;
+  if (crmResult.provider) record.crmProvider = crmResult.provider;
+
+  for (const [key, result] of Object.entries(crmResult.providers)) {
+    if (result.status === 'failed' || result.status === 'error') {
+      await queueCrmRetry(type, record, key, result);
+    }
+  }
+  record.crmStatus = summarizeCrmStatus(record.crmProviders);
+  return crmResult;
+}
+
+// ===========================================
+// CRM Retry Outbox
+// ===========================================
+
+/** Load, change one provider's status, recompute crmStatus and persist. */
+async function updateCrmProviderStatus(item, changes) {
+  const updated = await updateSubmissionRecord(item.type, item.recordId, (record) => {
+    const key = crmProviders.getProvider(item.target)?.key || item.target;
+    record.crmProviders = {
+      ...(record.crmProviders || {}),
+      [key]: { ...(record.crmProviders?.[key] || {}), ...changes, at: new Date().toISOString() },
+    };
+    record.crmStatus = summarizeCrmStatus(record.crmProviders);
+  });
+  if (!updated) {
+    console.warn(`CRM outbox: ${item.type}/${item.recordId} not found while updating crmStatus`);
+  }
+}
+
+const crmOutboxHandlers = {
+  async deliver(item) {
+    const found = await findSubmissionRecord(item.type, item.recordId);
+    if (!found) {
+      // Retryable: the submission may still be being stored.
+      return { status: 'failed', error: 'Submission not found' };
+    }
+    return crmProviders.sendTo(item.target, found.record, getCrmFormType(item.type));
+  },
+  onDelivered(item, result, attempts) {
+    return updateCrmProviderStatus(item, {
+      status: 'sent',
+      code: result.code,
+      error: undefined,
+      nextAttemptAt: undefined,
+      deliveredAt: new Date().toISOString(),
+      attempts,
+    });
+  },
+  onDeadLettered(item) {
+    return updateCrmProviderStatus(item, {
+      status: 'failed',
+      code: item.lastCode || undefined,
+      error: item.lastError || undefined,
+      nextAttemptAt: undefined,
+      deadLetteredAt: item.deadLetteredAt,
+      attempts: item.attempts,
+    });
+  },
+};
+
+/**
+ * Queue one provider's failed submit-time delivery for retry and mark it
+ * `queued` (or leave it `failed` if it went straight to the dead-letter list).
+ */
+async function queueCrmRetry(type, record, providerKey, result) {
+  try {
+    const queued = await crmOutbox.enqueue({
+      type,
+      recordId: record.id,
+      target: providerKey,
+      result,
+    });
+    if (queued.status !== 'dead-letter') {
+      record.crmProviders[providerKey].status = 'queued';
+      record.crmProviders[providerKey].nextAttemptAt = queued.item.nextAttemptAt;
+    }
+  } catch (error) {
+    console.error('CRM outbox enqueue error:', error);
+  }
+}
+
+let crmOutboxRunning = false;
+
+/** Retry due outbox items; overlapping calls in one process return immediately. */
+async function processCrmOutbox({ limit = 10, budgetMs = 10 * 1000 } = {}) {
+  if (crmOutboxRunning) {
+    return { skipped: true, reason: 'Already running' };
+  }
+  crmOutboxRunning = true;
+  try {
+    return await crmOutbox.processDue({ ...crmOutboxHandlers, limit, deadline: Date.now() + budgetMs });
+  } finally {
+    crmOutboxRunning = false;
+  }
+}
+
+/** Vercel Cron sends `Authorization: Bearer $CRON_SECRET`; admins can trigger the same job. */
+function requireCronOrAdminAuth(req, res, next) {
+  const token = getBearerToken(req);
+  if (CRON_SECRET && token) {
+    const a = Buffer.from(token);
+    const b = Buffer.from(CRON_SECRET);
+    if (a.length === b.length && crypto.timingSafeEqual(a, b)) {
+      req.clientAuth = { role: 'cron' };
+      return next();
+    }
+  }
+  return requireAdminAuth(req, res, next);
+}
+
 // ===========================================
 // API Routes
 // ===========================================
@@ -1498,16 +3076,66 @@ app.get('/api/health', async (req, res) => {
           ? 'configured'
           : 'configured_url_only'
         : 'not_configured',
+      crm_providers: Object.fromEntries(crmProviders.providers.map((provider) => [
+        provider.key,
+        provider.enabled ? provider.forms.join(',') : 'not_configured',
+      ])),
       pdf_template: templateReady ? 'ready' : 'missing_fallback_renderer',
+      rate_limit_store: rateLimitStore.name,
     },
     pdfTemplate: {
       mode: templateReady ? 'fillable_template' : 'renderer_fallback',
+      layout: PDF_LAYOUT,
       path: PDF_FORM_TEMPLATE_PATH,
       exists: templateReady,
     },
   });
 });
 
+// ===========================================
+// Website Form Spam Protection
+// ===========================================
+
+function createConfiguredCaptcha() {
+  try {
+    return createCaptchaVerifier({
+      provider: CAPTCHA_PROVIDER,
+      secret: process.env.CAPTCHA_SECRET,
+      minScore: process.env.CAPTCHA_MIN_SCORE ? Number(process.env.CAPTCHA_MIN_SCORE) : undefined,
+      stubToken: process.env.CAPTCHA_STUB_TOKEN,
+    });
+  } catch (error) {
+    console.warn(`${error.message}. CAPTCHA is disabled.`);
+    return null;
+  }
+}
+
+const captchaVerifier = createConfiguredCaptcha();
+
+/** Spam verdict for a website form submission: { spam, score, reasons }. */
+function screenFormSubmission(body, record, formType) {
+  return evaluateSubmission({
+    fields: record,
+    honeypot: body[HONEYPOT_FIELD],
+    token: checkFormToken(body.form_token, formType),
+  }, {
+    minSubmitMs: SPAM_MIN_SUBMIT_MS,
+    maxLinks: SPAM_MAX_LINKS,
+    threshold: SPAM_SCORE_THRESHOLD,
+    disposableDomains: SPAM_DISPOSABLE_DOMAINS,
+  });
+}
+
+// main.js asks for a token when a form renders and posts it back as `form_token`.
+app.get('/api/forms/token', formTokenRateLimiter, (req, res) => {
+  const form = normalizeValue(req.query.form) || 'contact';
+  return res.json({
+    ok: true,
+    token: signFormToken(form),
+    captcha: captchaVerifier ? { provider: captchaVerifier.provider, siteKey: CAPTCHA_SITE_KEY } : null,
+  });
+});
+
 app.post('/api/contact', contactRateLimiter, async (req, res) => {
   const body = req.body || {};
   const name = normalizeValue(body.name);
@@ -1530,19 +3158,40 @@ app.post('/api/contact', contactRateLimiter, async (req, res) => {
     }
   });
 
-  const crmResult = await sendToCrm(record);
-  record.crmStatus = crmResult.status;
-  if (crmResult.code) record.crmCode = crmResult.code;
-  if (crmResult.provider) record.crmProvider = crmResult.provider;
+  // A failed CAPTCHA is answered so a person can retry; other spam signals are stored quietly.
+  if (captchaVerifier) {
+    const captcha = await captchaVerifier.verify(getCaptchaResponse(body), { remoteIp: getClientIp(req) });
+    if (!captcha.ok) {
+      console.warn(`CAPTCHA failed for ${formType} submission:`, captcha.error);
+      return res.status(400).json({ ok: false, error: 'Please complete the verification and try again.', captcha: true });
+    }
+  }
+
+  const storageType = getSubmissionStorageType(formType);
+  const spamCheck = screenFormSubmission(body, record, formType);
+  if (spamCheck.spam) {
+    // Kept for review, but not sent to the CRM, staff or the (possibly forged) email address.
+    record.spam = true;
+    record.spamScore = spamCheck.score;
+    record.spamReasons = spamCheck.reasons;
+    record.crmStatus = 'skipped';
+    record.emailStatus = 'skipped';
+    console.warn(`Flagged ${formType} submission ${record.id} as spam:`, spamCheck.reasons.join(', '));
+  } else {
+    if (spamCheck.reasons.length > 0) {
+      record.spamScore = spamCheck.score;
+      record.spamReasons = spamCheck.reasons;
+    }
+    await forwardFormSubmission(storageType, record);
+  }
 
   // Store website submissions in S3. Local JSON is only an emergency fallback.
-  const storageType = formType === 'partner' || formType === 'product-request' ? formType : 'contacts';
   const s3RecordResult = await saveContactToS3(record, storageType);
 
   if (s3RecordResult.status === 'saved') {
     record.generated_record_s3_key = s3RecordResult.s3Key;
     record.generated_record_url = s3RecordResult.s3Url;
-    return res.json({ ok: true, id: record.id, crmStatus: record.crmStatus, storage: 's3', table: formType });
+    return res.json({ ok: true, id: record.id, crmStatus: record.crmStatus, emailStatus: record.emailStatus, storage: 's3', table: formType });
   }
 
   // Fall back to local storage
@@ -1554,37 +3203,87 @@ app.post('/api/contact', contactRateLimiter, async (req, res) => {
     return res.status(500).json({ ok: false, error: 'Failed to store submission' });
   }
 
-  return res.json({ ok: true, id: record.id, crmStatus: record.crmStatus, storage: 'local' });
+  return res.json({ ok: true, id: record.id, crmStatus: record.crmStatus, emailStatus: record.emailStatus, storage: 'local' });
 });
 
-app.post('/api/apply', applyRateLimiter, upload.array('bank_statements', 10), async (req, res) => {
+app.post('/api/apply', applyRateLimiter, upload.array('bank_statements', STATEMENT_MAX_FILES), async (req, res) => {
   const body = req.body || {};
-  const firstName = normalizeValue(body.first_name);
-  const lastName = normalizeValue(body.last_name);
-  const email = normalizeValue(body.email);
+  const validation = validateApplication(body);
+
+  if (!validation.valid) {
+    await removeUploadedFiles(req.files);
+    return res.status(422).json({ ok: false, error: 'Validation failed', errors: validation.errors });
+  }
+
+  const consent = checkConsentVersion(body.authorization_version);
+  if (!consent.ok) {
+    await removeUploadedFiles(req.files);
+    return res.status(409).json({ ok: false, error: consent.error, consentChanged: true });
+  }
+
+  let directUploads;
+  try {
+    directUploads = await resolveDirectStatementUploads(body);
+  } catch (error) {
+    console.error('Statement upload verification error:', error);
+    directUploads = { ok: false, code: 502, error: 'Could not verify uploaded bank statements' };
+  }
+  if (!directUploads.ok) {
+    await removeUploadedFiles(req.files);
+    return res.status(directUploads.code).json({
+      ok: false,
+      error: directUploads.error,
+      errors: { bank_statements: directUploads.error },
+    });
+  }
 
-  if (!firstName || !lastName || !email) {
-    return res.status(400).json({ ok: false, error: 'first_name, last_name, and email are required' });
+  // Statements uploaded directly to S3 already live under the pending application ID, and
+  // statements uploaded while the application was a draft are already stored.
+  const draftToken = normalizeValue(body.draft_token);
+  let draft = null;
+  try {
+    if (directUploads.applicationId && await findApplicationRecord(directUploads.applicationId)) {
+      await removeUploadedFiles(req.files);
+      return res.status(409).json({ ok: false, error: 'This application has already been submitted' });
+    }
+    draft = draftToken ? await loadDraft(draftToken) : null;
+  } catch (error) {
+    console.error('Application lookup error:', error);
+    await removeUploadedFiles(req.files);
+    return res.status(500).json({ ok: false, error: 'Failed to submit application' });
   }
 
   const record = {
-    id: crypto.randomUUID(),
+    id: directUploads.applicationId || crypto.randomUUID(),
     createdAt: new Date().toISOString(),
+    ...validation.values,
   };
 
-  APPLICATION_FIELDS.forEach((field) => {
-    const value = normalizeValue(body[field]);
-    if (value) {
-      record[field] = value;
-    }
-  });
-
-  record.name = `${firstName} ${lastName}`.trim();
-  record.email = email;
+  record.name = `${record.first_name} ${record.last_name}`.trim();
   record.company = record.legal_business_name || record.business_dba || '';
+  record.owner_count = countOwners(record);
+  record.esign = buildSignatureAudit({
+    values: validation.values,
+    ip: getClientIp(req),
+    userAgent: req.get('user-agent'),
+    presentedVersion: body.authorization_version,
+  });
+  initializeApplicationStatus(record);
+
+  const original = await findDuplicateApplication(record);
+  if (original) {
+    record.duplicate_of = original.record.id;
+    record.duplicateMatch = original.matchedOn;
+    record.duplicateReview = { status: 'pending' };
+    console.log(`Application ${record.id} repeats ${record.duplicate_of} (matched on ${original.matchedOn.join(', ')})`);
+  }
+  const suppressNotifications = Boolean(original) && APPLICATION_DUPLICATE_SUPPRESS_NOTIFICATIONS;
 
   const files = Array.isArray(req.files) ? req.files : [];
-  record.files = [];
+  record.files = mergeStatementFiles(
+    (draft?.files || []).map(({ uploadedAt, ...file }) => file),
+    directUploads.files,
+  );
   for (const file of files) {
     const uploadedFile = await uploadLocalFileToS3(file, record.id);
     record.files.push({
@@ -1599,14 +3298,20 @@ app.post('/api/apply', applyRateLimiter, upload.array('bank_statements', 10), as
     });
   }
 
+  // Filled in by the statement analysis queue once the response has been sent.
+  record.statement_analysis = initialStatementAnalysis();
+
   // Generate PDF first so Switchbox (and storage) receive PDF URL and file metadata on the same payload.
   try {
     const pdfData = await generateApplicationPdf(record);
     record.generated_pdf = {
       fileName: pdfData.fileName,
       filePath: pdfData.filePath,
+      layout: pdfData.layout,
     };
     record.generated_pdf_filename = pdfData.fileName;
+    // The certificate page is inside this PDF, so the hash covers the signatures and their evidence.
+    record.esign.documentSha256 = pdfData.sha256;
 
     // Upload to S3
     const s3Result = await uploadPdfToS3(pdfData.buffer, pdfData.fileName);
@@ -1615,10 +3320,24 @@ app.post('/api/apply', applyRateLimiter, upload.array('bank_statements', 10), as
       record.generated_pdf_s3_key = s3Result.s3Key;
     }
 
+    if (PDF_SEAL_ENABLED) {
+      try {
+        record.sealed_pdf = await sealApplicationPdf(pdfData);
+      } catch (error) {
+        console.error(`Could not seal the PDF for application ${record.id}:`, error);
+        record.sealed_pdf = { status: 'failed', error: error.message };
+      }
+    }
+
     // Send email with PDF
-    const mailResult = await emailApplicationPdf(record, pdfData);
+    const mailResult = suppressNotifications
+      ? { status: 'skipped', reason: `Duplicate of ${record.duplicate_of}` }
+      : await emailApplicationPdf(record, pdfData);
     record.pdfStatus = 'generated';
-    record.emailStatus = mailResult.status;
+    // `queued` while the email outbox is retrying it.
+    record.emailStatus = mailResult.status === 'sent'
+      ? 'sent'
+      : getEmailLogStatus(record, 'application-internal') || mailResult.status;
     if (mailResult.messageId) {
       record.emailMessageId = mailResult.messageId;
     }
@@ -1631,10 +3350,19 @@ app.post('/api/apply', applyRateLimiter, upload.array('bank_statements', 10), as
     record.pdfError = error.message;
   }
 
-  const crmResult = await sendToCrm(record);
-  record.crmStatus = crmResult.status;
-  if (crmResult.code) record.crmCode = crmResult.code;
-  if (crmResult.provider) record.crmProvider = crmResult.provider;
+  if (suppressNotifications) {
+    record.crmStatus = 'skipped';
+  } else {
+    await deliverToCrm('applications', record);
+  }
+
+  // Sent before storing so the email log is saved with the record; failures are queued for retry.
+  const confirmResult = await sendApplicantConfirmationEmail(record);
+  if (confirmResult.status === 'sent') {
+    console.log(`Applicant confirmation email sent to ${record.email} via ${confirmResult.provider}`);
+  } else {
+    console.warn(`Applicant confirmation email failed for ${record.email}:`, confirmResult.reason || confirmResult.error || 'unknown');
+  }
 
   // Store the full application record in S3. Local JSON is only an emergency fallback.
   let storageType = 'none';
@@ -1647,7 +3375,7 @@ app.post('/api/apply', applyRateLimiter, upload.array('bank_statements', 10), as
     // Fall back to local storage
     try {
       const applications = await readJsonArray(APPLICATIONS_FILE);
-      applications.push(record);
+      applications.push(fieldEncryptor.encryptRecord(record));
       await writeJsonArray(APPLICATIONS_FILE, applications);
       storageType = 'local';
     } catch (error) {
@@ -1655,19 +3383,32 @@ app.post('/api/apply', applyRateLimiter, upload.array('bank_statements', 10), as
     }
   }
 
-  // Send confirmation email to the applicant (fire-and-forget, don't block the response)
-  sendApplicantConfirmationEmail(record)
-    .then((confirmResult) => {
-      if (confirmResult.status === 'sent') {
-        console.log(`Applicant confirmation email sent to ${record.email} via ${confirmResult.provider}`);
-      } else {
-        console.warn(`Applicant confirmation email failed for ${record.email}:`, confirmResult.reason || confirmResult.error || 'unknown');
-      }
-    })
-    .catch((err) => {
-      console.error('Applicant confirmation email error:', err.message);
-    });
+  if (draft) {
+    try {
+      await deleteDraft(draftToken);
+    } catch (error) {
+      console.warn(`Could not delete draft for application ${record.id}:`, error.message);
+    }
+  }
+
+  if (record.statement_analysis.status === 'queued') {
+    await queueStatementAnalysis(record);
+  }
 
+  if (original) {
+    const flagResult = await flagDuplicateApplication(original, record);
+    if (flagResult.status !== 'saved') {
+      console.error(`Failed to flag application ${record.id} on ${record.duplicate_of}:`, flagResult.error || flagResult.status);
+    }
+  } else {
+    try {
+      await applicationDuplicateIndex.remember(record);
+    } catch (error) {
+      console.warn(`Could not index application ${record.id} for duplicate checks:`, error.message);
+    }
+  }
+
+  // Repeats are answered like any new application: the response never reveals an earlier one.
   return res.json({
     ok: true,
     id: record.id,
@@ -1675,13 +3416,770 @@ app.post('/api/apply', applyRateLimiter, upload.array('bank_statements', 10), as
     pdfStatus: record.pdfStatus,
     emailStatus: record.emailStatus,
     storage: storageType,
+    status: record.status,
+    statusToken: signApplicationStatusToken(record.id),
   });
 });
 
+app.get('/api/applications/:id/status', requireApplicationStatusAuth, async (req, res) => {
+  const auth = req.clientAuth;
+  const id = normalizeValue(req.params.id);
+  if (auth.scope === 'application-status' && auth.applicationId !== id) {
+    return res.status(403).json({ ok: false, error: 'Forbidden' });
+  }
+
+  try {
+    const found = await findApplicationRecord(id);
+    if (!found || (!auth.scope && !applicationMatchesEmail(found.record, auth.email))) {
+      return res.status(404).json({ ok: false, error: 'Application not found' });
+    }
+
+    return res.json({ ok: true, ...toPublicStatus(found.record) });
+  } catch (error) {
+    console.error('Application status error:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to load application status' });
+  }
+});
+
+function receiveVerificationPdf(req, res, next) {
+  pdfVerifyUpload.single('pdf')(req, res, (error) => {
+    if (!error) return next();
+    const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+    return res.status(tooLarge ? 413 : 400).json({ ok: false, error: tooLarge ? 'PDF is too large' : error.message });
+  });
+}
+
+// Anyone holding a copy (a funder, an auditor) can check it against the sealed original.
+app.post('/api/applications/:id/verify-pdf', pdfVerifyRateLimiter, receiveVerificationPdf, async (req, res) => {
+  if (!req.file?.buffer?.length) {
+    return res.status(400).json({ ok: false, error: 'Upload the PDF as the "pdf" field' });
+  }
+
+  try {
+    const found = await findApplicationRecord(req.params.id);
+    if (!found) {
+      return res.status(404).json({ ok: false, error: 'Application not found' });
+    }
+    const sealed = found.record.sealed_pdf;
+    if (!sealed?.sha256) {
+      return res.status(409).json({ ok: false, error: 'No sealed PDF was recorded for this application' });
+    }
+
+    const result = comparePdf(req.file.buffer, {
+      sealedSha256: sealed.sha256,
+      editableSha256: found.record.esign?.documentSha256,
+    });
+    return res.json({
+      ok: true,
+      applicationId: found.record.id,
+      ...result,
+      sealed: {
+        sha256: sealed.sha256,
+        sealedAt: sealed.sealedAt,
+        signed: sealed.signed,
+        signer: sealed.signer,
+      },
+    });
+  } catch (error) {
+    console.error('PDF verification error:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to verify PDF' });
+  }
+});
+
 // ===========================================
-// Server Initialization
+// CRM Status Webhook
+// ===========================================
+
+app.post('/api/webhooks/crm', async (req, res) => {
+  if (CRM_INBOUND_WEBHOOK_SECRETS.length === 0) {
+    return res.status(503).json({ ok: false, error: 'CRM webhook not configured' });
+  }
+
+  const signature = verifyWebhookSignature({
+    secret: CRM_INBOUND_WEBHOOK_SECRETS,
+    body: req.rawBody || '',
+    signature: req.get('X-Webhook-Signature'),
+    toleranceSeconds: CRM_INBOUND_TOLERANCE_SECONDS,
+  });
+  if (!signature.ok) {
+    return res.status(401).json({ ok: false, error: signature.error });
+  }
+
+  const parsed = parseCrmStatusUpdate(req.body, { fallbackEventId: normalizeValue(req.get('Idempotency-Key')) });
+  if (!parsed.ok) {
+    return res.status(400).json({ ok: false, error: parsed.error });
+  }
+  const { update } = parsed;
+
+  // A 500 makes the CRM retry; the claim is released unless the status change was already saved.
+  let claimed = false;
+  let applied = false;
+  try {
+    const claim = await crmInboundReplayGuard.claim(update.eventId, { applicationId: update.applicationId, status: update.status });
+    if (!claim.ok) {
+      // Already applied: acknowledge so the CRM stops retrying.
+      return res.json({ ok: true, duplicate: true, eventId: update.eventId });
+    }
+    claimed = true;
+
+    const result = await updateApplicationStatus(update.applicationId, update.status, {
+      actor: 'crm',
+      note: update.note,
+      message: update.message,
+    });
+    if (!result.ok) {
+      // Let a corrected resend with the same eventId through.
+      await crmInboundReplayGuard.release(update.eventId);
+      return res.status(result.code || 400).json({ ok: false, error: result.error });
+    }
+    applied = true;
+
+    let applicantEmail = { status: 'skipped', reason: 'Notification not requested' };
+    if (update.notifyApplicant ?? CRM_STATUS_NOTIFY_APPLICANT) {
+      const record = fieldEncryptor.decryptRecord(result.record);
+      applicantEmail = await sendApplicantStatusEmail(record, result.entry);
+      if (applicantEmail.status !== 'sent') {
+        console.warn(`Status email failed for application ${record.id}:`, applicantEmail.reason || applicantEmail.error || 'unknown');
+      }
+      if (record.emailLog) {
+        await updateApplicationRecord(record, result.storage);
+      }
+    }
+
+    return res.json({
+      ok: true,
+      id: result.record.id,
+      status: result.record.status,
+      entry: result.entry,
+      applicantEmail: applicantEmail.status,
+    });
+  } catch (error) {
+    console.error('CRM webhook error:', error);
+    if (claimed && !applied) {
+      await crmInboundReplayGuard.release(update.eventId).catch((releaseError) => {
+        console.error('CRM webhook claim release error:', releaseError);
+      });
+    }
+    return res.status(500).json({ ok: false, error: 'Failed to apply status update' });
+  }
+});
+
+// ===========================================
+// Email Event Webhooks
+// ===========================================
+
+const SNS_SUBSCRIBE_URL_PATTERN = /^https:\/\/sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?\//;
+
+// SNS posts JSON with a text/plain content type, so the global JSON parser skips it.
+app.post('/api/webhooks/ses', express.text({ type: '*/*', limit: '1mb' }), async (req, res) => {
+  if (SES_SNS_TOPIC_ARNS.length === 0) {
+    return res.status(503).json({ ok: false, error: 'SES event webhook not configured' });
+  }
+
+  let message;
+  try {
+    message = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+  } catch (error) {
+    return res.status(400).json({ ok: false, error: 'Body is not valid JSON' });
+  }
+
+  const signature = await verifySnsMessage(message);
+  if (!signature.ok) {
+    return res.status(401).json({ ok: false, error: signature.error });
+  }
+  if (!SES_SNS_TOPIC_ARNS.includes(message.TopicArn)) {
+    return res.status(403).json({ ok: false, error: 'Unexpected TopicArn' });
+  }
+
+  if (message.Type === 'SubscriptionConfirmation') {
+    if (!SNS_SUBSCRIBE_URL_PATTERN.test(String(message.SubscribeURL || ''))) {
+      return res.status(400).json({ ok: false, error: 'Untrusted SubscribeURL' });
+    }
+    try {
+      const response = await fetch(message.SubscribeURL, { signal: AbortSignal.timeout(5000) });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    } catch (error) {
+      console.error('SNS subscription confirmation failed:', error.message);
+      return res.status(502).json({ ok: false, error: 'Subscription confirmation failed' });
+    }
+    console.log(`Confirmed SNS subscription for ${message.TopicArn}`);
+    return res.json({ ok: true, subscribed: true });
+  }
+
+  if (message.Type !== 'Notification') {
+    return res.json({ ok: true, ignored: message.Type });
+  }
+
+  let notification;
+  try {
+    notification = JSON.parse(message.Message);
+  } catch (error) {
+    return res.status(400).json({ ok: false, error: 'Message is not valid JSON' });
+  }
+
+  const events = parseSesNotification(notification);
+  const counts = await applyEmailEvents(events);
+  return res.json({ ok: true, received: events.length, ...counts });
+});
+
+app.post('/api/webhooks/sendgrid', async (req, res) => {
+  if (!SENDGRID_WEBHOOK_PUBLIC_KEY) {
+    return res.status(503).json({ ok: false, error: 'SendGrid event webhook not configured' });
+  }
+
+  const signature = verifySendGridSignature({
+    publicKey: SENDGRID_WEBHOOK_PUBLIC_KEY,
+    body: req.rawBody || '',
+    signature: req.get('X-Twilio-Email-Event-Webhook-Signature'),
+    timestamp: req.get('X-Twilio-Email-Event-Webhook-Timestamp'),
+  });
+  if (!signature.ok) {
+    return res.status(401).json({ ok: false, error: signature.error });
+  }
+  if (!Array.isArray(req.body)) {
+    return res.status(400).json({ ok: false, error: 'Body must be an array of events' });
+  }
+
+  const events = parseSendGridEvents(req.body);
+  const counts = await applyEmailEvents(events);
+  return res.json({ ok: true, received: events.length, ...counts });
+});
+
+// ===========================================
+// Statement Upload Routes
+// ===========================================
+
+/**
+ * Resolve the pending application ID for an upload request. Without an upload token a
+ * new ID is issued; the returned token must accompany every later upload call and /api/apply.
+ */
+function resolveUploadSession(req, res, { allowNew = false } = {}) {
+  if (!statementUploads.enabled) {
+    res.status(503).json({ ok: false, error: 'Direct uploads are not configured', fallback: 'multipart' });
+    return null;
+  }
+
+  const token = normalizeValue(req.body?.uploadToken);
+  if (!token && allowNew) {
+    const applicationId = crypto.randomUUID();
+    return { applicationId, uploadToken: signStatementUploadToken(applicationId) };
+  }
+
+  const applicationId = getStatementUploadApplicationId(token);
+  if (!applicationId) {
+    res.status(401).json({ ok: false, error: 'Upload session expired' });
+    return null;
+  }
+  return { applicationId, uploadToken: token };
+}
+
+app.post('/api/apply/uploads', draftRateLimiter, async (req, res) => {
+  const session = resolveUploadSession(req, res, { allowNew: true });
+  if (!session) return;
+
+  try {
+    const result = await statementUploads.createUpload({
+      applicationId: session.applicationId,
+      fileName: req.body?.fileName,
+      contentType: req.body?.contentType,
+      size: req.body?.size,
+    });
+    if (!result.ok) {
+      return res.status(result.code).json({ ok: false, error: result.error });
+    }
+    return res.json({ ...session, ...result });
+  } catch (error) {
+    console.error('Presigned upload error:', error);
+    return res.status(502).json({ ok: false, error: 'Could not start the upload' });
+  }
+});
+
+app.post('/api/apply/uploads/complete', draftRateLimiter, async (req, res) => {
+  const session = resolveUploadSession(req, res);
+  if (!session) return;
+
+  try {
+    const result = await statementUploads.completeUpload({
+      applicationId: session.applicationId,
+      key: req.body?.key,
+      uploadId: req.body?.uploadId,
+      parts: req.body?.parts,
+    });
+    if (!result.ok) {
+      return res.status(result.code).json({ ok: false, error: result.error });
+    }
+    return res.json({ ok: true, key: result.key });
+  } catch (error) {
+    console.error('Complete upload error:', error);
+    return res.status(502).json({ ok: false, error: 'Could not finish the upload' });
+  }
+});
+
+app.post('/api/apply/uploads/abort', draftRateLimiter, async (req, res) => {
+  const session = resolveUploadSession(req, res);
+  if (!session) return;
+
+  try {
+    const result = await statementUploads.abortUpload({
+      applicationId: session.applicationId,
+      key: req.body?.key,
+      uploadId: req.body?.uploadId,
+    });
+    if (!result.ok) {
+      return res.status(result.code).json({ ok: false, error: result.error });
+    }
+    return res.json({ ok: true });
+  } catch (error) {
+    console.warn('Abort upload error:', error.message);
+    return res.json({ ok: true });
+  }
+});
+
+// ===========================================
+// Application Draft Routes
+// ===========================================
+
+// Autosave. Creates a draft when no draft_token is sent; statement files attached here are
+// uploaded once and listed on the draft, so the final submit only sends new files.
+app.post('/api/apply/drafts', draftRateLimiter, upload.array('bank_statements', STATEMENT_MAX_FILES), async (req, res) => {
+  const body = req.body || {};
+  const requestedToken = normalizeValue(body.draft_token);
+  let existing = null;
+
+  if (requestedToken) {
+    try {
+      existing = await loadDraft(requestedToken);
+    } catch (error) {
+      console.error('Draft load error:', error);
+      await removeUploadedFiles(req.files);
+      return res.status(500).json({ ok: false, error: 'Failed to save draft' });
+    }
+    if (!existing) {
+      await removeUploadedFiles(req.files);
+      return res.status(404).json({ ok: false, error: 'Draft not found or expired' });
+    }
+  }
+
+  let directUploads;
+  try {
+    directUploads = await resolveDirectStatementUploads(body);
+  } catch (error) {
+    console.error('Statement upload verification error:', error);
+    directUploads = { ok: false, code: 502, error: 'Could not verify uploaded bank statements' };
+  }
+  if (!directUploads.ok) {
+    await removeUploadedFiles(req.files);
+    return res.status(directUploads.code).json({ ok: false, error: directUploads.error });
+  }
+
+  const token = requestedToken || createDraftToken();
+  const current = existing || createEmptyDraft();
+  const uploadedAt = new Date().toISOString();
+  const files = [
+    ...directUploads.files.map((file) => ({ ...file, uploadedAt })),
+    ...await storeDraftFiles(req.files, current.id),
+  ];
+  const draft = mergeDraft(current, {
+    fields: sanitizeDraftFields(body),
+    step: body.current_step === undefined ? undefined : parseDraftStep(body.current_step, current.step),
+    files,
+  }, { ttlMs: DRAFT_TTL_MS });
+
+  const result = await saveDraft(token, draft);
+  if (result.status !== 'saved') {
+    return res.status(500).json({ ok: false, error: 'Failed to save draft' });
+  }
+
+  return res.json({ ok: true, created: !existing, token, draft: toPublicDraft(draft) });
+});
+
+app.get('/api/apply/drafts/:token', draftRateLimiter, async (req, res) => {
+  try {
+    const draft = await loadDraft(normalizeValue(req.params.token));
+    if (!draft) {
+      return res.status(404).json({ ok: false, error: 'Draft not found or expired' });
+    }
+    return res.json({ ok: true, draft: toPublicDraft(draft) });
+  } catch (error) {
+    console.error('Draft load error:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to load draft' });
+  }
+});
+
+app.post('/api/apply/drafts/:token/email', draftEmailRateLimiter, async (req, res) => {
+  try {
+    const token = normalizeValue(req.params.token);
+    const draft = await loadDraft(token);
+    if (!draft) {
+      return res.status(404).json({ ok: false, error: 'Draft not found or expired' });
+    }
+
+    // Only the address saved on the draft: taking one from the body would let anyone send our mail anywhere.
+    const email = normalizeValue(draft.fields?.email);
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email)) {
+      return res.status(400).json({ ok: false, error: 'Save a valid email in step 1 first' });
+    }
+
+    const mailResult = await sendDraftResumeEmail(email, draft, token);
+    if (mailResult.status !== 'sent') {
+      return res.status(502).json({ ok: false, error: 'Could not send the resume link. Please try again later.' });
+    }
+
+    draft.resumeEmailSentAt = new Date().toISOString();
+    await saveDraft(token, draft);
+    return res.json({ ok: true, emailStatus: 'sent', provider: mailResult.provider });
+  } catch (error) {
+    console.error('Draft resume email error:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to send the resume link' });
+  }
+});
+
+app.delete('/api/apply/drafts/:token', draftRateLimiter, async (req, res) => {
+  try {
+    await deleteDraft(normalizeValue(req.params.token));
+    return res.json({ ok: true });
+  } catch (error) {
+    console.error('Draft delete error:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to delete draft' });
+  }
+});
+
+// ===========================================
+// Client Portal Routes
+// ===========================================
+
+app.post('/api/client/login', loginRateLimiter, async (req, res) => {
+  const body = req.body || {};
+  const email = emailForCompare(body.email);
+  const password = typeof body.password === 'string' ? body.password : '';
+
+  if (!email || !password) {
+    return res.status(400).json({ ok: false, error: 'email and password are required' });
+  }
+
+  try {
+    const client = await findClientByEmail(email);
+    if (!client || client.active === false || !verifyClientPassword(getClientStoredPassword(client), password)) {
+      return res.status(401).json({ ok: false, error: 'Invalid email or password' });
+    }
+
+    const profile = toClientProfile(client);
+    return res.json({
+      ok: true,
+      token: issueClientToken(profile),
+      expiresIn: CLIENT_TOKEN_TTL_SECONDS,
+      user: profile,
+    });
+  } catch (error) {
+    console.error('Client login error:', error);
+    return res.status(500).json({ ok: false, error: 'Login failed' });
+  }
+});
+
+app.post('/api/client/refresh', requireClientAuth, async (req, res) => {
+  const { sub, email, name, role } = req.clientAuth;
+  try {
+    await tokenRevocations.revoke(req.clientAuth);
+  } catch (error) {
+    console.error('Client token refresh error:', error);
+    return res.status(500).json({ ok: false, error: 'Refresh failed' });
+  }
+  return res.json({
+    ok: true,
+    token: issueClientToken({ id: sub, email, name, role }),
+    expiresIn: CLIENT_TOKEN_TTL_SECONDS,
+  });
+});
+
+app.post('/api/client/logout', requireClientAuth, async (req, res) => {
+  try {
+    await tokenRevocations.revoke(req.clientAuth);
+    return res.json({ ok: true });
+  } catch (error) {
+    console.error('Client logout error:', error);
+    return res.status(500).json({ ok: false, error: 'Logout failed' });
+  }
+});
+
+app.get('/api/client/me', requireClientAuth, async (req, res) => {
+  try {
+    const client = await findClientByEmail(req.clientAuth.email);
+    if (!client || client.active === false) {
+      return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    }
+    return res.json({ ok: true, user: toClientProfile(client) });
+  } catch (error) {
+    console.error('Client profile lookup error:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to load profile' });
+  }
+});
+
+app.get('/api/client/applications', requireClientAuth, async (req, res) => {
+  try {
+    const applications = await listApplicationsForEmail(req.clientAuth.email);
+    return res.json({ ok: true, applications });
+  } catch (error) {
+    console.error('Client applications lookup error:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to load applications' });
+  }
+});
+
+// ===========================================
+// Admin Routes
 // ===========================================
 
+app.get('/api/admin/submissions/:type', requireAdminAuth, async (req, res) => {
+  const type = ADMIN_SUBMISSION_TYPES[req.params.type];
+  if (!type) {
+    return res.status(404).json({ ok: false, error: 'Unknown submission type' });
+  }
+
+  try {
+    const filters = parseSubmissionFilters(req.query);
+    const summaries = await loadSubmissionSummaries(type, { from: filters.from, to: filters.to });
+    const result = querySubmissions(summaries, filters);
+    return res.json({ ok: true, type: req.params.type, ...result });
+  } catch (error) {
+    console.error('Admin submissions list error:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to load submissions' });
+  }
+});
+
+app.get('/api/admin/submissions/:type/:id', requireAdminAuth, async (req, res) => {
+  const type = ADMIN_SUBMISSION_TYPES[req.params.type];
+  if (!type) {
+    return res.status(404).json({ ok: false, error: 'Unknown submission type' });
+  }
+
+  try {
+    const record = await loadSubmissionRecord(type, normalizeValue(req.params.id));
+    if (!record) {
+      return res.status(404).json({ ok: false, error: 'Submission not found' });
+    }
+    if (toBooleanField(req.query.decrypt) && record.encryption) {
+      console.log(`Admin ${req.clientAuth.email} decrypted sensitive fields for ${type}/${record.id}`);
+      return res.json({ ok: true, record: fieldEncryptor.decryptRecord(record) });
+    }
+    return res.json({ ok: true, record });
+  } catch (error) {
+    console.error('Admin submission fetch error:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to load submission' });
+  }
+});
+
+// Release a false positive: clear the spam flag, then forward it as if it had just arrived.
+app.post('/api/admin/submissions/:type/:id/not-spam', requireAdminAuth, async (req, res) => {
+  const type = ADMIN_SUBMISSION_TYPES[req.params.type];
+  if (!type || type === 'applications') {
+    return res.status(404).json({ ok: false, error: 'Unknown submission type' });
+  }
+
+  try {
+    const found = await findSubmissionRecord(type, normalizeValue(req.params.id));
+    if (!found) {
+      return res.status(404).json({ ok: false, error: 'Submission not found' });
+    }
+    const { record } = found;
+    if (!record.spam) {
+      return res.status(409).json({ ok: false, error: 'Submission is not flagged as spam' });
+    }
+
+    record.spam = false;
+    record.spamReleasedAt = new Date().toISOString();
+    record.spamReleasedBy = req.clientAuth.email;
+    await forwardFormSubmission(type, record);
+    await saveSubmissionRecord(type, record, found.storage);
+    console.log(`Admin ${req.clientAuth.email} released ${type}/${record.id} from spam`);
+    return res.json({ ok: true, id: record.id, crmStatus: record.crmStatus, emailStatus: record.emailStatus });
+  } catch (error) {
+    console.error('Spam release error:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to release submission' });
+  }
+});
+
+app.patch('/api/admin/applications/:id/status', requireAdminAuth, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const result = await updateApplicationStatus(normalizeValue(req.params.id), body.status, {
+      actor: req.clientAuth.email,
+      note: normalizeValue(body.note),
+      message: normalizeValue(body.message),
+    });
+
+    if (!result.ok) {
+      return res.status(result.code || 400).json({ ok: false, error: result.error });
+    }
+    return res.json({ ok: true, id: result.record.id, status: result.record.status, entry: result.entry });
+  } catch (error) {
+    console.error('Admin status update error:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to update application status' });
+  }
+});
+
+// Staff decision on a repeat flagged by the duplicate check: { decision: 'merge' | 'dismiss' }.
+app.post('/api/admin/applications/:id/duplicate-review', requireAdminAuth, async (req, res) => {
+  try {
+    const decision = normalizeValue(req.body?.decision).toLowerCase();
+    const result = await reviewDuplicateApplication(normalizeValue(req.params.id), decision, req.clientAuth.email);
+    if (!result.ok) {
+      return res.status(result.code || 400).json({ ok: false, error: result.error });
+    }
+    console.log(`Admin ${req.clientAuth.email} ${result.record.duplicateReview.status} duplicate ${result.record.id} of ${result.original.id}`);
+    return res.json({ ok: true, id: result.record.id, originalId: result.original.id, review: result.record.duplicateReview });
+  } catch (error) {
+    console.error('Duplicate review error:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to review duplicate application' });
+  }
+});
+
+app.get('/api/admin/email-templates', requireAdminAuth, async (req, res) => {
+  try {
+    const names = await emailRenderer.list();
+    const templates = await Promise.all(names.map((name) => emailRenderer.describe(name)));
+    return res.json({ ok: true, templates });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * Render a template against its sample data, or against `data` from a POST body
+ * (e.g. { "record": {...} }). `?format=html` returns the HTML alone.
+ */
+async function handleEmailTemplatePreview(req, res) {
+  const name = normalizeValue(req.params.name);
+  if (!(await emailRenderer.has(name))) {
+    return res.status(404).json({ ok: false, error: 'Template not found' });
+  }
+
+  try {
+    const body = req.body || {};
+    const data = body.data && typeof body.data === 'object' ? body.data : await emailRenderer.loadSample(name);
+    const email = await renderEmail(name, data);
+    if (req.query.format === 'html') {
+      return res.type('html').send(email.html);
+    }
+    return res.json({ ok: true, name, ...email });
+  } catch (error) {
+    return res.status(422).json({ ok: false, error: `Render failed: ${error.message}` });
+  }
+}
+
+app.get('/api/admin/email-templates/:name/preview', requireAdminAuth, handleEmailTemplatePreview);
+app.post('/api/admin/email-templates/:name/preview', requireAdminAuth, handleEmailTemplatePreview);
+
+app.get('/api/admin/pdf-templates', requireAdminAuth, async (req, res) => {
+  try {
+    const templates = await pdfTemplateRegistry.list();
+    return res.json({ ok: true, default: HOUSE_PDF_TEMPLATE_ID, templates });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+// Which funder templates an application qualifies for, and the one the rules pick.
+app.get('/api/admin/applications/:id/pdf-templates', requireAdminAuth, async (req, res) => {
+  try {
+    const record = await loadSubmissionRecord('applications', normalizeValue(req.params.id));
+    if (!record) {
+      return res.status(404).json({ ok: false, error: 'Application not found' });
+    }
+    // The rules read product, business_state and loan_amount, none of which are encrypted.
+    const templates = await pdfTemplateRegistry.evaluate(record);
+    const selected = templates[0]?.matches ? templates[0].id : HOUSE_PDF_TEMPLATE_ID;
+    return res.json({ ok: true, applicationId: record.id, selected, templates });
+  } catch (error) {
+    console.error('Admin PDF template selection error:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to evaluate PDF templates' });
+  }
+});
+
+// Application PDF on a funder's template: ?template=<id>, or the selected one.
+app.get('/api/admin/applications/:id/pdf', requireAdminAuth, async (req, res) => {
+  try {
+    const record = await loadSubmissionRecord('applications', normalizeValue(req.params.id));
+    if (!record) {
+      return res.status(404).json({ ok: false, error: 'Application not found' });
+    }
+
+    const result = await renderApplicationPdfForTemplate(
+      fieldEncryptor.decryptRecord(record),
+      normalizeValue(req.query.template),
+    );
+    if (!result.ok) {
+      return res.status(result.code).json({ ok: false, error: result.error });
+    }
+
+    console.log(`Admin ${req.clientAuth.email} generated the ${result.templateId} PDF for applications/${record.id}`);
+    res.attachment(`${getApplicationPdfBaseName(record)}_${result.templateId}.pdf`);
+    return res.type('pdf').send(result.buffer);
+  } catch (error) {
+    console.error('Admin application PDF error:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to generate application PDF' });
+  }
+});
+
+const OUTBOX_STATES = { pending: STATE_PENDING, 'dead-letter': STATE_DEAD };
+
+// Admin routes are shared by every outbox: /api/admin/crm-outbox/*, /api/admin/email-outbox/* and /api/admin/statement-analysis/*.
+const ADMIN_OUTBOXES = {
+  'crm-outbox': { label: 'CRM', outbox: crmOutbox, process: processCrmOutbox, handlers: crmOutboxHandlers },
+  'email-outbox': { label: 'email', outbox: emailOutbox, process: processEmailOutbox, handlers: emailOutboxHandlers },
+  'statement-analysis': {
+    label: 'statement analysis',
+    outbox: statementAnalysisJobs,
+    process: processStatementAnalysis,
+    handlers: statementAnalysisHandlers,
+  },
+};
+
+Object.entries(ADMIN_OUTBOXES).forEach(([route, { label, outbox, process: processOutbox, handlers }]) => {
+  app.get(`/api/admin/${route}`, requireAdminAuth, async (req, res) => {
+    const state = OUTBOX_STATES[normalizeValue(req.query.state) || 'pending'];
+    if (!state) {
+      return res.status(400).json({ ok: false, error: 'state must be pending or dead-letter' });
+    }
+
+    try {
+      const items = await outbox.list(state);
+      items.sort((a, b) => String(b.lastAttemptAt || '').localeCompare(String(a.lastAttemptAt || '')));
+      return res.json({ ok: true, state, storage: outbox.storage, total: items.length, items });
+    } catch (error) {
+      console.error(`${label} outbox list error:`, error);
+      return res.status(500).json({ ok: false, error: `Failed to load ${label} outbox` });
+    }
+  });
+
+  async function handleProcess(req, res) {
+    try {
+      const limit = Math.min(50, Math.max(1, Number(req.query.limit || req.body?.limit || 10)));
+      const result = await processOutbox({ limit });
+      return res.json({ ok: true, ...result });
+    } catch (error) {
+      console.error(`${label} outbox process error:`, error);
+      return res.status(500).json({ ok: false, error: `Failed to process ${label} outbox` });
+    }
+  }
+
+  // GET for Vercel Cron, POST for manual runs.
+  app.get(`/api/admin/${route}/process`, requireCronOrAdminAuth, handleProcess);
+  app.post(`/api/admin/${route}/process`, requireCronOrAdminAuth, handleProcess);
+
+  app.post(`/api/admin/${route}/:id/replay`, requireAdminAuth, async (req, res) => {
+    try {
+      const result = await outbox.replay(normalizeValue(req.params.id), handlers);
+      if (!result) {
+        return res.status(404).json({ ok: false, error: 'Dead-letter item not found' });
+      }
+      console.log(`Admin ${req.clientAuth.email} replayed ${label} delivery ${req.params.id}: ${result.status}`);
+      return res.json({ ok: true, ...result });
+    } catch (error) {
+      console.error(`${label} outbox replay error:`, error);
+      return res.status(500).json({ ok: false, error: `Failed to replay ${label} delivery` });
+    }
+  });
+});
+
 // ===========================================
 // Server Initialization
 // ===========================================
@@ -1691,6 +4189,13 @@ if (require.main === module) {
   (async function initialize() {
     await ensureDataStorage();
 
+    if (!ADMIN_AUTH_ENABLED) {
+      console.warn('CLIENT_AUTH_SECRET is not set. Admin routes are disabled until it is.');
+    }
+    if (!ADMIN_LOGIN_ENABLED) {
+      console.warn('CLIENT_ADMIN_PASSWORD is not set. The built-in admin login is disabled until it is.');
+    }
+
     try {
       await fs.access(PDF_FORM_TEMPLATE_PATH);
       console.log(`Fillable NoLimitCap PDF template found: ${PDF_FORM_TEMPLATE_PATH}`);
@@ -1701,10 +4206,34 @@ if (require.main === module) {
       );
     }
 
+    const funderTemplates = await pdfTemplateRegistry.list();
+    if (funderTemplates.length) {
+      console.log(`Funder PDF templates: ${funderTemplates.map((template) => `${template.id}${template.enabled ? '' : ' (disabled)'}`).join(', ')}`);
+    }
+    funderTemplates.filter((template) => !template.valid).forEach((template) => {
+      console.warn(`Funder PDF template "${template.id}" will not be used: ${template.errors.join('; ')}`);
+    });
+
     app.listen(PORT, () => {
       console.log(`NoLimitCap backend listening on http://localhost:${PORT}`);
       console.log(`Health check: http://localhost:${PORT}/api/health`);
     });
+
+    if (CRM_OUTBOX_POLL_MS > 0) {
+      setInterval(() => {
+        processCrmOutbox().catch((error) => console.error('CRM outbox worker error:', error));
+      }, CRM_OUTBOX_POLL_MS).unref();
+    }
+    if (EMAIL_OUTBOX_POLL_MS > 0) {
+      setInterval(() => {
+        processEmailOutbox().catch((error) => console.error('Email outbox worker error:', error));
+      }, EMAIL_OUTBOX_POLL_MS).unref();
+    }
+    if (STATEMENT_ANALYSIS_ENABLED && STATEMENT_ANALYSIS_POLL_MS > 0) {
+      setInterval(() => {
+        processStatementAnalysis().catch((error) => console.error('Statement analysis worker error:', error));
+      }, STATEMENT_ANALYSIS_POLL_MS).unref();
+    }
   })().catch((error) => {
     console.error('Failed to initialize server:', error.message);
     process.exit(1);
@@ -0,0 +1,204 @@
+'use strict';
+
+/**
+ * spam-guard.js
+ *
+ * Layered checks for the public website forms (/api/contact):
+ *
+ *   honeypot   a hidden field people never see; any value means a bot. Its
+ *              name and label match nothing browsers or password managers
+ *              autofill, so a real visitor's form never fills it
+ *   timing     the form token (issued when the page renders, signed by the
+ *              caller) must be present and at least `minSubmitMs` old
+ *   content    links in free text, URLs in the name, markup / BBCode, and
+ *              disposable email domains each add to a score
+ *   CAPTCHA    optional, through a verifier with one method:
+ *                verify(token, { remoteIp }) -> { ok, error?, score? }
+ *              Turnstile, hCaptcha and reCAPTCHA share the siteverify shape;
+ *              the `stub` verifier accepts one fixed token for local testing.
+ *
+ * evaluateSubmission() returns { spam, score, reasons }. A honeypot hit or a
+ * submit faster than a person could type is spam outright; the rest add up
+ * against `threshold`. Token signing is left to the caller (server.js uses the
+ * same HMAC tokens as everything else).
+ */
+
+const HONEYPOT_FIELD = 'nlc_trap';
+
+// Widget response fields, so a form can post whichever one its CAPTCHA adds.
+const CAPTCHA_RESPONSE_FIELDS = ['captcha_token', 'cf-turnstile-response', 'h-captcha-response', 'g-recaptcha-response'];
+
+const DISPOSABLE_EMAIL_DOMAINS = [
+  '10minutemail.com', 'dispostable.com', 'emailondeck.com', 'fakeinbox.com', 'getnada.com',
+  'guerrillamail.com', 'guerrillamail.net', 'maildrop.cc', 'mailinator.com', 'mailnesia.com',
+  'mintemail.com', 'mohmal.com', 'moakt.com', 'sharklasers.com', 'spam4.me', 'temp-mail.org',
+  'tempmail.com', 'tempmail.dev', 'tempmailo.com', 'throwawaymail.com', 'trashmail.com',
+  'yopmail.com',
+];
+
+const SCORES = {
+  missingToken: 2,
+  invalidToken: 3,
+  expiredToken: 1,
+  link: 1,
+  manyLinks: 3,
+  urlInName: 3,
+  markup: 2,
+  disposableEmail: 3,
+};
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"']+/gi;
+const MARKUP_PATTERN = /<\s*a\s+href|\[url[=\]]|\[link[=\]]/i;
+
+function countLinks(value) {
+  return (String(value || '').match(LINK_PATTERN) || []).length;
+}
+
+function getEmailDomain(email) {
+  const at = String(email || '').lastIndexOf('@');
+  return at === -1 ? '' : String(email).slice(at + 1).trim().toLowerCase();
+}
+
+function isDisposableEmail(email, extraDomains = []) {
+  const domain = getEmailDomain(email);
+  if (!domain) return false;
+  return [...DISPOSABLE_EMAIL_DOMAINS, ...extraDomains]
+    .some((blocked) => domain === blocked || domain.endsWith(`.${blocked}`));
+}
+
+/** The CAPTCHA response from whichever field the widget used. */
+function getCaptchaResponse(body) {
+  for (const field of CAPTCHA_RESPONSE_FIELDS) {
+    const value = String(body?.[field] ?? '').trim();
+    if (value) return value;
+  }
+  return '';
+}
+
+/**
+ * @param {object} input
+ * @param {object} input.fields               submitted values (name, email, details, ...)
+ * @param {string} [input.honeypot]           value of the hidden field
+ * @param {{ ok: boolean, reason?: string, ageMs?: number }} input.token  result of the caller's token check
+ * @param {object} [options]
+ * @param {number} [options.minSubmitMs]      faster than this is a bot
+ * @param {number} [options.maxLinks]         more links than this scores as link spam
+ * @param {number} [options.threshold]        score at which a submission is spam
+ * @param {string[]} [options.disposableDomains]  added to the built-in list
+ */
+function evaluateSubmission({ fields = {}, honeypot = '', token }, {
+  minSubmitMs = 3000,
+  maxLinks = 2,
+  threshold = 4,
+  disposableDomains = [],
+} = {}) {
+  const reasons = [];
+  let score = 0;
+  let certain = false;
+  const add = (reason, points) => {
+    reasons.push(reason);
+    score += points;
+  };
+
+  if (String(honeypot || '').trim()) {
+    reasons.push('honeypot');
+    certain = true;
+  }
+
+  if (!token || token.reason === 'missing') {
+    add('missing-form-token', SCORES.missingToken);
+  } else if (!token.ok && token.reason === 'expired') {
+    add('expired-form-token', SCORES.expiredToken);
+  } else if (!token.ok) {
+    add('invalid-form-token', SCORES.invalidToken);
+  } else if (token.ageMs < minSubmitMs) {
+    reasons.push('submitted-too-fast');
+    certain = true;
+  }
+
+  const text = Object.values(fields).map((value) => String(value ?? '')).join('\n');
+  const links = countLinks(text);
+  if (links > maxLinks) add(`links:${links}`, SCORES.manyLinks);
+  else if (links > 0) add(`links:${links}`, SCORES.link * links);
+
+  if (countLinks(fields.name) > 0 || /https?:|www\./i.test(String(fields.name || ''))) {
+    add('url-in-name', SCORES.urlInName);
+  }
+  if (MARKUP_PATTERN.test(text)) add('link-markup', SCORES.markup);
+  if (isDisposableEmail(fields.email, disposableDomains)) add('disposable-email', SCORES.disposableEmail);
+
+  return { spam: certain || score >= threshold, score, reasons };
+}
+
+// ===== CAPTCHA verifiers =====
+
+const SITEVERIFY_URLS = {
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+  hcaptcha: 'https://api.hcaptcha.com/siteverify',
+  recaptcha: 'https://www.google.com/recaptcha/api/siteverify',
+};
+
+/**
+ * Turnstile / hCaptcha / reCAPTCHA: POST secret + response (+ remoteip) as a form.
+ * reCAPTCHA v3 also returns a score; below `minScore` counts as a failure.
+ * `url` overrides the provider's siteverify endpoint (tests point it at a local stub).
+ */
+function createSiteverifyCaptcha({ provider, secret, minScore = 0.5, timeoutMs = 5000, url = SITEVERIFY_URLS[provider], fetchImpl = fetch }) {
+  if (!SITEVERIFY_URLS[provider]) throw new Error(`Unknown CAPTCHA provider "${provider}"`);
+
+  return {
+    provider,
+    async verify(token, { remoteIp } = {}) {
+      if (!token) return { ok: false, error: 'CAPTCHA response missing' };
+      const form = new URLSearchParams({ secret, response: token });
+      if (remoteIp) form.set('remoteip', remoteIp);
+
+      let payload;
+      try {
+        const response = await fetchImpl(url, { method: 'POST', body: form, signal: AbortSignal.timeout(timeoutMs) });
+        payload = await response.json();
+      } catch (error) {
+        return { ok: false, error: `CAPTCHA verification unavailable: ${error.message}` };
+      }
+
+      if (!payload?.success) {
+        return { ok: false, error: `CAPTCHA rejected: ${(payload?.['error-codes'] || []).join(', ') || 'unknown'}` };
+      }
+      if (typeof payload.score === 'number' && payload.score < minScore) {
+        return { ok: false, error: `CAPTCHA score ${payload.score} below ${minScore}`, score: payload.score };
+      }
+      return { ok: true, score: payload.score };
+    },
+  };
+}
+
+/** Local stand-in: accepts exactly `passToken`, so forms and tests can run without a provider. */
+function createStubCaptcha({ passToken = 'pass' } = {}) {
+  return {
+    provider: 'stub',
+    async verify(token) {
+      return token === passToken ? { ok: true } : { ok: false, error: 'CAPTCHA rejected: stub token mismatch' };
+    },
+  };
+}
+
+/** Verifier for CAPTCHA_PROVIDER, or null when CAPTCHA is off. */
+function createCaptchaVerifier({ provider, secret, minScore, stubToken, url, fetchImpl } = {}) {
+  if (!provider) return null;
+  if (provider === 'stub') return createStubCaptcha({ passToken: stubToken || undefined });
+  if (!secret) throw new Error(`CAPTCHA provider "${provider}" needs a secret`);
+  return createSiteverifyCaptcha({ provider, secret, minScore, url, fetchImpl });
+}
+
+module.exports = {
+  HONEYPOT_FIELD,
+  CAPTCHA_RESPONSE_FIELDS,
+  DISPOSABLE_EMAIL_DOMAINS,
+  countLinks,
+  isDisposableEmail,
+  getCaptchaResponse,
+  evaluateSubmission,
+  createSiteverifyCaptcha,
+  createStubCaptcha,
+  createCaptchaVerifier,
+};
@@ -0,0 +1,408 @@
+'use strict';
+
+/**
+ * statement-analysis.js
+ *
+ * Local bank statement analysis. Extracts text from statement PDFs and derives
+ * the figures underwriters otherwise re-key by hand: statement period, opening
+ * and closing balances, total deposits, NSF / overdraft counts and days with a
+ * negative balance. The result is compared with the applicant's self-reported
+ * `avg_monthly_deposits` and `avg_daily_balance`.
+ *
+ * Everything here is heuristic text matching over common US bank layouts.
+ * Fields that cannot be found are left null rather than guessed; scanned
+ * (image-only) statements come back as `no_text`.
+ */
+
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { parseCurrency } = require('./application-schema');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AVERAGE_MONTH_DAYS = 30.44;
+const LINE_TOLERANCE = 2; // points; text items within this vertical distance share a line
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12,
+};
+
+const MONEY_PATTERN = /\(?-?\$?\s?\d{1,3}(?:,\d{3})*\.\d{2}\)?(?:-|\s?CR\b|\s?DR\b)?/gi;
+const DATE_PATTERN = new RegExp(
+  [
+    '\\b\\d{4}-\\d{2}-\\d{2}\\b',
+    '\\b\\d{1,2}[/-]\\d{1,2}[/-]\\d{2,4}\\b',
+    '\\b(?:jan|feb|mar|apr|may|jun|jul|aug|sept?|oct|nov|dec)[a-z]*\\.?\\s+\\d{1,2},?\\s+\\d{4}\\b',
+  ].join('|'),
+  'gi',
+);
+
+const OPENING_LABEL = /\b(?:beginning|opening|starting|previous|prior)\s+(?:ledger\s+|account\s+)?balance\b/i;
+const CLOSING_LABEL = /\b(?:ending|closing|new)\s+(?:ledger\s+|account\s+)?balance\b/i;
+const DEPOSIT_LABELS = [
+  /\btotal\s+(?:deposits|credits)\b/i,
+  /\bdeposits\s*(?:and|&)\s*(?:other\s+)?(?:credits|additions)\b/i,
+  /\bdeposits\s*\/\s*credits\b/i,
+  /^\s*deposits\b/i,
+];
+const DAILY_BALANCE_HEADER = /\bdaily\s+(?:ending\s+|ledger\s+|account\s+)?balances?\b/i;
+const NSF_PATTERN = /\b(?:nsf|non[-\s]?sufficient\s+funds?|insufficient\s+funds?|returned\s+item)\b/i;
+const OVERDRAFT_PATTERN = /\b(?:overdraft|overdrawn|od\s+(?:fee|charge|item))\b/i;
+const SUMMARY_LINE = /\b(?:total|year[-\s]to[-\s]date|ytd)\b/i;
+
+// ---------------------------------------------------------------------------
+// Parsing helpers
+// ---------------------------------------------------------------------------
+
+/** "(1,234.56)", "-$1,234.56", "1,234.56-" and "1,234.56 DR" are negative. */
+function parseMoney(value) {
+  const raw = String(value || '').trim();
+  if (!raw) return null;
+  const negative = /^\(.*\)$/.test(raw) || /^-/.test(raw) || /-$/.test(raw) || /\bDR$/i.test(raw);
+  const amount = parseCurrency(raw.replace(/[()\-]/g, '').replace(/\s?(CR|DR)$/i, ''));
+  if (amount === null) return null;
+  return negative ? -amount : amount;
+}
+
+function toIsoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+function expandYear(year) {
+  const value = Number(year);
+  return value < 100 ? 2000 + value : value;
+}
+
+/** Parse one statement date (numeric or "January 5, 2026") into YYYY-MM-DD. */
+function parseStatementDate(value) {
+  const raw = String(value || '').trim();
+  let match = raw.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) return toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  match = raw.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{2,4})$/);
+  if (match) return toIsoDate(expandYear(match[3]), Number(match[1]), Number(match[2]));
+
+  match = raw.match(/^([a-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/i);
+  if (match) {
+    const month = MONTHS[match[1].toLowerCase().slice(0, 3)] || MONTHS[match[1].toLowerCase().slice(0, 4)];
+    return month ? toIsoDate(Number(match[3]), month, Number(match[2])) : null;
+  }
+  return null;
+}
+
+function findDates(line) {
+  return (line.match(DATE_PATTERN) || []).map(parseStatementDate).filter(Boolean);
+}
+
+function findMoney(text) {
+  return (text.match(MONEY_PATTERN) || []).map(parseMoney).filter((amount) => amount !== null);
+}
+
+/** First amount that follows `label` on the line. */
+function amountAfterLabel(line, label) {
+  const match = line.match(label);
+  if (!match) return null;
+  const amounts = findMoney(line.slice(match.index + match[0].length));
+  return amounts.length ? amounts[0] : null;
+}
+
+function daysBetween(start, end) {
+  return Math.round((Date.parse(end) - Date.parse(start)) / DAY_MS) + 1;
+}
+
+function roundMoney(value) {
+  return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+}
+
+// ---------------------------------------------------------------------------
+// Text extraction
+// ---------------------------------------------------------------------------
+
+/** pdf-parse's default renderer glues same-line items together; keep them space-separated. */
+async function renderPageText(pageData) {
+  const content = await pageData.getTextContent({ normalizeWhitespace: true });
+  const lines = [];
+  content.items.forEach((item) => {
+    const text = String(item.str || '').trim();
+    if (!text) return;
+    const x = item.transform[4];
+    const y = item.transform[5];
+    let line = lines.find((candidate) => Math.abs(candidate.y - y) <= LINE_TOLERANCE);
+    if (!line) {
+      line = { y, items: [] };
+      lines.push(line);
+    }
+    line.items.push({ x, text });
+  });
+
+  return lines
+    .sort((a, b) => b.y - a.y)
+    .map((line) => line.items.sort((a, b) => a.x - b.x).map((item) => item.text).join(' '))
+    .join('\n');
+}
+
+async function extractPdfText(buffer, { maxPages = 30 } = {}) {
+  // Small Buffers are slices of Node's shared pool; the bundled pdf.js reads the
+  // underlying ArrayBuffer from offset 0, so hand it a copy that owns its memory.
+  const result = await pdfParse(new Uint8Array(buffer), { max: maxPages, pagerender: renderPageText });
+  return { text: result.text || '', pageCount: result.numpages || 0 };
+}
+
+// ---------------------------------------------------------------------------
+// Analysis
+// ---------------------------------------------------------------------------
+
+function detectPeriod(lines) {
+  const candidates = lines.slice(0, 80);
+  for (const line of candidates) {
+    if (!/period|through|thru|\bto\b|\bfrom\b|[-–]/i.test(line)) continue;
+    const dates = findDates(line);
+    if (dates.length >= 2 && dates[0] < dates[1]) {
+      return { start: dates[0], end: dates[1], days: daysBetween(dates[0], dates[1]) };
+    }
+  }
+  for (const line of candidates) {
+    if (!/statement\s+(?:date|closing|ending)|closing\s+date/i.test(line)) continue;
+    const dates = findDates(line);
+    if (dates.length) return { start: null, end: dates[0], days: null };
+  }
+  return null;
+}
+
+function detectLabelledAmount(lines, label, { exclude = null } = {}) {
+  for (const line of lines) {
+    if (exclude && exclude.test(line)) continue;
+    const amount = amountAfterLabel(line, label);
+    if (amount !== null) return amount;
+  }
+  return null;
+}
+
+function detectTotalDeposits(lines) {
+  for (const label of DEPOSIT_LABELS) {
+    const amount = detectLabelledAmount(lines, label, { exclude: /\b(?:daily|average|ytd|year[-\s]to[-\s]date)\b/i });
+    if (amount !== null) return Math.abs(amount);
+  }
+  return null;
+}
+
+/**
+ * Reads the "Daily Balance" table that most banks print at the end of a statement:
+ *   Date  Balance   Date  Balance
+ *   01/02 1,234.56  01/03 (45.10)
+ */
+function detectDailyBalances(lines, period) {
+  const headerIndex = lines.findIndex((line) => DAILY_BALANCE_HEADER.test(line));
+  if (headerIndex === -1) return [];
+
+  const year = period?.end ? Number(period.end.slice(0, 4)) : new Date().getUTCFullYear();
+  const balances = new Map();
+  let misses = 0;
+  for (let i = headerIndex + 1; i < lines.length && misses < 3; i += 1) {
+    const pairs = Array.from(lines[i].matchAll(/(\d{1,2}\/\d{1,2}(?:\/\d{2,4})?)\s+(\(?-?\$?\s?\d{1,3}(?:,\d{3})*\.\d{2}\)?-?)/g));
+    if (pairs.length === 0) {
+      misses += 1;
+      continue;
+    }
+    misses = 0;
+    pairs.forEach(([, dateText, amountText]) => {
+      const parts = dateText.split('/').map(Number);
+      const date = parts.length === 3
+        ? toIsoDate(expandYear(parts[2]), parts[0], parts[1])
+        : toIsoDate(period?.end && Number(period.end.slice(5, 7)) < parts[0] ? year - 1 : year, parts[0], parts[1]);
+      const amount = parseMoney(amountText);
+      if (date && amount !== null) balances.set(date, amount);
+    });
+  }
+
+  return Array.from(balances, ([date, balance]) => ({ date, balance })).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function countEventLines(lines, pattern) {
+  return lines.filter((line) => pattern.test(line) && !SUMMARY_LINE.test(line) && findMoney(line).length > 0).length;
+}
+
+/** Analyze the extracted text of one statement. */
+function analyzeStatementText(text) {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map((line) => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  const period = detectPeriod(lines);
+  const openingBalance = detectLabelledAmount(lines, OPENING_LABEL);
+  const closingBalance = detectLabelledAmount(lines, CLOSING_LABEL, { exclude: DAILY_BALANCE_HEADER });
+  const dailyBalances = detectDailyBalances(lines, period);
+  const negativeDays = dailyBalances.filter((entry) => entry.balance < 0).length;
+
+  let averageDailyBalance = null;
+  if (dailyBalances.length) {
+    averageDailyBalance = dailyBalances.reduce((sum, entry) => sum + entry.balance, 0) / dailyBalances.length;
+  } else if (openingBalance !== null && closingBalance !== null) {
+    averageDailyBalance = (openingBalance + closingBalance) / 2;
+  }
+
+  return {
+    period,
+    openingBalance: roundMoney(openingBalance),
+    closingBalance: roundMoney(closingBalance),
+    totalDeposits: roundMoney(detectTotalDeposits(lines)),
+    nsfCount: countEventLines(lines, NSF_PATTERN),
+    overdraftCount: countEventLines(lines, OVERDRAFT_PATTERN),
+    // Unknown without a daily balance table; opening/closing alone can't rule out a dip mid-period.
+    negativeBalanceDays: dailyBalances.length ? negativeDays : null,
+    dailyBalanceCount: dailyBalances.length,
+    averageDailyBalance: roundMoney(averageDailyBalance),
+  };
+}
+
+function summarizeStatements(statements) {
+  const analyzed = statements.filter((item) => item.status === 'analyzed');
+  if (analyzed.length === 0) return null;
+
+  const sum = (key) => analyzed.reduce((total, item) => total + (item[key] || 0), 0);
+  const withDeposits = analyzed.filter((item) => item.totalDeposits !== null);
+  const totalDeposits = withDeposits.reduce((total, item) => total + item.totalDeposits, 0);
+  const coveredDays = withDeposits.every((item) => item.period?.days)
+    ? withDeposits.reduce((total, item) => total + item.period.days, 0)
+    : null;
+
+  let avgMonthlyDeposits = null;
+  if (withDeposits.length) {
+    avgMonthlyDeposits = coveredDays ? totalDeposits / (coveredDays / AVERAGE_MONTH_DAYS) : totalDeposits / withDeposits.length;
+  }
+
+  const balances = analyzed.filter((item) => item.averageDailyBalance !== null);
+  const starts = analyzed.map((item) => item.period?.start).filter(Boolean).sort();
+  const ends = analyzed.map((item) => item.period?.end).filter(Boolean).sort();
+  const negativeKnown = analyzed.every((item) => item.negativeBalanceDays !== null);
+
+  return {
+    statementCount: analyzed.length,
+    periodStart: starts[0] || null,
+    periodEnd: ends[ends.length - 1] || null,
+    totalDeposits: withDeposits.length ? roundMoney(totalDeposits) : null,
+    avgMonthlyDeposits: roundMoney(avgMonthlyDeposits),
+    avgDailyBalance: balances.length
+      ? roundMoney(balances.reduce((total, item) => total + item.averageDailyBalance, 0) / balances.length)
+      : null,
+    nsfCount: sum('nsfCount'),
+    overdraftCount: sum('overdraftCount'),
+    negativeBalanceDays: negativeKnown ? sum('negativeBalanceDays') : null,
+  };
+}
+
+/**
+ * Flag self-reported figures that differ from the statements by more than
+ * `tolerance` (0.25 = 25% of the derived figure).
+ */
+function findReportedMismatches(summary, record, tolerance) {
+  if (!summary) return [];
+  const checks = [
+    { field: 'avg_monthly_deposits', derived: summary.avgMonthlyDeposits },
+    { field: 'avg_daily_balance', derived: summary.avgDailyBalance },
+  ];
+
+  return checks
+    .map(({ field, derived }) => {
+      const reported = parseCurrency(record?.[field]);
+      if (reported === null || derived === null) return null;
+      const difference = reported - derived;
+      const base = Math.max(Math.abs(derived), 1);
+      const differencePct = Math.round((Math.abs(difference) / base) * 1000) / 10;
+      if (differencePct <= tolerance * 100) return null;
+      return { field, reported, derived, difference: roundMoney(difference), differencePct };
+    })
+    .filter(Boolean);
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise.finally(() => clearTimeout(timer)),
+    new Promise((resolve) => {
+      timer = setTimeout(() => resolve({ timedOut: true }), ms);
+    }),
+  ]);
+}
+
+/**
+ * Analyze a set of statement files and build the `statement_analysis` record field.
+ *
+ * @param {Array<{ fileName: string, size?: number, read: () => Promise<Buffer> }>} sources
+ * @param {object} options
+ * @param {object} options.record          application record (for self-reported figures)
+ * @param {number} [options.timeoutMs]     overall budget; unfinished files are marked `timeout`
+ * @param {number} [options.maxFileBytes]  larger files are skipped
+ * @param {number} [options.tolerance]     mismatch threshold as a fraction
+ */
+async function analyzeStatements(sources, {
+  record = {},
+  timeoutMs = 8000,
+  maxFileBytes = 25 * 1024 * 1024,
+  tolerance = 0.25,
+} = {}) {
+  const files = Array.isArray(sources) ? sources : [];
+  if (files.length === 0) {
+    return { status: 'skipped', reason: 'No bank statements uploaded', analyzedAt: new Date().toISOString() };
+  }
+
+  const statements = files.map((source) => ({ fileName: source.fileName, status: 'pending' }));
+  const work = (async () => {
+    for (let i = 0; i < files.length; i += 1) {
+      const source = files[i];
+      const entry = statements[i];
+      if (source.size && source.size > maxFileBytes) {
+        Object.assign(entry, { status: 'skipped', reason: 'File too large to analyze' });
+        continue;
+      }
+      try {
+        const buffer = await source.read();
+        if (buffer.length > maxFileBytes) {
+          Object.assign(entry, { status: 'skipped', reason: 'File too large to analyze' });
+          continue;
+        }
+        const { text, pageCount } = await extractPdfText(buffer);
+        if (text.replace(/\s/g, '').length < 40) {
+          Object.assign(entry, { status: 'no_text', pageCount, reason: 'No extractable text (scanned statement?)' });
+          continue;
+        }
+        Object.assign(entry, { status: 'analyzed', pageCount, ...analyzeStatementText(text) });
+      } catch (error) {
+        Object.assign(entry, { status: 'failed', error: error.message });
+      }
+    }
+  })();
+
+  const outcome = await withTimeout(work, timeoutMs);
+  if (outcome?.timedOut) {
+    statements.forEach((entry) => {
+      if (entry.status === 'pending') Object.assign(entry, { status: 'timeout' });
+    });
+  }
+
+  const summary = summarizeStatements(statements);
+  const analyzedCount = statements.filter((entry) => entry.status === 'analyzed').length;
+  let status = 'failed';
+  if (analyzedCount === statements.length) status = 'analyzed';
+  else if (analyzedCount > 0) status = 'partial';
+
+  return {
+    status,
+    analyzedAt: new Date().toISOString(),
+    statements: statements.map((entry) => ({ ...entry })),
+    summary,
+    mismatches: findReportedMismatches(summary, record, tolerance),
+    tolerancePct: tolerance * 100,
+  };
+}
+
+module.exports = {
+  parseMoney,
+  parseStatementDate,
+  extractPdfText,
+  analyzeStatementText,
+  summarizeStatements,
+  findReportedMismatches,
+  analyzeStatements,
+};
@@ -0,0 +1,217 @@
+'use strict';
+
+/**
+ * statement-uploads.js
+ *
+ * Direct-to-S3 multipart uploads for bank statements. The server only signs
+ * URLs and verifies the result; file bytes go straight from the browser to S3,
+ * so large statements never pass through the API (or its function timeout).
+ *
+ *   1. createUpload   -> CreateMultipartUpload + one presigned UploadPart URL per part
+ *   2. browser PUTs each part and keeps the returned ETag
+ *   3. completeUpload -> CompleteMultipartUpload with the part ETags
+ *   4. verifyUpload   -> HeadObject when the application is submitted (oversized objects are deleted)
+ *
+ * Every key lives under `<uploadPrefix><applicationId>/`, and callers must prove
+ * they own that application ID (see the upload token in server.js).
+ *
+ * Functions resolve to { ok: true, ... } or { ok: false, code, error } where
+ * `code` is the HTTP status to answer with; S3 outages still throw.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const {
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const MIN_PART_SIZE = 5 * 1024 * 1024; // S3 minimum for every part but the last
+const MAX_PARTS = 10000;
+const ALLOWED_CONTENT_TYPES = new Set(['application/pdf']);
+
+function fail(code, error) {
+  return { ok: false, code, error };
+}
+
+function sanitizeFileName(value) {
+  const base = path.basename(String(value || 'statement.pdf'));
+  return base.replace(/[^\w.\- ()]/g, '_').slice(0, 200) || 'statement.pdf';
+}
+
+/**
+ * @param {object} options
+ * @param {import('@aws-sdk/client-s3').S3Client|null} options.s3Client
+ * @param {string} options.bucket
+ * @param {string} options.uploadPrefix       e.g. "applications/uploads/"
+ * @param {number} options.maxFileBytes
+ * @param {number} [options.partSize]         bytes per part (>= 5 MB)
+ * @param {number} [options.urlTtlSeconds]    lifetime of each presigned part URL
+ */
+function createStatementUploads({
+  s3Client,
+  bucket,
+  uploadPrefix,
+  maxFileBytes,
+  partSize = 10 * 1024 * 1024,
+  urlTtlSeconds = 15 * 60,
+}) {
+  const enabled = Boolean(s3Client && bucket);
+  const effectivePartSize = Math.max(MIN_PART_SIZE, partSize);
+
+  const keyPrefix = (applicationId) => `${uploadPrefix}${applicationId}/`;
+
+  function isOwnedKey(applicationId, key) {
+    const value = String(key || '');
+    return value.startsWith(keyPrefix(applicationId)) && !value.includes('..');
+  }
+
+  async function createUpload({ applicationId, fileName, contentType, size }) {
+    const bytes = Number(size);
+    const type = String(contentType || '').toLowerCase();
+    if (!ALLOWED_CONTENT_TYPES.has(type)) {
+      return fail(400, 'Only PDF bank statements are accepted');
+    }
+    if (!Number.isInteger(bytes) || bytes <= 0) {
+      return fail(400, 'File size is required');
+    }
+    if (bytes > maxFileBytes) {
+      return fail(400, `Files must be ${Math.floor(maxFileBytes / (1024 * 1024))}MB or smaller`);
+    }
+
+    const partCount = Math.ceil(bytes / effectivePartSize);
+    if (partCount > MAX_PARTS) {
+      return fail(400, 'File is too large to upload');
+    }
+
+    const originalName = sanitizeFileName(fileName);
+    const extension = path.extname(originalName).toLowerCase() || '.pdf';
+    const key = `${keyPrefix(applicationId)}${Date.now()}-${crypto.randomUUID()}${extension}`;
+
+    const created = await s3Client.send(new CreateMultipartUploadCommand({
+      Bucket: bucket,
+      Key: key,
+      ContentType: type,
+      Metadata: {
+        'original-name': originalName,
+        'application-id': applicationId,
+        'uploaded-at': new Date().toISOString(),
+      },
+    }));
+
+    const parts = [];
+    for (let partNumber = 1; partNumber <= partCount; partNumber += 1) {
+      const url = await getSignedUrl(s3Client, new UploadPartCommand({
+        Bucket: bucket,
+        Key: key,
+        UploadId: created.UploadId,
+        PartNumber: partNumber,
+      }), { expiresIn: urlTtlSeconds });
+      parts.push({ partNumber, url });
+    }
+
+    return {
+      ok: true,
+      key,
+      uploadId: created.UploadId,
+      partSize: effectivePartSize,
+      expiresIn: urlTtlSeconds,
+      parts,
+    };
+  }
+
+  async function completeUpload({ applicationId, key, uploadId, parts }) {
+    if (!isOwnedKey(applicationId, key)) {
+      return fail(403, 'Upload key does not belong to this application');
+    }
+    const list = (Array.isArray(parts) ? parts : [])
+      .map((part) => ({ PartNumber: Number(part?.partNumber), ETag: String(part?.etag || '') }))
+      .filter((part) => Number.isInteger(part.PartNumber) && part.PartNumber > 0 && part.ETag)
+      .sort((a, b) => a.PartNumber - b.PartNumber);
+    if (!uploadId || list.length === 0) {
+      return fail(400, 'uploadId and part ETags are required');
+    }
+
+    await s3Client.send(new CompleteMultipartUploadCommand({
+      Bucket: bucket,
+      Key: key,
+      UploadId: uploadId,
+      MultipartUpload: { Parts: list },
+    }));
+    return { ok: true, key };
+  }
+
+  async function abortUpload({ applicationId, key, uploadId }) {
+    if (!isOwnedKey(applicationId, key)) {
+      return fail(403, 'Upload key does not belong to this application');
+    }
+    if (uploadId) {
+      await s3Client.send(new AbortMultipartUploadCommand({ Bucket: bucket, Key: key, UploadId: uploadId }));
+    }
+    return { ok: true };
+  }
+
+  /**
+   * Confirm an uploaded object exists and matches what the browser declared.
+   * Returns file metadata in the same shape as multer-based uploads.
+   */
+  async function verifyUpload({ applicationId, key, size, contentType, fileName }) {
+    const label = sanitizeFileName(fileName);
+    if (!isOwnedKey(applicationId, key)) {
+      return fail(403, `${label} does not belong to this application`);
+    }
+
+    let head;
+    try {
+      head = await s3Client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+    } catch (error) {
+      if (error?.$metadata?.httpStatusCode === 404 || error?.name === 'NotFound') {
+        return fail(422, `${label} was not uploaded`);
+      }
+      throw error;
+    }
+
+    // The presigned parts only bound each part, not how many the browser sends.
+    if (Number(head.ContentLength) > maxFileBytes) {
+      await s3Client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      return fail(413, `${label} is larger than ${Math.floor(maxFileBytes / (1024 * 1024))}MB`);
+    }
+    if (Number(head.ContentLength) !== Number(size)) {
+      return fail(422, `${label} size does not match the upload`);
+    }
+    if (String(head.ContentType || '').toLowerCase() !== String(contentType || '').toLowerCase()) {
+      return fail(422, `${label} content type does not match the upload`);
+    }
+
+    return {
+      ok: true,
+      file: {
+        originalName: head.Metadata?.['original-name'] || label,
+        storedName: path.basename(key),
+        size: Number(head.ContentLength),
+        type: head.ContentType,
+        s3Status: 'uploaded',
+        s3Key: key,
+        uploadMethod: 'presigned-multipart',
+      },
+    };
+  }
+
+  return {
+    enabled,
+    partSize: effectivePartSize,
+    createUpload,
+    completeUpload,
+    abortUpload,
+    verifyUpload,
+  };
+}
+
+module.exports = {
+  createStatementUploads,
+};
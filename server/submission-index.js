@@ -0,0 +1,291 @@
+'use strict';
+
+/**
+ * submission-index.js
+ *
+ * S3 submission index, sharded by month of submission:
+ *
+ *   <indexPrefix><type>/2026-03.json        newest-first summaries for that month
+ *   <indexPrefix><type>/by-id/<id>.json      latest summary for one submission
+ *
+ * Shards are updated with conditional writes (If-Match on the ETag we read,
+ * If-None-Match for a new shard) and retried on conflict, so concurrent
+ * submissions cannot overwrite each other. Nothing is ever trimmed, so every
+ * submission stays searchable. The by-id pointer is written to a unique key
+ * and gives O(1) lookups without scanning shards.
+ *
+ * The pre-shard `<indexPrefix><type>.json` file (capped at 500 entries) is
+ * still read as a fallback until `npm run rebuild-index` has been run.
+ */
+
+const {
+  PutObjectCommand,
+  GetObjectCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+const { isConditionalWriteConflict, isMissingKey, readBody } = require('./s3-helpers');
+
+const MAX_WRITE_ATTEMPTS = 8;
+const READ_CONCURRENCY = 8;
+
+function buildSubmissionSummary(type, record, recordResult = {}) {
+  return {
+    id: record.id,
+    type,
+    createdAt: record.createdAt,
+    name: record.name || '',
+    email: record.email || '',
+    company: record.company || '',
+    pdfStatus: record.pdfStatus,
+    emailStatus: record.emailStatus,
+    crmStatus: record.crmStatus,
+    emailIssue: record.emailIssue?.status,
+    spam: record.spam || undefined,
+    duplicate_of: record.duplicate_of || undefined,
+    duplicateCount: record.duplicates?.length || undefined,
+    status: record.status,
+    statusUpdatedAt: record.statusUpdatedAt,
+    owner_email: record.owner_email || '',
+    loan_amount: record.loan_amount || '',
+    funding_timeline: record.funding_timeline || '',
+    product: record.product || '',
+    business_state: record.business_state || '',
+    industry: record.industry || '',
+    form: record.form || '',
+    generated_pdf_url: record.generated_pdf_url,
+    generated_pdf_s3_key: record.generated_pdf_s3_key,
+    sealed_pdf_sha256: record.sealed_pdf?.sha256,
+    record_s3_key: recordResult.s3Key || record.generated_record_s3_key,
+    record_s3_url: recordResult.s3Url || record.generated_record_url,
+  };
+}
+
+function getMonthKey(createdAt) {
+  const date = createdAt ? new Date(createdAt) : new Date();
+  const valid = Number.isNaN(date.getTime()) ? new Date() : date;
+  return `${valid.getUTCFullYear()}-${String(valid.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+function sortNewestFirst(items) {
+  return items.sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const current = next++;
+      results[current] = await fn(items[current], current);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * @param {object} options
+ * @param {import('@aws-sdk/client-s3').S3Client|null} options.s3Client
+ * @param {string} options.bucket
+ * @param {string} options.indexPrefix  e.g. "indexes/"
+ */
+function createSubmissionIndex({ s3Client, bucket, indexPrefix }) {
+  const enabled = Boolean(s3Client && bucket);
+
+  const shardPrefix = (type) => `${indexPrefix}${type}/`;
+  const shardKey = (type, monthKey) => `${shardPrefix(type)}${monthKey}.json`;
+  const pointerKey = (type, id) => `${shardPrefix(type)}by-id/${id}.json`;
+  const legacyKey = (type) => `${indexPrefix}${type}.json`;
+
+  async function getJson(key) {
+    try {
+      const response = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      const raw = await readBody(response.Body);
+      return { data: raw ? JSON.parse(raw) : null, etag: response.ETag };
+    } catch (error) {
+      if (isMissingKey(error)) return { data: null, etag: null };
+      throw error;
+    }
+  }
+
+  async function putJson(key, data, condition = {}) {
+    return s3Client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: JSON.stringify(data, null, 2),
+      ContentType: 'application/json',
+      ...condition,
+    }));
+  }
+
+  /**
+   * Read-modify-write one shard with optimistic concurrency.
+   * `mutate` receives the current entries and returns the next entries.
+   */
+  async function updateShard(key, mutate) {
+    for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt += 1) {
+      const { data, etag } = await getJson(key);
+      const current = Array.isArray(data) ? data : [];
+      const next = sortNewestFirst(mutate(current));
+      try {
+        await putJson(key, next, etag ? { IfMatch: etag } : { IfNoneMatch: '*' });
+        return { attempts: attempt, count: next.length };
+      } catch (error) {
+        if (!isConditionalWriteConflict(error) || attempt === MAX_WRITE_ATTEMPTS) throw error;
+        await sleep(Math.min(1000, 25 * 2 ** attempt) + Math.floor(Math.random() * 50));
+      }
+    }
+    throw new Error(`Index shard ${key} could not be updated`);
+  }
+
+  /** Insert or replace one summary. */
+  async function upsert(type, summary) {
+    if (!enabled) return { status: 'skipped', reason: 'S3 not configured' };
+    try {
+      const key = shardKey(type, getMonthKey(summary.createdAt));
+      const shard = await updateShard(key, (entries) => [
+        summary,
+        ...entries.filter((item) => item?.id !== summary.id),
+      ]);
+      await putJson(pointerKey(type, summary.id), summary);
+      return { status: 'saved', s3Key: key, attempts: shard.attempts };
+    } catch (error) {
+      console.error('S3 index update error:', error);
+      return { status: 'failed', error: error.message };
+    }
+  }
+
+  /** Summary for `id`, or null when it is not indexed. S3 failures are thrown, not reported as missing. */
+  async function get(type, id) {
+    if (!enabled || !id) return null;
+    const { data } = await getJson(pointerKey(type, id));
+    if (data) return data;
+    const { data: legacy } = await getJson(legacyKey(type));
+    return (Array.isArray(legacy) ? legacy : []).find((item) => item?.id === id) || null;
+  }
+
+  async function listShardKeys(type) {
+    const keys = [];
+    let ContinuationToken;
+    do {
+      const response = await s3Client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: shardPrefix(type),
+        Delimiter: '/',
+        ContinuationToken,
+      }));
+      (response.Contents || []).forEach((item) => {
+        if (/\/\d{4}-\d{2}\.json$/.test(item.Key)) keys.push(item.Key);
+      });
+      ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+    return keys;
+  }
+
+  /**
+   * All summaries for a type, newest first. `from` / `to` (epoch ms) skip
+   * shards for months entirely outside the range.
+   */
+  async function list(type, { from = null, to = null } = {}) {
+    if (!enabled) return [];
+    try {
+      const fromMonth = from !== null ? getMonthKey(new Date(from).toISOString()) : null;
+      const toMonth = to !== null ? getMonthKey(new Date(to).toISOString()) : null;
+      const keys = (await listShardKeys(type)).filter((key) => {
+        const month = key.slice(-'YYYY-MM.json'.length, -'.json'.length);
+        return (!fromMonth || month >= fromMonth) && (!toMonth || month <= toMonth);
+      });
+
+      const shards = await mapWithConcurrency(keys, READ_CONCURRENCY, async (key) => (await getJson(key)).data);
+      const byId = new Map();
+      shards.forEach((entries) => {
+        (Array.isArray(entries) ? entries : []).forEach((item) => {
+          if (item?.id && !byId.has(item.id)) byId.set(item.id, item);
+        });
+      });
+
+      const { data: legacy } = await getJson(legacyKey(type));
+      (Array.isArray(legacy) ? legacy : []).forEach((item) => {
+        if (item?.id && !byId.has(item.id)) byId.set(item.id, item);
+      });
+
+      return sortNewestFirst(Array.from(byId.values()));
+    } catch (error) {
+      console.warn(`S3 index list failed for ${type}:`, error.message);
+      return [];
+    }
+  }
+
+  async function listRecordKeys(recordPrefix) {
+    const keys = [];
+    let ContinuationToken;
+    do {
+      const response = await s3Client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: recordPrefix,
+        ContinuationToken,
+      }));
+      (response.Contents || []).forEach((item) => {
+        if (item.Key.endsWith('.json')) keys.push(item.Key);
+      });
+      ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+    return keys;
+  }
+
+  /**
+   * Re-derive every shard and pointer for a type by scanning its record prefix.
+   * Entries written concurrently by live traffic are kept (merged, not replaced).
+   */
+  async function rebuild(type, recordPrefix, { dryRun = false, log = () => {} } = {}) {
+    if (!enabled) return { status: 'skipped', reason: 'S3 not configured' };
+
+    const recordKeys = await listRecordKeys(recordPrefix);
+    log(`${type}: ${recordKeys.length} record objects under ${recordPrefix}`);
+
+    const summaries = (await mapWithConcurrency(recordKeys, READ_CONCURRENCY, async (key) => {
+      try {
+        const { data } = await getJson(key);
+        if (!data?.id) return null;
+        return buildSubmissionSummary(type, data, { s3Key: key, s3Url: data.generated_record_url });
+      } catch (error) {
+        log(`  skipped ${key}: ${error.message}`);
+        return null;
+      }
+    })).filter(Boolean);
+
+    const shards = new Map();
+    summaries.forEach((summary) => {
+      const key = shardKey(type, getMonthKey(summary.createdAt));
+      if (!shards.has(key)) shards.set(key, []);
+      shards.get(key).push(summary);
+    });
+
+    if (dryRun) {
+      return { status: 'dry_run', records: summaries.length, shards: shards.size };
+    }
+
+    for (const [key, entries] of shards) {
+      const rebuiltIds = new Set(entries.map((item) => item.id));
+      const result = await updateShard(key, (current) => [
+        ...entries,
+        ...current.filter((item) => item?.id && !rebuiltIds.has(item.id)),
+      ]);
+      log(`  ${key}: ${result.count} entries`);
+    }
+    await mapWithConcurrency(summaries, READ_CONCURRENCY, (summary) => putJson(pointerKey(type, summary.id), summary));
+
+    return { status: 'rebuilt', records: summaries.length, shards: shards.size };
+  }
+
+  return { enabled, upsert, get, list, rebuild };
+}
+
+module.exports = {
+  buildSubmissionSummary,
+  createSubmissionIndex,
+};
@@ -0,0 +1,116 @@
+'use strict';
+
+/**
+ * submission-query.js
+ *
+ * Filtering and paging over submission index summaries for the admin API.
+ * Pure functions only — the caller decides where the summaries come from.
+ */
+
+const { parseCurrency } = require('./application-schema');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+function normalizeValue(value) {
+  if (Array.isArray(value)) return value.map(i => String(i).trim()).filter(Boolean).join(', ');
+  if (value === undefined || value === null) return '';
+  return String(value).trim();
+}
+
+function parseDateBoundary(value, endOfDay) {
+  const raw = normalizeValue(value);
+  if (!raw) return null;
+  // Bare dates cover the whole day so ?to=2026-03-31 includes submissions on the 31st.
+  const iso = /^\d{4}-\d{2}-\d{2}$/.test(raw)
+    ? `${raw}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`
+    : raw;
+  const time = new Date(iso).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+function parsePositiveInt(value, fallback) {
+  const n = Number.parseInt(normalizeValue(value), 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/** Turn an Express query object into a normalized filter set. */
+function parseSubmissionFilters(query = {}) {
+  return {
+    from: parseDateBoundary(query.from, false),
+    to: parseDateBoundary(query.to, true),
+    status: normalizeValue(query.status).toLowerCase(),
+    crmStatus: normalizeValue(query.crmStatus || query.crm_status).toLowerCase(),
+    // `bounced`, `complained`, or `any` for either.
+    emailIssue: normalizeValue(query.emailIssue || query.email_issue).toLowerCase(),
+    // `true` for flagged submissions only, `false` to hide them.
+    spam: normalizeValue(query.spam).toLowerCase(),
+    duplicate: normalizeValue(query.duplicate).toLowerCase(),
+    state: normalizeValue(query.state).toUpperCase(),
+    industry: normalizeValue(query.industry).toLowerCase(),
+    minAmount: parseCurrency(query.minAmount ?? query.min_amount),
+    maxAmount: parseCurrency(query.maxAmount ?? query.max_amount),
+    q: normalizeValue(query.q).toLowerCase(),
+    page: parsePositiveInt(query.page, 1),
+    pageSize: Math.min(MAX_PAGE_SIZE, parsePositiveInt(query.pageSize ?? query.page_size, DEFAULT_PAGE_SIZE)),
+  };
+}
+
+function matchesFilters(item, filters) {
+  if (filters.from !== null || filters.to !== null) {
+    const created = new Date(item.createdAt).getTime();
+    if (Number.isNaN(created)) return false;
+    if (filters.from !== null && created < filters.from) return false;
+    if (filters.to !== null && created > filters.to) return false;
+  }
+
+  if (filters.status && normalizeValue(item.status).toLowerCase() !== filters.status) return false;
+  if (filters.crmStatus && normalizeValue(item.crmStatus).toLowerCase() !== filters.crmStatus) return false;
+  if (filters.emailIssue) {
+    const issue = normalizeValue(item.emailIssue).toLowerCase();
+    if (filters.emailIssue === 'any' ? !issue : issue !== filters.emailIssue) return false;
+  }
+  if (filters.spam === 'true' && !item.spam) return false;
+  if (filters.spam === 'false' && item.spam) return false;
+  if (filters.duplicate === 'true' && !item.duplicate_of) return false;
+  if (filters.duplicate === 'false' && item.duplicate_of) return false;
+  if (filters.state && normalizeValue(item.business_state).toUpperCase() !== filters.state) return false;
+  if (filters.industry && !normalizeValue(item.industry).toLowerCase().includes(filters.industry)) return false;
+
+  if (filters.minAmount !== null || filters.maxAmount !== null) {
+    const amount = parseCurrency(item.loan_amount);
+    if (amount === null) return false;
+    if (filters.minAmount !== null && amount < filters.minAmount) return false;
+    if (filters.maxAmount !== null && amount > filters.maxAmount) return false;
+  }
+
+  if (filters.q) {
+    const haystack = [item.id, item.name, item.email, item.owner_email, item.company]
+      .map((value) => normalizeValue(value).toLowerCase())
+      .join(' ');
+    if (!haystack.includes(filters.q)) return false;
+  }
+
+  return true;
+}
+
+/** Filter, sort newest-first and page a list of summaries. */
+function querySubmissions(items, filters) {
+  const matched = (Array.isArray(items) ? items : [])
+    .filter((item) => item && matchesFilters(item, filters))
+    .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+
+  const start = (filters.page - 1) * filters.pageSize;
+  return {
+    total: matched.length,
+    page: filters.page,
+    pageSize: filters.pageSize,
+    pageCount: Math.max(1, Math.ceil(matched.length / filters.pageSize)),
+    items: matched.slice(start, start + filters.pageSize),
+  };
+}
+
+module.exports = {
+  parseSubmissionFilters,
+  querySubmissions,
+};
@@ -164,10 +164,30 @@ CREATE TABLE IF NOT EXISTS applications (
   crm_code INTEGER,
   crm_provider TEXT,
   
+  -- Business lifecycle (see server/application-status.js)
+  status TEXT DEFAULT 'received',
+  status_history JSONB DEFAULT '[]'::jsonb,
+  
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- ===========================================
+-- CLIENT PORTAL USERS
+-- ===========================================
+
+CREATE TABLE IF NOT EXISTS clients (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  email TEXT NOT NULL UNIQUE,
+  -- "scrypt$<salt>$<hex>" (preferred) or "plain:<password>" for testing only
+  password_hash TEXT NOT NULL,
+  name TEXT,
+  company TEXT,
+  role TEXT DEFAULT 'client',
+  active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- ===========================================
 -- APPLICATION FILES (Bank Statements)
 -- ===========================================
@@ -198,6 +218,7 @@ CREATE INDEX IF NOT EXISTS idx_product_requests_created_at ON product_requests(c
 CREATE INDEX IF NOT EXISTS idx_applications_email ON applications(email);
 CREATE INDEX IF NOT EXISTS idx_applications_owner_email ON applications(owner_email);
 CREATE INDEX IF NOT EXISTS idx_applications_created_at ON applications(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_clients_email ON clients(email);
 CREATE INDEX IF NOT EXISTS idx_application_files_application_id ON application_files(application_id);
 
 -- ===========================================
@@ -208,6 +229,7 @@ ALTER TABLE contacts ENABLE ROW LEVEL SECURITY;
 ALTER TABLE partners ENABLE ROW LEVEL SECURITY;
 ALTER TABLE product_requests ENABLE ROW LEVEL SECURITY;
 ALTER TABLE applications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE clients ENABLE ROW LEVEL SECURITY;
 ALTER TABLE application_files ENABLE ROW LEVEL SECURITY;
 
 -- Policy: Allow service role full access (for backend)
@@ -223,6 +245,9 @@ CREATE POLICY "Service role has full access on product_requests" ON product_requ
 CREATE POLICY "Service role has full access on applications" ON applications
   FOR ALL TO service_role USING (true) WITH CHECK (true);
 
+CREATE POLICY "Service role has full access on clients" ON clients
+  FOR ALL TO service_role USING (true) WITH CHECK (true);
+
 CREATE POLICY "Service role has full access on application_files" ON application_files
   FOR ALL TO service_role USING (true) WITH CHECK (true);
 
@@ -0,0 +1,184 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCrmProviders } = require('../crm-providers');
+const { startStubServer } = require('./helpers/stub-server');
+
+const record = {
+  id: 'app-1',
+  first_name: 'Jane',
+  last_name: 'Doe',
+  email: 'jane@example.com',
+  contact_number: '5555551234',
+  legal_business_name: 'Doe Bakery LLC',
+  loan_amount: '$50,000',
+  gross_annual_sales: '1,200,000',
+  loan_use: 'Equipment',
+  ssn: '123-45-6789',
+};
+
+/** Every provider pointed at its own path on one stub server. */
+function providerEnv(url, overrides = {}) {
+  return {
+    SWITCHBOX_API_URL: `${url}/switchbox`,
+    SWITCHBOX_API_KEY: 'switchbox-key',
+    CRM_WEBHOOK_URL: `${url}/webhook`,
+    HUBSPOT_ACCESS_TOKEN: 'hubspot-token',
+    HUBSPOT_API_URL: `${url}/hubspot`,
+    SALESFORCE_INSTANCE_URL: `${url}/salesforce`,
+    SALESFORCE_ACCESS_TOKEN: 'salesforce-token',
+    ...overrides,
+  };
+}
+
+const requestTo = (stub, prefix) => stub.requests.find((request) => request.url.startsWith(`/${prefix}`));
+
+test('sendToAll fans out to every enabled provider routed for the form', async (t) => {
+  const stub = await startStubServer();
+  t.after(stub.close);
+  const crm = createCrmProviders({ env: providerEnv(stub.url) });
+
+  const results = await crm.sendToAll(record, 'apply');
+
+  assert.deepEqual(Object.keys(results).sort(), ['hubspot', 'salesforce', 'switchbox', 'webhook']);
+  Object.values(results).forEach((result) => assert.equal(result.status, 'sent'));
+  assert.equal(stub.requests.length, 4);
+  assert.equal(requestTo(stub, 'switchbox').headers.authorization, 'Bearer switchbox-key');
+  assert.equal(requestTo(stub, 'hubspot').headers.authorization, 'Bearer hubspot-token');
+  assert.equal(requestTo(stub, 'salesforce').url, '/salesforce/services/data/v60.0/sobjects/Lead');
+});
+
+test('sendToAll skips unconfigured providers and ones not routed for the form', async (t) => {
+  const stub = await startStubServer();
+  t.after(stub.close);
+  const crm = createCrmProviders({
+    env: providerEnv(stub.url, { SWITCHBOX_API_URL: '', CRM_WEBHOOK_FORMS: 'contact' }),
+  });
+
+  const results = await crm.sendToAll(record, 'apply');
+  assert.deepEqual(Object.keys(results).sort(), ['hubspot', 'salesforce']);
+
+  stub.requests.length = 0;
+  // Salesforce only takes apply and contact by default.
+  const partnerResults = await crm.sendToAll(record, 'partner');
+  assert.deepEqual(Object.keys(partnerResults), ['hubspot']);
+  assert.equal(stub.requests.length, 1);
+});
+
+test('one failing provider does not stop the others', async (t) => {
+  const stub = await startStubServer((request) => (request.url.startsWith('/hubspot')
+    ? { status: 503, headers: { 'Retry-After': '30' }, body: 'unavailable' }
+    : { status: 201, body: { id: 'lead-1' } }));
+  t.after(stub.close);
+  const crm = createCrmProviders({ env: providerEnv(stub.url) });
+
+  const results = await crm.sendToAll(record, 'apply');
+
+  assert.equal(results.hubspot.status, 'failed');
+  assert.equal(results.hubspot.code, 503);
+  assert.equal(results.hubspot.retryAfterMs, 30 * 1000);
+  assert.equal(results.salesforce.status, 'sent');
+  assert.deepEqual(results.salesforce.data, { id: 'lead-1' });
+  assert.equal(results.switchbox.status, 'sent');
+  assert.equal(results.webhook.status, 'sent');
+});
+
+test('HubSpot receives the default field map as an upsert keyed by email', async (t) => {
+  const stub = await startStubServer();
+  t.after(stub.close);
+  const crm = createCrmProviders({ env: providerEnv(stub.url) });
+
+  await crm.sendTo('hubspot', record, 'apply');
+
+  const { url, body } = requestTo(stub, 'hubspot');
+  assert.equal(url, '/hubspot/crm/v3/objects/contacts/batch/upsert');
+  assert.deepEqual(body, {
+    inputs: [{
+      idProperty: 'email',
+      id: 'jane@example.com',
+      properties: {
+        email: 'jane@example.com',
+        firstname: 'Jane',
+        lastname: 'Doe',
+        phone: '5555551234',
+        company: 'Doe Bakery LLC',
+        annualrevenue: 1200000,
+      },
+    }],
+  });
+});
+
+test('Salesforce receives its own field map with constants and number fields', async (t) => {
+  const stub = await startStubServer();
+  t.after(stub.close);
+  const crm = createCrmProviders({ env: providerEnv(stub.url) });
+
+  await crm.sendTo('salesforce', record, 'apply');
+
+  assert.deepEqual(requestTo(stub, 'salesforce').body, {
+    FirstName: 'Jane',
+    LastName: 'Doe',
+    Email: 'jane@example.com',
+    Phone: '5555551234',
+    Company: 'Doe Bakery LLC',
+    AnnualRevenue: 1200000,
+    Amount__c: 50000,
+    LeadSource: 'Website',
+    Description: 'Equipment',
+  });
+});
+
+test('a <PREFIX>_FIELD_MAP replaces one provider\'s map without touching the others', async (t) => {
+  const stub = await startStubServer();
+  t.after(stub.close);
+  const crm = createCrmProviders({
+    env: providerEnv(stub.url, {
+      SALESFORCE_FIELD_MAP: JSON.stringify({
+        LastName: 'last_name',
+        Company: 'legal_business_name',
+        Funding__c: { from: 'loan_amount', type: 'number' },
+        Channel__c: { value: 'Web form' },
+      }),
+    }),
+  });
+
+  await crm.sendToAll(record, 'apply');
+
+  assert.deepEqual(requestTo(stub, 'salesforce').body, {
+    LastName: 'Doe',
+    Company: 'Doe Bakery LLC',
+    Funding__c: 50000,
+    Channel__c: 'Web form',
+  });
+  assert.equal(requestTo(stub, 'hubspot').body.inputs[0].properties.firstname, 'Jane');
+});
+
+test('webhook providers get the prepared record with an idempotency key', async (t) => {
+  const stub = await startStubServer();
+  t.after(stub.close);
+  const crm = createCrmProviders({
+    env: providerEnv(stub.url),
+    prepareRecord: ({ ssn, ...rest }) => rest,
+  });
+
+  await crm.sendTo('webhook', record, 'apply');
+
+  const { headers, body } = requestTo(stub, 'webhook');
+  assert.equal(body.ssn, undefined);
+  assert.equal(body.email, 'jane@example.com');
+  assert.ok(body.idempotencyKey);
+  assert.equal(headers['idempotency-key'], body.idempotencyKey);
+});
+
+test('a payload missing required fields fails with 422 and is never sent', async (t) => {
+  const stub = await startStubServer();
+  t.after(stub.close);
+  const crm = createCrmProviders({ env: providerEnv(stub.url) });
+
+  const result = await crm.sendTo('salesforce', { id: 'app-2', email: 'x@example.com' }, 'apply');
+
+  assert.equal(result.status, 'failed');
+  assert.equal(result.code, 422);
+  assert.equal(stub.requests.length, 0);
+});
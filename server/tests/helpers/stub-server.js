@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * Local HTTP server standing in for a third-party API. Each request is
+ * recorded and answered by `respond(request)`, which returns
+ * { status, headers, body } (body objects are sent as JSON).
+ */
+
+const http = require('http');
+
+async function startStubServer(respond = () => ({ status: 200, body: { ok: true } })) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', async () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      let body = raw;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch {
+        // form-encoded or plain text; keep the raw string
+      }
+      const request = { method: req.method, url: req.url, headers: req.headers, raw, body };
+      requests.push(request);
+
+      const reply = (await respond(request, requests.length)) || {};
+      const isJson = reply.body !== undefined && typeof reply.body !== 'string';
+      res.writeHead(reply.status || 200, {
+        ...(isJson && { 'Content-Type': 'application/json' }),
+        ...reply.headers,
+      });
+      res.end(isJson ? JSON.stringify(reply.body) : reply.body || '');
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+module.exports = {
+  startStubServer,
+};
@@ -0,0 +1,162 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createOutbox } = require('../outbox');
+const { createCrmProviders } = require('../crm-providers');
+const { startStubServer } = require('./helpers/stub-server');
+
+const BASE_DELAY_MS = 60 * 1000;
+const record = { id: 'app-1', last_name: 'Doe', legal_business_name: 'Doe Bakery LLC', email: 'jane@example.com' };
+
+/** An outbox on an in-memory local store whose items the test can make due. */
+function createTestOutbox(options = {}) {
+  let items = [];
+  const outbox = createOutbox({
+    s3Client: null,
+    bucket: '',
+    outboxPrefix: 'crm-outbox/',
+    localStore: {
+      read: async () => items.map((item) => ({ ...item })),
+      write: async (next) => {
+        items = next.map((item) => ({ ...item }));
+      },
+    },
+    maxAttempts: 3,
+    baseDelayMs: BASE_DELAY_MS,
+    maxDelayMs: 10 * BASE_DELAY_MS,
+    ...options,
+  });
+  const makeDue = () => {
+    items.forEach((item) => {
+      item.nextAttemptAt = new Date(Date.now() - 1000).toISOString();
+    });
+  };
+  return { outbox, makeDue, items: () => items };
+}
+
+async function setup(t, respond, outboxOptions) {
+  const stub = await startStubServer(respond);
+  t.after(stub.close);
+  const crm = createCrmProviders({ env: { CRM_WEBHOOK_URL: `${stub.url}/webhook` }, timeoutMs: 1000 });
+  const handlers = {
+    deliver: (item) => crm.sendTo(item.target, record, 'apply'),
+  };
+  return { stub, crm, handlers, ...createTestOutbox(outboxOptions) };
+}
+
+const delayOf = (item) => Date.parse(item.nextAttemptAt) - Date.parse(item.lastAttemptAt);
+
+test('a failed delivery is retried until the stub accepts it', async (t) => {
+  const { stub, crm, handlers, outbox, makeDue } = await setup(t, (request, count) => (count < 3
+    ? { status: 502, body: 'bad gateway' }
+    : { status: 200, body: { ok: true } }));
+
+  const first = await crm.sendTo('webhook', record, 'apply');
+  assert.equal(first.status, 'failed');
+  const queued = await outbox.enqueue({ type: 'applications', recordId: record.id, target: 'webhook', result: first });
+  assert.equal(queued.status, 'queued');
+
+  // Nothing is due until the backoff has passed.
+  assert.equal((await outbox.processDue(handlers)).processed, 0);
+
+  makeDue();
+  const second = await outbox.processDue(handlers);
+  assert.equal(second.results[0].status, 'retry-scheduled');
+
+  makeDue();
+  let delivered;
+  const third = await outbox.processDue({ ...handlers, onDelivered: (item, result, attempts) => { delivered = attempts; } });
+  assert.equal(third.delivered, 1);
+  assert.equal(delivered, 3);
+  assert.equal(stub.requests.length, 3);
+  assert.deepEqual(await outbox.list('pending'), []);
+});
+
+test('retries back off exponentially with jitter', async (t) => {
+  const { crm, handlers, outbox, makeDue, items } = await setup(t, () => ({ status: 500, body: 'error' }), { maxAttempts: 5 });
+
+  const first = await crm.sendTo('webhook', record, 'apply');
+  await outbox.enqueue({ type: 'applications', recordId: record.id, target: 'webhook', result: first });
+  const delays = [delayOf(items()[0])];
+  for (let attempt = 2; attempt <= 4; attempt += 1) {
+    makeDue();
+    await outbox.processDue(handlers);
+    delays.push(delayOf(items()[0]));
+  }
+
+  delays.forEach((delay, index) => {
+    const expected = BASE_DELAY_MS * 2 ** index;
+    assert.ok(delay >= expected * 0.8 && delay <= expected * 1.2, `attempt ${index + 1}: ${delay}ms vs ~${expected}ms`);
+  });
+});
+
+test('Retry-After from the stub overrides the computed backoff', async (t) => {
+  const { crm, outbox, items } = await setup(t, () => ({ status: 429, headers: { 'Retry-After': '600' }, body: 'slow down' }));
+
+  const first = await crm.sendTo('webhook', record, 'apply');
+  await outbox.enqueue({ type: 'applications', recordId: record.id, target: 'webhook', result: first });
+
+  assert.equal(delayOf(items()[0]), 600 * 1000);
+});
+
+test('deliveries are dead-lettered after maxAttempts', async (t) => {
+  const { stub, crm, handlers, outbox, makeDue } = await setup(t, () => ({ status: 503, body: 'down' }));
+
+  const first = await crm.sendTo('webhook', record, 'apply');
+  await outbox.enqueue({ type: 'applications', recordId: record.id, target: 'webhook', result: first });
+  let deadLettered = null;
+  for (let run = 0; run < 2; run += 1) {
+    makeDue();
+    await outbox.processDue({ ...handlers, onDeadLettered: (item) => { deadLettered = item; } });
+  }
+
+  assert.equal(stub.requests.length, 3);
+  assert.deepEqual(await outbox.list('pending'), []);
+  assert.equal(deadLettered.attempts, 3);
+  assert.equal(deadLettered.lastCode, 503);
+  assert.match(deadLettered.deadLetterReason, /Gave up after 3 attempts/);
+});
+
+test('a 4xx other than 408/425/429 is dead-lettered without a retry', async (t) => {
+  const { crm, outbox } = await setup(t, () => ({ status: 400, body: 'bad request' }));
+
+  const first = await crm.sendTo('webhook', record, 'apply');
+  const queued = await outbox.enqueue({ type: 'applications', recordId: record.id, target: 'webhook', result: first });
+
+  assert.equal(queued.status, 'dead-letter');
+  assert.equal(queued.item.deadLetterReason, 'Non-retryable response');
+  assert.deepEqual(await outbox.list('pending'), []);
+});
+
+test('network errors are retried like 5xx responses', async (t) => {
+  const { stub, crm, handlers, outbox, makeDue } = await setup(t);
+  await stub.close();
+
+  const first = await crm.sendTo('webhook', record, 'apply');
+  assert.equal(first.status, 'error');
+  const queued = await outbox.enqueue({ type: 'applications', recordId: record.id, target: 'webhook', result: first });
+  assert.equal(queued.status, 'queued');
+
+  makeDue();
+  const retry = await outbox.processDue(handlers);
+  assert.equal(retry.results[0].status, 'retry-scheduled');
+});
+
+test('a scheduled job is due at once and runs on the next pass', async (t) => {
+  const { stub, handlers, outbox } = await setup(t, () => ({ status: 200, body: { ok: true } }));
+
+  const scheduled = await outbox.schedule({ type: 'applications', recordId: record.id, target: 'webhook' });
+  assert.equal(scheduled.status, 'queued');
+  assert.equal(scheduled.item.attempts, 0);
+  assert.equal(scheduled.item.lastAttemptAt, null);
+
+  const again = await outbox.schedule({ type: 'applications', recordId: record.id, target: 'webhook' });
+  assert.equal(again.status, 'exists');
+
+  const run = await outbox.processDue(handlers);
+  assert.equal(run.delivered, 1);
+  assert.equal(run.results[0].attempts, 1);
+  assert.equal(stub.requests.length, 1);
+  assert.deepEqual(await outbox.list('pending'), []);
+});
@@ -0,0 +1,153 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  HONEYPOT_FIELD,
+  evaluateSubmission,
+  createCaptchaVerifier,
+  getCaptchaResponse,
+} = require('../spam-guard');
+const { startStubServer } = require('./helpers/stub-server');
+
+const freshToken = { ok: true, ageMs: 20 * 1000 };
+const fields = { name: 'Jane Doe', email: 'jane@example.com', details: 'Looking for working capital.' };
+
+// ===== evaluateSubmission =====
+
+test('a plain submission with a valid form token passes', () => {
+  assert.deepEqual(evaluateSubmission({ fields, token: freshToken }), { spam: false, score: 0, reasons: [] });
+});
+
+test('any honeypot value is spam regardless of score', () => {
+  const verdict = evaluateSubmission({ fields, honeypot: 'https://example.com', token: freshToken });
+  assert.equal(verdict.spam, true);
+  assert.deepEqual(verdict.reasons, ['honeypot']);
+});
+
+test('the honeypot field name is not one browsers autofill', () => {
+  assert.doesNotMatch(HONEYPOT_FIELD, /web|url|site|name|mail|phone|address|company|org/i);
+});
+
+test('a submit faster than minSubmitMs is spam', () => {
+  const verdict = evaluateSubmission({ fields, token: { ok: true, ageMs: 500 } }, { minSubmitMs: 3000 });
+  assert.equal(verdict.spam, true);
+  assert.deepEqual(verdict.reasons, ['submitted-too-fast']);
+});
+
+test('form token problems add to the score', () => {
+  assert.deepEqual(evaluateSubmission({ fields }).reasons, ['missing-form-token']);
+  assert.deepEqual(evaluateSubmission({ fields, token: { ok: false, reason: 'expired' } }).reasons, ['expired-form-token']);
+
+  const invalid = evaluateSubmission({ fields, token: { ok: false, reason: 'signature' } });
+  assert.deepEqual(invalid.reasons, ['invalid-form-token']);
+  assert.equal(invalid.spam, false);
+});
+
+test('content signals add up to the threshold', () => {
+  const oneLink = evaluateSubmission({ fields: { ...fields, details: 'See https://example.com' }, token: freshToken });
+  assert.deepEqual(oneLink, { spam: false, score: 1, reasons: ['links:1'] });
+
+  const spammy = evaluateSubmission({
+    fields: {
+      name: 'Cheap loans www.example.com',
+      email: 'bot@mailinator.com',
+      details: '[url=https://a.example]a[/url] https://b.example https://c.example',
+    },
+    token: freshToken,
+  });
+  assert.equal(spammy.spam, true);
+  assert.deepEqual(spammy.reasons, ['links:4', 'url-in-name', 'link-markup', 'disposable-email']);
+});
+
+test('extra disposable domains and a custom threshold are honoured', () => {
+  const verdict = evaluateSubmission(
+    { fields: { ...fields, email: 'x@mail.burner.test' }, token: freshToken },
+    { disposableDomains: ['burner.test'], threshold: 3 },
+  );
+  assert.equal(verdict.spam, true);
+  assert.deepEqual(verdict.reasons, ['disposable-email']);
+});
+
+test('getCaptchaResponse reads whichever field the widget posted', () => {
+  assert.equal(getCaptchaResponse({ 'cf-turnstile-response': ' abc ' }), 'abc');
+  assert.equal(getCaptchaResponse({ captcha_token: 'own', 'h-captcha-response': 'widget' }), 'own');
+  assert.equal(getCaptchaResponse({}), '');
+});
+
+// ===== CAPTCHA verifiers =====
+
+test('no provider means no verifier; a real provider needs a secret', () => {
+  assert.equal(createCaptchaVerifier({}), null);
+  assert.throws(() => createCaptchaVerifier({ provider: 'turnstile' }), /needs a secret/);
+  assert.throws(() => createCaptchaVerifier({ provider: 'nope', secret: 's' }), /Unknown CAPTCHA provider/);
+});
+
+test('the stub verifier accepts only its pass token', async () => {
+  const verifier = createCaptchaVerifier({ provider: 'stub', stubToken: 'let-me-in' });
+  assert.equal(verifier.provider, 'stub');
+  assert.deepEqual(await verifier.verify('let-me-in'), { ok: true });
+  assert.equal((await verifier.verify('pass')).ok, false);
+  assert.deepEqual(await createCaptchaVerifier({ provider: 'stub' }).verify('pass'), { ok: true });
+});
+
+test('siteverify posts the secret, response and client IP as a form', async (t) => {
+  const stub = await startStubServer(() => ({ body: { success: true } }));
+  t.after(stub.close);
+  const verifier = createCaptchaVerifier({ provider: 'turnstile', secret: 'server-secret', url: stub.url });
+
+  assert.deepEqual(await verifier.verify('widget-token', { remoteIp: '203.0.113.9' }), { ok: true, score: undefined });
+
+  const [request] = stub.requests;
+  assert.equal(request.method, 'POST');
+  assert.match(request.headers['content-type'], /application\/x-www-form-urlencoded/);
+  assert.deepEqual(Object.fromEntries(new URLSearchParams(request.raw)), {
+    secret: 'server-secret',
+    response: 'widget-token',
+    remoteip: '203.0.113.9',
+  });
+});
+
+test('siteverify reports the provider error codes on rejection', async (t) => {
+  const stub = await startStubServer(() => ({ body: { success: false, 'error-codes': ['invalid-input-response', 'timeout-or-duplicate'] } }));
+  t.after(stub.close);
+  const verifier = createCaptchaVerifier({ provider: 'hcaptcha', secret: 's', url: stub.url });
+
+  assert.deepEqual(await verifier.verify('used-token'), {
+    ok: false,
+    error: 'CAPTCHA rejected: invalid-input-response, timeout-or-duplicate',
+  });
+});
+
+test('reCAPTCHA scores below minScore fail', async (t) => {
+  const scores = [0.3, 0.9];
+  const stub = await startStubServer(() => ({ body: { success: true, score: scores.shift() } }));
+  t.after(stub.close);
+  const verifier = createCaptchaVerifier({ provider: 'recaptcha', secret: 's', minScore: 0.5, url: stub.url });
+
+  assert.deepEqual(await verifier.verify('low'), { ok: false, error: 'CAPTCHA score 0.3 below 0.5', score: 0.3 });
+  assert.deepEqual(await verifier.verify('high'), { ok: true, score: 0.9 });
+});
+
+test('a missing response never reaches the provider', async (t) => {
+  const stub = await startStubServer();
+  t.after(stub.close);
+  const verifier = createCaptchaVerifier({ provider: 'turnstile', secret: 's', url: stub.url });
+
+  assert.deepEqual(await verifier.verify(''), { ok: false, error: 'CAPTCHA response missing' });
+  assert.equal(stub.requests.length, 0);
+});
+
+test('an unreachable or broken provider fails closed', async (t) => {
+  const broken = await startStubServer(() => ({ status: 502, body: '<html>Bad gateway</html>' }));
+  t.after(broken.close);
+  const brokenResult = await createCaptchaVerifier({ provider: 'turnstile', secret: 's', url: broken.url }).verify('token');
+  assert.equal(brokenResult.ok, false);
+  assert.match(brokenResult.error, /CAPTCHA verification unavailable/);
+
+  const gone = await startStubServer();
+  await gone.close();
+  const goneResult = await createCaptchaVerifier({ provider: 'turnstile', secret: 's', url: gone.url }).verify('token');
+  assert.equal(goneResult.ok, false);
+  assert.match(goneResult.error, /CAPTCHA verification unavailable/);
+});
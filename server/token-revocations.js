@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * token-revocations.js
+ *
+ * Portal tokens are stateless, so logout and refresh can only recall one by
+ * remembering its id (`jti`) until it expires. Serverless instances share
+ * nothing in memory, so with S3 configured each revoked id is a marker object
+ * under `prefix` that every instance checks; without S3 (local development,
+ * one process) they are kept in memory.
+ *
+ * Markers are useless once the token has expired. An S3 lifecycle rule on the
+ * prefix that expires objects after a day or two keeps it small.
+ */
+
+const crypto = require('crypto');
+const { PutObjectCommand, HeadObjectCommand } = require('@aws-sdk/client-s3');
+const { isMissingKey } = require('./s3-helpers');
+
+/**
+ * @param {object} options
+ * @param {import('@aws-sdk/client-s3').S3Client|null} options.s3Client
+ * @param {string} options.bucket
+ * @param {string} options.prefix           e.g. "auth/revoked-tokens/"
+ * @param {number} [options.sweepIntervalMs] how often expired in-memory ids are dropped
+ */
+function createTokenRevocations({ s3Client, bucket, prefix, sweepIntervalMs = 60 * 1000 }) {
+  const useS3 = Boolean(s3Client && bucket);
+  const markerKey = (jti) => `${prefix}${crypto.createHash('sha256').update(String(jti)).digest('hex')}.json`;
+  // jti -> exp (seconds). The whole list locally; with S3, ids already seen revoked, to skip the lookup.
+  const known = new Map();
+
+  setInterval(() => {
+    const now = Math.floor(Date.now() / 1000);
+    known.forEach((exp, jti) => {
+      if (now >= exp) known.delete(jti);
+    });
+  }, sweepIntervalMs).unref();
+
+  /** Recall the token `payload` was read from. Tokens without a jti cannot be recalled. */
+  async function revoke(payload, now = new Date()) {
+    if (!payload?.jti) return;
+    const exp = Number(payload.exp) || Math.floor(now.getTime() / 1000);
+    if (useS3) {
+      await s3Client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: markerKey(payload.jti),
+        Body: JSON.stringify({ exp, revokedAt: now.toISOString() }),
+        ContentType: 'application/json',
+      }));
+    }
+    known.set(payload.jti, exp);
+  }
+
+  async function isRevoked(payload) {
+    if (!payload?.jti) return false;
+    if (known.has(payload.jti)) return true;
+    if (!useS3) return false;
+
+    try {
+      await s3Client.send(new HeadObjectCommand({ Bucket: bucket, Key: markerKey(payload.jti) }));
+    } catch (error) {
+      if (isMissingKey(error)) return false;
+      throw error;
+    }
+    known.set(payload.jti, Number(payload.exp) || 0);
+    return true;
+  }
+
+  return {
+    storage: useS3 ? 's3' : 'memory',
+    revoke,
+    isRevoked,
+  };
+}
+
+module.exports = {
+  createTokenRevocations,
+};
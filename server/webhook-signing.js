@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * webhook-signing.js
+ *
+ * Signing for outbound webhooks, and the matching check for receivers. Only
+ * depends on Node's `crypto`, so a receiver can copy this file as-is.
+ *
+ *   X-Webhook-Timestamp: 1760000000
+ *   X-Webhook-Signature: t=1760000000,v1=<hex HMAC-SHA256 of "1760000000.<raw body>">
+ *   Idempotency-Key:     <same value as the body's idempotencyKey>
+ *
+ * The signed string includes the timestamp so a captured request cannot be
+ * replayed later; receivers reject timestamps outside a tolerance window.
+ * Several `v1=` entries may appear while a secret is being rotated.
+ *
+ * Receiver example (Express; keep the raw body, the signature covers exact bytes):
+ *
+ *   app.post('/hooks/nolimitcap', express.raw({ type: 'application/json' }), (req, res) => {
+ *     const check = verifyWebhookSignature({
+ *       secret: process.env.NOLIMITCAP_WEBHOOK_SECRET,
+ *       body: req.body,
+ *       signature: req.get('X-Webhook-Signature'),
+ *     });
+ *     if (!check.ok) return res.status(401).send(check.error);
+ *     const payload = JSON.parse(req.body);
+ *     // skip if payload.idempotencyKey was already processed
+ *     res.sendStatus(204);
+ *   });
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_VERSION = 'v1';
+const ENVELOPE_VERSION = 1;
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+/** Stable per record and event, so every retry of the same delivery carries the same key. */
+function buildIdempotencyKey(recordId, event) {
+  return crypto.createHash('sha256').update(`${event}:${recordId}`).digest('hex').slice(0, 40);
+}
+
+/** Versioned alternative to the flat record body. */
+function buildWebhookEnvelope(event, data, { idempotencyKey, createdAt = new Date().toISOString() } = {}) {
+  return {
+    event,
+    version: ENVELOPE_VERSION,
+    idempotencyKey,
+    createdAt,
+    data,
+  };
+}
+
+function computeSignature(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Headers for one signed request. `body` must be the exact string that is sent.
+ * Returns {} when no secret is configured.
+ */
+function signWebhookPayload({ secret, body, idempotencyKey, timestamp = Math.floor(Date.now() / 1000) }) {
+  const headers = {};
+  if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+  if (!secret) return headers;
+
+  headers['X-Webhook-Timestamp'] = String(timestamp);
+  headers['X-Webhook-Signature'] = `t=${timestamp},${SIGNATURE_VERSION}=${computeSignature(secret, timestamp, body)}`;
+  return headers;
+}
+
+function parseSignatureHeader(header) {
+  const parsed = { timestamp: null, signatures: [] };
+  String(header || '').split(',').forEach((part) => {
+    const [key, value] = part.trim().split('=');
+    if (key === 't' && /^\d+$/.test(value || '')) parsed.timestamp = Number(value);
+    if (key === SIGNATURE_VERSION && /^[a-f0-9]{64}$/i.test(value || '')) parsed.signatures.push(value.toLowerCase());
+  });
+  return parsed;
+}
+
+/**
+ * Check an incoming webhook. `secret` may be an array while rotating secrets.
+ * Returns { ok: true, timestamp } or { ok: false, error }.
+ */
+function verifyWebhookSignature({
+  secret,
+  body,
+  signature,
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+  now = Math.floor(Date.now() / 1000),
+}) {
+  const secrets = (Array.isArray(secret) ? secret : [secret]).filter(Boolean);
+  if (secrets.length === 0) return { ok: false, error: 'No webhook secret configured' };
+
+  const { timestamp, signatures } = parseSignatureHeader(signature);
+  if (!timestamp || signatures.length === 0) return { ok: false, error: 'Missing or malformed signature header' };
+  if (Math.abs(now - timestamp) > toleranceSeconds) return { ok: false, error: 'Signature timestamp outside tolerance' };
+
+  const raw = Buffer.isBuffer(body) ? body.toString('utf8') : String(body ?? '');
+  const matches = secrets.some((value) => {
+    const expected = Buffer.from(computeSignature(value, timestamp, raw), 'hex');
+    return signatures.some((candidate) => {
+      const received = Buffer.from(candidate, 'hex');
+      return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    });
+  });
+  return matches ? { ok: true, timestamp } : { ok: false, error: 'Signature mismatch' };
+}
+
+module.exports = {
+  ENVELOPE_VERSION,
+  buildIdempotencyKey,
+  buildWebhookEnvelope,
+  signWebhookPayload,
+  verifyWebhookSignature,
+};